@@ -1,323 +1,194 @@
-const WebSocket = require('ws');
-const wss = new WebSocket.Server({ port: 8081 });
+import { randomUUID } from 'crypto';
+import { WebSocketServer } from 'ws';
+import { ServerConfig } from './server/server-config.js';
+import Room from './server/room.js';
+import { BotPilotConfig } from './src/js/config/enemies/bot-pilot.js';
+
+const wss = new WebSocketServer({ port: ServerConfig.PORT });
 
-let players = {};
 let playerIdCounter = 0;
-let enemies = {};
+let roomIdCounter = 0;
 
 const playerNames = ['Alpha', 'Bravo', 'Charlie', 'Delta', 'Echo', 'Foxtrot', 'Golf', 'Hotel'];
 
-// Respawn time in milliseconds (5 seconds)
-const ENEMY_RESPAWN_TIME = 5000;
-
-// Store original enemy configurations for respawning
-const originalEnemies = {
-    'dummy': { id: 'dummy', x: 0, y: 0, z: -10 }
-};
+// Connections keyed by the session token handed out in `spawn`. A client that reconnects with its
+// token within the grace period gets its id, name and room place back.
+const sessions = new Map();
 
-// Initialize enemies with original configurations
-Object.keys(originalEnemies).forEach(enemyId => {
-    enemies[enemyId] = { ...originalEnemies[enemyId] };
+// Match rooms keyed by id. The default room is always open and new connections land there
+// (or in a fresh room while it is full).
+const rooms = {};
+rooms[ServerConfig.ROOMS.DEFAULT_ROOM_ID] = new Room(ServerConfig.ROOMS.DEFAULT_ROOM_ID, {
+    name: 'Default',
+    persistent: true
 });
 
-console.log('Initialized enemies:', enemies);
-
-// Store player quaternions for better sync
-
-console.log('WebSocket server started on port 8081');
-
-wss.on('connection', (ws) => {
-    const playerId = playerIdCounter++;
-    const playerName = playerNames[playerId % playerNames.length];
-    console.log(`Assigning name "${playerName}" to player ${playerId}`);
-    players[playerId] = {
-        ws,
-        id: playerId,
-        name: playerName,
-        x: 0, y: 0, z: 0,
-        rotationX: 0, rotationY: 0, rotationZ: 0, rotationW: 1,
-        health: 110, maxHealth: 110,
-        shield: 0, maxShield: 0,
-        componentHealth: {
-            main_body: 100,
-            left_wing: 50,
-            right_wing: 50
-        },
-        shipType: 'imperial-tie-fighter',
-        isAlive: true
-    };
-
-    console.log(`Player ${playerId} (${playerName}) connected`);
-
-    // Send initial spawn message to the new player
-    ws.send(JSON.stringify({
-        type: 'spawn',
-        playerId: playerId,
-        playerName: playerName,
-        shipType: players[playerId].shipType,
-        players: Object.keys(players).map(id => ({
-            id: parseInt(id),
-            name: players[id].name,
-            shipType: players[id].shipType,
-            x: players[id].x, y: players[id].y, z: players[id].z,
-            rotationX: players[id].rotationX, rotationY: players[id].rotationY, rotationZ: players[id].rotationZ, rotationW: players[id].rotationW,
-            health: players[id].health, maxHealth: players[id].maxHealth,
-            shield: players[id].shield, maxShield: players[id].maxShield,
-            componentHealth: players[id].componentHealth,
-            isAlive: players[id].isAlive
-        })),
-        enemies: Object.values(enemies)
-    }));
-
-    // Broadcast new player to all other players
-    wss.clients.forEach(client => {
-        if (client !== ws && client.readyState === WebSocket.OPEN) {
-            client.send(JSON.stringify({
-                type: 'newPlayer',
-                playerId: playerId,
-                playerName: playerName,
-                shipType: players[playerId].shipType,
-                x: 0, y: 0, z: 0,
-                rotationX: 0, rotationY: 0, rotationZ: 0, rotationW: 1,
-                health: 110, maxHealth: 110,
-                shield: 0, maxShield: 0,
-                componentHealth: {
-                    main_body: 100,
-                    left_wing: 50,
-                    right_wing: 50
-                },
-                isAlive: true
-            }));
-        }
-    });
+console.log(`WebSocket server started on port ${ServerConfig.PORT}`);
+
+function sendError(ws, code, message) {
+    ws.send(JSON.stringify({ type: 'error', code, message }));
+}
+
+/**
+ * Take a client out of its current room, closing the room if it was the last one
+ * there (the default room stays open)
+ */
+function leaveRoom(connection) {
+    const room = rooms[connection.roomId];
+    connection.roomId = null;
+    if (!room) return;
+
+    room.removePlayer(connection.id);
+    if (room.playerCount === 0 && !room.persistent) {
+        room.close();
+        delete rooms[room.id];
+    }
+}
+
+function joinRoom(connection, room) {
+    leaveRoom(connection);
+    connection.roomId = room.id;
+    room.addPlayer(connection.ws, connection.id, connection.name, connection.sessionToken);
+}
+
+/**
+ * Put a new connection into the default room, or a fresh room while it is full
+ * @returns {boolean} False if every room is full
+ */
+function joinDefaultRoom(connection) {
+    const defaultRoom = rooms[ServerConfig.ROOMS.DEFAULT_ROOM_ID];
+    const overflow = defaultRoom.isFull() ? createRoom({}) : null;
+    if (overflow && overflow.error) return false;
+    joinRoom(connection, overflow ? overflow.room : defaultRoom);
+    return true;
+}
+
+/**
+ * The socket dropped: hold the player's place for the grace period, then let it go
+ */
+function suspendSession(connection) {
+    const room = rooms[connection.roomId];
+    if (room) {
+        room.suspendPlayer(connection.id);
+    }
+    connection.graceTimer = setTimeout(() => {
+        console.log(`Session for player ${connection.id} (${connection.name}) expired`);
+        sessions.delete(connection.sessionToken);
+        leaveRoom(connection);
+    }, ServerConfig.SESSIONS.GRACE_PERIOD * 1000);
+}
+
+/**
+ * A client came back with its session token: swap in the new socket and put the player back
+ * where they were (their room may have closed in the meantime)
+ */
+function resumeSession(connection, ws) {
+    if (connection.graceTimer) {
+        clearTimeout(connection.graceTimer);
+        connection.graceTimer = null;
+    } else {
+        // The old socket hasn't noticed it dropped yet
+        const oldWs = connection.ws;
+        connection.ws = ws; // Its close event is ignored from here on
+        rooms[connection.roomId]?.suspendPlayer(connection.id);
+        oldWs.terminate();
+    }
+    connection.ws = ws;
+
+    const room = rooms[connection.roomId];
+    if (room && room.resumePlayer(ws, connection.id)) return true;
+    connection.roomId = null;
+    return joinDefaultRoom(connection);
+}
+
+/**
+ * Create a room from a client's createRoom message
+ * @returns {Object} { room } or { error, message }
+ */
+function createRoom(message) {
+    const mapId = message.mapId || ServerConfig.ROOMS.DEFAULT_MAP;
+    if (!ServerConfig.ROOMS.MAPS.includes(mapId)) {
+        return { error: 'UNKNOWN_MAP', message: `Unknown map ${mapId}` };
+    }
+    if (Object.keys(rooms).length >= ServerConfig.ROOMS.MAX_ROOMS) {
+        return { error: 'TOO_MANY_ROOMS', message: 'The server has no free rooms' };
+    }
+
+    const id = `room-${++roomIdCounter}`;
+    const name = typeof message.name === 'string' && message.name.trim()
+        ? message.name.trim().slice(0, ServerConfig.ROOMS.MAX_NAME_LENGTH)
+        : id;
+    const maxPlayers = Number.isInteger(message.maxPlayers)
+        ? Math.min(Math.max(message.maxPlayers, 1), ServerConfig.ROOMS.MAX_PLAYERS)
+        : ServerConfig.ROOMS.MAX_PLAYERS;
+
+    const botSkill = Object.hasOwn(BotPilotConfig.SKILLS, message.botSkill) ? message.botSkill : ServerConfig.BOTS.SKILL;
+
+    rooms[id] = new Room(id, { name, mapId, maxPlayers, botSkill });
+    return { room: rooms[id] };
+}
+
+wss.on('connection', (ws, request) => {
+    // Reconnecting clients pass the token from their last spawn as ?session=<token>
+    const sessionToken = new URL(request.url, 'ws://localhost').searchParams.get('session');
+    let connection = sessions.get(sessionToken);
+    let joined;
+    if (connection) {
+        console.log(`Player ${connection.id} (${connection.name}) reconnected`);
+        joined = resumeSession(connection, ws);
+    } else {
+        const playerId = playerIdCounter++;
+        const playerName = playerNames[playerId % playerNames.length];
+        console.log(`Assigning name "${playerName}" to player ${playerId}`);
+        console.log(`Player ${playerId} (${playerName}) connected`);
+
+        connection = { ws, id: playerId, name: playerName, roomId: null, sessionToken: randomUUID(), graceTimer: null };
+        sessions.set(connection.sessionToken, connection);
+        joined = joinDefaultRoom(connection);
+    }
+    if (!joined) {
+        sessions.delete(connection.sessionToken);
+        sendError(ws, 'ROOM_FULL', 'Every room is full');
+        ws.close();
+        return;
+    }
 
     ws.on('message', (data) => {
         const message = JSON.parse(data.toString());
 
-        if (message.type === 'position') {
-            players[playerId].x = message.x;
-            players[playerId].y = message.y;
-            players[playerId].z = message.z;
-            players[playerId].rotationX = message.rotationX;
-            players[playerId].rotationY = message.rotationY;
-            players[playerId].rotationZ = message.rotationZ;
-            players[playerId].rotationW = message.rotationW;
-
-            // Broadcast position to all other players
-            wss.clients.forEach(client => {
-                if (client !== ws && client.readyState === WebSocket.OPEN) {
-                    client.send(JSON.stringify({
-                        type: 'playerUpdate',
-                        playerId: playerId,
-                        playerName: players[playerId].name,
-                        x: message.x, y: message.y, z: message.z,
-                        rotationX: message.rotationX, rotationY: message.rotationY, rotationZ: message.rotationZ, rotationW: message.rotationW,
-                        health: players[playerId].health, maxHealth: players[playerId].maxHealth,
-                        shield: players[playerId].shield, maxShield: players[playerId].maxShield,
-                        isAlive: players[playerId].isAlive
-                    }));
-                }
-            });
-        } else if (message.type === 'fire') {
-            // Broadcast fire event to all players except sender
-            wss.clients.forEach(client => {
-                if (client !== ws && client.readyState === WebSocket.OPEN) {
-                    client.send(JSON.stringify({
-                        type: 'fire',
-                        playerId: playerId,
-                        direction: message.direction,
-                        position: message.position,
-                        weaponType: message.weaponType || 'blaster'
-                    }));
-                }
-            });
-        } else if (message.type === 'respawn') {
-            // Handle player respawn
-            const player = players[playerId];
-            if (player && !player.isAlive) {
-                // Reset player stats
-                player.health = player.maxHealth;
-                player.shield = 0; // Reset to 0 shields for imperial tie fighter
-                player.componentHealth = {
-                    main_body: 100,
-                    left_wing: 50,
-                    right_wing: 50
-                };
-                player.isAlive = true;
-                player.x = 0; // Reset to spawn position
-                player.y = 0;
-                player.z = 0;
-                player.rotationX = 0;
-                player.rotationY = 0;
-                player.rotationZ = 0;
-                player.rotationW = 1;
-
-                console.log(`Player ${player.name} respawned!`);
-
-                // Broadcast respawn to all clients
-                wss.clients.forEach(client => {
-                    if (client.readyState === WebSocket.OPEN) {
-                        client.send(JSON.stringify({
-                            type: 'playerRespawned',
-                            playerId: playerId,
-                            name: player.name,
-                            shipType: player.shipType,
-                            x: player.x, y: player.y, z: player.z,
-                            rotationX: player.rotationX, rotationY: player.rotationY, rotationZ: player.rotationZ, rotationW: player.rotationW,
-                            health: player.health, maxHealth: player.maxHealth,
-                            shield: player.shield, maxShield: player.maxShield,
-                            componentHealth: player.componentHealth,
-                            isAlive: player.isAlive
-                        }));
-                    }
-                });
-            }
-        } else if (message.type === 'enemyDestroyed') {
-            // Remove enemy from server's enemies list
-            if (enemies[message.enemyId]) {
-                // Store the destroyed enemy's original position for respawn
-                const destroyedEnemy = { ...enemies[message.enemyId] };
-                delete enemies[message.enemyId];
-                
-                // Broadcast enemy destruction to all players
-                wss.clients.forEach(client => {
-                    if (client.readyState === WebSocket.OPEN) {
-                        client.send(JSON.stringify({
-                            type: 'enemyDestroyed',
-                            enemyId: message.enemyId
-                        }));
-                    }
-                });
-                
-                // Schedule enemy respawn after configured time
-                setTimeout(() => {
-                    // Check if this enemy should respawn (exists in original enemies)
-                    if (originalEnemies[destroyedEnemy.id]) {
-                        // Respawn the enemy at its original position
-                        enemies[destroyedEnemy.id] = { ...originalEnemies[destroyedEnemy.id] };
-                        console.log(`Enemy ${destroyedEnemy.id} respawned at position (${originalEnemies[destroyedEnemy.id].x}, ${originalEnemies[destroyedEnemy.id].y}, ${originalEnemies[destroyedEnemy.id].z})`);
-                        
-                        // Broadcast enemy respawn to all players
-                        wss.clients.forEach(client => {
-                            if (client.readyState === WebSocket.OPEN) {
-                                client.send(JSON.stringify({
-                                    type: 'enemyRespawned',
-                                    enemy: { ...originalEnemies[destroyedEnemy.id] }
-                                }));
-                            }
-                        });
-                    }
-                }, ENEMY_RESPAWN_TIME); // Configurable respawn time
-            }
-        } else if (message.type === 'playerHit') {
-            // Handle player damage from another player's bullet
-            const targetPlayer = players[message.targetPlayerId];
-            const attackerPlayer = players[message.attackerPlayerId];
-            console.log(`Player ${attackerPlayer ? attackerPlayer.name : 'Unknown'} (ID: ${message.attackerPlayerId}) hit player ${targetPlayer ? targetPlayer.name : 'Unknown'} (ID: ${message.targetPlayerId}) for ${message.damage} damage`);
-            // Prevent self-damage
-            if (message.targetPlayerId === message.attackerPlayerId) {
-                console.log('Player tried to damage themselves, ignoring');
+        if (message.type === 'listRooms') {
+            ws.send(JSON.stringify({ type: 'roomList', rooms: Object.values(rooms).map(room => room.summary()) }));
+        } else if (message.type === 'createRoom') {
+            const created = createRoom(message);
+            if (created.error) {
+                sendError(ws, created.error, created.message);
                 return;
             }
-            if (targetPlayer && targetPlayer.isAlive) {
-                let remainingDamage = message.damage;
-                let componentDestroyed = false;
-
-                // FIRST: Apply damage to shields (shields absorb damage before anything else)
-                if (targetPlayer.shield > 0) {
-                    const shieldDamage = Math.min(remainingDamage, targetPlayer.shield);
-                    targetPlayer.shield -= shieldDamage;
-                    remainingDamage -= shieldDamage;
-                    targetPlayer.shield = Math.max(0, targetPlayer.shield);
-                    console.log(`Shield absorbed ${shieldDamage} damage, remaining shield: ${targetPlayer.shield}`);
-                }
-
-                // SECOND: If shields are depleted and we have remaining damage, apply to components and health
-                if (remainingDamage > 0) {
-                    // Check if hit a specific component
-                    let componentId = message.componentId || null;
-
-                    if (componentId && targetPlayer.componentHealth[componentId] !== undefined) {
-                            // Apply damage to the specific component
-                            const componentDamage = Math.min(remainingDamage, targetPlayer.componentHealth[componentId]);
-                            targetPlayer.componentHealth[componentId] -= componentDamage;
-                            targetPlayer.componentHealth[componentId] = Math.max(0, targetPlayer.componentHealth[componentId]);
-                            remainingDamage -= componentDamage;
-    
-                            // Also apply damage to total hull health when component is damaged
-                            const hullDamage = componentDamage;
-                            targetPlayer.health -= hullDamage;
-                            targetPlayer.health = Math.max(0, targetPlayer.health);
-    
-                            console.log(`Component ${componentId} damaged for ${componentDamage}, remaining component health: ${targetPlayer.componentHealth[componentId]}, remaining hull health: ${targetPlayer.health}`);
-    
-                            // Check if component should be destroyed
-                            if (targetPlayer.componentHealth[componentId] <= 0) {
-                                componentDestroyed = true;
-                                console.log(`Player ${targetPlayer.name}'s ${componentId} was destroyed!`);
-    
-                                // Broadcast component destruction to all clients
-                                wss.clients.forEach(client => {
-                                    if (client.readyState === WebSocket.OPEN) {
-                                        client.send(JSON.stringify({
-                                            type: 'playerComponentDestroyed',
-                                            playerId: message.targetPlayerId,
-                                            componentId: componentId
-                                        }));
-                                    }
-                                });
-                            }
-                    }
-
-                    // Apply any remaining damage to health
-                    if (remainingDamage > 0) {
-                        targetPlayer.health -= remainingDamage;
-                        targetPlayer.health = Math.max(0, targetPlayer.health);
-                        console.log(`Health damage: ${remainingDamage}, remaining health: ${targetPlayer.health}`);
-                    }
-
-                    // Check if player died - player dies when hull health reaches 0
-                    // This check must happen after ALL damage has been applied
-                    if (targetPlayer.health <= 0) {
-                        targetPlayer.isAlive = false;
-                        console.log(`Player ${targetPlayer.name} died! Player dies when hull health reaches 0`);
-                    }
-                }
-
-                // Broadcast player damage to all clients
-                wss.clients.forEach(client => {
-                    if (client.readyState === WebSocket.OPEN) {
-                        client.send(JSON.stringify({
-                            type: 'playerDamaged',
-                            playerId: message.targetPlayerId,
-                            attackerPlayerId: message.attackerPlayerId,
-                            health: targetPlayer.health,
-                            shield: targetPlayer.shield,
-                            componentHealth: targetPlayer.componentHealth,
-                            isAlive: targetPlayer.isAlive,
-                            weaponType: message.weaponType || 'blaster' // Default to blaster if not specified
-                        }));
-                    }
-                });
+            joinRoom(connection, created.room);
+        } else if (message.type === 'joinRoom') {
+            // Only the room ids we created; a bare lookup would also find Object.prototype keys like 'constructor'
+            const room = typeof message.roomId === 'string' && Object.hasOwn(rooms, message.roomId) ? rooms[message.roomId] : null;
+            if (!room) {
+                sendError(ws, 'ROOM_NOT_FOUND', `Room ${message.roomId} does not exist`);
+            } else if (room.id === connection.roomId) {
+                sendError(ws, 'ALREADY_IN_ROOM', `Already in room ${room.id}`);
+            } else if (room.isFull()) {
+                sendError(ws, 'ROOM_FULL', `Room ${room.id} is full (${room.maxPlayers} players)`);
             } else {
-                console.log(`Target player ${targetPlayer ? targetPlayer.name : 'unknown'} (ID: ${message.targetPlayerId}) is not alive or doesn't exist`);
+                joinRoom(connection, room);
+            }
+        } else {
+            // Everything else is gameplay for the client's current room
+            const room = rooms[connection.roomId];
+            if (room) {
+                room.handleMessage(connection.id, message);
             }
         }
     });
 
     ws.on('close', () => {
-        const player = players[playerId];
-        console.log(`Player ${playerId} (${player ? player.name : 'Unknown'}) disconnected`);
-        delete players[playerId];
-
-        // Notify all players about the disconnected player
-        wss.clients.forEach(client => {
-            if (client.readyState === WebSocket.OPEN) {
-                client.send(JSON.stringify({
-                    type: 'playerDisconnected',
-                    playerId: playerId
-                }));
-            }
-        });
+        if (connection.ws !== ws) return; // Replaced by a reconnect
+        console.log(`Player ${connection.id} (${connection.name}) disconnected`);
+        suspendSession(connection);
     });
-});
\ No newline at end of file
+});
@@ -0,0 +1,362 @@
+import { BotPilotConfig } from '../src/js/config/enemies/bot-pilot.js';
+import { TieCannonConfig } from '../src/js/config/weapons/tie-cannon.js';
+import { LaserImperialConfig } from '../src/js/config/bolts/laser-imperial.js';
+import { applyFlightInput, updateEnergy, forwardVector, rotateVector, MAX_INPUT_DT } from '../src/js/shared/flight-model.js';
+import { regenerateShield } from '../src/js/shared/damage-model.js';
+import { getShipConfig } from '../src/js/shared/ships.js';
+import { getCapitalShipConfig } from '../src/js/shared/capital-ships.js';
+import { interceptPoint } from '../src/js/shared/intercept.js';
+import { clamp, distance, normalize } from '../src/js/shared/vector.js';
+import { createHistory } from './lag-compensation.js';
+import { resetFlightState, resetHealthState } from './simulation.js';
+
+/**
+ * What a bot pilot is doing; each tick the state decides where it steers and whether it fires
+ */
+export const PILOT_STATES = {
+    PATROL: 'patrol', // Flying between waypoints around its spawn, looking for targets
+    PURSUE: 'pursue', // Closing on a target
+    ATTACK_RUN: 'attack_run', // In range: leading the target and firing
+    EVADE: 'evade', // Jinking after being hit
+    BREAK_OFF: 'break_off' // Pulling away from a capital ship's hull or a target it nearly rammed
+};
+
+const WEAPON = TieCannonConfig.PRIMARY;
+
+// Turn rate per radian of heading error, so bots ease onto a heading instead of overshooting it
+const STEERING_GAIN = 4;
+
+function randomDirection() {
+    return normalize({ x: Math.random() - 0.5, y: Math.random() - 0.5, z: Math.random() - 0.5 }) || { x: 0, y: 1, z: 0 };
+}
+
+function randomWaypoint(spawn) {
+    const offset = randomDirection();
+    const radius = BotPilotConfig.PATROL_RADIUS * Math.random();
+    return { x: spawn.x + offset.x * radius, y: spawn.y + offset.y * radius, z: spawn.z + offset.z * radius };
+}
+
+/**
+ * Skill config for a skill level, falling back to the default skill for unknown levels
+ * @param {string} skill - Key of BotPilotConfig.SKILLS
+ * @returns {Object} Skill config
+ */
+export function getSkillConfig(skill) {
+    return BotPilotConfig.SKILLS[skill] || BotPilotConfig.SKILLS[BotPilotConfig.DEFAULT_SKILL];
+}
+
+/**
+ * Creates an enemy ship at its spawn. Enemies with a skill are flown by a bot pilot;
+ * without one they are stationary targets.
+ * @param {Object} definition - { id, name, team, skill, spawn }; an existing enemy can be passed to respawn it
+ * @returns {Object} Enemy record, shaped like a server player record so the shared flight and damage code works on it
+ */
+export function createEnemy({ id, name, team = null, skill = null, spawn }) {
+    const enemy = {
+        id,
+        name,
+        team,
+        skill,
+        spawn: { x: spawn.x, y: spawn.y, z: spawn.z },
+        shipType: BotPilotConfig.SHIP_TYPE,
+        isAlive: true,
+        kills: 0,
+        deaths: 0,
+        history: createHistory(), // Past transforms, rewound when validating hits on this enemy
+        pilot: skill ? {
+            state: PILOT_STATES.PATROL,
+            stateEndsAt: 0,
+            targetId: null,
+            spottedAt: null,
+            waypoint: randomWaypoint(spawn),
+            breakOffDirection: null,
+            jink: null,
+            lastFireTime: 0
+        } : null
+    };
+    resetHealthState(enemy);
+    resetFlightState(enemy, spawn);
+    return enemy;
+}
+
+/**
+ * Yaw and pitch rates (radians per second) that turn the ship's nose towards a world direction
+ */
+function steerTowards(enemy, direction, skill) {
+    const q = enemy.quaternion;
+    const local = rotateVector(direction, { x: -q.x, y: -q.y, z: -q.z, w: q.w });
+
+    // The nose is local -Z: yaw about local Y, pitch about local X
+    const yawError = Math.atan2(-local.x, -local.z);
+    const pitchError = Math.atan2(local.y, Math.hypot(local.x, local.z));
+    return {
+        yaw: clamp(yawError * STEERING_GAIN, -skill.TURN_RATE, skill.TURN_RATE),
+        pitch: clamp(pitchError * STEERING_GAIN, -skill.TURN_RATE, skill.TURN_RATE)
+    };
+}
+
+/**
+ * Angle between the ship's nose and a world direction
+ */
+function angleOffNose(enemy, direction) {
+    const forward = forwardVector(enemy.quaternion);
+    return Math.acos(clamp(forward.x * direction.x + forward.y * direction.y + forward.z * direction.z, -1, 1));
+}
+
+/**
+ * Direction away from the capital ship hull the bot is about to fly into, or null if its path is clear
+ */
+function hullAvoidance(enemy, capitalShips) {
+    const lookahead = {
+        x: enemy.position.x + enemy.velocity.x * BotPilotConfig.HULL_LOOKAHEAD,
+        y: enemy.position.y + enemy.velocity.y * BotPilotConfig.HULL_LOOKAHEAD,
+        z: enemy.position.z + enemy.velocity.z * BotPilotConfig.HULL_LOOKAHEAD
+    };
+    const clearance = BotPilotConfig.HULL_CLEARANCE;
+
+    for (const ship of Object.values(capitalShips)) {
+        if (ship.state === 'destroyed') continue;
+        const volumes = getCapitalShipConfig(ship.type).HULL_VOLUMES || [];
+        for (const volume of volumes) {
+            const min = { x: ship.position.x + volume.MIN.x - clearance, y: ship.position.y + volume.MIN.y - clearance, z: ship.position.z + volume.MIN.z - clearance };
+            const max = { x: ship.position.x + volume.MAX.x + clearance, y: ship.position.y + volume.MAX.y + clearance, z: ship.position.z + volume.MAX.z + clearance };
+            const inside = point => point.x >= min.x && point.x <= max.x && point.y >= min.y && point.y <= max.y && point.z >= min.z && point.z <= max.z;
+            if (!inside(enemy.position) && !inside(lookahead)) continue;
+
+            const center = { x: (min.x + max.x) / 2, y: (min.y + max.y) / 2, z: (min.z + max.z) / 2 };
+            return normalize({ x: enemy.position.x - center.x, y: enemy.position.y - center.y, z: enemy.position.z - center.z }) || { x: 0, y: 1, z: 0 };
+        }
+    }
+    return null;
+}
+
+/**
+ * Nearest living player of another team within detection range
+ */
+function nearestTarget(enemy, players) {
+    let nearest = null;
+    let nearestRange = BotPilotConfig.DETECTION_RANGE;
+    Object.values(players).forEach(player => {
+        if (!player.isAlive || player.team === enemy.team) return;
+        const range = distance(enemy.position, player.position);
+        if (range <= nearestRange) {
+            nearest = player;
+            nearestRange = range;
+        }
+    });
+    return nearest;
+}
+
+function setPilotState(pilot, state, now, duration = 0) {
+    pilot.state = state;
+    pilot.stateEndsAt = now + duration * 1000;
+}
+
+/**
+ * Where the bot should point its guns at a target: the intercept point for skills that lead, else the target itself
+ */
+function aimPoint(enemy, target, skill) {
+    if (!skill.LEADS_TARGET) return target.position;
+    const aim = interceptPoint(enemy.position, enemy.velocity, target.position, target.velocity, LaserImperialConfig.SPEED);
+    return aim && aim.time <= LaserImperialConfig.LIFETIME ? aim.point : target.position;
+}
+
+/**
+ * Runs the pilot's state machine for one tick
+ * @returns {Object} { yaw, pitch, roll, throttle, boost, fire } with yaw and pitch as rates in radians per second
+ */
+function think(enemy, skill, players, capitalShips, now) {
+    const pilot = enemy.pilot;
+    const command = { yaw: 0, pitch: 0, roll: 0, throttle: 1, boost: false, fire: false };
+
+    // Forget targets that died, left or flew out of range
+    let target = pilot.targetId !== null ? players[pilot.targetId] : null;
+    if (target && (!target.isAlive || distance(enemy.position, target.position) > BotPilotConfig.DETECTION_RANGE * 1.5)) {
+        target = null;
+    }
+    if (!target) {
+        pilot.targetId = null;
+        if (pilot.state === PILOT_STATES.PURSUE || pilot.state === PILOT_STATES.ATTACK_RUN) {
+            setPilotState(pilot, PILOT_STATES.PATROL, now);
+        }
+    }
+
+    // Staying clear of capital ships beats everything else
+    const away = hullAvoidance(enemy, capitalShips);
+    if (away) {
+        pilot.breakOffDirection = away;
+        setPilotState(pilot, PILOT_STATES.BREAK_OFF, now, BotPilotConfig.BREAK_OFF_TIME);
+    }
+
+    // Timed states hand back to the chase, or to the patrol if there is nothing to chase
+    if ((pilot.state === PILOT_STATES.EVADE || pilot.state === PILOT_STATES.BREAK_OFF) && now >= pilot.stateEndsAt) {
+        setPilotState(pilot, target ? PILOT_STATES.PURSUE : PILOT_STATES.PATROL, now);
+    }
+
+    switch (pilot.state) {
+        case PILOT_STATES.PATROL: {
+            if (distance(enemy.position, pilot.waypoint) < BotPilotConfig.WAYPOINT_REACHED) {
+                pilot.waypoint = randomWaypoint(enemy.spawn);
+            }
+            Object.assign(command, steerTowards(enemy, normalize({
+                x: pilot.waypoint.x - enemy.position.x,
+                y: pilot.waypoint.y - enemy.position.y,
+                z: pilot.waypoint.z - enemy.position.z
+            }) || forwardVector(enemy.quaternion), skill));
+
+            // Spot a target, then take REACTION_TIME to go after it
+            const spotted = nearestTarget(enemy, players);
+            if (!spotted) {
+                pilot.spottedAt = null;
+            } else if (pilot.spottedAt === null) {
+                pilot.spottedAt = now;
+            } else if (now - pilot.spottedAt >= skill.REACTION_TIME * 1000) {
+                pilot.targetId = spotted.id;
+                pilot.spottedAt = null;
+                setPilotState(pilot, PILOT_STATES.PURSUE, now);
+            }
+            break;
+        }
+        case PILOT_STATES.PURSUE:
+        case PILOT_STATES.ATTACK_RUN: {
+            const range = distance(enemy.position, target.position);
+            const aim = aimPoint(enemy, target, skill);
+            const direction = normalize({ x: aim.x - enemy.position.x, y: aim.y - enemy.position.y, z: aim.z - enemy.position.z });
+            if (!direction) break;
+            Object.assign(command, steerTowards(enemy, direction, skill));
+
+            if (pilot.state === PILOT_STATES.PURSUE) {
+                command.boost = skill.BOOST && range > BotPilotConfig.BOOST_RANGE;
+                if (range < BotPilotConfig.ATTACK_RANGE) {
+                    setPilotState(pilot, PILOT_STATES.ATTACK_RUN, now);
+                }
+            } else if (range < BotPilotConfig.MIN_RANGE) {
+                // About to ram the target: pull up and away past it
+                pilot.breakOffDirection = normalize({
+                    x: -direction.x + Math.random() - 0.5,
+                    y: -direction.y + Math.random() - 0.5,
+                    z: -direction.z + Math.random() - 0.5
+                }) || randomDirection();
+                setPilotState(pilot, PILOT_STATES.BREAK_OFF, now, BotPilotConfig.BREAK_OFF_TIME);
+            } else if (range > BotPilotConfig.ATTACK_RANGE * 1.5) {
+                setPilotState(pilot, PILOT_STATES.PURSUE, now);
+            } else {
+                command.fire = range <= BotPilotConfig.FIRE_RANGE && angleOffNose(enemy, direction) <= skill.FIRE_CONE;
+            }
+            break;
+        }
+        case PILOT_STATES.EVADE:
+            command.yaw = pilot.jink.yaw * skill.TURN_RATE;
+            command.pitch = pilot.jink.pitch * skill.TURN_RATE;
+            command.roll = pilot.jink.roll;
+            command.boost = skill.BOOST;
+            break;
+        case PILOT_STATES.BREAK_OFF:
+            Object.assign(command, steerTowards(enemy, pilot.breakOffDirection, skill));
+            command.boost = skill.BOOST;
+            break;
+    }
+
+    return command;
+}
+
+/**
+ * Nose direction with the skill's aim error applied
+ */
+function shotDirection(enemy, skill) {
+    const forward = forwardVector(enemy.quaternion);
+    return normalize({
+        x: forward.x + (Math.random() - 0.5) * 2 * skill.AIM_ERROR,
+        y: forward.y + (Math.random() - 0.5) * 2 * skill.AIM_ERROR,
+        z: forward.z + (Math.random() - 0.5) * 2 * skill.AIM_ERROR
+    }) || forward;
+}
+
+/**
+ * Flies every living bot for one tick with the shared flight model and collects the shots they take.
+ * @param {Object} enemies - The room's enemies keyed by id (bots are modified in place)
+ * @param {Object} players - The room's players keyed by id
+ * @param {Object} capitalShips - The room's capital ships keyed by id
+ * @param {number} dt - Tick duration in seconds
+ * @param {number} now - Server time in milliseconds
+ * @param {boolean} weaponsFree - Whether bots may fire (false once the match is over)
+ * @returns {Array} Fire events { bot, weaponType, position, direction, damage, hitRadius }
+ */
+export function stepBots(enemies, players, capitalShips, dt, now, weaponsFree) {
+    const fireEvents = [];
+    Object.values(enemies).forEach(enemy => {
+        if (!enemy.pilot || !enemy.isAlive) return;
+
+        const skill = getSkillConfig(enemy.skill);
+        const config = getShipConfig(enemy.shipType);
+        const command = think(enemy, skill, players, capitalShips, now);
+
+        // Same integration as a player's inputs, in steps no longer than a client would send
+        for (let remaining = dt; remaining > 0; remaining -= MAX_INPUT_DT) {
+            const step = Math.min(remaining, MAX_INPUT_DT);
+            const input = {
+                dt: step,
+                throttle: command.throttle,
+                roll: command.roll,
+                pitch: command.pitch * step,
+                yaw: command.yaw * step,
+                boost: command.boost,
+                fire: command.fire
+            };
+            updateEnergy(enemy, input, config, now / 1000);
+            applyFlightInput(enemy, input, config);
+        }
+        regenerateShield(enemy, config, dt, now / 1000);
+
+        if (!weaponsFree || !command.fire || now - enemy.pilot.lastFireTime < 1000 / WEAPON.FIRE_RATE) return;
+        enemy.pilot.lastFireTime = now;
+
+        const forward = forwardVector(enemy.quaternion);
+        fireEvents.push({
+            bot: enemy,
+            weaponType: BotPilotConfig.WEAPON,
+            position: {
+                x: enemy.position.x + forward.x * BotPilotConfig.MUZZLE_OFFSET,
+                y: enemy.position.y + forward.y * BotPilotConfig.MUZZLE_OFFSET,
+                z: enemy.position.z + forward.z * BotPilotConfig.MUZZLE_OFFSET
+            },
+            direction: shotDirection(enemy, skill),
+            damage: WEAPON.DAMAGE * (WEAPON.BOLTS_PER_SHOT || 1), // One server bolt stands in for both cannons
+            hitRadius: BotPilotConfig.HIT_RADIUS
+        });
+    });
+    return fireEvents;
+}
+
+/**
+ * Lets a bot react to being hit: it either jinks out of the line of fire or, if it was patrolling, pursues whoever shot it
+ * @param {Object} enemy - Enemy record that was hit
+ * @param {Object} attacker - Server player record of the shooter
+ * @param {number} now - Server time in milliseconds
+ */
+export function botHit(enemy, attacker, now) {
+    const pilot = enemy.pilot;
+    if (!pilot || !enemy.isAlive) return;
+
+    if (pilot.targetId === null && attacker.team !== enemy.team) {
+        pilot.targetId = attacker.id;
+    }
+
+    if (pilot.state === PILOT_STATES.EVADE || pilot.state === PILOT_STATES.BREAK_OFF) return;
+
+    // A bot that doesn't jink turns straight onto its target; jinking hands over to the chase when it ends
+    const skill = getSkillConfig(enemy.skill);
+    if (Math.random() >= skill.EVADE_CHANCE) {
+        if (pilot.state === PILOT_STATES.PATROL && pilot.targetId !== null) {
+            pilot.spottedAt = null;
+            setPilotState(pilot, PILOT_STATES.PURSUE, now);
+        }
+        return;
+    }
+    pilot.jink = {
+        yaw: Math.random() < 0.5 ? -1 : 1,
+        pitch: Math.random() < 0.5 ? -1 : 1,
+        roll: Math.random() < 0.5 ? -1 : 1
+    };
+    setPilotState(pilot, PILOT_STATES.EVADE, now, BotPilotConfig.EVADE_TIME);
+}
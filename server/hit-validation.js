@@ -0,0 +1,257 @@
+import { TieCannonConfig } from '../src/js/config/weapons/tie-cannon.js';
+import { BlasterConfig } from '../src/js/config/weapons/blaster.js';
+import { QuadLaserConfig } from '../src/js/config/weapons/quad-laser.js';
+import { ServerConfig } from './server-config.js';
+import { positionAt, shooterViewTime } from './lag-compensation.js';
+import { isSubsystemInvulnerable, subsystemPosition } from '../src/js/shared/capital-ships.js';
+import { getShipConfig } from '../src/js/shared/ships.js';
+import { inLockCone } from '../src/js/shared/homing.js';
+import { distance, normalize } from '../src/js/shared/vector.js';
+import { MISSILE_WEAPONS } from './missiles.js';
+
+/**
+ * Server-side weapon stats, keyed by the weaponType clients send with `fire` and `playerHit`.
+ */
+export const WEAPONS = {
+    'tie-cannon': TieCannonConfig.PRIMARY,
+    'quad-laser': QuadLaserConfig.PRIMARY,
+    'blaster': BlasterConfig.PRIMARY
+};
+
+const config = ServerConfig.HIT_VALIDATION;
+
+/**
+ * Stats of a primary weapon named by a client, or null. Own keys only, so 'constructor' and the like aren't weapons.
+ */
+function weaponStats(weaponType) {
+    return Object.hasOwn(WEAPONS, weaponType) ? WEAPONS[weaponType] : null;
+}
+
+function isFiniteVector(v) {
+    return v && Number.isFinite(v.x) && Number.isFinite(v.y) && Number.isFinite(v.z);
+}
+
+/**
+ * Validates a `fire` message and records it in the shooter's fire history.
+ * Only the primary weapon of the ship the player is flying can be fired.
+ * @param {Object} player - Server player record
+ * @param {Object} message - The client's fire message
+ * @param {number} now - Server time in milliseconds
+ * @returns {Object|null} The recorded fire event, or null if the shot was rejected
+ */
+export function recordFire(player, message, now) {
+    const weaponType = message.weaponType || 'blaster';
+    const weapon = weaponStats(weaponType);
+    if (!weapon || !player.isAlive) return null;
+    if (getShipConfig(player.shipType).PRIMARY_WEAPON !== weaponType) return null;
+    if (!isFiniteVector(message.position) || !isFiniteVector(message.direction)) return null;
+
+    const direction = normalize(message.direction);
+    if (!direction) return null;
+
+    // Reject shots faster than the weapon can cycle, whatever the last shot was fired with
+    const lastFire = player.recentFires[player.recentFires.length - 1];
+    const minInterval = (1000 / weapon.FIRE_RATE) * config.FIRE_RATE_TOLERANCE;
+    if (lastFire && now - lastFire.time < minInterval) {
+        console.log(`Rejected fire from ${player.name}: ${now - lastFire.time}ms since last shot`);
+        return null;
+    }
+
+    // The muzzle has to be near where the server has the ship, allowing for the
+    // shooter's prediction running ahead of the server by up to its latency
+    const { velocity } = player;
+    const speed = Math.hypot(velocity.x, velocity.y, velocity.z);
+    if (distance(message.position, player.position) > config.FIRE_ORIGIN_TOLERANCE + speed * config.FIRE_ORIGIN_LATENCY) {
+        console.log(`Rejected fire from ${player.name}: muzzle too far from ship`);
+        return null;
+    }
+
+    const fireEvent = {
+        time: now,
+        weaponType,
+        position: { x: message.position.x, y: message.position.y, z: message.position.z },
+        direction,
+        hitsRemaining: weapon.BOLTS_PER_SHOT || 1
+    };
+
+    player.recentFires.push(fireEvent);
+    if (player.recentFires.length > config.FIRE_HISTORY) {
+        player.recentFires.shift();
+    }
+
+    return fireEvent;
+}
+
+/**
+ * Validates a secondary weapon `fire` message: the ship has to carry the weapon and have ammo
+ * left, and the target has to be one it could have locked. Spends a round when it passes.
+ * The lock time is only timed by the client; the server checks the target is still in the cone.
+ * @param {Object} player - Server player record
+ * @param {Object} message - The client's fire message ({ weaponType, position, direction, targetType, targetId })
+ * @param {Object|null} target - Living player or enemy record named by the message
+ * @param {number} now - Server time in milliseconds
+ * @returns {Object|null} Launch { weaponType, position, direction, targetType, targetId }, or null if rejected
+ */
+export function recordLaunch(player, message, target, now) {
+    const weaponType = message.weaponType;
+    const weapon = Object.hasOwn(MISSILE_WEAPONS, weaponType) ? MISSILE_WEAPONS[weaponType] : null;
+    if (!weapon || !player.isAlive) return null;
+    if (getShipConfig(player.shipType).SECONDARY_WEAPON !== weaponType) return null;
+    if (!isFiniteVector(message.position) || !isFiniteVector(message.direction)) return null;
+
+    const direction = normalize(message.direction);
+    if (!direction) return null;
+
+    if (player.secondaryAmmo <= 0) {
+        console.log(`Rejected launch from ${player.name}: out of ammo`);
+        return null;
+    }
+    if (now - player.lastLaunchTime < (1000 / weapon.FIRE_RATE) * config.FIRE_RATE_TOLERANCE) {
+        console.log(`Rejected launch from ${player.name}: ${now - player.lastLaunchTime}ms since last launch`);
+        return null;
+    }
+
+    const { velocity } = player;
+    const speed = Math.hypot(velocity.x, velocity.y, velocity.z);
+    if (distance(message.position, player.position) > config.FIRE_ORIGIN_TOLERANCE + speed * config.FIRE_ORIGIN_LATENCY) {
+        console.log(`Rejected launch from ${player.name}: muzzle too far from ship`);
+        return null;
+    }
+
+    // Allow for the target having moved since the shooter saw it
+    const slack = config.HIT_RADIUS + config.MAX_TARGET_SPEED * config.POSITION_STALENESS;
+    if (!target || target.id === player.id || target.team === player.team ||
+        !inLockCone(message.position, direction, target.position, weapon.LOCK_RANGE + slack, weapon.LOCK_CONE + config.LOCK_CONE_TOLERANCE)) {
+        console.log(`Rejected launch from ${player.name}: no lock on ${message.targetType} ${message.targetId}`);
+        return null;
+    }
+
+    player.secondaryAmmo--;
+    player.lastLaunchTime = now;
+    return {
+        weaponType,
+        position: { x: message.position.x, y: message.position.y, z: message.position.z },
+        direction,
+        targetType: message.targetType === 'enemy' ? 'enemy' : 'player',
+        targetId: target.id
+    };
+}
+
+/**
+ * Checks whether a bolt from one of the fire events could plausibly have reached the target.
+ * @param {Object} fireEvent - Recorded fire event
+ * @param {Object} weapon - Weapon config
+ * @param {Object} targetPosition - Target's position as the shooter saw it
+ * @param {number} now - Server time in milliseconds
+ * @param {number} slack - How far off the bolt's path the target may be
+ * @returns {boolean} True if the target lies along the bolt's path
+ */
+function boltCouldReach(fireEvent, weapon, targetPosition, now, slack) {
+    const elapsed = (now - fireEvent.time) / 1000;
+    if (elapsed > weapon.LIFETIME) return false;
+
+    const relX = targetPosition.x - fireEvent.position.x;
+    const relY = targetPosition.y - fireEvent.position.y;
+    const relZ = targetPosition.z - fireEvent.position.z;
+    const along = relX * fireEvent.direction.x + relY * fireEvent.direction.y + relZ * fireEvent.direction.z;
+
+    const maxTravel = (weapon.SPEED + config.MAX_SHOOTER_SPEED) * (elapsed + config.POSITION_STALENESS);
+    if (along < -slack || along > maxTravel + slack) return false;
+
+    const perpendicular = Math.hypot(
+        relX - fireEvent.direction.x * along,
+        relY - fireEvent.direction.y * along,
+        relZ - fireEvent.direction.z * along
+    );
+    return perpendicular <= slack + (weapon.SPREAD_DISTANCE || 0);
+}
+
+/**
+ * Uses up one bolt of the attacker's newest shot that could have reached the target.
+ * Each shot can only land as many hits as it fired bolts.
+ * @returns {boolean} True if a matching shot was found
+ */
+function consumeMatchingShot(attacker, weaponType, weapon, targetPosition, now, slack) {
+    const fireEvent = attacker.recentFires.slice().reverse().find(event =>
+        event.weaponType === weaponType &&
+        event.hitsRemaining > 0 &&
+        boltCouldReach(event, weapon, targetPosition, now, slack)
+    );
+    if (!fireEvent) return false;
+
+    fireEvent.hitsRemaining--;
+    return true;
+}
+
+/**
+ * Resolves a client's hit report against the server's own state.
+ * The target is rewound to where the shooter saw it (see lag-compensation.js), so
+ * fast-moving ships can still be hit fairly at any latency.
+ * Damage always comes from the weapon config; the client only tells us what it hit.
+ * @param {Object} attacker - Server player record of the reporting client
+ * @param {Object} target - Server player record of the reported target
+ * @param {Object} message - The client's playerHit message
+ * @param {number} now - Server time in milliseconds
+ * @returns {Object} { valid, reason, damage, componentId, weaponType }
+ */
+export function validateHit(attacker, target, message, now) {
+    if (!target) return { valid: false, reason: 'unknown target' };
+    if (attacker.id === target.id) return { valid: false, reason: 'self hit' };
+    if (!target.isAlive) return { valid: false, reason: 'target not alive' };
+
+    const weaponType = message.weaponType || 'blaster';
+    const weapon = weaponStats(weaponType);
+    if (!weapon) return { valid: false, reason: `unknown weapon ${weaponType}` };
+
+    const targetPosition = (target.history && positionAt(target.history, shooterViewTime(attacker, now))) || target.position;
+
+    // Slack for how far the rewound position may be off from what the shooter drew
+    const slack = config.HIT_RADIUS + config.MAX_TARGET_SPEED * config.POSITION_STALENESS;
+    if (!consumeMatchingShot(attacker, weaponType, weapon, targetPosition, now, slack)) {
+        return { valid: false, reason: 'no matching shot' };
+    }
+
+    // Only honour the component if the target's ship actually has it
+    const componentId = typeof message.componentId === 'string' && Object.hasOwn(target.componentHealth, message.componentId)
+        ? message.componentId
+        : null;
+
+    return { valid: true, damage: weapon.DAMAGE, componentId, weaponType };
+}
+
+/**
+ * Resolves a client's hit report on a capital ship subsystem.
+ * Capital ships don't move, so the subsystem's hitbox is checked where it is, with no rewind.
+ * @param {Object} attacker - Server player record of the reporting client
+ * @param {Object} ship - Capital ship state (see shared/capital-ships.js)
+ * @param {Object} subsystemConfig - Config of the reported subsystem
+ * @param {Object} message - The client's capitalShipHit message
+ * @param {number} now - Server time in milliseconds
+ * @returns {Object} { valid, reason, damage, weaponType }
+ */
+export function validateSubsystemHit(attacker, ship, subsystemConfig, message, now) {
+    if (!ship) return { valid: false, reason: 'unknown capital ship' };
+    if (!subsystemConfig || !Object.hasOwn(ship.subsystems, message.subsystemId)) {
+        return { valid: false, reason: `unknown subsystem ${message.subsystemId}` };
+    }
+    if (!attacker.isAlive) return { valid: false, reason: 'attacker not alive' };
+    if (ship.state !== 'active') return { valid: false, reason: 'capital ship not active' };
+    if (ship.team === attacker.team) return { valid: false, reason: 'own team capital ship' };
+    if (ship.subsystems[message.subsystemId].health <= 0) return { valid: false, reason: 'subsystem already destroyed' };
+
+    const weaponType = message.weaponType || 'blaster';
+    const weapon = weaponStats(weaponType);
+    if (!weapon) return { valid: false, reason: `unknown weapon ${weaponType}` };
+
+    const targetPosition = subsystemPosition(ship, message.subsystemId);
+    if (!consumeMatchingShot(attacker, weaponType, weapon, targetPosition, now, subsystemConfig.RADIUS + config.HIT_RADIUS)) {
+        return { valid: false, reason: 'no matching shot' };
+    }
+
+    // The shot still counts as spent when the shields soak it up
+    if (isSubsystemInvulnerable(ship, message.subsystemId)) {
+        return { valid: false, reason: 'shielded' };
+    }
+
+    return { valid: true, damage: weapon.DAMAGE, weaponType };
+}
@@ -0,0 +1,84 @@
+import { ServerConfig } from './server-config.js';
+import { GameConfig } from '../src/js/config/game-config.js';
+
+const config = ServerConfig.LAG_COMPENSATION;
+
+/**
+ * Creates an empty ring buffer of past transforms
+ * @param {number} capacity - Number of samples kept
+ * @returns {Object} History buffer
+ */
+export function createHistory(capacity = config.HISTORY_SIZE) {
+    return { samples: new Array(capacity), head: 0, count: 0 };
+}
+
+/**
+ * Records an entity's transform at the given time, overwriting the oldest sample once full.
+ * @param {Object} history - Buffer from createHistory
+ * @param {number} time - Server time in milliseconds
+ * @param {Object} position - { x, y, z }
+ * @param {Object} quaternion - { x, y, z, w }
+ */
+export function recordHistory(history, time, position, quaternion = { x: 0, y: 0, z: 0, w: 1 }) {
+    const capacity = history.samples.length;
+    history.samples[history.head] = {
+        time,
+        position: { x: position.x, y: position.y, z: position.z },
+        quaternion: { x: quaternion.x, y: quaternion.y, z: quaternion.z, w: quaternion.w }
+    };
+    history.head = (history.head + 1) % capacity;
+    history.count = Math.min(history.count + 1, capacity);
+}
+
+/**
+ * Position of an entity at a past time, interpolated between the samples around it.
+ * Times older than the buffer clamp to the oldest sample, newer ones to the latest.
+ * @param {Object} history - Buffer from createHistory
+ * @param {number} time - Server time in milliseconds
+ * @returns {Object|null} { x, y, z }, or null if nothing has been recorded yet
+ */
+export function positionAt(history, time) {
+    if (history.count === 0) return null;
+
+    const capacity = history.samples.length;
+    const oldestIndex = (history.head - history.count + capacity) % capacity;
+    let previous = history.samples[oldestIndex];
+    if (time <= previous.time) return { ...previous.position };
+
+    for (let i = 1; i < history.count; i++) {
+        const next = history.samples[(oldestIndex + i) % capacity];
+        if (time <= next.time) {
+            const t = (time - previous.time) / (next.time - previous.time || 1);
+            return {
+                x: previous.position.x + (next.position.x - previous.position.x) * t,
+                y: previous.position.y + (next.position.y - previous.position.y) * t,
+                z: previous.position.z + (next.position.z - previous.position.z) * t
+            };
+        }
+        previous = next;
+    }
+    return { ...previous.position };
+}
+
+/**
+ * Stores the round-trip time a client reports, clamped so nobody can claim a huge
+ * latency to have the server rewind targets further than it should.
+ * @param {Object} player - Server player record
+ * @param {number} latency - Reported round-trip time in milliseconds
+ */
+export function setReportedLatency(player, latency) {
+    if (!Number.isFinite(latency)) return;
+    player.latency = Math.min(Math.max(0, latency), config.MAX_LATENCY);
+}
+
+/**
+ * Server time at which a shooter saw the world when it reported a hit.
+ * The snapshot took half a round trip to reach the shooter, the report half a round
+ * trip to come back, and remote ships are drawn INTERPOLATION_DELAY in the past.
+ * @param {Object} shooter - Server player record of the shooter
+ * @param {number} now - Server time in milliseconds
+ * @returns {number} Rewound server time in milliseconds
+ */
+export function shooterViewTime(shooter, now) {
+    return now - (shooter.latency || 0) - GameConfig.NETWORK.INTERPOLATION_DELAY * 1000;
+}
@@ -0,0 +1,212 @@
+import { ServerConfig } from './server-config.js';
+import { TEAM_IDS } from './teams.js';
+
+const config = ServerConfig.MATCH;
+
+/**
+ * Match states, in the order a match goes through them
+ */
+export const MATCH_STATES = {
+    WARMUP: 'warmup', // Free play; nothing is scored and capital ships can't be damaged
+    IN_PROGRESS: 'in_progress',
+    ENDED: 'ended', // Results are up and nobody can be damaged
+    RESTARTING: 'restarting' // Countdown to a fresh match
+};
+
+// Seconds each state lasts before the room moves on
+const STATE_DURATIONS = {
+    [MATCH_STATES.WARMUP]: config.WARMUP_TIME,
+    [MATCH_STATES.IN_PROGRESS]: config.TIME_LIMIT,
+    [MATCH_STATES.ENDED]: config.RESULTS_TIME,
+    [MATCH_STATES.RESTARTING]: config.RESTART_COUNTDOWN
+};
+
+function emptyScores() {
+    const scores = {};
+    TEAM_IDS.forEach(team => { scores[team] = 0; });
+    return scores;
+}
+
+/**
+ * A fresh match in warmup
+ * @param {number} now - Server time in milliseconds
+ * @returns {Object} Match record
+ */
+export function createMatch(now) {
+    const match = { state: null, stateEndsAt: 0, startedAt: null, scores: emptyScores(), results: null };
+    setMatchState(match, MATCH_STATES.WARMUP, now);
+    return match;
+}
+
+/**
+ * Moves the match to a new state and starts that state's timer
+ * @param {Object} match - Match record (modified in place)
+ * @param {string} state - One of MATCH_STATES
+ * @param {number} now - Server time in milliseconds
+ */
+export function setMatchState(match, state, now) {
+    match.state = state;
+    match.stateEndsAt = now + STATE_DURATIONS[state] * 1000;
+    if (state === MATCH_STATES.IN_PROGRESS) {
+        match.startedAt = now;
+        match.scores = emptyScores(); // Warmup doesn't count
+    }
+}
+
+/**
+ * Player damage is allowed in warmup and while the match is on
+ */
+export function matchAllowsDamage(match) {
+    return match.state === MATCH_STATES.WARMUP || match.state === MATCH_STATES.IN_PROGRESS;
+}
+
+/**
+ * Clears a player's per-match stats
+ * @param {Object} player - Server player record
+ */
+export function resetMatchStats(player) {
+    player.kills = 0;
+    player.deaths = 0;
+    player.assists = 0;
+    player.damageDealt = 0;
+    player.subsystemKills = 0;
+    player.enemyKills = 0; // Bots and the target dummy
+    player.recentAttackers = {}; // Attacker id -> { attacker, time } of their last damaging hit, for assists
+}
+
+/**
+ * Records damage done while the match is on, remembering the attacker against the victim for assists
+ * @param {Object} match - Match record
+ * @param {Object} attacker - Server record of whoever did the damage
+ * @param {Object|null} victim - Server player or enemy record that took it, or null for a capital ship
+ * @param {number} damage - Damage done to shields and hull
+ * @param {number} now - Server time in milliseconds
+ * @returns {boolean} True if anything was recorded
+ */
+export function recordDamage(match, attacker, victim, damage, now) {
+    if (match.state !== MATCH_STATES.IN_PROGRESS || damage <= 0) return false;
+
+    attacker.damageDealt = (attacker.damageDealt || 0) + damage;
+    if (victim) {
+        victim.recentAttackers = victim.recentAttackers || {};
+        victim.recentAttackers[attacker.id] = { attacker, time: now };
+    }
+    return true;
+}
+
+/**
+ * Credits an assist to everyone else on the other team who damaged the victim within ASSIST_WINDOW
+ * of its death, and forgets the victim's attackers
+ * @param {Object} match - Match record
+ * @param {Object} killer - Server record of the killer
+ * @param {Object} victim - Server player or enemy record that was destroyed
+ * @param {number} now - Server time in milliseconds
+ * @returns {Array} The assisting attackers
+ */
+export function recordAssists(match, killer, victim, now) {
+    const recentAttackers = Object.values(victim.recentAttackers || {});
+    victim.recentAttackers = {};
+    if (match.state !== MATCH_STATES.IN_PROGRESS) return [];
+
+    const assists = recentAttackers
+        .filter(({ attacker, time }) => attacker !== killer && attacker.team !== victim.team &&
+            now - time <= config.ASSIST_WINDOW * 1000)
+        .map(({ attacker }) => attacker);
+    assists.forEach(attacker => {
+        attacker.assists = (attacker.assists || 0) + 1;
+    });
+    return assists;
+}
+
+/**
+ * Records a kill. Only kills of the other team, made while the match is on, score.
+ * @param {Object} match - Match record
+ * @param {Object} attacker - Server player record of the killer
+ * @param {Object} victim - Server player record of the destroyed player
+ * @returns {string|null} The team that reached the score limit with this kill, if any
+ */
+export function recordKill(match, attacker, victim) {
+    if (match.state !== MATCH_STATES.IN_PROGRESS) return null;
+
+    victim.deaths++;
+    if (attacker.team === victim.team) return null;
+
+    attacker.kills++;
+    match.scores[attacker.team]++;
+    return match.scores[attacker.team] >= config.SCORE_LIMIT ? attacker.team : null;
+}
+
+/**
+ * A player's stats as sent to clients for the scoreboard
+ * @param {Object} player - Server player record
+ * @returns {Object} { id, name, team, kills, deaths, assists, damageDealt, subsystemKills, enemyKills }
+ */
+export function playerStats(player) {
+    return {
+        id: player.id,
+        name: player.name,
+        team: player.team,
+        kills: player.kills,
+        deaths: player.deaths,
+        assists: player.assists,
+        damageDealt: Math.round(player.damageDealt),
+        subsystemKills: player.subsystemKills,
+        enemyKills: player.enemyKills
+    };
+}
+
+/**
+ * Winner when time runs out: the team with the higher score, or null for a draw
+ */
+export function timeLimitWinner(match) {
+    const [first, second] = TEAM_IDS.slice().sort((a, b) => match.scores[b] - match.scores[a]);
+    return match.scores[first] > match.scores[second] ? first : null;
+}
+
+/**
+ * Results payload broadcast when a match ends
+ * @param {Object} match - Match record
+ * @param {Object} players - The room's players keyed by id
+ * @param {string|null} winner - Winning team, or null for a draw
+ * @param {string} reason - 'capital_ship_destroyed', 'score_limit' or 'time_limit'
+ * @param {number} now - Server time in milliseconds
+ * @returns {Object} Results
+ */
+export function buildResults(match, players, winner, reason, now) {
+    return {
+        winner,
+        reason,
+        scores: { ...match.scores },
+        duration: Math.round((now - (match.startedAt || now)) / 1000),
+        players: Object.values(players)
+            .map(playerStats)
+            .sort((a, b) => b.kills - a.kills || a.deaths - b.deaths)
+    };
+}
+
+/**
+ * What clients are told about the match: its state, seconds left in that state, scores,
+ * and once it has ended the results and seconds until the next match
+ * @param {Object} match - Match record
+ * @param {number} now - Server time in milliseconds
+ * @returns {Object} Match status
+ */
+export function matchStatus(match, now) {
+    const timeRemaining = Math.max(0, (match.stateEndsAt - now) / 1000);
+    let restartIn = null;
+    if (match.state === MATCH_STATES.ENDED) {
+        restartIn = timeRemaining + config.RESTART_COUNTDOWN;
+    } else if (match.state === MATCH_STATES.RESTARTING) {
+        restartIn = timeRemaining;
+    }
+
+    return {
+        state: match.state,
+        timeRemaining,
+        restartIn,
+        scores: { ...match.scores },
+        scoreLimit: config.SCORE_LIMIT,
+        timeLimit: config.TIME_LIMIT,
+        results: match.results
+    };
+}
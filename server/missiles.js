@@ -0,0 +1,94 @@
+import { ProtonTorpedoConfig } from '../src/js/config/weapons/proton-torpedo.js';
+import { ConcussionMissileConfig } from '../src/js/config/weapons/concussion-missile.js';
+import { advanceMissile } from '../src/js/shared/homing.js';
+import { getShipConfig, componentNearest } from '../src/js/shared/ships.js';
+
+/**
+ * Secondary weapons, keyed by the weaponType sent with their `fire` messages and named by
+ * ship configs' SECONDARY_WEAPON. Their missiles are flown and resolved by the server.
+ */
+export const MISSILE_WEAPONS = {
+    'proton-torpedo': ProtonTorpedoConfig.SECONDARY,
+    'concussion-missile': ConcussionMissileConfig.SECONDARY
+};
+
+let nextMissileId = 0;
+
+/**
+ * Loads a player's secondary weapon with a full magazine, e.g. on spawn and respawn
+ * @param {Object} player - Server player record
+ */
+export function resetAmmo(player) {
+    const weapon = MISSILE_WEAPONS[getShipConfig(player.shipType).SECONDARY_WEAPON];
+    player.secondaryAmmo = weapon ? weapon.AMMO : 0;
+    player.lastLaunchTime = 0;
+}
+
+/**
+ * Creates a server-side missile for a validated launch
+ * @param {Array} missiles - The room's missiles in flight
+ * @param {Object} player - Server player record of the shooter
+ * @param {Object} launch - Launch returned by recordLaunch
+ * @returns {Object} The missile
+ */
+export function launchMissile(missiles, player, launch) {
+    const weapon = MISSILE_WEAPONS[launch.weaponType];
+    const missile = {
+        id: nextMissileId++,
+        ownerId: player.id,
+        team: player.team,
+        weaponType: launch.weaponType,
+        targetType: launch.targetType,
+        targetId: launch.targetId,
+        position: { ...launch.position },
+        velocity: { x: launch.direction.x * weapon.SPEED, y: launch.direction.y * weapon.SPEED, z: launch.direction.z * weapon.SPEED },
+        age: 0,
+        lifetime: weapon.LIFETIME
+    };
+    missiles.push(missile);
+    return missile;
+}
+
+/**
+ * Closest distance from a point to the segment from start to end
+ */
+function distanceToSegment(point, start, end) {
+    const segment = { x: end.x - start.x, y: end.y - start.y, z: end.z - start.z };
+    const lengthSq = segment.x * segment.x + segment.y * segment.y + segment.z * segment.z;
+    const t = lengthSq > 0
+        ? Math.min(1, Math.max(0, ((point.x - start.x) * segment.x + (point.y - start.y) * segment.y + (point.z - start.z) * segment.z) / lengthSq))
+        : 0;
+    return Math.hypot(start.x + segment.x * t - point.x, start.y + segment.y * t - point.y, start.z + segment.z * t - point.z);
+}
+
+/**
+ * Flies every missile at its target for one tick and works out which ones detonated.
+ * A missile only detonates on the ship it is locked on to, on the component nearest the impact.
+ * @param {Array} missiles - The room's missiles in flight (modified in place)
+ * @param {Function} findTarget - (targetType, targetId) => the living player or enemy record, or null
+ * @param {number} dt - Tick duration in seconds
+ * @returns {Object} { hits: [{ missile, target, componentId, damage }], expired: [missile] }
+ */
+export function stepMissiles(missiles, findTarget, dt) {
+    const hits = [];
+    const expired = [];
+    for (let i = missiles.length - 1; i >= 0; i--) {
+        const missile = missiles[i];
+        const weapon = MISSILE_WEAPONS[missile.weaponType];
+        const target = findTarget(missile.targetType, missile.targetId);
+
+        const start = { ...missile.position };
+        if (advanceMissile(missile, target, weapon, dt)) {
+            expired.push(missile);
+            missiles.splice(i, 1);
+            continue;
+        }
+
+        if (target && distanceToSegment(target.position, start, missile.position) <= weapon.HIT_RADIUS) {
+            const componentId = componentNearest(getShipConfig(target.shipType), target, missile.position);
+            hits.push({ missile, target, componentId, damage: weapon.DAMAGE });
+            missiles.splice(i, 1);
+        }
+    }
+    return { hits, expired };
+}
@@ -0,0 +1,1130 @@
+import WebSocket from 'ws';
+import { ServerConfig } from './server-config.js';
+import { recordFire, recordLaunch, validateHit, validateSubsystemHit } from './hit-validation.js';
+import { createHistory, recordHistory, setReportedLatency } from './lag-compensation.js';
+import {
+    spawnBolt, stepBolts, buildSnapshot, queueInputs, processInputs, resetFlightState, playerTransform,
+    resetHealthState, damagePlayer, resolveServerBoltHits, serializeEnemy
+} from './simulation.js';
+import { assignTeam, teamShipType, teamAllowsShip, friendlyFireDamage, opposingTeam } from './teams.js';
+import {
+    MATCH_STATES, createMatch, setMatchState, matchAllowsDamage, resetMatchStats, recordKill, recordDamage, recordAssists,
+    playerStats, timeLimitWinner, buildResults, matchStatus
+} from './match.js';
+import { createCapitalShipState, getCapitalShipConfig, damageSubsystem, shieldsUp, subsystemPosition } from '../src/js/shared/capital-ships.js';
+import { Map1Config } from '../src/js/config/maps/map1-config.js';
+import { createTurrets, stepTurrets } from './turrets.js';
+import { createEnemy, stepBots, botHit } from './bots.js';
+import { MISSILE_WEAPONS, resetAmmo, launchMissile, stepMissiles } from './missiles.js';
+import { BotPilotConfig } from '../src/js/config/enemies/bot-pilot.js';
+import { spawnPosition, hangarsLost, respawnDelay } from './spawns.js';
+
+// Respawn time in milliseconds (5 seconds)
+const ENEMY_RESPAWN_TIME = 5000;
+
+// Enemy layouts per map, used to populate rooms and to respawn enemies
+const MAP_ENEMIES = {
+    'map1': {
+        'dummy': { id: 'dummy', name: 'Target Dummy', x: 0, y: 0, z: -10 }
+    }
+};
+
+// Spawn points for the bots that fill empty slots, from the map configs
+const MAP_BOT_SPAWNS = {
+    'map1': Map1Config.BOT_SPAWNS
+};
+
+// Capital ships per map, from the map configs
+const MAP_CAPITAL_SHIPS = {
+    'map1': Map1Config.CAPITAL_SHIPS
+};
+
+// Where each team's players launch from, from the map configs
+const MAP_SPAWN_POINTS = {
+    'map1': Map1Config.SPAWN_POINTS
+};
+
+/**
+ * An isolated match: its own players, enemies, bolts, tick loop and timers.
+ * Player ids are assigned by the server and stay the same when a client changes rooms.
+ */
+export default class Room {
+    /**
+     * @param {string} id - Room id clients join by
+     * @param {Object} options - { name, mapId, maxPlayers, persistent, botSkill }
+     */
+    constructor(id, {
+        name = id, mapId = ServerConfig.ROOMS.DEFAULT_MAP, maxPlayers = ServerConfig.ROOMS.MAX_PLAYERS, persistent = false,
+        botSkill = ServerConfig.BOTS.SKILL
+    } = {}) {
+        this.id = id;
+        this.name = name;
+        this.mapId = mapId;
+        this.maxPlayers = maxPlayers;
+        this.persistent = persistent; // Persistent rooms stay open when empty
+        this.botSkill = botSkill;
+
+        this.players = {};
+        this.suspendedPlayers = {}; // Dropped connections whose slot, team and stats are held until they reconnect
+        this.enemies = {};
+        this.botSlots = 0; // Bots bot-0 .. bot-(botSlots - 1) are in play, filling empty slots
+        this.bolts = [];
+        this.missiles = []; // Homing secondary weapons, flown and resolved here
+        this.timers = new Set(); // Pending respawn timeouts, cleared when the room closes
+
+        // Store original enemy configurations for respawning
+        this.originalEnemies = MAP_ENEMIES[mapId] || {};
+        this.resetMapState();
+
+        // Warmup, in progress, ended, restarting; moved along by runTick (see match.js)
+        this.match = createMatch(Date.now());
+        this.statsChanged = false; // Set when a player's stats change; broadcast once at the end of the tick
+
+        // Fixed-rate simulation: inputs are collected as they arrive, and each tick
+        // steps the world and broadcasts a single snapshot to the room
+        this.tick = 0;
+        this.lastTickTime = Date.now();
+        this.tickInterval = setInterval(() => this.runTick(), 1000 / ServerConfig.TICK_RATE);
+
+        console.log(`Room ${this.id} (${this.name}) opened on ${this.mapId} with enemies:`, Object.keys(this.enemies));
+    }
+
+    get playerCount() {
+        return Object.keys(this.players).length + Object.keys(this.suspendedPlayers).length;
+    }
+
+    /**
+     * Connected and suspended players together, for team balance, results and the scoreboard
+     */
+    get allPlayers() {
+        return { ...this.players, ...this.suspendedPlayers };
+    }
+
+    isFull() {
+        return this.playerCount >= this.maxPlayers;
+    }
+
+    /**
+     * Room details for the room list
+     */
+    summary() {
+        return {
+            id: this.id,
+            name: this.name,
+            mapId: this.mapId,
+            playerCount: this.playerCount,
+            maxPlayers: this.maxPlayers,
+            botCount: this.botSlots,
+            botSkill: this.botSkill
+        };
+    }
+
+    /**
+     * Send a message to every player in the room
+     * @param {Object} message - Message to send
+     * @param {WebSocket} except - Socket to skip, usually the sender
+     */
+    broadcast(message, except = null) {
+        const data = JSON.stringify(message);
+        Object.values(this.players).forEach(player => {
+            if (player.ws !== except && player.ws.readyState === WebSocket.OPEN) {
+                player.ws.send(data);
+            }
+        });
+    }
+
+    /**
+     * Schedule a callback that is cancelled if the room closes first
+     */
+    schedule(callback, delay) {
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            callback();
+        }, delay);
+        this.timers.add(timer);
+    }
+
+    /**
+     * Put the map's enemies and capital ships back as they started
+     */
+    resetMapState() {
+        this.enemies = {};
+        Object.values(this.originalEnemies).forEach(original => {
+            this.enemies[original.id] = createEnemy({ id: original.id, name: original.name, spawn: original });
+        });
+        this.botSlots = this.wantedBotSlots();
+        for (let slot = 0; slot < this.botSlots; slot++) {
+            const bot = this.createBot(slot);
+            this.enemies[bot.id] = bot;
+        }
+
+        // Capital ships and their subsystems; damage to them is only ever applied here
+        this.capitalShips = {};
+        (MAP_CAPITAL_SHIPS[this.mapId] || []).forEach(ship => {
+            this.capitalShips[ship.ID] = createCapitalShipState(ship.ID, ship.TYPE, ship.TEAM, ship.POSITION);
+        });
+        this.turrets = createTurrets(this.capitalShips);
+    }
+
+    runTick() {
+        const now = Date.now();
+        const dt = (now - this.lastTickTime) / 1000;
+        this.lastTickTime = now;
+        this.tick++;
+
+        this.updateMatch(now);
+
+        Object.values(this.players).forEach(player => processInputs(player, dt, now));
+        stepBolts(this.bolts, dt);
+        this.resolveServerBolts(dt, now);
+        this.updateMissiles(dt, now);
+        this.updateTurrets(now);
+        this.updateBots(dt, now);
+        this.updateTargetedBy();
+        if (this.statsChanged) {
+            this.broadcastStats();
+        }
+
+        // Remember where everything was this tick so hits can be checked against what shooters saw
+        Object.values(this.players).forEach(player => recordHistory(player.history, now, player.position, player.quaternion));
+        Object.values(this.enemies).forEach(enemy => recordHistory(enemy.history, now, enemy.position, enemy.quaternion));
+
+        if (this.playerCount === 0) return;
+        this.broadcast(buildSnapshot(this.tick, now, this.players, this.enemies, this.bolts));
+    }
+
+    /**
+     * Move the match on once its current state's time is up
+     * @param {number} now - Server time in milliseconds
+     */
+    updateMatch(now) {
+        const match = this.match;
+
+        // Warmup waits for someone to play with
+        if (match.state === MATCH_STATES.WARMUP && this.playerCount === 0) {
+            setMatchState(match, MATCH_STATES.WARMUP, now);
+            return;
+        }
+        if (now < match.stateEndsAt) return;
+
+        switch (match.state) {
+            case MATCH_STATES.WARMUP:
+                setMatchState(match, MATCH_STATES.IN_PROGRESS, now);
+                Object.values(this.players).forEach(resetMatchStats);
+                this.statsChanged = true;
+                console.log(`Match started in room ${this.id}`);
+                this.broadcastMatchState(now);
+                break;
+            case MATCH_STATES.IN_PROGRESS:
+                this.endMatch(timeLimitWinner(match), 'time_limit', now);
+                break;
+            case MATCH_STATES.ENDED:
+                setMatchState(match, MATCH_STATES.RESTARTING, now);
+                this.broadcastMatchState(now);
+                break;
+            case MATCH_STATES.RESTARTING:
+                this.restartMatch(now);
+                break;
+        }
+    }
+
+    /**
+     * Resolve this tick's hits from bolts the server fired itself (turrets and bots)
+     * @param {number} dt - Tick duration in seconds
+     * @param {number} now - Server time in milliseconds
+     */
+    resolveServerBolts(dt, now) {
+        if (!matchAllowsDamage(this.match)) return;
+
+        resolveServerBoltHits(this.bolts, this.players, dt).forEach(({ bolt, player }) => {
+            const shooter = this.turrets.find(turret => turret.id === bolt.ownerId) || this.enemies[bolt.ownerId];
+            if (shooter) {
+                this.applyPlayerDamage(shooter, player, bolt.damage, null, bolt.weaponType, now);
+            }
+        });
+    }
+
+    /**
+     * Fly the missiles at their targets and detonate the ones that hit or run out of time.
+     * Hits only do damage while players can be damaged and the shooter is still in the room.
+     * @param {number} dt - Tick duration in seconds
+     * @param {number} now - Server time in milliseconds
+     */
+    updateMissiles(dt, now) {
+        const { hits, expired } = stepMissiles(this.missiles, (targetType, targetId) => this.findMissileTarget(targetType, targetId), dt);
+
+        hits.forEach(({ missile, target, componentId, damage }) => {
+            this.broadcast({ type: 'missileDetonated', missileId: missile.id, position: missile.position, hit: true });
+
+            const shooter = this.players[missile.ownerId];
+            if (!shooter || !matchAllowsDamage(this.match)) return;
+            if (missile.targetType === 'enemy') {
+                this.applyEnemyDamage(shooter, target, damage, componentId, missile.weaponType, now);
+            } else {
+                this.applyPlayerDamage(shooter, target, damage, componentId, missile.weaponType, now);
+            }
+        });
+        expired.forEach(missile => {
+            this.broadcast({ type: 'missileDetonated', missileId: missile.id, position: missile.position, hit: false });
+        });
+    }
+
+    /**
+     * The living player or enemy a missile is locked on to
+     * @param {string} targetType - 'player' or 'enemy'
+     * @param {number|string} targetId - Player or enemy id
+     * @returns {Object|null} Server player or enemy record
+     */
+    findMissileTarget(targetType, targetId) {
+        const targets = targetType === 'enemy' ? this.enemies : this.players;
+        const target = Object.hasOwn(targets, targetId) ? targets[targetId] : null;
+        return target && target.isAlive ? target : null;
+    }
+
+    /**
+     * Let the turrets fire
+     * @param {number} now - Server time in milliseconds
+     */
+    updateTurrets(now) {
+        if (!matchAllowsDamage(this.match)) return;
+
+        stepTurrets(this.turrets, this.capitalShips, this.players, now).forEach(fireEvent => {
+            spawnBolt(this.bolts, fireEvent.turret, fireEvent);
+            this.broadcast({
+                type: 'fire',
+                playerId: fireEvent.turret.id,
+                capitalShipId: fireEvent.turret.capitalShipId,
+                direction: fireEvent.direction,
+                position: fireEvent.position,
+                weaponType: fireEvent.weaponType
+            });
+        });
+    }
+
+    /**
+     * Fly the bots and broadcast the shots they take; they only fire while players can be damaged
+     * @param {number} dt - Tick duration in seconds
+     * @param {number} now - Server time in milliseconds
+     */
+    updateBots(dt, now) {
+        stepBots(this.enemies, this.players, this.capitalShips, dt, now, matchAllowsDamage(this.match)).forEach(fireEvent => {
+            spawnBolt(this.bolts, fireEvent.bot, fireEvent);
+            this.broadcast({
+                type: 'fire',
+                playerId: fireEvent.bot.id,
+                enemyId: fireEvent.bot.id,
+                direction: fireEvent.direction,
+                position: fireEvent.position,
+                weaponType: fireEvent.weaponType
+            });
+        });
+    }
+
+    /**
+     * How many bots the room wants: enough to bring players and bots up to FILL_TO, as far as the map has spawns
+     */
+    wantedBotSlots() {
+        const spawns = MAP_BOT_SPAWNS[this.mapId] || [];
+        return Math.min(spawns.length, Math.max(0, ServerConfig.BOTS.FILL_TO - this.playerCount));
+    }
+
+    /**
+     * A fresh bot for a slot, at that slot's spawn point
+     */
+    createBot(slot) {
+        return createEnemy({
+            id: `bot-${slot}`,
+            name: BotPilotConfig.CALLSIGNS[slot % BotPilotConfig.CALLSIGNS.length],
+            team: ServerConfig.BOTS.TEAM,
+            skill: this.botSkill,
+            spawn: MAP_BOT_SPAWNS[this.mapId][slot]
+        });
+    }
+
+    /**
+     * Add or remove bots as players come and go, and tell the room
+     * @param {WebSocket} except - Socket to skip, e.g. a joining player that gets the enemies with its spawn
+     */
+    updateBotSlots(except = null) {
+        const wanted = this.wantedBotSlots();
+        for (let slot = this.botSlots; slot < wanted; slot++) {
+            const bot = this.createBot(slot);
+            this.enemies[bot.id] = bot;
+            this.broadcast({ type: 'enemyRespawned', enemy: serializeEnemy(bot) }, except);
+        }
+        for (let slot = wanted; slot < this.botSlots; slot++) {
+            const id = `bot-${slot}`;
+            if (!this.enemies[id]) continue; // Waiting to respawn; the respawn checks botSlots
+            delete this.enemies[id];
+            this.broadcast({ type: 'enemyDestroyed', enemyId: id }, except);
+        }
+        if (wanted !== this.botSlots) {
+            console.log(`Room ${this.id} now has ${wanted} bots`);
+        }
+        this.botSlots = wanted;
+    }
+
+    broadcastMatchState(now) {
+        this.broadcast({ type: 'matchState', ...matchStatus(this.match, now) });
+    }
+
+    /**
+     * Send everyone the scoreboard: every player's kills, deaths, assists, damage and the rest
+     */
+    broadcastStats() {
+        this.statsChanged = false;
+        this.broadcast({ type: 'playerStats', players: Object.values(this.allPlayers).map(playerStats) });
+    }
+
+    /**
+     * Declare a winner and put the results up
+     * @param {string|null} winner - Winning team, or null for a draw
+     * @param {string} reason - What ended the match
+     * @param {number} now - Server time in milliseconds
+     */
+    endMatch(winner, reason, now) {
+        if (this.match.state !== MATCH_STATES.IN_PROGRESS) return;
+
+        this.match.results = buildResults(this.match, this.allPlayers, winner, reason, now);
+        setMatchState(this.match, MATCH_STATES.ENDED, now);
+        console.log(`Match ended in room ${this.id}: ${winner || 'draw'} (${reason})`, this.match.scores);
+        this.broadcastMatchState(now);
+    }
+
+    /**
+     * Start a fresh match: the map is reset and every player respawns
+     * @param {number} now - Server time in milliseconds
+     */
+    restartMatch(now) {
+        this.match = createMatch(now);
+        this.bolts = [];
+        this.missiles = [];
+        this.resetMapState();
+
+        this.broadcast({
+            type: 'matchRestarted',
+            enemies: Object.values(this.enemies).map(serializeEnemy),
+            capitalShips: Object.values(this.capitalShips)
+        });
+        this.broadcastMatchState(now);
+
+        Object.values(this.players).forEach(player => {
+            resetMatchStats(player);
+            this.respawnPlayer(player);
+        });
+        // Suspended players relaunch when they reconnect
+        Object.values(this.suspendedPlayers).forEach(player => {
+            resetMatchStats(player);
+            player.isAlive = true;
+            player.respawnAt = 0;
+        });
+        this.statsChanged = true;
+        console.log(`Match restarted in room ${this.id}`);
+    }
+
+    /**
+     * Add a connected client to the room, send it the room state and announce it to the others
+     * @param {WebSocket} ws - The client's socket
+     * @param {number} playerId - Server-assigned player id
+     * @param {string} playerName - Display name
+     * @param {string} sessionToken - Lets the client resume its place here after a dropped connection
+     */
+    addPlayer(ws, playerId, playerName, sessionToken) {
+        const team = assignTeam(this.allPlayers); // Auto-balanced on join
+        const player = {
+            ws,
+            id: playerId,
+            name: playerName,
+            sessionToken,
+            team,
+            shipType: teamShipType(team),
+            isAlive: true,
+            lastProcessedInput: null,
+            latency: 0, // Round-trip time reported by the client, in milliseconds
+            history: createHistory(), // Past transforms, rewound when validating hits on this player
+            recentFires: [], // Recent validated shots, used to check hit reports
+            target: null, // What the player has selected: { targetType, targetId, subsystemId }
+            targetedBy: '', // Ids of the pilots last reported as targeting this player
+            respawnAt: 0, // Server time (ms) from which a destroyed player may relaunch
+            killedBy: null // Name of whoever destroyed the player last, for the death screen
+        };
+        this.players[playerId] = player;
+        resetMatchStats(player);
+        resetHealthState(player);
+        resetFlightState(player, this.spawnPosition(team));
+        resetAmmo(player);
+        this.statsChanged = true;
+        this.updateBotSlots(ws); // One bot fewer needed; the spawn below already leaves it out
+
+        console.log(`Player ${playerId} (${playerName}) joined room ${this.id} on team ${player.team}`);
+        this.welcomePlayer(player);
+    }
+
+    /**
+     * Send a joining or resuming player the room state and announce them to the others
+     * @param {Object} player - Server player record, already in this.players
+     */
+    welcomePlayer(player) {
+        const ws = player.ws;
+        ws.send(JSON.stringify({
+            type: 'spawn',
+            playerId: player.id,
+            playerName: player.name,
+            sessionToken: player.sessionToken,
+            isAlive: player.isAlive,
+            team: player.team,
+            shipType: player.shipType,
+            ...playerTransform(player), // Where we launch
+            tickRate: ServerConfig.TICK_RATE,
+            room: this.summary(),
+            players: Object.values(this.players).map(other => ({
+                id: other.id,
+                name: other.name,
+                team: other.team,
+                shipType: other.shipType,
+                ...playerTransform(other),
+                health: other.health, maxHealth: other.maxHealth,
+                shield: other.shield, maxShield: other.maxShield,
+                componentHealth: other.componentHealth,
+                isAlive: other.isAlive
+            })),
+            enemies: Object.values(this.enemies).map(serializeEnemy),
+            capitalShips: Object.values(this.capitalShips),
+            match: matchStatus(this.match, Date.now())
+        }));
+
+        // Broadcast new player to all other players
+        this.broadcast({
+            type: 'newPlayer',
+            playerId: player.id,
+            playerName: player.name,
+            team: player.team,
+            shipType: player.shipType,
+            ...playerTransform(player),
+            health: player.health, maxHealth: player.maxHealth,
+            shield: player.shield, maxShield: player.maxShield,
+            componentHealth: player.componentHealth,
+            isAlive: player.isAlive
+        }, ws);
+    }
+
+    /**
+     * A player's connection dropped: take their ship out of play but hold their slot, team and stats
+     * until they resume or removePlayer is called when the grace period runs out
+     * @param {number} playerId - Player whose connection dropped
+     */
+    suspendPlayer(playerId) {
+        const player = this.players[playerId];
+        if (!player) return;
+
+        delete this.players[playerId];
+        this.suspendedPlayers[playerId] = player;
+        this.bolts = this.bolts.filter(bolt => bolt.ownerId !== playerId);
+        player.target = null;
+        console.log(`Player ${playerId} (${player.name}) suspended in room ${this.id}`);
+
+        this.broadcast({
+            type: 'playerDisconnected',
+            playerId: playerId
+        });
+    }
+
+    /**
+     * Put a suspended player back in the room on their new connection. A living player relaunches at
+     * a spawn point; a destroyed one goes back to their respawn countdown.
+     * @param {WebSocket} ws - The client's new socket
+     * @param {number} playerId - Player to resume
+     * @returns {boolean} Whether the player was waiting here to be resumed
+     */
+    resumePlayer(ws, playerId) {
+        const player = this.suspendedPlayers[playerId];
+        if (!player) return false;
+
+        delete this.suspendedPlayers[playerId];
+        this.players[playerId] = player;
+        player.ws = ws;
+        player.lastProcessedInput = null;
+        player.targetedBy = '';
+        player.history = createHistory();
+        if (player.isAlive) {
+            resetHealthState(player);
+            resetFlightState(player, this.spawnPosition(player.team));
+            resetAmmo(player);
+        }
+        this.statsChanged = true;
+        console.log(`Player ${playerId} (${player.name}) resumed in room ${this.id} on team ${player.team}`);
+
+        this.welcomePlayer(player);
+        if (!player.isAlive) {
+            this.sendRespawnCountdown(player, Date.now());
+        }
+        return true;
+    }
+
+    /**
+     * Remove a player (room change, or the end of a dropped connection's grace period) and notify the rest of the room
+     * @param {number} playerId - Player to remove
+     */
+    removePlayer(playerId) {
+        if (this.suspendedPlayers[playerId]) {
+            // Already gone from play; just free the slot
+            console.log(`Player ${playerId} (${this.suspendedPlayers[playerId].name}) dropped from room ${this.id}`);
+            delete this.suspendedPlayers[playerId];
+            this.statsChanged = true;
+            this.updateBotSlots();
+            return;
+        }
+
+        const player = this.players[playerId];
+        if (!player) return;
+
+        delete this.players[playerId];
+        this.bolts = this.bolts.filter(bolt => bolt.ownerId !== playerId);
+        this.statsChanged = true;
+        console.log(`Player ${playerId} (${player.name}) left room ${this.id}`);
+
+        // Notify all players about the disconnected player
+        this.broadcast({
+            type: 'playerDisconnected',
+            playerId: playerId
+        });
+
+        this.updateBotSlots(); // A bot takes the free slot
+    }
+
+    /**
+     * Stop the tick loop and any pending timers
+     */
+    close() {
+        clearInterval(this.tickInterval);
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+        console.log(`Room ${this.id} closed`);
+    }
+
+    /**
+     * Handle a gameplay message from one of the room's players
+     * @param {number} playerId - Sender
+     * @param {Object} message - Parsed message
+     */
+    handleMessage(playerId, message) {
+        const player = this.players[playerId];
+        if (!player) return;
+        const ws = player.ws;
+
+        if (message.type === 'ping') {
+            // Echo the client's clock so it can measure its round trip, and keep the latency it reports
+            setReportedLatency(player, message.latency);
+            ws.send(JSON.stringify({ type: 'pong', clientTime: message.clientTime, serverTime: Date.now() }));
+        } else if (message.type === 'input') {
+            // Sampled flight inputs; integrated on the next tick and acknowledged in its snapshot
+            queueInputs(player, message.inputs);
+        } else if (message.type === 'fire' && Object.hasOwn(MISSILE_WEAPONS, message.weaponType)) {
+            this.handleLaunch(player, message);
+        } else if (message.type === 'fire') {
+            // Drop shots the server can't account for (too fast, or not from the ship)
+            const fireEvent = recordFire(player, message, Date.now());
+            if (!fireEvent) return;
+            spawnBolt(this.bolts, player, fireEvent);
+
+            // Broadcast fire event to all players except sender
+            this.broadcast({
+                type: 'fire',
+                playerId: playerId,
+                direction: message.direction,
+                position: message.position,
+                weaponType: fireEvent.weaponType
+            }, ws);
+        } else if (message.type === 'setTarget') {
+            this.handleSetTarget(player, message);
+        } else if (message.type === 'respawn') {
+            this.handleRespawn(player, message);
+        } else if (message.type === 'enemyHit') {
+            this.handleEnemyHit(player, message);
+        } else if (message.type === 'playerHit') {
+            this.handlePlayerHit(player, message);
+        } else if (message.type === 'capitalShipHit') {
+            this.handleCapitalShipHit(player, message);
+        }
+    }
+
+    /**
+     * Launch a homing missile at the shooter's locked target. Unlike bolts, the shooter is told
+     * too, so it can pair its own missile (by launchId) with the server's and keep its ammo in step.
+     */
+    handleLaunch(player, message) {
+        const target = this.findMissileTarget(message.targetType, message.targetId);
+        const launch = recordLaunch(player, message, target, Date.now());
+        if (!launch) return;
+
+        const missile = launchMissile(this.missiles, player, launch);
+        console.log(`${player.name} launched a ${launch.weaponType} at ${target.name} (${player.secondaryAmmo} left)`);
+
+        this.broadcast({
+            type: 'fire',
+            playerId: player.id,
+            direction: launch.direction,
+            position: launch.position,
+            weaponType: launch.weaponType,
+            missileId: missile.id,
+            launchId: message.launchId ?? null,
+            targetType: launch.targetType,
+            targetId: launch.targetId,
+            ammo: player.secondaryAmmo
+        });
+    }
+
+    /**
+     * Remember what a player has selected, so the pilot they have targeted can be warned
+     */
+    handleSetTarget(player, message) {
+        const hasTarget = ['player', 'enemy', 'capitalShip'].includes(message.targetType) &&
+            message.targetId !== null && message.targetId !== undefined;
+        player.target = hasTarget
+            ? { targetType: message.targetType, targetId: String(message.targetId), subsystemId: message.subsystemId ?? null }
+            : null;
+    }
+
+    /**
+     * Tell each player which pilots, human or bot, have them targeted, whenever that changes
+     */
+    updateTargetedBy() {
+        Object.values(this.players).forEach(player => {
+            const attackers = [];
+            if (player.isAlive) {
+                Object.values(this.players).forEach(other => {
+                    if (other !== player && other.isAlive && other.target &&
+                        other.target.targetType === 'player' && other.target.targetId === String(player.id)) {
+                        attackers.push({ id: other.id, name: other.name, team: other.team });
+                    }
+                });
+                Object.values(this.enemies).forEach(enemy => {
+                    if (enemy.isAlive && enemy.pilot && enemy.pilot.targetId === player.id) {
+                        attackers.push({ id: enemy.id, name: enemy.name, team: enemy.team });
+                    }
+                });
+            }
+
+            const targetedBy = attackers.map(attacker => attacker.id).join(',');
+            if (targetedBy === player.targetedBy) return;
+            player.targetedBy = targetedBy;
+            if (player.ws.readyState === WebSocket.OPEN) {
+                player.ws.send(JSON.stringify({ type: 'targetedBy', attackers }));
+            }
+        });
+    }
+
+    /**
+     * A destroyed player asks to relaunch, optionally in a different ship. Refused until their countdown runs out.
+     * @param {Object} player - Server player record
+     * @param {Object} message - { shipType? }
+     */
+    handleRespawn(player, message) {
+        if (player.isAlive) return;
+
+        const now = Date.now();
+        const waitSeconds = (player.respawnAt - now) / 1000;
+        if (waitSeconds > 0) {
+            console.log(`Rejected respawn from ${player.name}: ${waitSeconds.toFixed(1)}s left`);
+            this.sendRespawnCountdown(player, now); // Puts their death screen back on the countdown
+            return;
+        }
+
+        if (message.shipType && message.shipType !== player.shipType) {
+            if (teamAllowsShip(player.team, message.shipType)) {
+                player.shipType = message.shipType;
+            } else {
+                console.log(`Rejected ship ${message.shipType} for ${player.name} on team ${player.team}`);
+            }
+        }
+        this.respawnPlayer(player);
+    }
+
+    /**
+     * Start a destroyed player's respawn countdown and tell them how long it is
+     * @param {Object} player - Server player record
+     * @param {Object} attacker - Whoever destroyed them
+     * @param {number} now - Server time in milliseconds
+     */
+    startRespawnCountdown(player, attacker, now) {
+        player.respawnAt = now + respawnDelay(this.capitalShips, player.team) * 1000;
+        player.killedBy = attacker.name;
+        this.sendRespawnCountdown(player, now);
+    }
+
+    /**
+     * Tell a destroyed player how long is left on their respawn countdown
+     * @param {Object} player - Server player record
+     * @param {number} now - Server time in milliseconds
+     */
+    sendRespawnCountdown(player, now) {
+        if (player.ws.readyState !== WebSocket.OPEN) return;
+        player.ws.send(JSON.stringify({
+            type: 'respawnCountdown',
+            respawnIn: Math.max(0, (player.respawnAt - now) / 1000),
+            hangarLost: hangarsLost(this.capitalShips, player.team),
+            killerName: player.killedBy
+        }));
+    }
+
+    /**
+     * A launch position at one of the team's spawn points on this room's map
+     * @param {string} team - Team id
+     * @returns {Object} { x, y, z }
+     */
+    spawnPosition(team) {
+        return spawnPosition(MAP_SPAWN_POINTS[this.mapId], this.capitalShips, team);
+    }
+
+    /**
+     * Put a player back at one of their team's spawn points with a fresh ship and tell the room
+     */
+    respawnPlayer(player) {
+        // Reset player stats
+        resetHealthState(player);
+        player.isAlive = true;
+        player.respawnAt = 0;
+        resetFlightState(player, this.spawnPosition(player.team));
+        resetAmmo(player);
+        player.history = createHistory(); // Don't rewind across the teleport
+
+        console.log(`Player ${player.name} respawned!`);
+
+        // Broadcast respawn to all clients
+        this.broadcast({
+            type: 'playerRespawned',
+            playerId: player.id,
+            name: player.name,
+            team: player.team,
+            shipType: player.shipType,
+            ...playerTransform(player),
+            health: player.health, maxHealth: player.maxHealth,
+            shield: player.shield, maxShield: player.maxShield,
+            componentHealth: player.componentHealth,
+            isAlive: player.isAlive
+        });
+    }
+
+    handleEnemyHit(attackerPlayer, message) {
+        // Enemy hits are reported by the shooter and validated like hits on players
+        if (!matchAllowsDamage(this.match)) return;
+
+        const enemy = Object.hasOwn(this.enemies, message.enemyId) ? this.enemies[message.enemyId] : null;
+        const hit = validateHit(attackerPlayer, enemy, message, Date.now());
+        if (!hit.valid) {
+            console.log(`Rejected hit from ${attackerPlayer.name} on enemy ${message.enemyId}: ${hit.reason}`);
+            return;
+        }
+
+        this.applyEnemyDamage(attackerPlayer, enemy, hit.damage, hit.componentId, hit.weaponType, Date.now());
+    }
+
+    /**
+     * Damage an enemy and tell the room. Bots react to the hit, and shooting one down scores like a player kill.
+     * @param {Object} attacker - Server player record of the shooter
+     * @param {Object} enemy - Enemy record of the target
+     * @param {number} baseDamage - Damage before the friendly-fire policy
+     * @param {string|null} componentId - Component that was hit, if any
+     * @param {string} weaponType - Weapon the hit came from
+     * @param {number} now - Server time in milliseconds
+     */
+    applyEnemyDamage(attacker, enemy, baseDamage, componentId, weaponType, now) {
+        const damage = friendlyFireDamage(attacker, enemy, baseDamage);
+        if (damage <= 0) {
+            console.log(`Ignored friendly fire from ${attacker.name} on ${enemy.name}`);
+            return;
+        }
+
+        const result = damagePlayer(enemy, damage, componentId, now);
+        console.log(`${attacker.name} (ID: ${attacker.id}) hit enemy ${enemy.id} for ${damage} damage, remaining hull: ${enemy.health}`);
+        botHit(enemy, attacker, now);
+        if (recordDamage(this.match, attacker, enemy, result.shieldDamage + result.hullDamage, now)) {
+            this.statsChanged = true;
+        }
+
+        if (result.componentDestroyed) {
+            this.broadcast({
+                type: 'enemyComponentDestroyed',
+                enemyId: enemy.id,
+                componentId
+            });
+        }
+
+        // Only piloted ships count towards the score; the dummy is target practice
+        const scoreLimitWinner = result.destroyed && enemy.pilot ? recordKill(this.match, attacker, enemy) : null;
+        if (result.destroyed) {
+            recordAssists(this.match, attacker, enemy, now);
+            if (this.match.state === MATCH_STATES.IN_PROGRESS) {
+                attacker.enemyKills++;
+                this.statsChanged = true;
+            }
+        }
+
+        this.broadcast({
+            type: 'enemyDamaged',
+            enemyId: enemy.id,
+            attackerPlayerId: attacker.id,
+            damage: result.shieldDamage + result.hullDamage,
+            componentId,
+            componentDestroyed: result.componentDestroyed,
+            health: enemy.health,
+            shield: enemy.shield,
+            componentHealth: enemy.componentHealth,
+            isAlive: enemy.isAlive,
+            weaponType
+        });
+
+        if (!result.destroyed) return;
+        if (enemy.pilot) {
+            this.broadcastKill(attacker, enemy, weaponType, result.componentDestroyed ? componentId : null);
+        }
+        this.destroyEnemy(enemy);
+        if (enemy.pilot && this.match.state === MATCH_STATES.IN_PROGRESS) {
+            this.broadcastMatchState(now); // New scores
+        }
+        if (scoreLimitWinner) {
+            this.endMatch(scoreLimitWinner, 'score_limit', now);
+        }
+    }
+
+    /**
+     * Remove a destroyed enemy and bring it back at its spawn after ENEMY_RESPAWN_TIME
+     */
+    destroyEnemy(enemy) {
+        delete this.enemies[enemy.id];
+
+        // Broadcast enemy destruction to all players
+        this.broadcast({
+            type: 'enemyDestroyed',
+            enemyId: enemy.id
+        });
+
+        const match = this.match;
+        this.schedule(() => {
+            // Skip enemies a restart already replaced and bots whose slot a player has taken since
+            if (this.match !== match || this.enemies[enemy.id]) return;
+            if (enemy.pilot && Number(enemy.id.slice('bot-'.length)) >= this.botSlots) return;
+
+            const respawned = createEnemy(enemy);
+            this.enemies[respawned.id] = respawned;
+            console.log(`Enemy ${respawned.id} respawned in room ${this.id} at position (${respawned.spawn.x}, ${respawned.spawn.y}, ${respawned.spawn.z})`);
+
+            // Broadcast enemy respawn to all players
+            this.broadcast({
+                type: 'enemyRespawned',
+                enemy: serializeEnemy(respawned)
+            });
+        }, ENEMY_RESPAWN_TIME);
+    }
+
+    handlePlayerHit(attackerPlayer, message) {
+        // Handle player damage from another player's bolt. The reporting client is
+        // always the attacker, and damage comes from the server's weapon config.
+        if (!matchAllowsDamage(this.match)) return;
+
+        const targetPlayer = Object.hasOwn(this.players, message.targetPlayerId) ? this.players[message.targetPlayerId] : null;
+        const hit = validateHit(attackerPlayer, targetPlayer, message, Date.now());
+        if (!hit.valid) {
+            console.log(`Rejected hit from ${attackerPlayer.name} on player ${message.targetPlayerId}: ${hit.reason}`);
+            return;
+        }
+
+        this.applyPlayerDamage(attackerPlayer, targetPlayer, hit.damage, hit.componentId, hit.weaponType, Date.now());
+    }
+
+    /**
+     * Damage a player and tell the room, scoring the kill if it was one
+     * @param {Object} attacker - Server player record of the shooter, a capital ship turret or a bot
+     * @param {Object} targetPlayer - Server player record of the target
+     * @param {number} baseDamage - Damage before the friendly-fire policy
+     * @param {string|null} componentId - Component that was hit, if any
+     * @param {string} weaponType - Weapon the hit came from
+     * @param {number} now - Server time in milliseconds
+     */
+    applyPlayerDamage(attacker, targetPlayer, baseDamage, componentId, weaponType, now) {
+        // Friendly-fire policy decides what a hit on a teammate is worth
+        const damage = friendlyFireDamage(attacker, targetPlayer, baseDamage);
+        if (damage <= 0) {
+            console.log(`Ignored friendly fire from ${attacker.name} on ${targetPlayer.name}`);
+            return;
+        }
+        console.log(`${attacker.name} (ID: ${attacker.id}) hit player ${targetPlayer.name} (ID: ${targetPlayer.id}) for ${damage} damage`);
+
+        // Shared damage rules: shields, then hull, with the hit component losing what the hull did
+        const result = damagePlayer(targetPlayer, damage, componentId, now);
+        console.log(`Shield absorbed ${result.shieldDamage}, hull damage ${result.hullDamage}, remaining hull: ${targetPlayer.health}`);
+        if (recordDamage(this.match, attacker, targetPlayer, result.shieldDamage + result.hullDamage, now)) {
+            this.statsChanged = true;
+        }
+
+        if (result.componentDestroyed) {
+            console.log(`Player ${targetPlayer.name}'s ${componentId} was destroyed!`);
+
+            // Broadcast component destruction to all clients
+            this.broadcast({
+                type: 'playerComponentDestroyed',
+                playerId: targetPlayer.id,
+                componentId
+            });
+        }
+
+        let scoreLimitWinner = null;
+        if (result.destroyed) {
+            console.log(`Player ${targetPlayer.name} died!`);
+            scoreLimitWinner = recordKill(this.match, attacker, targetPlayer);
+            recordAssists(this.match, attacker, targetPlayer, now);
+            this.statsChanged = true;
+        }
+
+        // Broadcast player damage to all clients; turret and bot hits name the turret or bot instead of a player
+        this.broadcast({
+            type: 'playerDamaged',
+            playerId: targetPlayer.id,
+            attackerPlayerId: this.players[attacker.id] === attacker ? attacker.id : null,
+            attackerTurretId: attacker.capitalShipId ? attacker.id : null,
+            attackerEnemyId: this.enemies[attacker.id] === attacker ? attacker.id : null,
+            attackerName: attacker.name,
+            attackerPosition: this.attackerPosition(attacker),
+            damage: result.shieldDamage + result.hullDamage,
+            componentId,
+            componentDestroyed: result.componentDestroyed,
+            health: targetPlayer.health,
+            shield: targetPlayer.shield,
+            componentHealth: targetPlayer.componentHealth,
+            isAlive: targetPlayer.isAlive,
+            weaponType
+        });
+
+        if (result.destroyed) {
+            this.broadcastKill(attacker, targetPlayer, weaponType, result.componentDestroyed ? componentId : null);
+            this.startRespawnCountdown(targetPlayer, attacker, now);
+        }
+        if (result.destroyed && this.match.state === MATCH_STATES.IN_PROGRESS) {
+            this.broadcastMatchState(now); // New scores
+        }
+        if (scoreLimitWinner) {
+            this.endMatch(scoreLimitWinner, 'score_limit', now);
+        }
+    }
+
+    /**
+     * Where a hit came from, for the victim's damage-direction indicator
+     * @param {Object} attacker - Server player record, a capital ship turret or a bot
+     * @returns {Object|null} { x, y, z }, or null if the turret's ship is gone
+     */
+    attackerPosition(attacker) {
+        if (attacker.capitalShipId) {
+            const ship = this.capitalShips[attacker.capitalShipId];
+            return ship ? subsystemPosition(ship, attacker.subsystemId) : null;
+        }
+        const { x, y, z } = attacker.position;
+        return { x, y, z };
+    }
+
+    /**
+     * Tell the room who destroyed whom, with what, and which component failed (null if the hull gave out)
+     * @param {Object} attacker - Server player record of the killer, a capital ship turret or a bot
+     * @param {Object} victim - Server player record, or the bot's enemy record
+     * @param {string} weaponType - Weapon of the killing hit
+     * @param {string|null} componentId - Component the killing hit destroyed, if any
+     */
+    broadcastKill(attacker, victim, weaponType, componentId) {
+        let killerType = 'enemy';
+        if (this.players[attacker.id] === attacker) {
+            killerType = 'player';
+        } else if (attacker.capitalShipId) {
+            killerType = 'turret';
+        }
+
+        this.broadcast({
+            type: 'playerKilled',
+            killerId: attacker.id,
+            killerName: attacker.name,
+            killerTeam: attacker.team,
+            killerType,
+            victimId: victim.id,
+            victimName: victim.name,
+            victimTeam: victim.team,
+            victimType: this.players[victim.id] === victim ? 'player' : 'enemy',
+            victimShipType: victim.shipType,
+            weaponType,
+            componentId
+        });
+    }
+
+    handleCapitalShipHit(attackerPlayer, message) {
+        // Capital ships only take damage while the match is on
+        if (this.match.state !== MATCH_STATES.IN_PROGRESS) return;
+
+        // Own keys only: the ids come from the client, and e.g. 'constructor' would resolve on a plain object
+        const ship = Object.hasOwn(this.capitalShips, message.capitalShipId) ? this.capitalShips[message.capitalShipId] : null;
+        const config = ship && getCapitalShipConfig(ship.type);
+        const subsystemConfig = config && Object.hasOwn(config.SUBSYSTEMS, message.subsystemId)
+            ? config.SUBSYSTEMS[message.subsystemId]
+            : null;
+        const hit = validateSubsystemHit(attackerPlayer, ship, subsystemConfig, message, Date.now());
+        if (!hit.valid) {
+            console.log(`Rejected hit from ${attackerPlayer.name} on ${message.capitalShipId}/${message.subsystemId}: ${hit.reason}`);
+            return;
+        }
+
+        const result = damageSubsystem(ship, message.subsystemId, hit.damage);
+        const subsystem = ship.subsystems[message.subsystemId];
+        console.log(`Player ${attackerPlayer.name} hit ${ship.id}'s ${subsystemConfig.NAME} for ${result.damage} damage, remaining: ${subsystem.health}`);
+        if (recordDamage(this.match, attackerPlayer, null, result.damage, Date.now())) {
+            this.statsChanged = true;
+        }
+
+        this.broadcast({
+            type: 'subsystemDamaged',
+            capitalShipId: ship.id,
+            subsystemId: message.subsystemId,
+            attackerPlayerId: attackerPlayer.id,
+            damage: result.damage,
+            health: subsystem.health,
+            weaponType: hit.weaponType
+        });
+
+        if (result.subsystemDestroyed) {
+            console.log(`${ship.id}'s ${subsystemConfig.NAME} was destroyed!`);
+            attackerPlayer.subsystemKills++;
+            this.statsChanged = true;
+            this.broadcast({
+                type: 'subsystemDestroyed',
+                capitalShipId: ship.id,
+                subsystemId: message.subsystemId,
+                attackerPlayerId: attackerPlayer.id,
+                shieldsUp: shieldsUp(ship)
+            });
+        }
+
+        if (result.shipDestroying) {
+            this.startCapitalShipDestruction(ship, config);
+        }
+    }
+
+    /**
+     * Run a capital ship's destruction sequence: clients play it out for DESTRUCTION_TIME,
+     * then the ship is gone and the other team wins the match
+     */
+    startCapitalShipDestruction(ship, config) {
+        console.log(`Capital ship ${ship.id} is going down!`);
+        this.broadcast({
+            type: 'capitalShipDestroying',
+            capitalShipId: ship.id,
+            duration: config.DESTRUCTION_TIME
+        });
+
+        this.schedule(() => {
+            if (this.capitalShips[ship.id] !== ship) return; // The match restarted in the meantime
+
+            ship.state = 'destroyed';
+            console.log(`Capital ship ${ship.id} destroyed in room ${this.id}`);
+            this.broadcast({
+                type: 'capitalShipDestroyed',
+                capitalShipId: ship.id
+            });
+            this.endMatch(opposingTeam(ship.team), 'capital_ship_destroyed', Date.now());
+        }, config.DESTRUCTION_TIME * 1000);
+    }
+}
@@ -0,0 +1,67 @@
+/**
+ * Configuration for the authoritative game server
+ */
+export const ServerConfig = {
+    PORT: 8081,
+    TICK_RATE: 20, // Simulation steps and snapshots per second
+
+    INPUT: {
+        MAX_BUDGET: 0.25, // Seconds of queued input a client may catch up on in one tick
+        MAX_QUEUED: 120, // Inputs held per player before the oldest are dropped
+    },
+
+    HIT_VALIDATION: {
+        HIT_RADIUS: 4, // Generous sphere around a ship's last known position
+        FIRE_ORIGIN_TOLERANCE: 15, // Max distance between a reported muzzle and the server's ship position
+        FIRE_ORIGIN_LATENCY: 0.3, // Seconds the shooter's prediction may run ahead of the server, scaled by its speed
+        FIRE_RATE_TOLERANCE: 0.8, // Accept shots this fraction faster than the weapon's fire rate (jitter)
+        POSITION_STALENESS: 0.1, // Seconds of target movement allowed for around the rewound position (jitter, tick spacing)
+        MAX_TARGET_SPEED: 500, // Boosted top speed used to widen the staleness window
+        MAX_SHOOTER_SPEED: 500, // Forward speed that may be added to bolt velocity at launch
+        LOCK_CONE_TOLERANCE: 0.15, // Radians a missile's target may have slipped out of the lock cone by the time the launch arrives
+        FIRE_HISTORY: 32 // Fire events kept per player
+    },
+
+    LAG_COMPENSATION: {
+        MAX_LATENCY: 400, // Largest round-trip time (ms) a client may report; caps how far targets are rewound
+        HISTORY_SIZE: 32, // Past transforms kept per player and enemy (1.6s at 20 ticks/s)
+    },
+
+    ROOMS: {
+        DEFAULT_ROOM_ID: 'default', // Always-open room new connections join
+        DEFAULT_MAP: 'map1',
+        MAPS: ['map1'], // Map ids a room can be created with
+        MAX_PLAYERS: 8, // Per room; createRoom may ask for fewer
+        MAX_ROOMS: 16,
+        MAX_NAME_LENGTH: 32,
+    },
+
+    SESSIONS: {
+        GRACE_PERIOD: 30, // Seconds a dropped player's slot, team and stats are held for them to reconnect
+    },
+
+    TEAMS: {
+        FRIENDLY_FIRE: 'off', // 'off' (teammates can't be damaged), 'reduced' or 'full'
+        FRIENDLY_FIRE_DAMAGE_SCALE: 0.5, // Damage multiplier for teammate hits when 'reduced'
+    },
+
+    MATCH: {
+        WARMUP_TIME: 20, // Seconds of free play before scores count; held while the room is empty
+        TIME_LIMIT: 600, // Seconds of play before the team with the higher score wins
+        SCORE_LIMIT: 20, // Team kills that win the match outright
+        RESULTS_TIME: 10, // Seconds the results are shown before the restart countdown
+        RESTART_COUNTDOWN: 5, // Seconds from the restart countdown to a fresh match
+        ASSIST_WINDOW: 10, // Seconds before a kill in which damaging the victim earns an assist
+    },
+
+    RESPAWN: {
+        DELAY: 5, // Seconds from being destroyed until a pilot may relaunch
+        HANGAR_LOST_DELAY: 15, // Used instead once every hangar the team had is destroyed
+    },
+
+    BOTS: {
+        FILL_TO: 4, // Rooms are topped up with bots until players and bots reach this many pilots
+        TEAM: 'empire', // Bots fly TIE fighters
+        SKILL: 'veteran', // Default skill level (see BotPilotConfig.SKILLS); createRoom may pick another
+    }
+};
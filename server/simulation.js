@@ -0,0 +1,293 @@
+import { ServerConfig } from './server-config.js';
+import { LaserImperialConfig } from '../src/js/config/bolts/laser-imperial.js';
+import { BlasterBoltConfig } from '../src/js/config/bolts/blaster-bolt.js';
+import { LaserRebelConfig } from '../src/js/config/bolts/laser-rebel.js';
+import { TurbolaserBoltConfig } from '../src/js/config/bolts/turbolaser.js';
+import { sanitizeInput, applyFlightInput, updateEnergy } from '../src/js/shared/flight-model.js';
+import { launchVelocity, advanceBolt, MAX_BOLT_DT } from '../src/js/shared/bolt-kinematics.js';
+import { applyDamage, regenerateShield } from '../src/js/shared/damage-model.js';
+import { getShipConfig } from '../src/js/shared/ships.js';
+import { distance } from '../src/js/shared/vector.js';
+
+/**
+ * Projectile fired by each weapon type
+ */
+const BOLT_CONFIGS = {
+    'tie-cannon': LaserImperialConfig,
+    'quad-laser': LaserRebelConfig,
+    'blaster': BlasterBoltConfig,
+    'turbolaser': TurbolaserBoltConfig
+};
+
+let nextBoltId = 0;
+
+function round(value, digits) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Creates a server-side bolt for a validated fire event, launched the same way the client launches it.
+ * @param {Array} bolts - The server's active bolts
+ * @param {Object} player - Server player record of the shooter, a capital ship turret or a bot
+ * @param {Object} fireEvent - Fire event returned by recordFire, stepTurrets or stepBots
+ */
+export function spawnBolt(bolts, player, fireEvent) {
+    const boltConfig = BOLT_CONFIGS[fireEvent.weaponType];
+    bolts.push({
+        id: nextBoltId++,
+        ownerId: player.id,
+        team: player.team,
+        weaponType: fireEvent.weaponType,
+        position: { ...fireEvent.position },
+        velocity: launchVelocity(fireEvent.direction, boltConfig.SPEED, player.velocity, boltConfig.VELOCITY_INHERITANCE),
+        age: 0,
+        lifetime: boltConfig.LIFETIME,
+        // Only set for bolts the server fires itself, which have no client to report their hits
+        damage: fireEvent.damage ?? null,
+        hitRadius: fireEvent.hitRadius ?? null
+    });
+}
+
+/**
+ * Checks the server-fired bolts (turrets, bots) against the players' ships over the last tick
+ * and removes the ones that hit. Player bolts are left to their shooters to report.
+ * @param {Array} bolts - The server's active bolts, already stepped this tick (modified in place)
+ * @param {Object} players - The room's players keyed by id
+ * @param {number} dt - Tick duration in seconds
+ * @returns {Array} Hits { bolt, player }
+ */
+export function resolveServerBoltHits(bolts, players, dt) {
+    const hits = [];
+    for (let i = bolts.length - 1; i >= 0; i--) {
+        const bolt = bolts[i];
+        if (bolt.hitRadius === null) continue;
+
+        // Segment the bolt covered this tick
+        const end = bolt.position;
+        const start = { x: end.x - bolt.velocity.x * dt, y: end.y - bolt.velocity.y * dt, z: end.z - bolt.velocity.z * dt };
+        const segment = { x: end.x - start.x, y: end.y - start.y, z: end.z - start.z };
+        const lengthSq = segment.x * segment.x + segment.y * segment.y + segment.z * segment.z;
+
+        const target = Object.values(players).find(player => {
+            if (!player.isAlive || player.team === bolt.team) return false;
+            const p = player.position;
+            const t = lengthSq > 0
+                ? Math.min(1, Math.max(0, ((p.x - start.x) * segment.x + (p.y - start.y) * segment.y + (p.z - start.z) * segment.z) / lengthSq))
+                : 0;
+            const closest = { x: start.x + segment.x * t, y: start.y + segment.y * t, z: start.z + segment.z * t };
+            return distance(closest, p) <= bolt.hitRadius;
+        });
+
+        if (target) {
+            hits.push({ bolt, player: target });
+            bolts.splice(i, 1);
+        }
+    }
+    return hits;
+}
+
+/**
+ * Advances bolts by one tick and drops the ones that have expired.
+ * Long ticks are split into steps the shared kinematics accepts.
+ * @param {Array} bolts - The server's active bolts (modified in place)
+ * @param {number} dt - Tick duration in seconds
+ */
+export function stepBolts(bolts, dt) {
+    for (let i = bolts.length - 1; i >= 0; i--) {
+        let remaining = dt;
+        let expired = false;
+        while (remaining > 0 && !expired) {
+            const step = Math.min(remaining, MAX_BOLT_DT);
+            expired = advanceBolt(bolts[i], step);
+            remaining -= step;
+        }
+        if (expired) {
+            bolts.splice(i, 1);
+        }
+    }
+}
+
+/**
+ * Queues input commands received from a client until the next tick.
+ * @param {Object} player - Server player record
+ * @param {Array} inputs - Raw input commands from an `input` message
+ */
+export function queueInputs(player, inputs) {
+    if (!Array.isArray(inputs)) return;
+
+    inputs.forEach(input => {
+        if (input && typeof input === 'object') {
+            player.inputQueue.push(sanitizeInput(input));
+        }
+    });
+    if (player.inputQueue.length > ServerConfig.INPUT.MAX_QUEUED) {
+        player.inputQueue.splice(0, player.inputQueue.length - ServerConfig.INPUT.MAX_QUEUED);
+    }
+}
+
+/**
+ * Integrates a player's queued inputs with the shared flight model.
+ * Each tick earns the player `dt` seconds of simulation time and every input spends its
+ * own dt, so a client can't fly faster than real time by sending extra inputs.
+ * @param {Object} player - Server player record
+ * @param {number} dt - Tick duration in seconds
+ * @param {number} now - Server time in milliseconds
+ */
+export function processInputs(player, dt, now) {
+    const config = getShipConfig(player.shipType);
+    player.inputBudget = Math.min(player.inputBudget + dt, ServerConfig.INPUT.MAX_BUDGET);
+
+    while (player.inputQueue.length > 0 && player.inputQueue[0].dt <= player.inputBudget) {
+        const input = player.inputQueue.shift();
+        player.inputBudget -= input.dt;
+
+        // Dead ships drift no further, but their inputs are still acknowledged
+        if (player.isAlive) {
+            updateEnergy(player, input, config, now / 1000);
+            applyFlightInput(player, input, config);
+        }
+        player.firing = input.fire;
+        if (input.seq !== null) {
+            player.lastProcessedInput = input.seq;
+        }
+    }
+
+    if (player.isAlive) {
+        regenerateShield(player, config, dt, now / 1000);
+    }
+}
+
+/**
+ * Restores a player's shield, hull and components from their ship config, e.g. on spawn and respawn
+ * @param {Object} player - Server player record
+ */
+export function resetHealthState(player) {
+    const config = getShipConfig(player.shipType);
+    player.health = config.MAX_HULL;
+    player.maxHealth = config.MAX_HULL;
+    player.shield = config.MAX_SHIELD;
+    player.maxShield = config.MAX_SHIELD;
+    player.componentHealth = { ...config.COMPONENT_HEALTH };
+    player.lastShieldDamageTime = 0;
+}
+
+/**
+ * Applies a validated hit to a player (or an enemy, which shares the record shape) with the shared damage rules.
+ * `health` is the player's hull on the wire, so it is mapped onto the damage model's hull.
+ * @param {Object} player - Server player or enemy record (modified in place)
+ * @param {number} damage - Damage dealt
+ * @param {string|null} componentId - Component that was hit, if any
+ * @param {number} now - Server time in milliseconds
+ * @returns {Object} Result of applyDamage
+ */
+export function damagePlayer(player, damage, componentId, now) {
+    const config = getShipConfig(player.shipType);
+    const state = { shield: player.shield, hull: player.health, componentHealth: player.componentHealth };
+    const result = applyDamage(state, damage, componentId, config.DESTRUCTION);
+    player.shield = state.shield;
+    player.health = state.hull;
+    player.lastShieldDamageTime = now / 1000;
+    if (result.destroyed) {
+        player.isAlive = false;
+    }
+    return result;
+}
+
+/**
+ * Resets a player's flight state, e.g. on respawn
+ * @param {Object} player - Server player record
+ * @param {Object} position - Spawn position
+ */
+export function resetFlightState(player, position = { x: 0, y: 0, z: 0 }) {
+    const config = getShipConfig(player.shipType);
+    player.position = { ...position };
+    player.quaternion = { x: 0, y: 0, z: 0, w: 1 };
+    player.velocity = { x: 0, y: 0, z: 0 };
+    player.energy = config.MAX_ENERGY;
+    player.lastEnergyActionTime = 0;
+    player.boosting = false;
+    player.firing = false;
+    player.inputQueue = [];
+    player.inputBudget = 0;
+}
+
+/**
+ * A player's transform in the wire format used by spawn, newPlayer and respawn messages
+ * @param {Object} player - Server player record
+ * @returns {Object} { x, y, z, rotationX, rotationY, rotationZ, rotationW }
+ */
+export function playerTransform(player) {
+    return {
+        x: round(player.position.x, 2), y: round(player.position.y, 2), z: round(player.position.z, 2),
+        rotationX: round(player.quaternion.x, 4), rotationY: round(player.quaternion.y, 4),
+        rotationZ: round(player.quaternion.z, 4), rotationW: round(player.quaternion.w, 4)
+    };
+}
+
+/**
+ * Serializes a player for a snapshot, using the field names updateOtherPlayer expects.
+ * @param {Object} player - Server player record
+ * @returns {Object} Network representation of the player
+ */
+function serializePlayer(player) {
+    return {
+        playerId: player.id,
+        playerName: player.name,
+        team: player.team,
+        shipType: player.shipType,
+        ...playerTransform(player),
+        vx: round(player.velocity.x, 2), vy: round(player.velocity.y, 2), vz: round(player.velocity.z, 2),
+        health: player.health, maxHealth: player.maxHealth,
+        shield: player.shield, maxShield: player.maxShield,
+        isAlive: player.isAlive,
+        lastProcessedInput: player.lastProcessedInput
+    };
+}
+
+/**
+ * Serializes an enemy for snapshots, spawn and respawn messages.
+ * Keeps the { id, x, y, z } fields BaseEnemy is created from.
+ * @param {Object} enemy - Enemy record (see bots.js)
+ * @returns {Object} Network representation of the enemy
+ */
+export function serializeEnemy(enemy) {
+    return {
+        id: enemy.id,
+        name: enemy.name,
+        team: enemy.team,
+        skill: enemy.skill,
+        shipType: enemy.shipType,
+        ...playerTransform(enemy),
+        vx: round(enemy.velocity.x, 2), vy: round(enemy.velocity.y, 2), vz: round(enemy.velocity.z, 2),
+        health: enemy.health, maxHealth: enemy.maxHealth,
+        shield: enemy.shield, maxShield: enemy.maxShield,
+        componentHealth: enemy.componentHealth,
+        isAlive: enemy.isAlive
+    };
+}
+
+/**
+ * Builds the aggregated world snapshot broadcast once per tick.
+ * @param {number} tick - Current server tick number
+ * @param {number} serverTime - Server time in milliseconds
+ * @param {Object} players - Players keyed by id
+ * @param {Object} enemies - Enemies keyed by id
+ * @param {Array} bolts - Active bolts
+ * @returns {Object} Snapshot message
+ */
+export function buildSnapshot(tick, serverTime, players, enemies, bolts) {
+    return {
+        type: 'snapshot',
+        tick,
+        serverTime,
+        players: Object.values(players).map(serializePlayer),
+        enemies: Object.values(enemies).map(serializeEnemy),
+        bolts: bolts.map(bolt => ({
+            id: bolt.id,
+            ownerId: bolt.ownerId,
+            weaponType: bolt.weaponType,
+            x: round(bolt.position.x, 2), y: round(bolt.position.y, 2), z: round(bolt.position.z, 2)
+        }))
+    };
+}
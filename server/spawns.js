@@ -0,0 +1,48 @@
+import { ServerConfig } from './server-config.js';
+import { hasHangar, hangarOperational } from '../src/js/shared/capital-ships.js';
+
+/**
+ * Where a pilot on the team launches from: a random one of the map's spawn points for the team,
+ * or the origin if the map has none
+ * @param {Object} spawnPoints - The map's SPAWN_POINTS, keyed by team
+ * @param {Object} capitalShips - The room's capital ships keyed by id
+ * @param {string} team - Team id
+ * @returns {Object} { x, y, z }
+ */
+export function spawnPosition(spawnPoints, capitalShips, team) {
+    const points = spawnPoints?.[team] || [];
+    if (points.length === 0) return { x: 0, y: 0, z: 0 };
+
+    const point = points[Math.floor(Math.random() * points.length)];
+    if (!point.CAPITAL_SHIP) return { ...point.POSITION };
+
+    // Relative to the ship's current position
+    const ship = capitalShips[point.CAPITAL_SHIP];
+    const base = ship ? ship.position : { x: 0, y: 0, z: 0 };
+    return {
+        x: base.x + point.OFFSET.x,
+        y: base.y + point.OFFSET.y,
+        z: base.z + point.OFFSET.z
+    };
+}
+
+/**
+ * Whether the team had hangars on the map and has lost all of them
+ * @param {Object} capitalShips - The room's capital ships keyed by id
+ * @param {string} team - Team id
+ * @returns {boolean}
+ */
+export function hangarsLost(capitalShips, team) {
+    const carriers = Object.values(capitalShips).filter(ship => ship.team === team && hasHangar(ship));
+    return carriers.length > 0 && !carriers.some(hangarOperational);
+}
+
+/**
+ * Seconds a pilot on the team must wait after being destroyed before relaunching
+ * @param {Object} capitalShips - The room's capital ships keyed by id
+ * @param {string} team - Team id
+ * @returns {number}
+ */
+export function respawnDelay(capitalShips, team) {
+    return hangarsLost(capitalShips, team) ? ServerConfig.RESPAWN.HANGAR_LOST_DELAY : ServerConfig.RESPAWN.DELAY;
+}
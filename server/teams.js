@@ -0,0 +1,69 @@
+import { ServerConfig } from './server-config.js';
+import { TeamsConfig } from '../src/js/config/teams-config.js';
+
+export const TEAM_IDS = Object.keys(TeamsConfig.TEAMS);
+
+/**
+ * Picks the team with the fewest players so teams stay even as players join.
+ * Ties go to the first team in TeamsConfig.TEAMS.
+ * @param {Object} players - The room's players keyed by id
+ * @returns {string} Team id
+ */
+export function assignTeam(players) {
+    const counts = {};
+    TEAM_IDS.forEach(team => { counts[team] = 0; });
+    Object.values(players).forEach(player => {
+        if (counts[player.team] !== undefined) counts[player.team]++;
+    });
+
+    return TEAM_IDS.reduce((smallest, team) => (counts[team] < counts[smallest] ? team : smallest), TEAM_IDS[0]);
+}
+
+/**
+ * Ship type flown by a team
+ * @param {string} team - Team id
+ * @returns {string} Ship type
+ */
+export function teamShipType(team) {
+    return TeamsConfig.TEAMS[team].SHIP_TYPE;
+}
+
+/**
+ * Whether a team's pilots may fly a ship type
+ * @param {string} team - Team id
+ * @param {string} shipType - Ship type
+ * @returns {boolean}
+ */
+export function teamAllowsShip(team, shipType) {
+    return TeamsConfig.TEAMS[team].SHIP_TYPES.includes(shipType);
+}
+
+/**
+ * The team fighting against the given one
+ * @param {string} team - Team id
+ * @returns {string} Team id
+ */
+export function opposingTeam(team) {
+    return TEAM_IDS.find(other => other !== team);
+}
+
+/**
+ * Damage a hit deals after the friendly-fire policy. Hits on an enemy are unchanged;
+ * hits on a teammate are dropped ('off'), scaled ('reduced') or kept ('full').
+ * @param {Object} attacker - Server player record of the shooter
+ * @param {Object} target - Server player record of the target
+ * @param {number} damage - Damage before the policy
+ * @returns {number} Damage to apply (0 means the hit is ignored)
+ */
+export function friendlyFireDamage(attacker, target, damage) {
+    if (attacker.team !== target.team) return damage;
+
+    switch (ServerConfig.TEAMS.FRIENDLY_FIRE) {
+        case 'full':
+            return damage;
+        case 'reduced':
+            return damage * ServerConfig.TEAMS.FRIENDLY_FIRE_DAMAGE_SCALE;
+        default:
+            return 0;
+    }
+}
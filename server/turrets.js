@@ -0,0 +1,133 @@
+import { TurbolaserConfig } from '../src/js/config/weapons/turbolaser.js';
+import { getCapitalShipConfig, subsystemPosition } from '../src/js/shared/capital-ships.js';
+import { interceptPoint } from '../src/js/shared/intercept.js';
+import { distance, normalize } from '../src/js/shared/vector.js';
+
+/**
+ * Weapons turrets can mount, keyed by the weaponType sent with their `fire` broadcasts.
+ * Players can't fire these: recordFire only knows the player weapons.
+ */
+export const TURRET_WEAPONS = {
+    'turbolaser': TurbolaserConfig.PRIMARY
+};
+
+/**
+ * One turret per capital ship subsystem with a WEAPON
+ * @param {Object} capitalShips - The room's capital ships keyed by id
+ * @returns {Array} Turret records
+ */
+export function createTurrets(capitalShips) {
+    const turrets = [];
+    Object.values(capitalShips).forEach(ship => {
+        const config = getCapitalShipConfig(ship.type);
+        Object.entries(config.SUBSYSTEMS).forEach(([subsystemId, subsystem]) => {
+            if (!subsystem.WEAPON) return;
+            turrets.push({
+                id: `${ship.id}:${subsystemId}`, // Used as the bolt owner and in fire broadcasts
+                name: `${config.NAME} ${subsystem.NAME}`,
+                capitalShipId: ship.id,
+                subsystemId,
+                team: ship.team,
+                weaponType: subsystem.WEAPON,
+                velocity: { x: 0, y: 0, z: 0 }, // Bolts inherit nothing
+                kills: 0,
+                lastFireTime: 0
+            });
+        });
+    });
+    return turrets;
+}
+
+/**
+ * Whether the segment from start to end passes through an axis-aligned box (slab test)
+ */
+function segmentHitsBox(start, end, min, max) {
+    let tMin = 0;
+    let tMax = 1;
+    for (const axis of ['x', 'y', 'z']) {
+        const delta = end[axis] - start[axis];
+        if (Math.abs(delta) < 1e-9) {
+            if (start[axis] < min[axis] || start[axis] > max[axis]) return false;
+            continue;
+        }
+        let t1 = (min[axis] - start[axis]) / delta;
+        let t2 = (max[axis] - start[axis]) / delta;
+        if (t1 > t2) [t1, t2] = [t2, t1];
+        tMin = Math.max(tMin, t1);
+        tMax = Math.min(tMax, t2);
+        if (tMin > tMax) return false;
+    }
+    return true;
+}
+
+/**
+ * Whether a turret on the ship can see a point, i.e. the line doesn't cross the ship's HULL_VOLUMES
+ * @param {Object} ship - Capital ship state
+ * @param {Object} from - Muzzle position
+ * @param {Object} to - Target position
+ * @returns {boolean}
+ */
+export function hasLineOfSight(ship, from, to) {
+    const volumes = getCapitalShipConfig(ship.type).HULL_VOLUMES || [];
+    const offset = point => ({ x: point.x + ship.position.x, y: point.y + ship.position.y, z: point.z + ship.position.z });
+    return !volumes.some(volume => segmentHitsBox(from, to, offset(volume.MIN), offset(volume.MAX)));
+}
+
+/**
+ * Nearest living enemy of the turret's team within range and in sight
+ */
+function acquireTarget(turret, ship, muzzle, weapon, players) {
+    return Object.values(players)
+        .filter(player => player.isAlive && player.team !== turret.team)
+        .map(player => ({ player, range: distance(muzzle, player.position) }))
+        .filter(({ range }) => range <= weapon.RANGE)
+        .sort((a, b) => a.range - b.range)
+        .map(({ player }) => player)
+        .find(player => hasLineOfSight(ship, muzzle, player.position)) || null;
+}
+
+/**
+ * Lets every working turret that is off cooldown pick a target and fire at where it will be.
+ * @param {Array} turrets - Turret records (lastFireTime is updated)
+ * @param {Object} capitalShips - The room's capital ships keyed by id
+ * @param {Object} players - The room's players keyed by id
+ * @param {number} now - Server time in milliseconds
+ * @returns {Array} Fire events { turret, targetId, weaponType, position, direction, damage, hitRadius }
+ */
+export function stepTurrets(turrets, capitalShips, players, now) {
+    const fireEvents = [];
+    turrets.forEach(turret => {
+        const ship = capitalShips[turret.capitalShipId];
+        if (!ship || ship.state !== 'active' || ship.subsystems[turret.subsystemId].health <= 0) return;
+
+        const weapon = TURRET_WEAPONS[turret.weaponType];
+        if (now - turret.lastFireTime < 1000 / weapon.FIRE_RATE) return;
+
+        const muzzle = subsystemPosition(ship, turret.subsystemId);
+        const target = acquireTarget(turret, ship, muzzle, weapon, players);
+        if (!target) return;
+
+        // Lead the target from its velocity; skip it if the bolt can't get there in time
+        const aim = interceptPoint(muzzle, turret.velocity, target.position, target.velocity, weapon.SPEED);
+        if (!aim || aim.time > weapon.LIFETIME) return;
+
+        const direction = normalize({
+            x: aim.point.x - muzzle.x + (Math.random() - 0.5) * 2 * weapon.AIM_ERROR * distance(muzzle, aim.point),
+            y: aim.point.y - muzzle.y + (Math.random() - 0.5) * 2 * weapon.AIM_ERROR * distance(muzzle, aim.point),
+            z: aim.point.z - muzzle.z + (Math.random() - 0.5) * 2 * weapon.AIM_ERROR * distance(muzzle, aim.point)
+        });
+        if (!direction) return;
+
+        turret.lastFireTime = now;
+        fireEvents.push({
+            turret,
+            targetId: target.id,
+            weaponType: turret.weaponType,
+            position: muzzle,
+            direction,
+            damage: weapon.DAMAGE,
+            hitRadius: weapon.HIT_RADIUS
+        });
+    });
+    return fireEvents;
+}
@@ -0,0 +1,350 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import RAPIER from '@dimforge/rapier3d';
+import { getCapitalShipConfig, isSubsystemInvulnerable } from '../shared/capital-ships.js';
+
+/**
+ * A server-tracked capital ship: its model, static colliders, and a hitbox per subsystem.
+ * Subsystem health comes from the server; this class only shows it.
+ */
+export default class CapitalShip {
+    /**
+     * @param {THREE.Scene} scene - Scene to add the ship to
+     * @param {RAPIER.World} world - Physics world for the hull colliders
+     * @param {Object} state - Capital ship state from the server (see shared/capital-ships.js)
+     */
+    constructor(scene, world, state) {
+        this.scene = scene;
+        this.world = world;
+        this.state = state;
+        this.id = state.id;
+        this.team = state.team;
+        this.config = getCapitalShipConfig(state.type);
+
+        this.mesh = null;
+        this.rigidBodies = [];
+        this.subsystemMeshes = {}; // subsystemId -> model meshes that break off when it is destroyed
+        this.debrisManager = null;
+        this.particleSystem = null;
+        this.destructionTimers = [];
+
+        this.createHitboxes();
+        this.loadModel();
+    }
+
+    setDebrisManager(debrisManager) {
+        this.debrisManager = debrisManager;
+    }
+
+    setParticleSystem(particleSystem) {
+        this.particleSystem = particleSystem;
+    }
+
+    /**
+     * Invisible spheres bolts are raycast against, one per subsystem.
+     * They sit in an unscaled group at the ship's position, so OFFSET and RADIUS are world units.
+     */
+    createHitboxes() {
+        this.hitboxGroup = new THREE.Group();
+        this.hitboxGroup.position.set(this.state.position.x, this.state.position.y, this.state.position.z);
+        this.hitboxes = {};
+
+        const material = new THREE.MeshBasicMaterial({ visible: false, side: THREE.DoubleSide });
+        Object.entries(this.config.SUBSYSTEMS).forEach(([subsystemId, subsystem]) => {
+            const hitbox = new THREE.Mesh(new THREE.SphereGeometry(subsystem.RADIUS, 12, 8), material);
+            hitbox.position.set(subsystem.OFFSET.x, subsystem.OFFSET.y, subsystem.OFFSET.z);
+            hitbox.userData = {
+                isSubsystem: true,
+                capitalShipId: this.id,
+                subsystemId
+            };
+            this.hitboxes[subsystemId] = hitbox;
+            if (this.state.subsystems[subsystemId].health > 0) {
+                this.hitboxGroup.add(hitbox);
+            }
+        });
+
+        this.scene.add(this.hitboxGroup);
+    }
+
+    loadModel() {
+        const loader = new GLTFLoader();
+        loader.load(
+            this.config.MODEL_PATH,
+            (gltf) => {
+                // The server may have finished the ship off while the model was loading
+                if (this.state.state === 'destroyed') return;
+
+                const mesh = gltf.scene;
+                mesh.scale.set(this.config.SCALE, this.config.SCALE, this.config.SCALE);
+                mesh.position.set(this.state.position.x, this.state.position.y, this.state.position.z);
+                mesh.updateMatrixWorld(true);
+
+                // Mark the main mesh for the ISD collision handling in main.js
+                mesh.userData = mesh.userData || {};
+                mesh.userData.isStaticObject = true;
+                mesh.userData.isISD = true;
+
+                mesh.traverse((child) => {
+                    if (!child.isMesh) return;
+
+                    // Ensure materials have proper settings for lighting
+                    if (child.material) {
+                        const materials = Array.isArray(child.material) ? child.material : [child.material];
+                        materials.forEach(mat => {
+                            if (mat) {
+                                mat.needsUpdate = true;
+                            }
+                        });
+                    }
+
+                    child.userData = child.userData || {};
+                    child.userData.isStaticObject = true;
+                    child.userData.isISD = true;
+                    child.userData.capitalShipId = this.id;
+
+                    const subsystemId = this.subsystemForMesh(child);
+                    if (subsystemId) {
+                        child.userData.subsystemId = subsystemId;
+                        this.subsystemMeshes[subsystemId] = this.subsystemMeshes[subsystemId] || [];
+                        this.subsystemMeshes[subsystemId].push(child);
+                    }
+
+                    this.createCollider(child);
+                });
+
+                this.mesh = mesh;
+                this.scene.add(mesh);
+                console.log(`${this.config.NAME} ${this.id} added to scene with physics colliders`);
+
+                // Subsystems destroyed before we joined are already gone
+                Object.keys(this.subsystemMeshes).forEach(subsystemId => {
+                    if (this.state.subsystems[subsystemId].health <= 0) {
+                        this.removeColliders(this.subsystemMeshes[subsystemId]);
+                        this.subsystemMeshes[subsystemId].forEach(child => child.parent && child.parent.remove(child));
+                    }
+                });
+            },
+            undefined,
+            (error) => {
+                console.error(`An error happened loading the ${this.config.NAME} GLTF model:`, error);
+            }
+        );
+    }
+
+    /**
+     * Subsystem a model mesh belongs to, checking the mesh and its parent nodes against MESH_PATTERNS
+     */
+    subsystemForMesh(child) {
+        for (let node = child; node; node = node.parent) {
+            const name = node.name || '';
+            const subsystemId = Object.keys(this.config.SUBSYSTEMS).find(id =>
+                this.config.SUBSYSTEMS[id].MESH_PATTERNS.some(pattern => name.includes(pattern))
+            );
+            if (subsystemId) return subsystemId;
+        }
+        return null;
+    }
+
+    /**
+     * Static trimesh (or box) collider for one model mesh, so ships can't fly through the hull
+     */
+    createCollider(child) {
+        if (!this.world || !child.geometry) return;
+
+        // Get the world matrix to compute accurate collider position
+        const position = new THREE.Vector3();
+        const quaternion = new THREE.Quaternion();
+        const scale = new THREE.Vector3();
+        child.matrixWorld.decompose(position, quaternion, scale);
+
+        const rigidBody = this.world.createRigidBody(RAPIER.RigidBodyDesc.fixed());
+        rigidBody.setTranslation(position, true);
+        rigidBody.setRotation(quaternion, true);
+
+        const positions = child.geometry.attributes.position;
+        const indices = child.geometry.index;
+        let colliderDesc;
+        if (indices) {
+            const vertices = [];
+            const vertex = new THREE.Vector3();
+            for (let i = 0; i < positions.count; i++) {
+                vertex.fromBufferAttribute(positions, i).multiply(scale);
+                vertices.push(vertex.x, vertex.y, vertex.z);
+            }
+            const indicesArray = [];
+            for (let i = 0; i < indices.count; i++) {
+                indicesArray.push(indices.getX(i));
+            }
+            colliderDesc = RAPIER.ColliderDesc.trimesh(vertices, indicesArray);
+        } else {
+            // Fallback: bounding box collider
+            const size = new THREE.Box3().setFromBufferAttribute(positions).getSize(new THREE.Vector3()).multiply(scale);
+            colliderDesc = RAPIER.ColliderDesc.cuboid(size.x / 2, size.y / 2, size.z / 2);
+        }
+        colliderDesc.setCollisionGroups(0b0100); // Static objects collision group
+        this.world.createCollider(colliderDesc, rigidBody);
+
+        // Store reference to the mesh for collision handling
+        rigidBody.userData = {
+            mesh: child,
+            isStaticObject: true,
+            isISD: true
+        };
+        this.rigidBodies.push(rigidBody);
+    }
+
+    /**
+     * Hitboxes bolts can currently hit
+     * @returns {THREE.Mesh[]}
+     */
+    getHitboxes() {
+        if (this.state.state !== 'active') return [];
+        return this.hitboxGroup.children;
+    }
+
+    /**
+     * World position of a subsystem's hitbox
+     * @returns {THREE.Vector3}
+     */
+    getSubsystemPosition(subsystemId) {
+        return this.hitboxGroup.position.clone().add(this.hitboxes[subsystemId].position);
+    }
+
+    /**
+     * Whether the ship's shield generators are protecting this subsystem
+     */
+    isInvulnerable(subsystemId) {
+        return isSubsystemInvulnerable(this.state, subsystemId);
+    }
+
+    /**
+     * Apply a health update from the server
+     */
+    updateSubsystem(subsystemId, health) {
+        const subsystem = this.state.subsystems[subsystemId];
+        if (subsystem) {
+            subsystem.health = health;
+        }
+    }
+
+    /**
+     * Break a subsystem off the hull: debris from its meshes and a burst of particles at its hitbox
+     */
+    destroySubsystem(subsystemId) {
+        this.updateSubsystem(subsystemId, 0);
+
+        const hitbox = this.hitboxes[subsystemId];
+        if (!hitbox) return;
+        this.hitboxGroup.remove(hitbox);
+
+        const center = this.hitboxGroup.position.clone().add(hitbox.position);
+        this.explode(center, this.config.SUBSYSTEMS[subsystemId].RADIUS);
+
+        const meshes = this.subsystemMeshes[subsystemId] || [];
+        if (meshes.length === 0) return;
+        this.removeColliders(meshes);
+        if (this.debrisManager) {
+            // Move the meshes to the scene root first so debris starts from their world transform
+            meshes.forEach(mesh => this.scene.attach(mesh));
+            this.debrisManager.createDebrisFromComponent(meshes, new THREE.Vector3());
+        } else {
+            meshes.forEach(mesh => mesh.parent && mesh.parent.remove(mesh));
+        }
+        delete this.subsystemMeshes[subsystemId];
+    }
+
+    /**
+     * Remove the hull colliders built for the given meshes
+     */
+    removeColliders(meshes) {
+        this.rigidBodies = this.rigidBodies.filter(rigidBody => {
+            if (!meshes.includes(rigidBody.userData.mesh)) return true;
+            if (this.world) {
+                this.world.removeRigidBody(rigidBody);
+            }
+            return false;
+        });
+    }
+
+    /**
+     * Particle explosion of the given size
+     */
+    explode(position, size) {
+        if (!this.particleSystem) return;
+        const direction = new THREE.Vector3(Math.random() - 0.5, Math.random() - 0.5, Math.random() - 0.5).normalize();
+        this.particleSystem.createHitEffect(position, direction, new THREE.Color(0xff8800), 30, size, Math.PI);
+        this.particleSystem.createHitEffect(position, direction.negate(), new THREE.Color(0xffff66), 20, size * 0.5, Math.PI);
+    }
+
+    /**
+     * Play the destruction sequence: explosions across the hull for the given duration,
+     * with the remaining subsystems breaking off along the way
+     * @param {number} duration - Seconds until the server removes the ship
+     */
+    startDestruction(duration = this.config.DESTRUCTION_TIME) {
+        if (this.state.state !== 'active') return;
+        this.state.state = 'destroying';
+
+        const count = this.config.DESTRUCTION_EXPLOSIONS;
+        const remaining = Object.keys(this.state.subsystems).filter(id => this.state.subsystems[id].health > 0);
+        const box = this.mesh ? new THREE.Box3().setFromObject(this.mesh) : null;
+
+        for (let i = 0; i < count; i++) {
+            const timer = setTimeout(() => {
+                // Work through the remaining subsystems, then random points on the hull
+                const subsystemId = remaining.shift();
+                if (subsystemId) {
+                    this.destroySubsystem(subsystemId);
+                } else if (box) {
+                    const point = new THREE.Vector3(
+                        THREE.MathUtils.lerp(box.min.x, box.max.x, Math.random()),
+                        THREE.MathUtils.lerp(box.min.y, box.max.y, Math.random()),
+                        THREE.MathUtils.lerp(box.min.z, box.max.z, Math.random())
+                    );
+                    this.explode(point, 40);
+                }
+            }, (i / count) * duration * 1000);
+            this.destructionTimers.push(timer);
+        }
+    }
+
+    /**
+     * Final break-up once the server reports the ship destroyed: the hull goes to debris
+     * and its colliders are removed
+     */
+    finishDestruction() {
+        this.state.state = 'destroyed';
+        if (this.mesh) {
+            const meshes = [];
+            this.mesh.traverse(child => {
+                if (child.isMesh) meshes.push(child);
+            });
+            if (this.debrisManager) {
+                meshes.forEach(mesh => this.scene.attach(mesh));
+                this.debrisManager.createDebrisFromComponent(meshes, new THREE.Vector3());
+            }
+            this.explode(this.mesh.position.clone(), 80);
+        }
+        this.dispose();
+    }
+
+    /**
+     * Remove the ship, its hitboxes and colliders from the scene and world
+     */
+    dispose() {
+        this.destructionTimers.forEach(timer => clearTimeout(timer));
+        this.destructionTimers = [];
+
+        if (this.world) {
+            this.rigidBodies.forEach(rigidBody => this.world.removeRigidBody(rigidBody));
+        }
+        this.rigidBodies = [];
+
+        if (this.mesh) {
+            this.scene.remove(this.mesh);
+            this.mesh = null;
+        }
+        this.scene.remove(this.hitboxGroup);
+    }
+}
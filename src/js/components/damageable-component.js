@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { applyDamage, isDestroyed } from '../shared/damage-model.js';
 /**
  * Common damage and component health system for ships and enemies
  */
@@ -24,48 +25,27 @@ export default class DamageableComponent {
     takeDamage(damage, componentId = null, shieldAbsorption = 0) {
         console.log(`takeDamage called: damage=${damage}, componentId=${componentId}, shieldAbsorption=${shieldAbsorption}`);
 
-        let remainingDamage = damage;
+        // Shields, then hull, then the hit component (shared with the server)
+        const state = { shield: shieldAbsorption, hull: this.totalHullHealth, componentHealth: this.componentHealth };
+        const result = applyDamage(state, damage, componentId);
+        this.totalHullHealth = state.hull;
 
-        // FIRST: Apply damage to shields (shields absorb damage before anything else)
-        if (shieldAbsorption > 0) {
-            const shieldDamage = Math.min(remainingDamage, shieldAbsorption);
-            remainingDamage -= shieldDamage;
-            console.log(`Shield absorbed ${shieldDamage} damage, remaining damage: ${remainingDamage}`);
+        if (result.shieldDamage > 0) {
+            console.log(`Shield absorbed ${result.shieldDamage} damage`);
         }
 
-        // SECOND: If shields are depleted and we have remaining damage, apply to components and hull
-        if (remainingDamage > 0) {
-            // Always apply damage to total hull health
-            const totalHullDamage = Math.min(remainingDamage, this.totalHullHealth);
-            this.totalHullHealth -= totalHullDamage;
-            remainingDamage -= totalHullDamage;
-            this.totalHullHealth = Math.max(0, this.totalHullHealth);
-
-            // Apply damage to specific component if provided
-            if (componentId && this.componentHealth[componentId] !== undefined) {
-                const componentDamage = Math.min(totalHullDamage, this.componentHealth[componentId]);
-                this.componentHealth[componentId] -= componentDamage;
-                this.componentHealth[componentId] = Math.max(0, this.componentHealth[componentId]);
-
-                console.log(`Component ${componentId} damaged for ${componentDamage}, remaining health: ${this.componentHealth[componentId]}`);
-
-                // Check if component should be destroyed
-                if (this.componentHealth[componentId] <= 0) {
-                    console.log(`Component ${componentId} destroyed!`);
-                    this.destroyComponent(componentId);
-                }
-            }
-
-            // Apply any remaining damage to legacy systems (for backward compatibility)
-            if (remainingDamage > 0) {
-                console.log(`Legacy damage: ${remainingDamage}`);
-            }
+        if (result.componentDamage > 0) {
+            console.log(`Component ${componentId} damaged for ${result.componentDamage}, remaining health: ${this.componentHealth[componentId]}`);
+        }
 
-            console.log(`Total hull health: ${this.totalHullHealth}/${this.maxTotalHullHealth}`);
+        if (result.componentDestroyed) {
+            console.log(`Component ${componentId} destroyed!`);
+            this.destroyComponent(componentId);
         }
 
-        // Check destruction conditions
-        return this.isDestroyed();
+        console.log(`Total hull health: ${this.totalHullHealth}/${this.maxTotalHullHealth}`);
+
+        return result.destroyed;
     }
 
     /**
@@ -73,27 +53,7 @@ export default class DamageableComponent {
      * @returns {boolean} True if destroyed
      */
     isDestroyed() {
-        // Total hull health ≤ 0
-        if (this.totalHullHealth <= 0) {
-            return true;
-        }
-
-        // Main hull component destroyed
-        if (this.componentHealth.main_body !== undefined && this.componentHealth.main_body <= 0) {
-            return true;
-        }
-
-        // Both wings destroyed (if applicable)
-        const hasWings = this.componentHealth.left_wing !== undefined && this.componentHealth.right_wing !== undefined;
-        if (hasWings) {
-            const leftWingDestroyed = this.componentHealth.left_wing <= 0;
-            const rightWingDestroyed = this.componentHealth.right_wing <= 0;
-            if (leftWingDestroyed && rightWingDestroyed) {
-                return true;
-            }
-        }
-
-        return false;
+        return isDestroyed({ hull: this.totalHullHealth, componentHealth: this.componentHealth });
     }
 
     /**
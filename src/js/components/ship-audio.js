@@ -0,0 +1,287 @@
+import * as THREE from 'three';
+
+/**
+ * Engine and boost sounds for a ship, from the ENGINE_AUDIO and BOOST_AUDIO in its config.
+ * Either sound may be left out of the config.
+ */
+export default class ShipAudio {
+    /**
+     * @param {BaseShip} ship - The ship the sounds follow
+     */
+    constructor(ship) {
+        this.ship = ship;
+        this.config = ship.config;
+
+        // Engine audio setup
+        this.engineAudioLoaded = false;
+        this.engineAudioBuffer = null;
+        this.engineSound = null;
+        if (this.config.ENGINE_AUDIO) {
+            this.loadEngineAudio();
+        }
+
+        // Boost audio setup
+        this.boostAudioLoaded = false;
+        this.boostSound = null;
+        this.boostAudioBuffer = null;
+        this.boostFadeInterval = null; // Track the fade interval
+        if (this.config.BOOST_AUDIO) {
+            this.loadBoostAudio();
+        }
+    }
+
+    /**
+     * Load engine audio
+     */
+    loadEngineAudio() {
+        const audioLoader = new THREE.AudioLoader();
+        audioLoader.load(
+            this.config.ENGINE_AUDIO,
+            (buffer) => {
+                this.engineAudioBuffer = buffer;
+                this.engineAudioLoaded = true;
+                console.log(`${this.config.NAME} engine audio loaded successfully`);
+            },
+            undefined,
+            (error) => {
+                console.warn(`Failed to load ${this.config.NAME} engine audio:`, error);
+                this.engineAudioLoaded = false;
+            }
+        );
+    }
+
+    /**
+     * Create the looping engine sound
+     */
+    createEngineSound() {
+        try {
+            // Get the audio listener from the global camera
+            const audioListener = window.camera?.audioListener;
+            if (!audioListener) {
+                console.warn('AudioListener not found on camera for engine sound');
+                return;
+            }
+
+            // Create positional audio source
+            this.engineSound = new THREE.PositionalAudio(audioListener);
+            this.engineSound.setBuffer(this.engineAudioBuffer);
+            this.engineSound.setRefDistance(50); // Distance at which volume starts to attenuate
+            this.engineSound.setVolume(0); // Start at 0 volume
+            this.engineSound.setLoop(true); // Engine sound loops continuously
+
+            // Position the sound at the ship
+            this.engineSound.position.copy(this.ship.mesh.position);
+            this.ship.scene.add(this.engineSound);
+
+            // Don't play immediately - wait for first volume update to avoid loud burst
+            console.log(`${this.config.NAME} engine sound started`);
+        } catch (error) {
+            console.warn('Failed to create engine sound:', error);
+            this.engineSound = null;
+        }
+    }
+
+    /**
+     * Load boost audio
+     */
+    loadBoostAudio() {
+        const audioLoader = new THREE.AudioLoader();
+        audioLoader.load(
+            this.config.BOOST_AUDIO,
+            (buffer) => {
+                this.boostAudioBuffer = buffer;
+                this.boostAudioLoaded = true;
+                console.log(`${this.config.NAME} boost audio loaded successfully`);
+            },
+            undefined,
+            (error) => {
+                console.warn(`Failed to load ${this.config.NAME} boost audio:`, error);
+                this.boostAudioLoaded = false;
+            }
+        );
+    }
+
+    /**
+     * Per-frame update, once the ship's model is in the scene
+     * @param {Player} player - The player flying the ship
+     */
+    update(player) {
+        if (this.engineAudioLoaded && !this.engineSound) {
+            this.createEngineSound();
+        }
+        this.updateEngineAudio(player);
+        this.updateBoostAudio();
+    }
+
+    /**
+     * Update boost audio based on boosting state
+     */
+    updateBoostAudio() {
+        if (!this.boostAudioLoaded || !this.boostAudioBuffer) {
+            return;
+        }
+
+        // Check for boost state change
+        if (this.ship.boosting && !this.boostSound) {
+            // Boost just started - play the sound
+            this.playBoostSound();
+        } else if (this.ship.boosting && this.boostSound && this.boostFadeInterval) {
+            // Boost started again while fading out - stop fade and play new sound
+            clearInterval(this.boostFadeInterval);
+            this.boostFadeInterval = null;
+            this.stopBoostSound();
+            this.playBoostSound();
+        } else if (!this.ship.boosting && this.boostSound) {
+            // Boost just stopped - fade out the sound
+            this.fadeOutBoostSound();
+        }
+    }
+
+    /**
+     * Play boost sound
+     */
+    playBoostSound() {
+        try {
+            // Get the audio listener from the global camera
+            const audioListener = window.camera?.audioListener;
+            if (!audioListener) {
+                console.warn('AudioListener not found on camera for boost sound');
+                return;
+            }
+
+            // Create positional audio source
+            this.boostSound = new THREE.PositionalAudio(audioListener);
+            this.boostSound.setBuffer(this.boostAudioBuffer);
+            this.boostSound.setRefDistance(50);
+            this.boostSound.setVolume(0.05); // Low volume as requested
+            this.boostSound.setLoop(false); // Don't loop the boost sound
+
+            // Position the sound at the ship
+            this.boostSound.position.copy(this.ship.mesh.position);
+            this.ship.scene.add(this.boostSound);
+
+            // Play the sound
+            this.boostSound.play();
+
+            console.log(`${this.config.NAME} boost sound played`);
+        } catch (error) {
+            console.warn('Failed to play boost sound:', error);
+            this.boostSound = null;
+        }
+    }
+
+    /**
+     * Fade out the currently playing boost sound over 2 seconds
+     */
+    fadeOutBoostSound() {
+        if (this.boostSound && !this.boostFadeInterval) {
+            try {
+                // Fade out the sound over 2 seconds
+                const fadeDuration = 2.0; // 2 seconds
+                const steps = 40; // More steps for smoother fade
+                const stepDuration = fadeDuration / steps;
+                const initialVolume = this.boostSound.getVolume();
+                const volumeStep = initialVolume / steps;
+
+                let currentStep = 0;
+                this.boostFadeInterval = setInterval(() => {
+                    currentStep++;
+                    const newVolume = Math.max(0, initialVolume - (volumeStep * currentStep));
+
+                    if (this.boostSound) {
+                        this.boostSound.setVolume(newVolume);
+                    }
+
+                    if (currentStep >= steps) {
+                        clearInterval(this.boostFadeInterval);
+                        this.boostFadeInterval = null;
+                        this.stopBoostSound();
+                    }
+                }, stepDuration * 100);
+
+                console.log(`${this.config.NAME} boost sound fading out`);
+            } catch (error) {
+                console.warn('Failed to fade out boost sound:', error);
+                clearInterval(this.boostFadeInterval);
+                this.boostFadeInterval = null;
+                this.stopBoostSound();
+            }
+        }
+    }
+
+    /**
+     * Stop boost sound
+     */
+    stopBoostSound() {
+        if (this.boostSound) {
+            try {
+                this.boostSound.stop();
+                this.ship.scene.remove(this.boostSound);
+                this.boostSound = null;
+                console.log(`${this.config.NAME} boost sound stopped`);
+            } catch (error) {
+                console.warn('Failed to stop boost sound:', error);
+            }
+        }
+    }
+
+    /**
+     * Update engine audio volume based on speed
+     * @param {Player} player - The player flying the ship
+     */
+    updateEngineAudio(player) {
+        if (!this.engineSound || !this.engineAudioLoaded) {
+            return;
+        }
+
+        const speedMagnitude = player.velocity.length();
+
+        // Always play engine sound, but at minimum volume when stopped
+        if (speedMagnitude < 0.1) {
+            // Set to minimum volume when not moving
+            this.engineSound.setVolume(0.005);
+            // Update sound position to follow the ship
+            this.engineSound.position.copy(this.ship.mesh.position);
+            return;
+        }
+
+        // Start playing if not already playing
+        if (!this.engineSound.isPlaying) {
+            this.engineSound.play();
+        }
+
+        // Map speed to volume (reverse scaling: loud at low speed, silent at high speed)
+        const minVolume = 0.0;
+        const maxVolume = 0.005;
+        const maxSpeed = this.ship.maxSpeedForward; // Use max speed as reference
+
+        const targetVolume = minVolume + (maxVolume - minVolume) * (1.0 - Math.min(speedMagnitude / maxSpeed, 1.0));
+
+        // Smooth the volume changes
+        const currentVolume = this.engineSound.getVolume();
+        const smoothedVolume = currentVolume + (targetVolume - currentVolume) * 0.1; // Smooth transition
+
+        this.engineSound.setVolume(smoothedVolume);
+
+        // Update sound position to follow the ship
+        this.engineSound.position.copy(this.ship.mesh.position);
+    }
+
+    /**
+     * Stop and remove every sound, e.g. when the ship is replaced
+     */
+    dispose() {
+        if (this.boostFadeInterval) {
+            clearInterval(this.boostFadeInterval);
+            this.boostFadeInterval = null;
+        }
+        this.stopBoostSound();
+        if (this.engineSound) {
+            if (this.engineSound.isPlaying) {
+                this.engineSound.stop();
+            }
+            this.ship.scene.remove(this.engineSound);
+            this.engineSound = null;
+        }
+    }
+}
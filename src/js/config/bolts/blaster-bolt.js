@@ -4,6 +4,7 @@
 export const BlasterBoltConfig = {
     SPEED: 60,
     LIFETIME: 2.0,
+    VELOCITY_INHERITANCE: 'full', // The whole ship velocity is added
     DAMAGE: 10,
     MAX_COUNT: 50, // Per type
 };
\ No newline at end of file
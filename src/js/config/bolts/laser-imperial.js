@@ -4,6 +4,7 @@
 export const LaserImperialConfig = {
     SPEED: 60,
     LIFETIME: 10.0,
+    VELOCITY_INHERITANCE: 'forward', // Only the ship's speed along the bolt is added
     DAMAGE: 10,
     MAX_COUNT: 50, // Per type
     MODEL_PATH: '/assets/models/lasers/LASER_IMPERIAL.glb'
@@ -0,0 +1,11 @@
+/**
+ * Configuration for rebel laser bolt projectile
+ */
+export const LaserRebelConfig = {
+    SPEED: 70,
+    LIFETIME: 10.0,
+    VELOCITY_INHERITANCE: 'forward', // Only the ship's speed along the bolt is added
+    DAMAGE: 8,
+    MAX_COUNT: 50, // Per type
+    COLOR: 0xff2200,
+};
@@ -0,0 +1,12 @@
+/**
+ * Configuration for turbolaser bolt projectile
+ */
+export const TurbolaserBoltConfig = {
+    SPEED: 150,
+    LIFETIME: 6.0,
+    VELOCITY_INHERITANCE: 'full', // Turrets are static, so nothing is inherited in practice
+    DAMAGE: 25,
+    COLOR: 0x33ff33,
+    RADIUS: 0.3,
+    LENGTH: 6,
+};
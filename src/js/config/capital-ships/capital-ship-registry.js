@@ -0,0 +1,8 @@
+/**
+ * Configuration for the capital ships maps can place, keyed by the capital ship type used on the wire.
+ */
+import { ImperialStarDestroyerConfig } from './imperial-star-destroyer.js';
+
+export const CapitalShipRegistry = {
+    'imperial-star-destroyer': ImperialStarDestroyerConfig,
+};
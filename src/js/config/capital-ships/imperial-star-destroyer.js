@@ -0,0 +1,104 @@
+/**
+ * Configuration for the Imperial Star Destroyer capital ship
+ */
+export const ImperialStarDestroyerConfig = {
+    NAME: 'Imperial Star Destroyer',
+    MODEL_PATH: '/assets/models/isd/ISD.glb',
+    SCALE: 0.5,
+
+    // Seconds from the bridge going down to the hull breaking up
+    DESTRUCTION_TIME: 10,
+    DESTRUCTION_EXPLOSIONS: 12, // Explosions spread over the destruction sequence
+
+    // While any of these is up, every other subsystem is invulnerable
+    SHIELD_SUBSYSTEM_TYPE: 'shield_generator',
+    // Losing this subsystem starts the destruction sequence
+    CRITICAL_SUBSYSTEM: 'bridge',
+    // Fighters launch from these; the team respawns more slowly once they are all down
+    HANGAR_SUBSYSTEM_TYPE: 'hangar',
+
+    // Rough boxes around the hull (relative to the ship's position) that turrets can't see
+    // or shoot through. Turrets sit on the hull edges, just outside them.
+    HULL_VOLUMES: [
+        { MIN: { x: -55, y: -75, z: -500 }, MAX: { x: 55, y: -25, z: -250 } }, // Bow
+        { MIN: { x: -100, y: -80, z: -250 }, MAX: { x: 100, y: -25, z: -50 } },
+        { MIN: { x: -120, y: -90, z: -50 }, MAX: { x: 120, y: -10, z: 150 } },
+        { MIN: { x: -130, y: -110, z: 150 }, MAX: { x: 130, y: 30, z: 505 } }, // Stern
+        { MIN: { x: -65, y: 30, z: 300 }, MAX: { x: 65, y: 125, z: 505 } }, // Bridge tower
+    ],
+
+    // Targetable subsystems. OFFSET is the hitbox centre relative to the ship's position
+    // (world units, after SCALE), RADIUS the hitbox size, and MESH_PATTERNS pick the model
+    // meshes that break apart when the subsystem is destroyed. Subsystems with a WEAPON are
+    // turrets the server fires from OFFSET.
+    SUBSYSTEMS: {
+        shield_generator_port: {
+            NAME: 'Port Shield Generator',
+            TYPE: 'shield_generator',
+            HEALTH: 300,
+            OFFSET: { x: -50.5, y: 112, z: 354 },
+            RADIUS: 18,
+            MESH_PATTERNS: ['019ShieldGenerator']
+        },
+        shield_generator_starboard: {
+            NAME: 'Starboard Shield Generator',
+            TYPE: 'shield_generator',
+            HEALTH: 300,
+            OFFSET: { x: 50.5, y: 112, z: 354 },
+            RADIUS: 18,
+            MESH_PATTERNS: ['021ShieldGenerator']
+        },
+        turret_port_fore: {
+            NAME: 'Port Fore Turret',
+            TYPE: 'turret',
+            WEAPON: 'turbolaser',
+            HEALTH: 150,
+            OFFSET: { x: -148, y: -59.8, z: 152.2 },
+            RADIUS: 12,
+            MESH_PATTERNS: ['001WeaponSystem2']
+        },
+        turret_starboard_fore: {
+            NAME: 'Starboard Fore Turret',
+            TYPE: 'turret',
+            WEAPON: 'turbolaser',
+            HEALTH: 150,
+            OFFSET: { x: 148, y: -59.8, z: 152.2 },
+            RADIUS: 12,
+            MESH_PATTERNS: ['004WeaponSystem2']
+        },
+        turret_port_aft: {
+            NAME: 'Port Aft Turret',
+            TYPE: 'turret',
+            WEAPON: 'turbolaser',
+            HEALTH: 150,
+            OFFSET: { x: -187.4, y: -59.3, z: 319.6 },
+            RADIUS: 12,
+            MESH_PATTERNS: ['002WeaponSystem2']
+        },
+        turret_starboard_aft: {
+            NAME: 'Starboard Aft Turret',
+            TYPE: 'turret',
+            WEAPON: 'turbolaser',
+            HEALTH: 150,
+            OFFSET: { x: 187.4, y: -59.3, z: 319.6 },
+            RADIUS: 12,
+            MESH_PATTERNS: ['003WeaponSystem2']
+        },
+        hangar: {
+            NAME: 'Hangar',
+            TYPE: 'hangar',
+            HEALTH: 400,
+            OFFSET: { x: 0.7, y: -73.6, z: -98.6 },
+            RADIUS: 40,
+            MESH_PATTERNS: ['030Hangar']
+        },
+        bridge: {
+            NAME: 'Bridge',
+            TYPE: 'bridge',
+            HEALTH: 500,
+            OFFSET: { x: 0, y: 80, z: 440 },
+            RADIUS: 35,
+            MESH_PATTERNS: ['006Bridge']
+        }
+    }
+};
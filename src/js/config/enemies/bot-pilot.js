@@ -0,0 +1,58 @@
+/**
+ * Configuration for the server's AI fighter pilots
+ */
+export const BotPilotConfig = {
+    SHIP_TYPE: 'imperial-tie-fighter', // Flown with the same flight model and ship config as players
+    WEAPON: 'tie-cannon',
+    CALLSIGNS: ['Black 2', 'Black 3', 'Black 4', 'Black 5', 'Black 6', 'Black 7', 'Black 8'],
+
+    // Skill levels, picked per room. Turn rates are radians per second; angles are radians.
+    SKILLS: {
+        rookie: {
+            NAME: 'Rookie',
+            REACTION_TIME: 1.2, // Seconds between spotting a target and going after it
+            TURN_RATE: 1.2,
+            AIM_ERROR: 0.06, // Random error added to each shot
+            FIRE_CONE: 0.15, // Fires when the lead point is within this angle of the nose
+            LEADS_TARGET: false, // Rookies shoot where the target is, not where it will be
+            EVADE_CHANCE: 0.3, // Chance of jinking when hit
+            BOOST: false,
+        },
+        veteran: {
+            NAME: 'Veteran',
+            REACTION_TIME: 0.6,
+            TURN_RATE: 1.8,
+            AIM_ERROR: 0.03,
+            FIRE_CONE: 0.1,
+            LEADS_TARGET: true,
+            EVADE_CHANCE: 0.6,
+            BOOST: true,
+        },
+        ace: {
+            NAME: 'Ace',
+            REACTION_TIME: 0.25,
+            TURN_RATE: 2.5,
+            AIM_ERROR: 0.012,
+            FIRE_CONE: 0.06,
+            LEADS_TARGET: true,
+            EVADE_CHANCE: 0.9,
+            BOOST: true,
+        },
+    },
+    DEFAULT_SKILL: 'veteran',
+
+    // Behaviour
+    PATROL_RADIUS: 150, // Waypoints are picked this far around the bot's spawn
+    WAYPOINT_REACHED: 30, // Distance at which a patrol waypoint counts as reached
+    DETECTION_RANGE: 500, // Targets further away than this are ignored
+    ATTACK_RANGE: 300, // Pursuit turns into an attack run inside this range
+    FIRE_RANGE: 250, // Only fires at targets this close
+    MIN_RANGE: 40, // Breaks off an attack run this close to the target to avoid a collision
+    BOOST_RANGE: 350, // Boosts to close the distance beyond this range (skills with BOOST only)
+    EVADE_TIME: 1.5, // Seconds of jinking after being hit
+    BREAK_OFF_TIME: 2.5, // Seconds spent pulling away before re-engaging
+    HULL_CLEARANCE: 60, // Distance kept from capital ship hulls
+    HULL_LOOKAHEAD: 1.5, // Seconds ahead the flight path is checked against capital ship hulls
+    MUZZLE_OFFSET: 3, // Distance ahead of the ship's centre that bolts are fired from
+    HIT_RADIUS: 4, // Distance from a ship's centre at which a bot's bolt hits it
+};
@@ -0,0 +1,24 @@
+/**
+ * Configuration for the kill feed and combat log
+ */
+export const FeedConfig = {
+    KILL_FEED: {
+        MAX_ENTRIES: 5, // Oldest entries are dropped beyond this
+        DURATION: 8, // Seconds an entry stays up
+        FADE_TIME: 2, // Seconds it takes to fade out at the end
+    },
+
+    COMBAT_LOG: {
+        MAX_ENTRIES: 100,
+    },
+
+    // How weapons are named in the feed and log, keyed by weaponType
+    WEAPON_NAMES: {
+        'blaster': 'Blaster',
+        'tie-cannon': 'Laser Cannons',
+        'quad-laser': 'Laser Cannons',
+        'turbolaser': 'Turbolaser',
+        'proton-torpedo': 'Proton Torpedo',
+        'concussion-missile': 'Concussion Missile',
+    },
+};
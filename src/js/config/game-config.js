@@ -12,9 +12,19 @@ export const GameConfig = {
 
     // Network settings
     NETWORK: {
-        POSITION_UPDATE_RATE: 60, // Updates per second
+        INPUT_SEND_RATE: 30, // Input batches per second sent to the server (it simulates at its own tick rate)
         BOLT_GRACE_PERIOD: 0.3, // Seconds before bolt can damage owner
         NETWORKED_BOLT_GRACE_PERIOD: 0.2,
+        INTERPOLATION_DELAY: 0.1, // Seconds remote players are rendered in the past
+        MAX_EXTRAPOLATION: 0.25, // Seconds to keep extrapolating a remote player after its last state
+        SNAPSHOT_BUFFER_SIZE: 32, // Remote states kept per player
+        MAX_PENDING_INPUTS: 240, // Unacknowledged inputs kept for replay (~4s at 60 FPS)
+        RECONCILE_POSITION_EPSILON: 0.05, // Server/prediction disagreement tolerated before replaying
+        RECONCILE_ROTATION_EPSILON: 0.0001, // As 1 - |dot| between quaternions
+        PING_INTERVAL: 1, // Seconds between latency probes; the measured round trip is reported to the server
+        LATENCY_SMOOTHING: 0.2, // Weight of each new round-trip sample
+        RECONNECT_BASE_DELAY: 1, // Seconds before the first reconnect attempt; doubled after each failure
+        RECONNECT_MAX_DELAY: 16, // Longest wait between reconnect attempts
     },
 
     // UI settings
@@ -0,0 +1,17 @@
+/**
+ * Configuration for the damage-direction indicator and the hit markers
+ */
+export const HitFeedbackConfig = {
+    DAMAGE_INDICATOR: {
+        RADIUS: 90, // Pixels from the crosshair to each arc
+        DURATION: 1.5, // Seconds an arc stays up after the last hit from that attacker
+        FADE_TIME: 0.75, // Seconds it takes to fade out at the end
+    },
+
+    // Flash around the crosshair, and a short synthesized tone, when our own shots land
+    HIT_MARKERS: {
+        hit: { COLOR: '#ffffff', SIZE: 16, DURATION: 0.15, TONE: 1400, TONE_DURATION: 0.05, VOLUME: 0.15 },
+        component: { COLOR: '#ffa726', SIZE: 22, DURATION: 0.3, TONE: 900, TONE_DURATION: 0.12, VOLUME: 0.2 },
+        kill: { COLOR: '#ff1744', SIZE: 30, DURATION: 0.6, TONE: 500, TONE_DURATION: 0.3, VOLUME: 0.25 },
+    },
+};
@@ -8,11 +8,37 @@ export const Map1Config = {
     STAR_SIZE: 0.1,
 
     // Map objects
-    ISD_SCALE: 0.5,
-    ISD_POSITION: { x: 200, y: 0, z: 0 },
     PLAYER_SCALE: 0.5,
     ENEMY_SCALE: 0.5,
 
+    // Capital ships the server tracks in every room on this map
+    CAPITAL_SHIPS: [
+        { ID: 'isd', TYPE: 'imperial-star-destroyer', TEAM: 'empire', POSITION: { x: 200, y: 0, z: 0 } },
+    ],
+
+    // Where each team's pilots launch from, picked at random on spawn and respawn. A point with
+    // CAPITAL_SHIP is OFFSET from that ship (near its hangar); one without is a fixed POSITION.
+    SPAWN_POINTS: {
+        empire: [
+            { CAPITAL_SHIP: 'isd', OFFSET: { x: -20, y: -110, z: -120 } },
+            { CAPITAL_SHIP: 'isd', OFFSET: { x: 20, y: -110, z: -120 } },
+            { CAPITAL_SHIP: 'isd', OFFSET: { x: 0, y: -130, z: -140 } },
+        ],
+        rebel: [
+            { POSITION: { x: -400, y: 0, z: 0 } },
+            { POSITION: { x: -400, y: 20, z: 30 } },
+            { POSITION: { x: -400, y: -20, z: -30 } },
+        ],
+    },
+
+    // Where AI bots spawn and patrol around, one per bot slot
+    BOT_SPAWNS: [
+        { x: -150, y: 40, z: -200 },
+        { x: -200, y: -30, z: 100 },
+        { x: -100, y: 60, z: 250 },
+        { x: -250, y: 0, z: -50 },
+    ],
+
     // Lighting settings
     LIGHTING: {
         AMBIENT: {
@@ -0,0 +1,18 @@
+/**
+ * Configuration for the HUD's target brackets and off-screen arrows
+ */
+export const MarkersConfig = {
+    BRACKET_RANGE: 800, // Hostiles nearer than this get brackets; the target and capital ships always do
+    MIN_BRACKET_SIZE: 24, // Pixels
+    EDGE_MARGIN: 40, // Pixels between the off-screen arrows and the screen edge
+
+    // Rough radius of each kind of contact, for sizing its bracket
+    RADIUS: {
+        player: 4,
+        enemy: 4,
+        capitalShip: 120,
+    },
+
+    TARGET_COLOR: '#ffeb3b',
+    NEUTRAL_COLOR: '#cccccc', // Contacts without a team, e.g. the target dummy
+};
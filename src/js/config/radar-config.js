@@ -0,0 +1,16 @@
+/**
+ * Configuration for the radar
+ */
+export const RadarConfig = {
+    RANGE: 1500, // Contacts further away than this are left off
+    SCOPE_SIZE: 140, // Diameter of each hemisphere's scope, in pixels
+
+    // Contact dot radius in pixels, from the edge of the range to point blank
+    MIN_DOT_SIZE: 2,
+    MAX_DOT_SIZE: 5,
+    CAPITAL_SHIP_DOT_SIZE: 8,
+
+    NEUTRAL_COLOR: '#cccccc', // Contacts without a team, e.g. the target dummy
+    MISSILE_COLOR: '#ff1744', // Missiles locked on to us
+    TARGET_COLOR: '#ffeb3b', // Ring around the selected target; filled in once the secondary weapon has a lock
+};
@@ -2,6 +2,14 @@
  * Configuration for Imperial Tie Fighter ship (upgraded version)
  */
 export const ImperialTieFighterConfig = {
+    NAME: 'TIE Fighter',
+
+    // Model
+    MODEL: {
+        PATH: '/assets/models/tiefighter/TIEFighter.glb',
+        SCALE: 0.5,
+    },
+
     // Physics
     ACCELERATION: 10, // Slightly better acceleration
     MAX_SPEED_FORWARD: 250, // Slightly faster
@@ -17,6 +25,7 @@ export const ImperialTieFighterConfig = {
 
     // Energy
     MAX_ENERGY: 110, // Slightly more energy
+    BOOST_ENERGY_DRAIN: 6, // Energy per second while boosting
     ENERGY_REGENERATION_RATE: 20, // Slightly better regen
     ENERGY_DRAIN_TIMEOUT: 2, // Seconds before regeneration starts
 
@@ -27,8 +36,31 @@ export const ImperialTieFighterConfig = {
         right_wing: 50
     },
 
+    // Which model meshes make up each component: a mesh belongs to the first component
+    // with a pattern its name contains. { NAME, SIDE } patterns also check which side
+    // of the ship the mesh sits on. Anything unmatched is DEFAULT_COMPONENT.
+    // CENTER is roughly where the component sits in ship space, for hits the server
+    // resolves itself (missiles), which land on the nearest component.
+    COMPONENTS: {
+        right_wing: { NAME: 'Right Wing', MESH_PATTERNS: ['RightWing', { NAME: '001Wing', SIDE: 'right' }], CENTER: { x: 2.5, y: 0, z: 0 } },
+        left_wing: { NAME: 'Left Wing', MESH_PATTERNS: ['LeftWing', { NAME: '001Wing', SIDE: 'left' }], CENTER: { x: -2.5, y: 0, z: 0 } },
+        main_body: { NAME: 'Main', MESH_PATTERNS: ['MainHull'], CENTER: { x: 0, y: 0, z: 0 } }
+    },
+    DEFAULT_COMPONENT: 'main_body',
+
+    // Destroyed by losing the cockpit ball or both wings
+    DESTRUCTION: {
+        CRITICAL_COMPONENTS: ['main_body'],
+        COMPONENT_GROUPS: [['left_wing', 'right_wing']]
+    },
+
+    // Weapons (weapon types from src/js/weapons/weapon-factory.js)
+    PRIMARY_WEAPON: 'tie-cannon',
+    SECONDARY_WEAPON: 'concussion-missile',
+
     // Movement
     TURN_SPEED: 2, // Slightly more maneuverable
+    ROLL_SPEED: 1.5, // Radians per second while A or D is held
 
     // Audio
     ENGINE_AUDIO: '/assets/sfx/TIE_Engine.ogg',
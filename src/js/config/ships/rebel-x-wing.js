@@ -0,0 +1,68 @@
+/**
+ * Configuration for Rebel X-Wing ship
+ */
+export const RebelXWingConfig = {
+    NAME: 'X-Wing',
+
+    // Model (no model file yet, built from primitives by src/js/ships/models/x-wing.js)
+    MODEL: {
+        BUILDER: 'x-wing',
+        SCALE: 1,
+    },
+
+    // Physics
+    ACCELERATION: 8, // Heavier than a TIE
+    MAX_SPEED_FORWARD: 220,
+    MAX_SPEED_BACKWARD: 50,
+    DRAG: Math.pow(0.99, 60), // Per second at 60 FPS
+    BOOST_MULTIPLIER: 1.8,
+
+    // Health and shields
+    MAX_SHIELD: 40, // Deflector shields, unlike the TIE
+    MAX_HULL: 120,
+    SHIELD_REGENERATION_RATE: 8, // Shield points per second
+    SHIELD_DRAIN_TIMEOUT: 3, // Seconds before regeneration starts
+    SHIELD_COMPONENT: 'astromech', // Shields stop regenerating once the astromech is lost
+
+    // Energy
+    MAX_ENERGY: 100,
+    BOOST_ENERGY_DRAIN: 8, // Energy per second while boosting
+    ENERGY_REGENERATION_RATE: 18,
+    ENERGY_DRAIN_TIMEOUT: 2, // Seconds before regeneration starts
+
+    // Components
+    COMPONENT_HEALTH: {
+        fuselage: 120,
+        astromech: 30,
+        top_left_sfoil: 40,
+        top_right_sfoil: 40,
+        bottom_left_sfoil: 40,
+        bottom_right_sfoil: 40
+    },
+
+    // Which model meshes make up each component (see imperial-tie-fighter.js).
+    // CENTERs are where those parts sit in src/js/ships/models/x-wing.js.
+    COMPONENTS: {
+        fuselage: { NAME: 'Fuselage', MESH_PATTERNS: ['Fuselage', 'Nose', 'Canopy'], CENTER: { x: 0, y: 0, z: 0 } },
+        astromech: { NAME: 'Astromech', MESH_PATTERNS: ['Astromech'], CENTER: { x: 0, y: 0.4, z: 0.35 } },
+        top_left_sfoil: { NAME: 'Top Left S-foil', MESH_PATTERNS: ['TopLeftSFoil'], CENTER: { x: -0.9, y: 0.2, z: 0.6 } },
+        top_right_sfoil: { NAME: 'Top Right S-foil', MESH_PATTERNS: ['TopRightSFoil'], CENTER: { x: 0.9, y: 0.2, z: 0.6 } },
+        bottom_left_sfoil: { NAME: 'Bottom Left S-foil', MESH_PATTERNS: ['BottomLeftSFoil'], CENTER: { x: -0.9, y: -0.2, z: 0.6 } },
+        bottom_right_sfoil: { NAME: 'Bottom Right S-foil', MESH_PATTERNS: ['BottomRightSFoil'], CENTER: { x: 0.9, y: -0.2, z: 0.6 } }
+    },
+    DEFAULT_COMPONENT: 'fuselage',
+
+    // Destroyed by losing the fuselage or all four S-foils
+    DESTRUCTION: {
+        CRITICAL_COMPONENTS: ['fuselage'],
+        COMPONENT_GROUPS: [['top_left_sfoil', 'top_right_sfoil', 'bottom_left_sfoil', 'bottom_right_sfoil']]
+    },
+
+    // Weapons (weapon types from src/js/weapons/weapon-factory.js)
+    PRIMARY_WEAPON: 'quad-laser',
+    SECONDARY_WEAPON: 'proton-torpedo',
+
+    // Movement
+    TURN_SPEED: 1.8, // Less nimble than a TIE
+    ROLL_SPEED: 1.3, // Radians per second while A or D is held
+};
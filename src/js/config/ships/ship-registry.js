@@ -0,0 +1,13 @@
+/**
+ * Configuration for the ships that can be flown, keyed by the shipType used on the wire.
+ * Adding a ship means adding its config here; the server and clients look ships up by type.
+ */
+import { ImperialTieFighterConfig } from './imperial-tie-fighter.js';
+import { RebelXWingConfig } from './rebel-x-wing.js';
+
+export const DEFAULT_SHIP_TYPE = 'imperial-tie-fighter';
+
+export const ShipRegistry = {
+    'imperial-tie-fighter': ImperialTieFighterConfig,
+    'rebel-x-wing': RebelXWingConfig,
+};
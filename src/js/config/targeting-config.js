@@ -0,0 +1,18 @@
+/**
+ * Configuration for target selection
+ */
+export const TargetingConfig = {
+    // Key codes (KeyboardEvent.code) for each targeting command
+    KEYS: {
+        NEAREST: 'KeyE', // Nearest hostile
+        NEXT: 'KeyT', // Next hostile, by distance
+        PREVIOUS: 'KeyY', // Previous hostile, by distance
+        RETICLE: 'KeyF', // Whatever is closest to the crosshair, friend or foe
+        NEXT_SUBSYSTEM: 'KeyG', // Next subsystem of a targeted capital ship
+        PREVIOUS_SUBSYSTEM: 'KeyH',
+        CLEAR: 'KeyX',
+    },
+
+    MAX_RANGE: 2000, // Contacts further away than this can't be targeted
+    RETICLE_CONE: 0.15, // Radians off the crosshair a contact may be for target-under-reticle
+};
@@ -0,0 +1,24 @@
+/**
+ * Configuration for the two teams
+ */
+export const TeamsConfig = {
+    // Keyed by the team id used on the wire
+    TEAMS: {
+        rebel: {
+            NAME: 'Rebel Alliance',
+            COLOR: '#ff8c1a',
+            SHIP_TYPE: 'rebel-x-wing', // Ship the team starts in
+            SHIP_TYPES: ['rebel-x-wing', 'imperial-tie-fighter'], // Ships a pilot may pick when relaunching
+        },
+        empire: {
+            NAME: 'Galactic Empire',
+            COLOR: '#4fc34f',
+            SHIP_TYPE: 'imperial-tie-fighter',
+            SHIP_TYPES: ['imperial-tie-fighter', 'rebel-x-wing'],
+        },
+    },
+
+    // Name sprite colours, relative to the local player's team
+    ALLY_LABEL_COLOR: '#4fc3f7',
+    ENEMY_LABEL_COLOR: '#ff5252',
+};
@@ -0,0 +1,21 @@
+/**
+ * Configuration for the TIE fighter's concussion missile launcher (secondary weapon)
+ */
+export const ConcussionMissileConfig = {
+    SECONDARY: {
+        NAME: 'Concussion Missiles',
+        DAMAGE: 40,
+        AMMO: 6, // Missiles per life
+        FIRE_RATE: 1, // Launches per second
+        LOCK_TIME: 1.5, // Seconds a target has to stay in the lock cone before a missile can be fired
+        LOCK_RANGE: 350, // Targets further away than this can't be locked
+        LOCK_CONE: 0.25, // Radians off the nose a target may be while locking
+        SPEED: 55,
+        TURN_RATE: 1.6, // Radians per second the missile can turn while homing
+        LIFETIME: 7.0,
+        HIT_RADIUS: 4, // Distance from a ship's centre at which a missile detonates
+        COLOR: 0xffaa33,
+        LENGTH: 0.8,
+        RADIUS: 0.1,
+    }
+};
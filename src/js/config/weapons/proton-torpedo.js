@@ -0,0 +1,21 @@
+/**
+ * Configuration for the X-Wing's proton torpedo launcher (secondary weapon)
+ */
+export const ProtonTorpedoConfig = {
+    SECONDARY: {
+        NAME: 'Proton Torpedoes',
+        DAMAGE: 60,
+        AMMO: 4, // Torpedoes per life
+        FIRE_RATE: 0.5, // Launches per second
+        LOCK_TIME: 2.0, // Seconds a target has to stay in the lock cone before a torpedo can be fired
+        LOCK_RANGE: 400, // Targets further away than this can't be locked
+        LOCK_CONE: 0.2, // Radians off the nose a target may be while locking
+        SPEED: 45,
+        TURN_RATE: 1.0, // Radians per second the torpedo can turn while homing
+        LIFETIME: 9.0,
+        HIT_RADIUS: 5, // Distance from a ship's centre at which a torpedo detonates
+        COLOR: 0x66aaff,
+        LENGTH: 1.2,
+        RADIUS: 0.15,
+    }
+};
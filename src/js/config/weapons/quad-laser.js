@@ -0,0 +1,16 @@
+/**
+ * Configuration for X-Wing quad laser cannons
+ */
+export const QuadLaserConfig = {
+    PRIMARY: {
+        DAMAGE: 8,
+        ENERGY_COST_PER_BOLT: 1.5,
+        FIRE_RATE: 3, // Shots per second
+        CONVERGENCE_RANGE: 60,
+        SPEED: 70,
+        LIFETIME: 10.0,
+        SPREAD_DISTANCE: 1.2, // Horizontal distance from the centreline to each wingtip cannon
+        VERTICAL_SPREAD: 0.4, // Vertical distance from the centreline to each wingtip cannon
+        BOLTS_PER_SHOT: 4, // All four wingtip cannons fire together
+    }
+};
@@ -10,5 +10,6 @@ export const TieCannonConfig = {
         SPEED: 60,
         LIFETIME: 10.0,
         SPREAD_DISTANCE: 0.5, // Distance between the two bolts
+        BOLTS_PER_SHOT: 2, // Left and right cannon fire together
     }
 };
\ No newline at end of file
@@ -0,0 +1,14 @@
+/**
+ * Configuration for the turbolaser turrets on capital ships (fired by the server, never by players)
+ */
+export const TurbolaserConfig = {
+    PRIMARY: {
+        DAMAGE: 25,
+        FIRE_RATE: 0.5, // Shots per second, per turret
+        SPEED: 150,
+        LIFETIME: 6.0,
+        RANGE: 600, // Targets further away than this are ignored
+        AIM_ERROR: 0.02, // Radians of random error added to each shot
+        HIT_RADIUS: 4, // Distance from a ship's centre at which a bolt hits it
+    }
+};
@@ -1,4 +1,7 @@
-import * as THREE from 'three';
+import { sanitizeInput } from './shared/flight-model.js';
+
+// Radians of rotation per pixel of mouse movement
+const MOUSE_SENSITIVITY = 0.002;
 
 export default class Controls {
     constructor(domElement, player) {
@@ -13,14 +16,14 @@ export default class Controls {
         document.addEventListener('keydown', (e) => {
             this.keys[e.code] = true;
 
-            // Handle respawn on R key press
-            if (e.code === 'KeyR') {
-                // Send respawn request
-                if (window.ws && window.ws.readyState === WebSocket.OPEN) {
-                    window.ws.send(JSON.stringify({
-                        type: 'respawn'
-                    }));
-                }
+            // Tab holds the scoreboard open rather than moving focus
+            if (e.code === 'Tab') {
+                e.preventDefault();
+            }
+
+            // Target selection keys (see TargetingConfig.KEYS)
+            if (this.player.targeting && !e.repeat) {
+                this.player.targeting.handleKey(e.code);
             }
         });
 
@@ -36,7 +39,10 @@ export default class Controls {
                 }
             }
             if (e.button === 2) {
-                console.log('Secondary Weapon Fired');
+                // Secondary weapon fires once per click, at the locked target
+                if (this.player.ship && this.player.isAlive) {
+                    this.player.ship.fireSecondaryWeapon(this.player);
+                }
             }
         });
         
@@ -49,6 +55,11 @@ export default class Controls {
             }
         });
 
+        // Right click fires the secondary weapon, not the browser menu
+        domElement.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+        });
+
         document.addEventListener('mousemove', (e) => {
             if (document.pointerLockElement === domElement) {
                 this.mouseDelta.x += e.movementX || 0;
@@ -57,25 +68,26 @@ export default class Controls {
         });
     }
 
-    update(deltaTime) {
-        const yaw = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(0, 1, 0), -this.mouseDelta.x * 0.002);
-        const pitch = new THREE.Quaternion().setFromAxisAngle(new THREE.Vector3(1, 0, 0), -this.mouseDelta.y * 0.002);
-
-        let roll = 0;
-        if (this.keys['KeyA']) {
-            roll = 1.5;
-        } else if (this.keys['KeyD']) {
-            roll = -1.5;
-        }
-        const rollQuaternion = new THREE.Quaternion().setFromEuler(new THREE.Euler(0, 0, roll * deltaTime, 'XYZ'));
-
-        // Apply all rotations locally
-        this.player.quaternion.multiply(yaw);
-        this.player.quaternion.multiply(pitch);
-        this.player.quaternion.multiply(rollQuaternion);
-        this.player.quaternion.normalize();
+    /**
+     * Sample this frame's flight input. Rotation is returned as deltas so the same
+     * command can be replayed exactly during server reconciliation.
+     * @param {number} deltaTime - Frame time in seconds
+     * @returns {Object} Input command { dt, throttle, roll, pitch, yaw, boost, fire }
+     */
+    sampleInput(deltaTime) {
+        // Clamp with the server's own rules so the prediction flies exactly what the server will
+        const input = sanitizeInput({
+            dt: deltaTime,
+            throttle: (this.keys['KeyW'] ? 1 : 0) - (this.keys['KeyS'] ? 1 : 0),
+            roll: this.keys['KeyA'] ? 1 : (this.keys['KeyD'] ? -1 : 0),
+            pitch: -this.mouseDelta.y * MOUSE_SENSITIVITY,
+            yaw: -this.mouseDelta.x * MOUSE_SENSITIVITY,
+            boost: !!this.keys['ShiftLeft'],
+            fire: !!(this.player.ship && this.player.ship.isFiringPrimary)
+        });
 
         this.resetMouseDelta();
+        return input;
     }
 
     resetMouseDelta() {
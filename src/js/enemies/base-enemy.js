@@ -2,7 +2,6 @@ import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import * as RAPIER from '@dimforge/rapier3d';
 import { TieFighterEnemyConfig } from '../config/enemies/tie-fighter-enemy.js';
-import TargetDummyUI from '../ui/target-dummy-ui.js';
 
 export default class BaseEnemy {
     constructor(scene, world, position = new THREE.Vector3(0, 0, 0), health = 50, shield = 25, id = null) {
@@ -128,9 +127,6 @@ export default class BaseEnemy {
 
                 // Create physics body for the enemy
                 this.createPhysicsBody();
-                
-                // Create target dummy UI element
-                this.targetDummyUI = new TargetDummyUI(this);
             },
             undefined,
             (error) => {
@@ -155,9 +151,6 @@ export default class BaseEnemy {
 
                 // Create physics body for the enemy (fallback case)
                 this.createPhysicsBody();
-                
-                // Create target dummy UI element
-                this.targetDummyUI = new TargetDummyUI(this);
             }
         );
     }
@@ -167,90 +160,29 @@ export default class BaseEnemy {
         // For now, enemies just sit there
     }
 
-    takeDamage(damage, componentId = null) {
-        // Validate damage input
-        if (typeof damage !== 'number' || damage < 0) {
-            console.warn('Invalid damage value:', damage);
-            return false;
-        }
-
-        let remainingDamage = damage;
-
-        // FIRST: Apply damage to shields (shields absorb damage before anything else)
-        if (this.shield > 0) {
-            const shieldDamage = Math.min(remainingDamage, this.shield);
-            this.shield -= shieldDamage;
-            remainingDamage -= shieldDamage;
-            this.shield = Math.max(0, this.shield);
-            console.log(`Shield absorbed ${shieldDamage} damage, remaining shield: ${this.shield}`);
-        }
-
-        // SECOND: If shields are depleted and we have remaining damage, apply to components and hull
-        if (remainingDamage > 0) {
-            // Always apply damage to total hull health
-            const totalHullDamage = Math.min(remainingDamage, this.totalHullHealth);
-            this.totalHullHealth -= totalHullDamage;
-            remainingDamage -= totalHullDamage;
-            this.totalHullHealth = Math.max(0, this.totalHullHealth);
-
-            // Apply damage to specific component if provided
-            if (componentId && this.componentHealth[componentId] !== undefined) {
-                const componentDamage = Math.min(totalHullDamage, this.componentHealth[componentId]);
-                this.componentHealth[componentId] -= componentDamage;
-
-                // Ensure component health doesn't go below 0
-                this.componentHealth[componentId] = Math.max(0, this.componentHealth[componentId]);
-
-                // If component is destroyed, remove it from scene and notify other players
-                if (this.componentHealth[componentId] <= 0) {
-                    console.log(`Component ${componentId} destroyed!`);
-
-                    // Send component destruction to server for multiplayer sync only if this is the local client
-                    // (not called from network message handler)
-                    const isLocalDamage = !componentId || !this.receivedNetworkDamage;
-                    if (isLocalDamage && window.ws && window.ws.readyState === WebSocket.OPEN) {
-                        window.ws.send(JSON.stringify({
-                            type: 'enemyComponentDestroyed',
-                            enemyId: this.id,
-                            componentId: componentId
-                        }));
-                    }
-
-                    // Destroy component AFTER sending network message to ensure both sides get debris
-                    this.destroyComponent(componentId);
-                }
-
-                console.log(`Component ${componentId} damaged for ${componentDamage}, remaining component health: ${this.componentHealth[componentId]}`);
-            }
-
-            // Apply any remaining damage to legacy health system
-            if (remainingDamage > 0) {
-                this.health -= remainingDamage;
-                this.health = Math.max(0, this.health);
+    /**
+     * Apply the health the server reports for this enemy. Damage is decided by the server;
+     * components it reports at zero break off here, and a destroyed ship breaks up entirely.
+     * @param {Object} state - { health, shield, componentHealth, isAlive } from an enemyDamaged message
+     */
+    applyServerState(state) {
+        this.shield = state.shield;
+        this.totalHullHealth = state.health;
+        this.health = state.isAlive === false ? 0 : state.health;
+
+        Object.entries(state.componentHealth || {}).forEach(([componentId, health]) => {
+            if (this.componentHealth[componentId] === undefined) return;
+            if (health <= 0) {
+                this.destroyComponent(componentId);
+            } else {
+                this.componentHealth[componentId] = health;
             }
+        });
 
-            console.log(`Total hull health: ${this.totalHullHealth}/100`);
-        }
-
-        // Check destruction conditions:
-        // 1. Total hull health ≤ 0, OR
-        // 2. Main hull component destroyed, OR
-        // 3. Both wings destroyed
-        const mainHullDestroyed = !this.componentHealth.main_body || this.componentHealth.main_body <= 0;
-        const leftWingDestroyed = !this.componentHealth.left_wing || this.componentHealth.left_wing <= 0;
-        const rightWingDestroyed = !this.componentHealth.right_wing || this.componentHealth.right_wing <= 0;
-        const bothWingsDestroyed = leftWingDestroyed && rightWingDestroyed;
-
-        const isDestroyed = this.totalHullHealth <= 0 || mainHullDestroyed || bothWingsDestroyed;
-
-        if (isDestroyed) {
-            console.log('Enemy destroyed!');
-
-            // Destroy all remaining components to create debris
+        if (state.isAlive === false) {
+            console.log(`Enemy ${this.id} destroyed!`);
             this.destroyAllRemainingComponents();
         }
-
-        return isDestroyed;
     }
 
     isDestroyed() {
@@ -366,12 +298,6 @@ export default class BaseEnemy {
                 this.rigidBody.setTranslation(this.mesh.position, true);
                 this.rigidBody.setRotation(this.mesh.quaternion, true);
             }
-            
-            // Update target dummy UI if it exists
-            if (this.targetDummyUI) {
-                this.targetDummyUI.updatePosition();
-                this.targetDummyUI.update();
-            }
         }
     }
 
@@ -488,12 +414,6 @@ export default class BaseEnemy {
         // Ensure mesh userData is set
         this.mesh.userData.isEnemy = true;
         this.mesh.userData.enemyId = this.id;
-        
-        // Recreate target dummy UI element
-        if (this.targetDummyUI) {
-            this.targetDummyUI.destroy();
-        }
-        this.targetDummyUI = new TargetDummyUI(this);
 
         console.log(`Enemy ${this.id} respawned successfully`);
     }
@@ -526,22 +446,6 @@ export default class BaseEnemy {
      */
     setDebrisManager(debrisManager) {
         this.debrisManager = debrisManager;
-
-        // Also set it for any existing target dummy UI
-        if (this.targetDummyUI) {
-            this.targetDummyUI.debrisManager = debrisManager;
-        }
-    }
-
-    /**
-     * Clean up resources when enemy is destroyed
-     */
-    destroy() {
-        // Clean up target dummy UI if it exists
-        if (this.targetDummyUI) {
-            this.targetDummyUI.destroy();
-            this.targetDummyUI = null;
-        }
     }
 
     /**
@@ -1,20 +1,43 @@
 import * as THREE from 'three';
-import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js';
 import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
 import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass.js';
 import RAPIER from '@dimforge/rapier3d';
 import Player from './player/player.js';
+import ClientPrediction from './player/client-prediction.js';
+import Targeting from './player/targeting.js';
 import { loadRandomMap } from './maps/map-loader.js';
 import Controls from './controls.js';
 import PlayerCamera from './camera/player-camera.js';
 import UI from './ui.js';
+import MatchUI from './ui/match-ui.js';
+import TargetUI from './ui/target-ui.js';
+import LeadIndicator from './ui/lead-indicator.js';
+import Radar from './ui/radar.js';
+import TargetMarkers from './ui/target-markers.js';
+import ScoreboardUI from './ui/scoreboard-ui.js';
+import KillFeedUI, { weaponName, componentName } from './ui/kill-feed-ui.js';
+import CombatLogUI from './ui/combat-log-ui.js';
+import DamageIndicator from './ui/damage-indicator.js';
+import HitMarker from './ui/hit-marker.js';
+import DeathScreen from './ui/death-screen.js';
+import ConnectionUI from './ui/connection-ui.js';
 import BaseEnemy from './enemies/base-enemy.js';
-import BaseShip from './ships/base-ship.js';
-import ImperialTieFighter from './ships/imperial-tie-fighter.js';
-import LaserImperial from './weapons/laser-imperial.js';
+import CapitalShip from './capital-ships/capital-ship.js';
+import { createShip } from './ships/ship-factory.js';
+import { loadShipModel } from './ships/ship-models.js';
+import Missile from './weapons/missile.js';
+import { SECONDARY_WEAPONS } from './weapons/weapon-factory.js';
 import ParticleSystem from './components/particle-system.js';
 import DebrisManager from './managers/debris-manager.js';
+import NetworkManager from './managers/network-manager.js';
+import { GameConfig } from './config/game-config.js';
+import { TeamsConfig } from './config/teams-config.js';
+import { DEFAULT_SHIP_TYPE } from './config/ships/ship-registry.js';
+import { getShipConfig } from './shared/ships.js';
+import { QuadLaserConfig } from './config/weapons/quad-laser.js';
+import { LaserRebelConfig } from './config/bolts/laser-rebel.js';
+import { TurbolaserBoltConfig } from './config/bolts/turbolaser.js';
 
 // Initialize Rapier physics
 let world = null;
@@ -30,12 +53,12 @@ async function initializeRapier() {
      console.log('Rapier.js physics world initialized:', world);
  }
 
-// WebSocket connection
-const ws = new WebSocket(`${window.location.protocol === 'https:' ? 'wss:' : 'ws:'}//${window.location.host}/ws`);
-window.ws = ws; // Make ws globally available for weapon firing
+// Network connection (NetworkManager makes the socket globally available as window.ws for weapon firing)
+const networkManager = new NetworkManager();
 window.myPlayerId = null; // Make myPlayerId globally available
 let myPlayerId = null;
 let myPlayerName = null;
+let myTeam = null;
 let otherPlayers = {};
 
 // Scene
@@ -103,7 +126,11 @@ scene.add(directionalLight);
 // Enemies array to hold active enemies
 // Networked bolts array
 const networkedBolts = [];
+// Missiles in flight other than the ones our current launcher is tracking
+const missiles = [];
 const enemies = [];
+// Server-tracked capital ships, keyed by id
+const capitalShips = {};
 
 // Debris manager for component explosion effects
 const debrisManager = new DebrisManager(scene, world);
@@ -122,74 +149,135 @@ loadRandomMap(scene, world);
 
 // Player
 const player = new Player(scene, world);
+const prediction = new ClientPrediction(player);
+// Target selection; the server is told what we have targeted so it can warn that pilot
+player.targeting = new Targeting(player, () => targetContacts());
+player.targeting.onChange = target => networkManager.sendTarget(target);
 // Note: player.ship will be set based on ship type
 
-// Set debris manager reference for the player's ship
-if (player.ship && typeof player.ship.setDebrisManager === 'function') {
-    player.ship.setDebrisManager(debrisManager);
-}
-
 // Store the player's assigned ship type
-let myShipType = 'imperial-tie-fighter';
-
-// WebSocket event handlers
-ws.onopen = () => {
-    console.log('Connected to server');
-};
-
-ws.onmessage = (event) => {
-    const message = JSON.parse(event.data);
-
-    if (message.type === 'spawn') {
-        myPlayerId = message.playerId;
-        window.myPlayerId = message.playerId; // Set global ID
-        myPlayerName = message.playerName;
-        myShipType = message.shipType || 'imperial-tie-fighter';
-        console.log(`You are ${myPlayerName} with ship type ${myShipType}`);
-
-        // Initialize player ship based on type
-        if (myShipType === 'imperial-tie-fighter') {
-            player.ship = new ImperialTieFighter(scene, world);
-        } else {
-            player.ship = new BaseShip(scene, world);
-        }
+let myShipType = DEFAULT_SHIP_TYPE;
+
+// Match clock, scores and results screen, fed by the server's matchState messages
+const matchUI = new MatchUI();
+// Per-player stats, held open with Tab and fed by the server's playerStats messages
+const scoreboardUI = new ScoreboardUI();
+// Everyone's kills from the server's playerKilled messages, and our own hits and kills
+const killFeedUI = new KillFeedUI();
+const combatLogUI = new CombatLogUI();
+// Where hits on us come from, and confirmation of our own hits
+const damageIndicator = new DamageIndicator(player);
+const hitMarker = new HitMarker();
+// Respawn countdown and ship selection while we're destroyed
+const deathScreen = new DeathScreen(shipType => networkManager.sendRespawn(shipType));
+const connectionUI = new ConnectionUI();
+
+// Whether the ?room=<id> from the page URL has been asked for yet
+let roomRequested = false;
+
+// Network event handlers
+networkManager.setCallback('onSpawn', (type, data) => {
+    if (type === 'enemy') {
+        spawnEnemy(data);
+        return;
+    }
+    if (type === 'capitalShip') {
+        spawnCapitalShip(data);
+        return;
+    }
 
-        // Spawn other players
-        message.players.forEach(otherPlayer => {
-            if (otherPlayer.id !== myPlayerId) {
-                spawnOtherPlayer(otherPlayer);
+    myPlayerId = data.playerId;
+    myPlayerName = data.playerName;
+    myTeam = data.team;
+    myShipType = data.shipType || DEFAULT_SHIP_TYPE;
+    console.log(`You are ${myPlayerName} (${myTeam}) with ship type ${myShipType}`);
+
+    // Moving rooms gives us a fresh ship at the new room's spawn. A resumed session may find us
+    // destroyed, in which case the death screen follows with what's left of the respawn countdown.
+    player.isAlive = data.isAlive !== false;
+    player.position.set(data.x || 0, data.y || 0, data.z || 0);
+    player.quaternion.set(data.rotationX || 0, data.rotationY || 0, data.rotationZ || 0, data.rotationW || 1);
+    player.velocity.set(0, 0, 0);
+    prediction.reset();
+
+    replaceLocalShip(myShipType);
+    if (!player.isAlive) {
+        whenLocalShipLoaded(() => {
+            if (!player.isAlive) {
+                player.ship.mesh.visible = false;
             }
         });
-        // Spawn enemies
-        message.enemies.forEach(enemyData => {
-            spawnEnemy(enemyData);
-        });
-} else if (message.type === 'newPlayer') {
-  spawnOtherPlayer({ ...message, name: message.playerName });
-} else if (message.type === 'playerUpdate') {
-        updateOtherPlayer(message);
-    } else if (message.type === 'playerDisconnected') {
-        removeOtherPlayer(message.playerId);
-    } else if (message.type === 'playerRespawned') {
-        handlePlayerRespawn(message);
-    } else if (message.type === 'fire') {
-        handleNetworkedFire(message);
-    } else if (message.type === 'enemyDestroyed') {
-        handleEnemyDestruction(message.enemyId);
-    } else if (message.type === 'enemyRespawned') {
-        handleEnemyRespawn(message.enemy);
-    } else if (message.type === 'playerDamaged') {
-        handlePlayerDamage(message);
-    } else if (message.type === 'playerComponentDestroyed') {
-        handlePlayerComponentDestruction(message);
-    } else if (message.type === 'enemyComponentDestroyed') {
-        handleEnemyComponentDestruction(message);
     }
-};
 
-ws.onclose = () => {
-    console.log('Disconnected from server');
-};
+    // A ?room=<id> link moves us out of the default room once we're connected
+    const requestedRoom = new URLSearchParams(window.location.search).get('room');
+    if (requestedRoom && data.room && data.room.id !== requestedRoom && !roomRequested) {
+        roomRequested = true;
+        networkManager.joinRoom(requestedRoom);
+    }
+});
+/**
+ * Run a callback once the local ship's model has loaded
+ */
+function whenLocalShipLoaded(callback) {
+    const check = () => {
+        if (player.ship.modelLoaded) {
+            callback();
+        } else {
+            setTimeout(check, 50); // Check again in 50ms
+        }
+    };
+    check();
+}
+
+/**
+ * Swap the local player's ship for a fresh one of the given type from the ship registry
+ */
+function replaceLocalShip(shipType) {
+    if (player.ship) {
+        // Our missiles keep flying until the server detonates them
+        if (player.ship.secondaryWeapon) {
+            missiles.push(...player.ship.secondaryWeapon.getMissiles());
+        }
+        player.ship.dispose();
+    }
+    player.ship = createShip(shipType, scene, world);
+    player.ship.setDebrisManager(debrisManager);
+}
+
+networkManager.setCallback('onRoomChanged', room => {
+    console.log(`Joined room ${room.id} (${room.name}) on ${room.mapId}`);
+    clearRoomState();
+});
+networkManager.setCallback('onRoomList', rooms => console.table(rooms));
+networkManager.setCallback('onNewPlayer', spawnOtherPlayer);
+networkManager.setCallback('onPlayerUpdate', updateOtherPlayer);
+networkManager.setCallback('onLocalPlayerState', state => prediction.reconcile(state));
+networkManager.setCallback('onPlayerDisconnected', removeOtherPlayer);
+networkManager.setCallback('onPlayerRespawned', handlePlayerRespawn);
+networkManager.setCallback('onFire', handleNetworkedFire);
+networkManager.setCallback('onMissileDetonated', handleMissileDetonation);
+networkManager.setCallback('onEnemyDestroyed', handleEnemyDestruction);
+networkManager.setCallback('onEnemyRespawned', handleEnemyRespawn);
+networkManager.setCallback('onPlayerDamaged', handlePlayerDamage);
+networkManager.setCallback('onPlayerComponentDestroyed', handlePlayerComponentDestruction);
+networkManager.setCallback('onEnemyComponentDestroyed', handleEnemyComponentDestruction);
+networkManager.setCallback('onEnemyDamaged', handleEnemyDamage);
+networkManager.setCallback('onSubsystemDamaged', handleSubsystemDamage);
+networkManager.setCallback('onSubsystemDestroyed', handleSubsystemDestruction);
+networkManager.setCallback('onCapitalShipDestroying', handleCapitalShipDestroying);
+networkManager.setCallback('onCapitalShipDestroyed', handleCapitalShipDestroyed);
+networkManager.setCallback('onMatchState', status => matchUI.setState(status));
+networkManager.setCallback('onPlayerStats', players => scoreboardUI.setStats(players));
+networkManager.setCallback('onPlayerKilled', handlePlayerKilled);
+networkManager.setCallback('onRespawnCountdown', countdown => deathScreen.show(countdown, myTeam, myShipType));
+networkManager.setCallback('onConnectionLost', (retryIn, attempt) => {
+    connectionUI.setReconnecting(retryIn, attempt);
+    deathScreen.cancelRequest();
+});
+networkManager.setCallback('onReconnected', () => connectionUI.setConnected());
+networkManager.setCallback('onMatchRestarted', handleMatchRestart);
+networkManager.connect();
 
 function spawnOtherPlayer(playerData) {
     const playerId = String(playerData.id || playerData.playerId);
@@ -198,116 +286,73 @@ function spawnOtherPlayer(playerData) {
         return;
     }
 
-    // Determine ship type - all players currently use imperial-tie-fighter
-    const shipType = playerData.shipType || 'imperial-tie-fighter';
+    const shipType = playerData.shipType || DEFAULT_SHIP_TYPE;
+    const shipConfig = getShipConfig(shipType);
 
-    // Load the appropriate model based on ship type
-    let modelPath = '/assets/models/tiefighter/TIEFighter.glb'; // Default to TIE Fighter
-
-    const loader = new GLTFLoader();
-    loader.load(
-        modelPath,
-        (gltf) => {
-            const mesh = gltf.scene;
-            mesh.position.set(playerData.x || 0, playerData.y || 0, playerData.z || 0);
-            mesh.quaternion.set(playerData.rotationX || 0, playerData.rotationY || 0, playerData.rotationZ || 0, playerData.rotationW || 1);
-            mesh.scale.set(0.5, 0.5, 0.5); // Scale same as local player ship
-
-            // Traverse the model and set material properties for visibility
-            // Also assign component IDs to child meshes (same as BaseEnemy)
-            mesh.traverse((child) => {
-                if (child.isMesh) {
-                    // Ensure materials have proper settings for lighting
-                    if (child.material) {
-                        // If material is an array, iterate through materials
-                        if (Array.isArray(child.material)) {
-                            child.material.forEach((mat) => {
-                                if (mat) {
-                                    mat.needsUpdate = true;
-                                }
-                            });
-                        } else {
-                            child.material.needsUpdate = true;
-                        }
-                    }
-
-                    // Assign component IDs based on mesh name (same logic as BaseEnemy)
-                    let componentId = null;
-                    if (child.name.includes('RightWing') || child.name === 'RightWing' ||
-                        (child.name.includes('001Wing') && child.position && child.position.x > 0)) {
-                        componentId = 'right_wing';
-                    } else if (child.name.includes('LeftWing') || child.name === 'LeftWing' ||
-                               (child.name.includes('001Wing') && child.position && child.position.x < 0)) {
-                        componentId = 'left_wing';
-                    } else if (child.name.includes('MainHull') || child.name === 'MainHull') {
-                        componentId = 'main_body';
-                    } else {
-                        componentId = 'main_body';
-                    }
-
-                    child.userData = child.userData || {};
-                    child.userData.componentId = componentId;
-                    child.userData.isPlayer = true;
-                    child.userData.playerId = playerData.id || playerData.playerId;
+    // Adds a ship model to the scene with its physics body and name label
+    const addShipMesh = (mesh) => {
+        mesh.position.set(playerData.x || 0, playerData.y || 0, playerData.z || 0);
+        mesh.quaternion.set(playerData.rotationX || 0, playerData.rotationY || 0, playerData.rotationZ || 0, playerData.rotationW || 1);
 
-                    console.log(`Other player ${playerData.name}: Assigned mesh "${child.name}" to component "${componentId}"`);
-                }
-            });
+        // Mark every part as this player's for collision detection
+        mesh.traverse((child) => {
+            if (child.isMesh) {
+                child.userData = child.userData || {};
+                child.userData.isPlayer = true;
+                child.userData.playerId = playerData.id || playerData.playerId;
+            }
+        });
 
-            // Mark mesh as player for collision detection
-            mesh.userData = mesh.userData || {};
-            mesh.userData.isPlayer = true;
-            mesh.userData.playerId = playerData.id || playerData.playerId;
+        // Mark mesh as player for collision detection
+        mesh.userData = mesh.userData || {};
+        mesh.userData.isPlayer = true;
+        mesh.userData.playerId = playerData.id || playerData.playerId;
 
-            scene.add(mesh);
+        scene.add(mesh);
 
-            // Create physics body for this player
-            const physicsRefs = createPlayerRigidBody(mesh, false);
+        // Create physics body for this player
+        const physicsRefs = createPlayerRigidBody(mesh, false);
 
-            // Create name label positioned above the model's bounding box
-            const canvas = document.createElement('canvas');
-            const context = canvas.getContext('2d');
-            canvas.width = 256;
-            canvas.height = 64;
-            context.font = 'Bold 30px Arial';
-            context.fillStyle = 'white';
-            context.textAlign = 'center';
-            context.fillText(playerData.name || 'Unknown', 128, 40);
-
-            const texture = new THREE.CanvasTexture(canvas);
-            const spriteMaterial = new THREE.SpriteMaterial({ map: texture });
-            const sprite = new THREE.Sprite(spriteMaterial);
+        // Create name label positioned above the model's bounding box
+        const texture = createNameTexture(playerData.name || 'Unknown', playerData.team);
+        const spriteMaterial = new THREE.SpriteMaterial({ map: texture });
+        const sprite = new THREE.Sprite(spriteMaterial);
 
-            // Position sprite above the bounding box of the model
-            const box = new THREE.Box3().setFromObject(mesh);
-            const center = box.getCenter(new THREE.Vector3());
-            const size = box.getSize(new THREE.Vector3());
-            sprite.position.set(center.x, center.y + size.y / 2 + 1, center.z); // Above the top of the bounding box
-            sprite.scale.set(2, 0.5, 1); // Scale appropriately
-            sprite.userData = { name: playerData.name || 'Unknown' }; // Store name in sprite
-
-            scene.add(sprite); // Add sprite to scene separately for proper positioning
-            console.log('Added name sprite to player:', playerData.name);
+        // Position sprite above the bounding box of the model
+        const box = new THREE.Box3().setFromObject(mesh);
+        const center = box.getCenter(new THREE.Vector3());
+        const size = box.getSize(new THREE.Vector3());
+        sprite.position.set(center.x, center.y + size.y / 2 + 1, center.z); // Above the top of the bounding box
+        sprite.scale.set(2, 0.5, 1); // Scale appropriately
+        sprite.userData = { name: playerData.name || 'Unknown', team: playerData.team }; // Store name and team in sprite
+
+        scene.add(sprite); // Add sprite to scene separately for proper positioning
+        console.log('Added name sprite to player:', playerData.name);
+
+        otherPlayers[playerId] = {
+            mesh,
+            nameSprite: sprite,
+            shipType,
+            team: playerData.team,
+            health: playerData.health ?? shipConfig.MAX_HULL,
+            maxHealth: playerData.maxHealth ?? shipConfig.MAX_HULL,
+            shield: playerData.shield || 0,
+            maxShield: playerData.maxShield || 0,
+            isAlive: playerData.isAlive !== false,
+            rigidBody: physicsRefs?.rigidBody || null,
+            collider: physicsRefs?.collider || null
+        };
 
-            otherPlayers[playerId] = {
-                mesh,
-                nameSprite: sprite,
-                shipType,
-                health: playerData.health || 110,
-                maxHealth: playerData.maxHealth || 110,
-                shield: playerData.shield || 0,
-                maxShield: playerData.maxShield || 0,
-                isAlive: playerData.isAlive !== false,
-                rigidBody: physicsRefs?.rigidBody || null,
-                collider: physicsRefs?.collider || null
-            };
+        // Hide dead players initially
+        if (!playerData.isAlive) {
+            mesh.visible = false;
+        }
+    };
 
-            // Hide dead players initially
-            if (!playerData.isAlive) {
-                mesh.visible = false;
-            }
-        },
-        undefined,
+    // Loads the model for this ship type, with component ids on its meshes
+    loadShipModel(
+        shipConfig,
+        addShipMesh,
         (error) => {
             console.error('An error happened loading the player GLTF model:', error);
             // Fallback to red cube if loading fails
@@ -319,21 +364,12 @@ function spawnOtherPlayer(playerData) {
             scene.add(mesh);
 
             // Create name label
-            const canvas = document.createElement('canvas');
-            const context = canvas.getContext('2d');
-            canvas.width = 256;
-            canvas.height = 64;
-            context.font = 'Bold 30px Arial';
-            context.fillStyle = 'white';
-            context.textAlign = 'center';
-            context.fillText(playerData.name || 'Unknown', 128, 40);
-
-            const texture = new THREE.CanvasTexture(canvas);
+            const texture = createNameTexture(playerData.name || 'Unknown', playerData.team);
             const spriteMaterial = new THREE.SpriteMaterial({ map: texture });
             const sprite = new THREE.Sprite(spriteMaterial);
             sprite.position.set(0, 2, 0); // Position above the cube
             sprite.scale.set(2, 0.5, 1); // Scale appropriately
-            sprite.userData = { name: playerData.name || 'Unknown' }; // Store name in sprite
+            sprite.userData = { name: playerData.name || 'Unknown', team: playerData.team }; // Store name and team in sprite
             mesh.add(sprite);
             
             // Mark all child meshes as player parts too (for fallback case)
@@ -352,8 +388,9 @@ function spawnOtherPlayer(playerData) {
                 mesh,
                 nameSprite: sprite,
                 shipType,
-                health: playerData.health || 110,
-                maxHealth: playerData.maxHealth || 110,
+                team: playerData.team,
+                health: playerData.health ?? shipConfig.MAX_HULL,
+                maxHealth: playerData.maxHealth ?? shipConfig.MAX_HULL,
                 shield: playerData.shield || 0,
                 maxShield: playerData.maxShield || 0,
                 isAlive: playerData.isAlive !== false,
@@ -369,21 +406,68 @@ function spawnOtherPlayer(playerData) {
     );
 }
 
+/**
+ * Draw a player's name label, tinted by whether they're on our team
+ * @param {string} name - Player name
+ * @param {string} team - Player's team id
+ * @returns {THREE.CanvasTexture} Label texture
+ */
+function createNameTexture(name, team) {
+    const isAlly = team && team === networkManager.myTeam;
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    canvas.width = 256;
+    canvas.height = 64;
+    context.font = 'Bold 30px Arial';
+    context.fillStyle = isAlly ? TeamsConfig.ALLY_LABEL_COLOR : TeamsConfig.ENEMY_LABEL_COLOR;
+    context.textAlign = 'center';
+    context.fillText(name, 128, 30);
+
+    // Team name underneath, in the team's colour
+    if (TeamsConfig.TEAMS[team]) {
+        context.font = '16px Arial';
+        context.fillStyle = TeamsConfig.TEAMS[team].COLOR;
+        context.fillText(isAlly ? `${TeamsConfig.TEAMS[team].NAME} (ally)` : TeamsConfig.TEAMS[team].NAME, 128, 54);
+    }
+
+    return new THREE.CanvasTexture(canvas);
+}
+
 function updateOtherPlayer(data) {
     const playerId = String(data.playerId);
     const playerObj = otherPlayers[playerId];
     if (playerObj) {
-        playerObj.mesh.position.set(data.x, data.y, data.z);
-        playerObj.mesh.quaternion.set(data.rotationX, data.rotationY, data.rotationZ, data.rotationW || 1);
+        // Transforms are applied every frame from the interpolation buffer (see updateRemotePlayers)
+        if (data.team) {
+            playerObj.team = data.team;
+        }
+
+        // Update name label if the name or team changed
+        const name = data.playerName || playerObj.nameSprite.userData.name;
+        if (name !== playerObj.nameSprite.userData.name || playerObj.team !== playerObj.nameSprite.userData.team) {
+            playerObj.nameSprite.material.map = createNameTexture(name, playerObj.team);
+            playerObj.nameSprite.material.needsUpdate = true;
+            playerObj.nameSprite.userData.name = name;
+            playerObj.nameSprite.userData.team = playerObj.team;
+        }
+    }
+}
+
+// Move other players to their interpolated transforms, rendered slightly in the past for smooth motion
+const remotePosition = new THREE.Vector3();
+const remoteQuaternion = new THREE.Quaternion();
+function updateRemotePlayers() {
+    const renderTime = networkManager.getRenderTime();
+    Object.entries(otherPlayers).forEach(([playerId, playerObj]) => {
+        if (!networkManager.getInterpolatedState(playerId, renderTime, remotePosition, remoteQuaternion)) {
+            return;
+        }
 
+        playerObj.mesh.position.copy(remotePosition);
+        playerObj.mesh.quaternion.copy(remoteQuaternion);
         if (playerObj.rigidBody) {
-            playerObj.rigidBody.setTranslation({ x: data.x, y: data.y, z: data.z }, true);
-            playerObj.rigidBody.setRotation({
-                x: data.rotationX,
-                y: data.rotationY,
-                z: data.rotationZ,
-                w: data.rotationW || 1
-            }, true);
+            playerObj.rigidBody.setTranslation(remotePosition, true);
+            playerObj.rigidBody.setRotation(remoteQuaternion, true);
         }
 
         // Update name sprite position to follow the player mesh
@@ -393,23 +477,19 @@ function updateOtherPlayer(data) {
             const size = box.getSize(new THREE.Vector3());
             playerObj.nameSprite.position.set(center.x, center.y + size.y / 2 + 1, center.z);
         }
+    });
+}
 
-        // Update name if provided and different
-        if (data.playerName && playerObj.nameSprite.userData.name !== data.playerName) {
-            const canvas = document.createElement('canvas');
-            const context = canvas.getContext('2d');
-            canvas.width = 256;
-            canvas.height = 64;
-            context.font = 'Bold 30px Arial';
-            context.fillStyle = 'white';
-            context.textAlign = 'center';
-            context.fillText(data.playerName, 128, 40);
-
-            const texture = new THREE.CanvasTexture(canvas);
-            playerObj.nameSprite.material.map = texture;
-            playerObj.nameSprite.userData.name = data.playerName;
+// Move enemies to their interpolated transforms; bots fly on the server like remote players
+function updateEnemyTransforms() {
+    const renderTime = networkManager.getRenderTime();
+    enemies.forEach(enemy => {
+        if (!enemy.mesh || !networkManager.getInterpolatedState(networkManager.enemyStateKey(enemy.id), renderTime, remotePosition, remoteQuaternion)) {
+            return;
         }
-    }
+        enemy.mesh.position.copy(remotePosition);
+        enemy.mesh.quaternion.copy(remoteQuaternion);
+    });
 }
 
 function removeOtherPlayer(playerId) {
@@ -426,16 +506,101 @@ function removeOtherPlayer(playerId) {
     }
 }
 
+/**
+ * Remove every player, enemy and bolt belonging to the room we just left
+ */
+function clearRoomState() {
+    Object.keys(otherPlayers).forEach(removeOtherPlayer);
+    clearMapState();
+    player.targeting.clear();
+    targetUI.setTargetedBy([]);
+    combatLogUI.clear();
+    damageIndicator.clear();
+    deathScreen.hide();
+}
+
+/**
+ * Remove the room's enemies, capital ships and bolts in flight
+ */
+function clearMapState() {
+    enemies.forEach(enemy => {
+        if (enemy.destroy) {
+            enemy.destroy();
+        }
+        scene.remove(enemy.mesh);
+    });
+    enemies.length = 0;
+
+    Object.keys(capitalShips).forEach(id => {
+        capitalShips[id].dispose();
+        delete capitalShips[id];
+    });
+
+    networkedBolts.forEach(bolt => {
+        if (bolt.parent) {
+            bolt.parent.remove(bolt);
+        }
+    });
+    networkedBolts.length = 0;
+
+    allMissiles().forEach(missile => missile.destroy());
+    missiles.length = 0;
+    if (player.ship && player.ship.secondaryWeapon) {
+        player.ship.secondaryWeapon.getMissiles().length = 0;
+    }
+
+    if (player.ship && player.ship.primaryWeapon) {
+        const shipBolts = player.ship.primaryWeapon.getBolts();
+        shipBolts.forEach(bolt => {
+            bolt.destroy();
+            if (bolt.mesh && bolt.mesh.parent) {
+                bolt.mesh.parent.remove(bolt.mesh);
+            }
+        });
+        shipBolts.length = 0;
+    }
+}
+
 function spawnEnemy(enemyData) {
-    const enemy = new BaseEnemy(scene, world, new THREE.Vector3(enemyData.x, enemyData.y, enemyData.z), 50, 25, enemyData.id);
+    const enemy = new BaseEnemy(scene, world, new THREE.Vector3(enemyData.x, enemyData.y, enemyData.z), enemyData.maxHealth, enemyData.maxShield, enemyData.id);
+    enemy.name = enemyData.name;
+    enemy.team = enemyData.team ?? null; // Null for the target dummy, which anyone may lock on to
+    if (enemyData.health !== undefined) {
+        enemy.applyServerState(enemyData); // It may already have taken damage
+    }
     // Set debris manager reference for the enemy
     enemy.setDebrisManager(debrisManager);
     enemies.push(enemy);
     // Note: enemy.mesh will be added to scene in the GLTF loader callback within BaseEnemy constructor
 }
 
+function spawnCapitalShip(capitalShipData) {
+    if (capitalShips[capitalShipData.id]) {
+        capitalShips[capitalShipData.id].dispose();
+    }
+    const capitalShip = new CapitalShip(scene, world, capitalShipData);
+    capitalShip.setDebrisManager(debrisManager);
+    capitalShip.setParticleSystem(particleSystem);
+    capitalShips[capitalShipData.id] = capitalShip;
+}
+
+/**
+ * A fresh match: put the map's enemies and capital ships back (players respawn separately)
+ */
+function handleMatchRestart(data) {
+    console.log('A new match is starting');
+    clearMapState();
+    data.enemies.forEach(spawnEnemy);
+    data.capitalShips.forEach(spawnCapitalShip);
+}
+
 function spawnRespawnedEnemy(enemyData) {
-    const enemy = new BaseEnemy(scene, world, new THREE.Vector3(enemyData.x, enemyData.y, enemyData.z), 50, 25, enemyData.id);
+    const enemy = new BaseEnemy(scene, world, new THREE.Vector3(enemyData.x, enemyData.y, enemyData.z), enemyData.maxHealth, enemyData.maxShield, enemyData.id);
+    enemy.name = enemyData.name;
+    enemy.team = enemyData.team ?? null; // Null for the target dummy, which anyone may lock on to
+    if (enemyData.health !== undefined) {
+        enemy.applyServerState(enemyData); // It may already have taken damage
+    }
     // Set debris manager reference for the respawned enemy
     enemy.setDebrisManager(debrisManager);
     enemies.push(enemy);
@@ -529,6 +694,12 @@ function createPlayerRigidBody(mesh, isLocalPlayer = false) {
     return { rigidBody, collider };
 }
 function handleNetworkedFire(data) {
+    // Missile launches come from the server with its id for the missile
+    if (data.missileId !== undefined) {
+        handleMissileLaunch(data);
+        return;
+    }
+
     // Create a networked bolt - but limit creation rate to prevent flooding
     const currentTime = Date.now() / 1000;
 
@@ -652,6 +823,109 @@ function handleNetworkedFire(data) {
         }
 
         // Skip the rest of the function since we handled both bolts
+        return;
+    } else if (data.weaponType === 'quad-laser') {
+        // Four red bolts from the X-Wing's wingtips. The event carries the top-left
+        // cannon's position; the others are offset from it like QuadLaser does.
+        const topLeft = new THREE.Vector3(data.position.x, data.position.y, data.position.z);
+        const direction = new THREE.Vector3(data.direction.x, data.direction.y, data.direction.z).normalize();
+        const rightVector = new THREE.Vector3().crossVectors(direction, new THREE.Vector3(0, 1, 0)).normalize();
+        const upVector = new THREE.Vector3().crossVectors(rightVector, direction).normalize();
+        const across = rightVector.multiplyScalar(QuadLaserConfig.PRIMARY.SPREAD_DISTANCE * 2);
+        const down = upVector.multiplyScalar(-QuadLaserConfig.PRIMARY.VERTICAL_SPREAD * 2);
+
+        [
+            topLeft,
+            topLeft.clone().add(across),
+            topLeft.clone().add(down),
+            topLeft.clone().add(across).add(down)
+        ].forEach(position => {
+            const mesh = new THREE.Mesh(
+                new THREE.CylinderGeometry(0.06, 0.06, 1.2, 8),
+                new THREE.MeshBasicMaterial({ color: LaserRebelConfig.COLOR })
+            );
+            mesh.position.copy(position);
+            mesh.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), direction);
+            mesh.userData = {
+                direction: data.direction,
+                isNetworkedBolt: true,
+                speed: LaserRebelConfig.SPEED,
+                lifetime: lifetime,
+                age: 0,
+                ownerId: data.playerId,
+                previousPosition: position.clone(),
+                hitTargets: new Set(),
+                weaponType: 'quad-laser'
+            };
+            scene.add(mesh);
+            networkedBolts.push(mesh);
+        });
+
+        // Play firing sound for the quad lasers
+        if (!document.hidden && laserAudioBuffer) {
+            try {
+                const sound = new THREE.PositionalAudio(audioListener);
+                sound.setBuffer(laserAudioBuffer);
+                sound.setRefDistance(20);
+                sound.setVolume(0.03);
+                sound.position.copy(topLeft);
+                scene.add(sound);
+                sound.play();
+                setTimeout(() => {
+                    if (sound.parent) {
+                        sound.parent.remove(sound);
+                    }
+                }, 1000);
+            } catch (error) {
+                console.warn('Failed to play networked quad laser sound:', error);
+            }
+        }
+
+        return;
+    } else if (data.weaponType === 'turbolaser') {
+        // A capital ship turret; the server simulates the bolt and decides what it hits
+        const position = new THREE.Vector3(data.position.x, data.position.y, data.position.z);
+        const direction = new THREE.Vector3(data.direction.x, data.direction.y, data.direction.z).normalize();
+        const mesh = new THREE.Mesh(
+            new THREE.CylinderGeometry(TurbolaserBoltConfig.RADIUS, TurbolaserBoltConfig.RADIUS, TurbolaserBoltConfig.LENGTH, 8),
+            new THREE.MeshBasicMaterial({ color: TurbolaserBoltConfig.COLOR })
+        );
+        mesh.position.copy(position);
+        mesh.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), direction);
+        mesh.userData = {
+            direction: data.direction,
+            isNetworkedBolt: true,
+            speed: TurbolaserBoltConfig.SPEED,
+            lifetime: TurbolaserBoltConfig.LIFETIME,
+            age: 0,
+            ownerId: data.playerId,
+            previousPosition: position.clone(),
+            hitTargets: new Set(),
+            weaponType: 'turbolaser'
+        };
+        scene.add(mesh);
+        networkedBolts.push(mesh);
+
+        // Play firing sound from the turret
+        if (!document.hidden && laserAudioBuffer) {
+            try {
+                const sound = new THREE.PositionalAudio(audioListener);
+                sound.setBuffer(laserAudioBuffer);
+                sound.setRefDistance(80);
+                sound.setVolume(0.05);
+                sound.position.copy(position);
+                scene.add(sound);
+                sound.play();
+                setTimeout(() => {
+                    if (sound.parent) {
+                        sound.parent.remove(sound);
+                    }
+                }, 1000);
+            } catch (error) {
+                console.warn('Failed to play turbolaser sound:', error);
+            }
+        }
+
         return;
     } else {
         // Default to blaster bolt for other weapon types
@@ -733,6 +1007,229 @@ function handleNetworkedFire(data) {
     }
 }
 
+/**
+ * Every missile in flight: the ones our launcher tracks and everyone else's
+ */
+function allMissiles() {
+    const own = player.ship?.secondaryWeapon?.getMissiles() || [];
+    return own.concat(missiles);
+}
+
+/**
+ * A missile launch accepted by the server. Our own launches are paired with the missile
+ * we already drew; anyone else's (or ours from a ship we've since lost) are drawn now.
+ */
+function handleMissileLaunch(data) {
+    if (data.playerId === myPlayerId && player.ship?.secondaryWeapon?.confirmLaunch(data)) {
+        return;
+    }
+
+    const weapon = SECONDARY_WEAPONS[data.weaponType];
+    if (!weapon) {
+        console.warn(`Unknown secondary weapon ${data.weaponType}`);
+        return;
+    }
+    missiles.push(new Missile(scene, weapon, { ...data, ownerId: data.playerId }));
+}
+
+/**
+ * The server detonated a missile, on its target or at the end of its flight
+ */
+function handleMissileDetonation(data) {
+    const ownMissiles = player.ship?.secondaryWeapon?.getMissiles() || [];
+    [ownMissiles, missiles].forEach(list => {
+        const index = list.findIndex(missile => missile.missileId === data.missileId);
+        if (index === -1) return;
+
+        const [missile] = list.splice(index, 1);
+        if (data.hit) {
+            const position = new THREE.Vector3(data.position.x, data.position.y, data.position.z);
+            particleSystem.createHitEffect(position, missile.velocity.clone().normalize().negate(), new THREE.Color(missile.weapon.COLOR), 30, 15, Math.PI);
+        }
+        missile.destroy();
+    });
+}
+
+/**
+ * Where a missile's target is and how it is moving, or null if we can't see it
+ * @param {string} targetType - 'player' or 'enemy'
+ * @param {number|string} targetId - Player or enemy id
+ * @returns {Object|null} { position, velocity }
+ */
+function missileTarget(targetType, targetId) {
+    if (targetType === 'enemy') {
+        const enemy = enemies.find(e => String(e.id) === String(targetId));
+        if (!enemy || !enemy.mesh) return null;
+        return { position: enemy.mesh.position, velocity: networkManager.getRemoteVelocity(networkManager.enemyStateKey(enemy.id)) };
+    }
+    if (String(targetId) === String(myPlayerId)) {
+        return player.isAlive ? { position: player.position, velocity: player.velocity } : null;
+    }
+    const playerObj = otherPlayers[String(targetId)];
+    if (!playerObj || !playerObj.isAlive) return null;
+    return { position: playerObj.mesh.position, velocity: networkManager.getRemoteVelocity(targetId) };
+}
+
+/**
+ * Everything the targeting computer can select: other living players, enemies and active capital ships
+ * (see Targeting for the contact fields)
+ */
+function targetContacts() {
+    const contacts = [];
+    Object.entries(otherPlayers).forEach(([playerId, playerObj]) => {
+        if (!playerObj.isAlive) return;
+        contacts.push({
+            targetType: 'player',
+            targetId: playerId,
+            name: playerObj.nameSprite?.userData.name || playerId,
+            team: playerObj.team,
+            hostile: playerObj.team !== myTeam,
+            position: playerObj.mesh.position,
+            health: playerObj.health,
+            maxHealth: playerObj.maxHealth,
+            shield: playerObj.shield,
+            maxShield: playerObj.maxShield
+        });
+    });
+    enemies.forEach(enemy => {
+        if (!enemy.mesh || enemy.isDestroyed()) return;
+        contacts.push({
+            targetType: 'enemy',
+            targetId: enemy.id,
+            name: enemy.name || enemy.id,
+            team: enemy.team,
+            hostile: !enemy.team || enemy.team !== myTeam, // The target dummy has no team and is fair game
+            position: enemy.mesh.position,
+            health: enemy.health,
+            maxHealth: enemy.maxHealth,
+            shield: enemy.shield,
+            maxShield: enemy.maxShield
+        });
+    });
+    Object.values(capitalShips).forEach(capitalShip => {
+        if (capitalShip.state.state !== 'active') return;
+        const subsystems = Object.entries(capitalShip.state.subsystems)
+            .filter(([, subsystem]) => subsystem.health > 0)
+            .map(([subsystemId, subsystem]) => ({
+                subsystemId,
+                name: capitalShip.config.SUBSYSTEMS[subsystemId].NAME,
+                position: capitalShip.getSubsystemPosition(subsystemId),
+                health: subsystem.health,
+                maxHealth: subsystem.maxHealth
+            }));
+        contacts.push({
+            targetType: 'capitalShip',
+            targetId: capitalShip.id,
+            name: capitalShip.config.NAME,
+            team: capitalShip.team,
+            hostile: capitalShip.team !== myTeam,
+            position: capitalShip.hitboxGroup.position,
+            // Its hull is what is left of its subsystems
+            health: subsystems.reduce((sum, subsystem) => sum + subsystem.health, 0),
+            maxHealth: Object.values(capitalShip.state.subsystems).reduce((sum, subsystem) => sum + subsystem.maxHealth, 0),
+            shield: 0,
+            maxShield: 0,
+            subsystems
+        });
+    });
+    return contacts;
+}
+
+/**
+ * Where the missiles locked on to us are, for the radar
+ */
+function incomingMissilePositions() {
+    return allMissiles()
+        .filter(missile => missile.targetType === 'player' && String(missile.targetId) === String(myPlayerId))
+        .map(missile => missile.mesh.position);
+}
+
+/**
+ * A target's velocity as it is drawn, interpolated like its transform; capital ships hold still
+ * @param {Object|null} target - Targeting.getTarget()
+ * @param {THREE.Vector3} outVelocity - Receives the velocity
+ */
+function targetVelocity(target, outVelocity) {
+    outVelocity.set(0, 0, 0);
+    if (!target || target.targetType === 'capitalShip') return outVelocity;
+    const stateKey = target.targetType === 'enemy' ? networkManager.enemyStateKey(target.targetId) : target.targetId;
+    networkManager.getInterpolatedVelocity(stateKey, networkManager.getRenderTime(), outVelocity);
+    return outVelocity;
+}
+
+/**
+ * The selected target if our secondary weapon can lock on to it: a hostile player or enemy
+ * @param {Object|null} target - Targeting.getTarget()
+ */
+function lockTarget(target) {
+    if (!target || !target.hostile || (target.targetType !== 'player' && target.targetType !== 'enemy')) {
+        return null;
+    }
+    return target;
+}
+
+/**
+ * Steer every missile in flight at its target; ones that run out of fuel before the
+ * server's detonation arrives are dropped
+ */
+function updateMissiles(deltaTime) {
+    const ownMissiles = player.ship?.secondaryWeapon?.getMissiles() || [];
+    [ownMissiles, missiles].forEach(list => {
+        for (let i = list.length - 1; i >= 0; i--) {
+            const missile = list[i];
+            if (missile.update(deltaTime, missileTarget(missile.targetType, missile.targetId))) {
+                missile.destroy();
+                list.splice(i, 1);
+            }
+        }
+    });
+}
+
+function handleEnemyDamage(data) {
+    const enemy = enemies.find(candidate => candidate.id === data.enemyId);
+    if (enemy) {
+        enemy.applyServerState(data);
+        confirmHit(data, enemy.name || enemy.id, hitKind(data));
+    }
+}
+
+/**
+ * Which hit marker a playerDamaged or enemyDamaged message earns
+ */
+function hitKind(data) {
+    if (!data.isAlive) return 'kill';
+    return data.componentDestroyed ? 'component' : 'hit';
+}
+
+/**
+ * If the hit was ours, flash the hit marker and add it to the combat log
+ * @param {Object} data - playerDamaged, enemyDamaged or subsystemDamaged message
+ * @param {string} targetName - What was hit
+ * @param {string} kind - Hit marker to flash: 'hit', 'component' or 'kill'
+ */
+function confirmHit(data, targetName, kind) {
+    if (data.attackerPlayerId !== myPlayerId) return;
+    hitMarker.flash(kind);
+    if (!data.damage) return;
+    combatLogUI.add(`You hit ${targetName} with ${weaponName(data.weaponType)} for ${Math.round(data.damage)}`, 'dealt');
+}
+
+/**
+ * A ship was destroyed: add it to the kill feed, and to our combat log if we were the killer or the victim
+ */
+function handlePlayerKilled(data) {
+    killFeedUI.addKill(data);
+
+    const weapon = weaponName(data.weaponType);
+    const component = componentName(data.victimShipType, data.componentId);
+    const how = component ? `${weapon} (${component})` : weapon;
+    if (data.killerType === 'player' && data.killerId === myPlayerId) {
+        combatLogUI.add(`You destroyed ${data.victimName} with ${how}`, 'kill');
+    } else if (data.victimType === 'player' && data.victimId === myPlayerId) {
+        combatLogUI.add(`${data.killerName} destroyed you with ${how}`, 'received');
+    }
+}
+
 function handleEnemyDestruction(enemyId) {
     // Find and remove the enemy with the matching ID
     for (let i = enemies.length - 1; i >= 0; i--) {
@@ -749,102 +1246,72 @@ function handleEnemyDestruction(enemyId) {
     }
 }
 
+/**
+ * Direction for a hit effect on a ship: back towards the attacker, or random if the server didn't say where it was
+ * @param {THREE.Vector3} hitPosition - Where the effect is drawn
+ * @param {Object|undefined} attackerPosition - { x, y, z } from the playerDamaged message
+ */
+function hitEffectDirection(hitPosition, attackerPosition) {
+    const direction = attackerPosition
+        ? new THREE.Vector3(attackerPosition.x, attackerPosition.y, attackerPosition.z).sub(hitPosition)
+        : new THREE.Vector3();
+    if (direction.lengthSq() < 1e-6) {
+        direction.set(Math.random() - 0.5, Math.random() - 0.5, Math.random() - 0.5);
+    }
+    return direction.normalize();
+}
+
 function handlePlayerDamage(data) {
     if (data.playerId === myPlayerId) {
-        // Update local player's health/shield
+        if (data.damage) {
+            combatLogUI.add(`${data.attackerName} hit you with ${weaponName(data.weaponType)} for ${Math.round(data.damage)}`, 'received');
+            if (data.attackerPosition) {
+                const attackerKey = data.attackerPlayerId ?? data.attackerTurretId ?? data.attackerEnemyId;
+                damageIndicator.addHit(String(attackerKey), data.attackerPosition);
+            }
+        }
+
+        // The server applies the shared damage rules; adopt its shield, hull and component values
         player.ship.health = data.health;
         player.ship.shield = data.shield;
-        player.ship.hull = data.health; // Assuming hull is health
-        player.ship.totalHullHealth = data.totalHullHealth || player.ship.totalHullHealth;
+        player.ship.hull = data.health;
+        player.ship.totalHullHealth = data.health;
+        player.ship.lastShieldDamageTime = Date.now() / 1000; // Prevent immediate shield regeneration
         player.isAlive = data.isAlive;
 
-        // Update component health if provided
+        // Update component health and break off any component the hit destroyed
         if (data.componentHealth) {
             player.ship.componentHealth = { ...player.ship.componentHealth, ...data.componentHealth };
+            Object.keys(data.componentHealth).forEach(componentId => {
+                if (data.componentHealth[componentId] <= 0 && player.ship.componentMeshes[componentId]) {
+                    console.log(`Local player component ${componentId} destroyed due to network damage`);
+                    player.ship.destroyComponent(componentId);
+                }
+            });
         }
 
         // Create hit effect for local player being damaged
         if (particleSystem) {
             // Use ship position as fallback for hit location
             const hitPosition = player.ship.mesh ? player.ship.mesh.position.clone() : player.position.clone();
-            // Use a random direction for the hit effect
-            const hitDirection = new THREE.Vector3(
-                (Math.random() - 0.5) * 2,
-                (Math.random() - 0.5) * 2,
-                (Math.random() - 0.5) * 2
-            ).normalize();
+            const hitDirection = hitEffectDirection(hitPosition, data.attackerPosition);
             // Use weapon color based on attacker weapon type
             let damageColor = new THREE.Color(0xff4444); // Default red for damage
-            if (data.weaponType === 'laser') {
+            if (data.weaponType === 'tie-cannon') {
                 damageColor = new THREE.Color(0x00ff00); // Green for laser bolts
             } else if (data.weaponType === 'blaster') {
                 damageColor = new THREE.Color(0x0066ff); // Blue for blaster bolts
+            } else if (data.weaponType === 'quad-laser') {
+                damageColor = new THREE.Color(LaserRebelConfig.COLOR); // Red for rebel laser bolts
             }
             particleSystem.createHitEffect(hitPosition, hitDirection, damageColor);
         }
 
-        // Handle component-specific damage for other players
-        if (data.componentId && data.componentId !== null) {
-            // Apply damage to the other player's component
-            if (playerObj.componentHealth && playerObj.componentHealth[data.componentId] !== undefined) {
-                playerObj.componentHealth[data.componentId] -= (data.damage || 10);
-                playerObj.componentHealth[data.componentId] = Math.max(0, playerObj.componentHealth[data.componentId]);
-            }
-        }
-
-        // Update the last shield damage time to prevent immediate regeneration
-        const currentTime = Date.now() / 1000; // Convert to seconds
-        player.ship.lastShieldDamageTime = currentTime;
-
-        // Apply component-specific damage if component was hit
-        if (data.componentId && player.ship.componentHealth[data.componentId] !== undefined) {
-            console.log(`Applying component-specific damage: componentId=${data.componentId}, damage=${data.damage || 10}`);
-            player.ship.componentHealth[data.componentId] -= (data.damage || 10);
-            player.ship.componentHealth[data.componentId] = Math.max(0, player.ship.componentHealth[data.componentId]);
-
-            // Check if component should be destroyed
-            if (player.ship.componentHealth[data.componentId] <= 0) {
-                console.log(`Local player component ${data.componentId} destroyed due to network damage`);
-                player.ship.destroyComponent(data.componentId);
-            }
-        } else {
-            // Apply damage to shields and health if no specific component was hit
-            let damage = data.damage || 10;
-            if (player.ship.shield > 0) {
-                const shieldDamage = Math.min(damage, player.ship.shield);
-                player.ship.shield -= shieldDamage;
-                damage -= shieldDamage;
-                player.ship.shield = Math.max(0, player.ship.shield);
-                console.log(`Shield absorbed ${shieldDamage} damage, remaining shield: ${player.ship.shield}`);
-            }
-            if (damage > 0) {
-                player.ship.totalHullHealth -= damage;
-                player.ship.totalHullHealth = Math.max(0, player.ship.totalHullHealth);
-                console.log(`Hull damage: ${damage}, remaining hull: ${player.ship.totalHullHealth}`);
-            }
-
-            // Check destruction conditions
-            const mainHullDestroyed = !player.ship.componentHealth.main_body || player.ship.componentHealth.main_body <= 0;
-            const leftWingDestroyed = !player.ship.componentHealth.left_wing || player.ship.componentHealth.left_wing <= 0;
-            const rightWingDestroyed = !player.ship.componentHealth.right_wing || player.ship.componentHealth.right_wing <= 0;
-            const bothWingsDestroyed = leftWingDestroyed && rightWingDestroyed;
-
-            const isDestroyed = player.ship.totalHullHealth <= 0 || mainHullDestroyed || bothWingsDestroyed;
-
-            if (isDestroyed && player.isAlive) {
-                player.isAlive = false;
-                console.log('You died! Press R to respawn.');
-                // Hide the ship mesh
-                player.ship.mesh.visible = false;
-            }
-        }
-
         if (!data.isAlive) {
-            // Handle player death locally
-            console.log('You died! Press R to respawn.');
+            // Handle player death locally; the death screen follows with the server's respawn countdown
+            console.log('You died!');
             // Hide the ship mesh
             player.ship.mesh.visible = false;
-            // Could add death effects, respawn timer, etc.
         } else {
             // Ensure ship is visible when alive
             player.ship.mesh.visible = true;
@@ -853,33 +1320,29 @@ function handlePlayerDamage(data) {
         // Update other player's data
         const playerObj = otherPlayers[String(data.playerId)];
         if (playerObj) {
+            confirmHit(data, playerObj.nameSprite?.userData?.name || 'Player', hitKind(data));
+
             // Store health data for visual feedback (could change cube color based on health)
             playerObj.health = data.health;
             playerObj.shield = data.shield;
-            playerObj.totalHullHealth = data.totalHullHealth || playerObj.totalHullHealth || 110;
-            playerObj.componentHealth = data.componentHealth || playerObj.componentHealth || {
-                main_body: 100,
-                left_wing: 50,
-                right_wing: 50
-            };
+            playerObj.totalHullHealth = data.health;
+            playerObj.componentHealth = data.componentHealth || playerObj.componentHealth ||
+                { ...getShipConfig(playerObj.shipType).COMPONENT_HEALTH };
             playerObj.isAlive = data.isAlive;
 
             // Create hit effect for other player being damaged
             if (particleSystem && playerObj.mesh) {
                 // Use ship position as fallback for hit location
                 const hitPosition = playerObj.mesh.position.clone();
-                // Use a random direction for the hit effect
-                const hitDirection = new THREE.Vector3(
-                    (Math.random() - 0.5) * 2,
-                    (Math.random() - 0.5) * 2,
-                    (Math.random() - 0.5) * 2
-                ).normalize();
+                const hitDirection = hitEffectDirection(hitPosition, data.attackerPosition);
                 // Use weapon color based on attacker weapon type
                 let damageColor = new THREE.Color(0xff4444); // Default red for damage
-                if (data.weaponType === 'laser') {
+                if (data.weaponType === 'tie-cannon') {
                     damageColor = new THREE.Color(0x00ff00); // Green for laser bolts
                 } else if (data.weaponType === 'blaster') {
                     damageColor = new THREE.Color(0x0066ff); // Blue for blaster bolts
+                } else if (data.weaponType === 'quad-laser') {
+                    damageColor = new THREE.Color(LaserRebelConfig.COLOR); // Red for rebel laser bolts
                 }
                 particleSystem.createHitEffect(hitPosition, hitDirection, damageColor);
             }
@@ -935,43 +1398,31 @@ function handlePlayerRespawn(data) {
         // Local player respawned - reload the entire model to restore destroyed components
         player.isAlive = data.isAlive;
 
-        // Remove the old mesh from scene if it exists
-        if (player.ship && player.ship.mesh && player.ship.mesh.parent) {
-            player.ship.mesh.parent.remove(player.ship.mesh);
-        }
+        deathScreen.hide();
 
-        // Recreate the ship with a fresh model
+        // Recreate the ship with a fresh model, of the type picked on the death screen
         const shipType = data.shipType || myShipType;
-        if (shipType === 'imperial-tie-fighter') {
-            player.ship = new ImperialTieFighter(scene, world);
-        } else {
-            player.ship = new BaseShip(scene, world);
-        }
+        myShipType = shipType;
+        replaceLocalShip(shipType);
 
         // Set initial stats after model loads (in the ship constructor callback)
         player.ship.health = data.health;
         player.ship.shield = data.shield;
-        player.ship.componentHealth = {
-            main_body: 100,
-            left_wing: 50,
-            right_wing: 50
-        };
+        if (data.componentHealth) {
+            player.ship.componentHealth = { ...data.componentHealth }; // Layout of the ship type we respawned as
+        }
 
         player.position.set(data.x, data.y, data.z);
         player.quaternion.set(data.rotationX, data.rotationY, data.rotationZ, data.rotationW);
+        prediction.reset();
 
         // Wait for the model to load, then position it correctly
-        const checkModelLoaded = () => {
-            if (player.ship.modelLoaded) {
-                player.ship.mesh.position.copy(player.position);
-                player.ship.mesh.quaternion.copy(player.quaternion);
-                player.ship.mesh.visible = true;
-                console.log(`You respawned with a fresh ${shipType}!`);
-            } else {
-                setTimeout(checkModelLoaded, 50); // Check again in 50ms
-            }
-        };
-        checkModelLoaded();
+        whenLocalShipLoaded(() => {
+            player.ship.mesh.position.copy(player.position);
+            player.ship.mesh.quaternion.copy(player.quaternion);
+            player.ship.mesh.visible = true;
+            console.log(`You respawned with a fresh ${shipType}!`);
+        });
     } else {
         // Other player respawned - reload the entire model to restore destroyed components
         if (otherPlayers[String(data.playerId)]) {
@@ -1134,6 +1585,43 @@ function handleEnemyComponentDestruction(data) {
     }
 }
 
+function handleSubsystemDamage(data) {
+    const capitalShip = capitalShips[data.capitalShipId];
+    if (capitalShip) {
+        capitalShip.updateSubsystem(data.subsystemId, data.health);
+        const subsystemName = capitalShip.config.SUBSYSTEMS[data.subsystemId]?.NAME || data.subsystemId;
+        confirmHit(data, `${capitalShip.config.NAME}'s ${subsystemName}`, data.health <= 0 ? 'component' : 'hit');
+    }
+}
+
+function handleSubsystemDestruction(data) {
+    const capitalShip = capitalShips[data.capitalShipId];
+    if (!capitalShip) return;
+
+    const subsystemName = capitalShip.config.SUBSYSTEMS[data.subsystemId]?.NAME || data.subsystemId;
+    console.log(`${capitalShip.config.NAME}'s ${subsystemName} was destroyed!`);
+    capitalShip.destroySubsystem(data.subsystemId);
+    if (!data.shieldsUp) {
+        console.log(`${capitalShip.config.NAME}'s shields are down`);
+    }
+}
+
+function handleCapitalShipDestroying(data) {
+    const capitalShip = capitalShips[data.capitalShipId];
+    if (capitalShip) {
+        console.log(`${capitalShip.config.NAME} is going down!`);
+        capitalShip.startDestruction(data.duration);
+    }
+}
+
+function handleCapitalShipDestroyed(data) {
+    const capitalShip = capitalShips[data.capitalShipId];
+    if (capitalShip) {
+        capitalShip.finishDestruction();
+        delete capitalShips[data.capitalShipId];
+    }
+}
+
 // Force-create debris on the shooter's side when a component is destroyed
 // This function is no longer needed as debris creation is handled directly in handleEnemyComponentDestruction
 function handleEnemyComponentDestructionForShooter(data) {
@@ -1170,12 +1658,20 @@ const controls = new Controls(renderer.domElement, player);
 
 // UI
 const ui = new UI(player);
+const targetUI = new TargetUI(player);
+const leadIndicator = new LeadIndicator(player);
+const leadTargetVelocity = new THREE.Vector3();
+const radar = new Radar(player);
+const targetMarkers = new TargetMarkers(player);
+networkManager.setCallback('onTargetedBy', attackers => targetUI.setTargetedBy(attackers));
 
 const clock = new THREE.Clock();
 
 // Animation loop with proper visibility handling
 let animationId = null;
 let isPaused = false;
+let inputSendTimer = 0;
+const unsentInputs = [];
 
 function animate() {
     animationId = requestAnimationFrame(animate);
@@ -1203,14 +1699,23 @@ function animate() {
     // Only continue if the page is visible and not paused
     if (!document.hidden && !isPaused) {
 
-        controls.update(cappedDeltaTime);
-        player.update(controls, cappedDeltaTime);
+        // Predict locally straight away; the input is kept for reconciliation with the server
+        const input = controls.sampleInput(cappedDeltaTime);
+        player.update(input, cappedDeltaTime);
         if (player.ship && player.ship.update) {
             // Ship update is done here, which includes weapon updates
             player.ship.update(player, cappedDeltaTime);
         }
         playerCamera.update();
         ui.update();
+        matchUI.update();
+        killFeedUI.update();
+        damageIndicator.update();
+        hitMarker.update();
+        deathScreen.update();
+        connectionUI.update();
+        scoreboardUI.setVisible(!!controls.keys.Tab);
+        updateRemotePlayers();
         
         // Detect and resolve collisions between all meshes
         detectAndResolveCollisions();
@@ -1218,23 +1723,33 @@ function animate() {
         // Handle ISD collision detection and response
         handleISDCollisions();
 
-        // Send position updates if connected
-        if (ws.readyState === WebSocket.OPEN && myPlayerId !== null) {
-            ws.send(JSON.stringify({
-                type: 'position',
-                x: player.position.x,
-                y: player.position.y,
-                z: player.position.z,
-                rotationX: player.quaternion.x,
-                rotationY: player.quaternion.y,
-                rotationZ: player.quaternion.z,
-                rotationW: player.quaternion.w
-            }));
+        prediction.recordInput(input);
+        unsentInputs.push(input);
+
+        // Send the inputs sampled since the last batch at the configured network rate rather than every frame
+        inputSendTimer += cappedDeltaTime;
+        if (myPlayerId !== null && inputSendTimer >= 1 / GameConfig.NETWORK.INPUT_SEND_RATE) {
+            inputSendTimer = 0;
+            networkManager.sendInputs(unsentInputs.splice(0));
         }
 
         // Update enemies
+        updateEnemyTransforms();
         enemies.forEach(enemy => enemy.update(cappedDeltaTime));
 
+        // Keep the selected target current, then lock on to it with the secondary weapon and fly the missiles
+        player.targeting.update();
+        const target = player.targeting.getTarget();
+        targetUI.update(target);
+        leadIndicator.update(target, targetVelocity(target, leadTargetVelocity));
+        if (player.ship && player.ship.secondaryWeapon && player.isAlive) {
+            player.ship.secondaryWeapon.updateLock(cappedDeltaTime, player, lockTarget(target));
+        }
+        updateMissiles(cappedDeltaTime);
+        const contacts = targetContacts();
+        radar.update(contacts, target, !!player.ship?.secondaryWeapon?.isLocked(), incomingMissilePositions());
+        targetMarkers.update(contacts, target);
+
         // Update debris effects
         debrisManager.update(cappedDeltaTime);
 
@@ -1324,6 +1839,11 @@ function animate() {
             if (playerObj.mesh && playerObj.isAlive && playerObj.mesh.parent) collisionTargets.push(playerObj.mesh);
         });
 
+        // Add subsystem hitboxes of the other team's capital ships
+        Object.values(capitalShips).forEach(capitalShip => {
+            if (capitalShip.team !== myTeam) collisionTargets.push(...capitalShip.getHitboxes());
+        });
+
         // Update physics simulation
         if (world) {
             world.step();
@@ -1360,9 +1880,9 @@ function animate() {
                 const hitObject = intersect.object;
 
 
-                // Check if bolt hit the shooter's own ship
+                // Check if bolt hit the shooter's own ship; other players' meshes are left to the hit report below
                 // Only apply this check if it's not the owner's own bolt, or if the bolt is past the grace period
-                if ((player.ship && hitObject === player.ship.mesh) || (hitObject.userData && hitObject.userData.isPlayer)) {
+                if ((player.ship && hitObject === player.ship.mesh) || (hitObject.userData && hitObject.userData.playerId === myPlayerId)) {
                     if (!(bolt.ownerId === myPlayerId && bolt.age < 0.3)) { // Don't damage self during grace period
                         const weapon = player.ship?.primaryWeapon;
                         if (weapon) {
@@ -1390,15 +1910,21 @@ function animate() {
                                 componentId = hitObject.userData.componentId;
                             }
 
-                            // Damage the enemy (with component-specific damage if applicable)
-                            const destroyed = enemy.takeDamage(bolt.damage, componentId);
+                            // Report the hit; the server validates it and sends back the enemy's new health
+                            networkManager.sendEnemyHit(
+                                enemy.id,
+                                componentId,
+                                bolt.weaponType
+                            );
 
                             // Create hit effect with bolt's color
                             if (particleSystem && intersect.point) {
                                 // Determine color based on bolt type
                                 let boltColor;
-                                if (bolt instanceof LaserImperial || bolt.constructor.name === 'LaserImperial') {
+                                if (bolt.weaponType === 'tie-cannon') {
                                     boltColor = new THREE.Color(0x00ff00); // Green for laser bolts
+                                } else if (bolt.weaponType === 'quad-laser') {
+                                    boltColor = new THREE.Color(LaserRebelConfig.COLOR); // Red for rebel laser bolts
                                 } else {
                                     boltColor = new THREE.Color(0x0066ff); // Blue for blaster bolts
                                 }
@@ -1415,19 +1941,6 @@ function animate() {
                                 bolt.mesh.parent.remove(bolt.mesh);
                             }
                             hitSomething = true;
-
-                            // If enemy is destroyed, notify server (server handles respawn)
-                            if (destroyed) {
-                                console.log(`Enemy ${enemy.id} destroyed! Notifying server.`);
-
-                                // Send enemy destruction to server (server handles respawn)
-                                if (ws.readyState === WebSocket.OPEN) {
-                                    ws.send(JSON.stringify({
-                                        type: 'enemyDestroyed',
-                                        enemyId: enemy.id
-                                    }));
-                                }
-                            }
                             break;
                         }
                     }
@@ -1442,17 +1955,38 @@ function animate() {
                         componentId = hitObject.userData.componentId;
                     }
 
-                    // Send damage to server for player-to-player hit (with component info and weapon type)
-                    if (ws.readyState === WebSocket.OPEN) {
-                        ws.send(JSON.stringify({
-                            type: 'playerHit',
-                            attackerPlayerId: myPlayerId,
-                            targetPlayerId: hitObject.userData.playerId,
-                            damage: bolt.damage || 10,
-                            componentId: componentId,
-                            weaponType: bolt instanceof LaserImperial ? 'laser' : 'blaster'
-                        }));
+                    // Report the hit; the server validates it against our recent shots and applies the damage
+                    networkManager.sendPlayerHit(
+                        hitObject.userData.playerId,
+                        componentId,
+                        bolt.weaponType
+                    );
+
+                    // Remove the bolt
+                    player.ship.primaryWeapon.bolts.splice(i, 1);
+                    if (bolt.mesh && bolt.mesh.parent) {
+                        bolt.mesh.parent.remove(bolt.mesh);
                     }
+                    hitSomething = true;
+                    break;
+                }
+
+                // Check collision with capital ship subsystems
+                if (hitObject.userData && hitObject.userData.isSubsystem) {
+                    const { capitalShipId, subsystemId } = hitObject.userData;
+                    const capitalShip = capitalShips[capitalShipId];
+
+                    // Shielded subsystems flash white; the server would reject the damage anyway
+                    if (particleSystem && intersect.point && capitalShip) {
+                        const hitColor = capitalShip.isInvulnerable(subsystemId) ? 0xffffff : 0xff8800;
+                        particleSystem.createHitEffect(intersect.point, direction, new THREE.Color(hitColor));
+                    }
+
+                    networkManager.sendCapitalShipHit(
+                        capitalShipId,
+                        subsystemId,
+                        bolt.weaponType
+                    );
 
                     // Remove the bolt
                     player.ship.primaryWeapon.bolts.splice(i, 1);
@@ -1525,18 +2059,7 @@ function animate() {
                         const currentTime = Date.now() / 1000; // Convert to seconds
                         player.ship.lastShieldDamageTime = currentTime;
 
-                        // Send damage to server
-                        if (window.DEBUG_TAB_OUT_BOLTS) {
-                            console.log(`[DEBUG] Sending damage: networked bolt from player ${bolt.userData.ownerId} hit local player for 10 damage!`);
-                        }
-                        if (ws.readyState === WebSocket.OPEN) {
-                            ws.send(JSON.stringify({
-                                type: 'playerHit',
-                                attackerPlayerId: bolt.userData.ownerId,
-                                targetPlayerId: myPlayerId,
-                                damage: 10
-                            }));
-                        }
+                        // Damage itself arrives from the server once the shooter's report is validated
                     }
                     // Remove the bolt immediately after collision to prevent multiple hits
                     if (bolt.parent) {
@@ -1550,69 +2073,37 @@ function animate() {
                     break;
                 }
 
-                // Check collision with enemies
-                if (hitObject.userData && hitObject.userData.isEnemy) {
+                // Enemies stop the bolt; its shooter reports the hit (a bot's bolts pass its own hull)
+                if (hitObject.userData && hitObject.userData.isEnemy && hitObject.userData.enemyId !== bolt.userData.ownerId) {
                     if (window.DEBUG_TAB_OUT_BOLTS) {
                         console.log(`[DEBUG] Networked bolt hit enemy with ID: ${hitObject.userData.enemyId}`);
                     }
-                    for (let j = enemies.length - 1; j >= 0; j--) {
-                        const enemy = enemies[j];
-                        // Check if this hitObject is associated with this enemy
-                        if (enemy.mesh === hitObject || hitObject.userData.enemyId === enemy.id) {
-                            if (window.DEBUG_TAB_OUT_BOLTS) {
-                                console.log(`[DEBUG] Networked bolt hit enemy ${enemy.id} for 10 damage!`);
-                            }
 
-                            // Check if hit a specific component
-                            let componentId = null;
-                            if (hitObject.userData && hitObject.userData.componentId) {
-                                componentId = hitObject.userData.componentId;
-                                if (window.DEBUG_TAB_OUT_BOLTS) {
-                                    console.log(`[DEBUG] Networked bolt hit specific component: ${componentId}`);
-                                }
-                            }
-
-                            // Damage the enemy (with component-specific damage if applicable)
-                            const destroyed = enemy.takeDamage(10, componentId); // Assuming damage 10 for networked bolts
-
-                            // Create hit effect with blue color for networked bolts (they are all blaster-type)
-                            if (particleSystem && intersect.point) {
-                                const boltColor = new THREE.Color(0x00aaff); // Blue for blaster bolts
-                                particleSystem.createHitEffect(
-                                    intersect.point,
-                                    direction,
-                                    boltColor
-                                );
-                            }
-
-                            // Remove the bolt immediately after collision to prevent multiple hits
-                            if (bolt.parent) {
-                                bolt.parent.remove(bolt);
-                            }
-                            networkedBolts.splice(i, 1);
-                            if (window.DEBUG_TAB_OUT_BOLTS) {
-                                console.log(`[DEBUG] Removed networked bolt after hitting enemy, remaining: ${networkedBolts.length}`);
-                            }
-                            hitSomething = true;
+                    // Create hit effect with blue color for networked bolts (they are all blaster-type)
+                    if (particleSystem && intersect.point) {
+                        particleSystem.createHitEffect(intersect.point, direction, new THREE.Color(0x00aaff));
+                    }
 
-                            // If enemy is destroyed by networked bolt, notify server (server handles respawn)
-                            if (destroyed) {
-                                if (window.DEBUG_TAB_OUT_BOLTS) {
-                                    console.log(`[DEBUG] Enemy ${enemy.id} destroyed by networked bolt!`);
-                                }
+                    // Remove the bolt immediately after collision to prevent multiple hits
+                    if (bolt.parent) {
+                        bolt.parent.remove(bolt);
+                    }
+                    networkedBolts.splice(i, 1);
+                    hitSomething = true;
+                    break;
+                }
 
-                                // Send enemy destruction to server (server handles respawn)
-                                if (ws.readyState === WebSocket.OPEN) {
-                                    ws.send(JSON.stringify({
-                                        type: 'enemyDestroyed',
-                                        enemyId: enemy.id
-                                    }));
-                                }
-                            }
-                            break;
-                        }
+                // Capital ship subsystems stop the bolt; its shooter reports the hit
+                if (hitObject.userData && hitObject.userData.isSubsystem) {
+                    if (particleSystem && intersect.point) {
+                        particleSystem.createHitEffect(intersect.point, direction, new THREE.Color(0xff8800));
                     }
-                    if (hitSomething) break;
+                    if (bolt.parent) {
+                        bolt.parent.remove(bolt);
+                    }
+                    networkedBolts.splice(i, 1);
+                    hitSomething = true;
+                    break;
                 }
 
                 // Check collision with other players
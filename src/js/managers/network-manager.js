@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { GameConfig } from '../config/game-config.js';
 
 /**
  * Manages WebSocket connections and network message handling
@@ -8,34 +9,71 @@ export default class NetworkManager {
         this.ws = null;
         this.myPlayerId = null;
         this.myPlayerName = null;
+        this.myTeam = null; // 'rebel' or 'empire', assigned by the server
+        this.room = null; // Summary of the match room we're in ({ id, name, mapId, playerCount, maxPlayers })
         this.otherPlayers = {};
         this.enemies = [];
         this.networkedBolts = [];
 
+        // Timestamped transform history per remote player, so they can be rendered slightly in the past
+        this.remoteStates = {};
+        this.serverTimeOffset = null; // Local clock minus server clock, in milliseconds
+
+        // Smoothed round-trip time in milliseconds; the server rewinds hit targets by it
+        this.latency = 0;
+        this.pingTimer = null;
+
+        // Handed out in spawn; reconnecting with it within the server's grace period resumes our place
+        this.sessionToken = null;
+        this.reconnectAttempts = 0; // Failed attempts since the connection dropped
+        this.reconnectTimer = null;
+
         // Callbacks for game logic to handle network events
         this.callbacks = {
             onSpawn: null,
             onNewPlayer: null,
             onPlayerUpdate: null,
+            onLocalPlayerState: null,
             onPlayerDisconnected: null,
             onPlayerRespawned: null,
             onFire: null,
+            onMissileDetonated: null,
             onEnemyDestroyed: null,
+            onEnemyRespawned: null,
             onPlayerDamaged: null,
             onPlayerComponentDestroyed: null,
-            onEnemyComponentDestroyed: null
+            onEnemyComponentDestroyed: null,
+            onEnemyDamaged: null,
+            onSubsystemDamaged: null,
+            onSubsystemDestroyed: null,
+            onCapitalShipDestroying: null,
+            onCapitalShipDestroyed: null,
+            onMatchState: null,
+            onMatchRestarted: null,
+            onTargetedBy: null,
+            onPlayerStats: null,
+            onPlayerKilled: null,
+            onRespawnCountdown: null,
+            onConnectionLost: null,
+            onReconnected: null,
+            onRoomChanged: null,
+            onRoomList: null,
+            onError: null
         };
     }
 
     /**
-     * Connect to the server
+     * Connect to the server, resuming our session if we have one
      */
     connect() {
         const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-        this.ws = new WebSocket(`${protocol}//${window.location.host}/ws`);
+        const session = this.sessionToken ? `?session=${encodeURIComponent(this.sessionToken)}` : '';
+        this.ws = new WebSocket(`${protocol}//${window.location.host}/ws${session}`);
 
         this.ws.onopen = () => {
             console.log('Connected to server');
+            this.sendPing();
+            this.pingTimer = setInterval(() => this.sendPing(), GameConfig.NETWORK.PING_INTERVAL * 1000);
         };
 
         this.ws.onmessage = (event) => {
@@ -44,6 +82,9 @@ export default class NetworkManager {
 
         this.ws.onclose = () => {
             console.log('Disconnected from server');
+            clearInterval(this.pingTimer);
+            this.pingTimer = null;
+            this.scheduleReconnect();
         };
 
         // Make globally available for other scripts that need it
@@ -51,6 +92,22 @@ export default class NetworkManager {
         window.myPlayerId = this.myPlayerId;
     }
 
+    /**
+     * Try to connect again after an exponential backoff (reset once a spawn arrives)
+     */
+    scheduleReconnect() {
+        const config = GameConfig.NETWORK;
+        const delay = Math.min(config.RECONNECT_BASE_DELAY * 2 ** this.reconnectAttempts, config.RECONNECT_MAX_DELAY);
+        this.reconnectAttempts++;
+        console.log(`Reconnecting in ${delay}s (attempt ${this.reconnectAttempts})`);
+        if (this.callbacks.onConnectionLost) {
+            this.callbacks.onConnectionLost(delay, this.reconnectAttempts);
+        }
+
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = setTimeout(() => this.connect(), delay * 1000);
+    }
+
     /**
      * Handle incoming network messages
      */
@@ -64,8 +121,8 @@ export default class NetworkManager {
             case 'newPlayer':
                 this.handleNewPlayer(message);
                 break;
-            case 'playerUpdate':
-                this.handlePlayerUpdate(message);
+            case 'snapshot':
+                this.handleSnapshot(message);
                 break;
             case 'playerDisconnected':
                 this.handlePlayerDisconnected(message);
@@ -76,9 +133,15 @@ export default class NetworkManager {
             case 'fire':
                 this.handleFire(message);
                 break;
+            case 'missileDetonated':
+                this.handleMissileDetonated(message);
+                break;
             case 'enemyDestroyed':
                 this.handleEnemyDestroyed(message);
                 break;
+            case 'enemyRespawned':
+                this.handleEnemyRespawned(message);
+                break;
             case 'playerDamaged':
                 this.handlePlayerDamaged(message);
                 break;
@@ -88,21 +151,115 @@ export default class NetworkManager {
             case 'enemyComponentDestroyed':
                 this.handleEnemyComponentDestroyed(message);
                 break;
+            case 'enemyDamaged':
+                this.handleEnemyDamaged(message);
+                break;
+            case 'subsystemDamaged':
+                this.handleSubsystemDamaged(message);
+                break;
+            case 'subsystemDestroyed':
+                this.handleSubsystemDestroyed(message);
+                break;
+            case 'capitalShipDestroying':
+                this.handleCapitalShipDestroying(message);
+                break;
+            case 'capitalShipDestroyed':
+                this.handleCapitalShipDestroyed(message);
+                break;
+            case 'matchState':
+                this.handleMatchState(message);
+                break;
+            case 'matchRestarted':
+                this.handleMatchRestarted(message);
+                break;
+            case 'targetedBy':
+                this.handleTargetedBy(message);
+                break;
+            case 'playerStats':
+                this.handlePlayerStats(message);
+                break;
+            case 'playerKilled':
+                this.handlePlayerKilled(message);
+                break;
+            case 'respawnCountdown':
+                this.handleRespawnCountdown(message);
+                break;
+            case 'pong':
+                this.handlePong(message);
+                break;
+            case 'roomList':
+                this.handleRoomList(message);
+                break;
+            case 'error':
+                this.handleError(message);
+                break;
         }
     }
 
     /**
-     * Send position updates to server
+     * Send a message to the server if the connection is open
      */
-    sendPosition(x, y, z, rotationX, rotationY, rotationZ, rotationW) {
+    send(message) {
         if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-            this.ws.send(JSON.stringify({
-                type: 'position',
-                x, y, z, rotationX, rotationY, rotationZ, rotationW
-            }));
+            this.ws.send(JSON.stringify(message));
         }
     }
 
+    /**
+     * Ask the server for the open rooms; answered with a roomList message
+     */
+    listRooms() {
+        this.send({ type: 'listRooms' });
+    }
+
+    /**
+     * Create a room and move into it
+     * @param {Object} options - { name, mapId, maxPlayers, botSkill }
+     */
+    createRoom(options = {}) {
+        this.send({ type: 'createRoom', ...options });
+    }
+
+    /**
+     * Move into an existing room by id. The server answers with a fresh spawn,
+     * or an error (ROOM_NOT_FOUND, ROOM_FULL) if the room can't be joined.
+     */
+    joinRoom(roomId) {
+        this.send({ type: 'joinRoom', roomId });
+    }
+
+    /**
+     * Send a latency probe, carrying the round trip measured so far
+     */
+    sendPing() {
+        this.send({ type: 'ping', clientTime: performance.now(), latency: Math.round(this.latency) });
+    }
+
+    /**
+     * Handle the server's echo of a ping and update the smoothed round-trip time
+     */
+    handlePong(message) {
+        const roundTrip = performance.now() - message.clientTime;
+        if (!Number.isFinite(roundTrip) || roundTrip < 0) return;
+
+        this.latency = this.latency === 0
+            ? roundTrip
+            : this.latency + (roundTrip - this.latency) * GameConfig.NETWORK.LATENCY_SMOOTHING;
+    }
+
+    /**
+     * Send sampled input commands to server (the server integrates them; see shared/flight-model.js)
+     */
+    sendInputs(inputs) {
+        if (inputs.length === 0) return;
+        this.send({
+            type: 'input',
+            inputs: inputs.map(({ seq, dt, throttle, roll, pitch, yaw, boost, fire }) => ({
+                seq, dt, throttle, roll, pitch, yaw, boost, fire
+            }))
+        });
+    }
+
     /**
      * Send fire event to server
      */
@@ -117,49 +274,97 @@ export default class NetworkManager {
     }
 
     /**
-     * Send player hit event to server
+     * Send player hit event to server (the server decides the damage)
      */
-    sendPlayerHit(attackerPlayerId, targetPlayerId, damage, componentId = null) {
+    sendPlayerHit(targetPlayerId, componentId = null, weaponType = 'blaster') {
         if (this.ws && this.ws.readyState === WebSocket.OPEN) {
             this.ws.send(JSON.stringify({
                 type: 'playerHit',
-                attackerPlayerId,
                 targetPlayerId,
-                damage,
-                componentId
+                componentId,
+                weaponType
             }));
         }
     }
 
     /**
-     * Send enemy destruction to server
+     * Send a hit on a capital ship subsystem to the server (the server decides the damage)
      */
-    sendEnemyDestroyed(enemyId) {
-        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-            this.ws.send(JSON.stringify({
-                type: 'enemyDestroyed',
-                enemyId
-            }));
-        }
+    sendCapitalShipHit(capitalShipId, subsystemId, weaponType = 'blaster') {
+        this.send({
+            type: 'capitalShipHit',
+            capitalShipId,
+            subsystemId,
+            weaponType
+        });
+    }
+
+    /**
+     * Send a hit on an enemy to the server (the server validates it and decides the damage)
+     */
+    sendEnemyHit(enemyId, componentId = null, weaponType = 'blaster') {
+        this.send({
+            type: 'enemyHit',
+            enemyId,
+            componentId,
+            weaponType
+        });
+    }
+
+    /**
+     * Tell the server what we have targeted, so it can warn that pilot
+     * @param {Object|null} target - Targeting.getTarget(), or null to clear
+     */
+    sendTarget(target) {
+        this.send({
+            type: 'setTarget',
+            targetType: target ? target.targetType : null,
+            targetId: target ? target.targetId : null,
+            subsystemId: target && target.subsystem ? target.subsystem.subsystemId : null
+        });
     }
 
     /**
      * Send respawn request
+     * @param {string} shipType - Ship to relaunch in
      */
-    sendRespawn() {
+    sendRespawn(shipType) {
         if (this.ws && this.ws.readyState === WebSocket.OPEN) {
             this.ws.send(JSON.stringify({
-                type: 'respawn'
+                type: 'respawn',
+                shipType
             }));
         }
     }
 
     // Message handlers
     handleSpawn(message) {
+        // A spawn while already in a room means we moved rooms or reconnected; drop everything from before first
+        if (this.room) {
+            this.otherPlayers = {};
+            this.enemies = [];
+            this.networkedBolts = [];
+            this.remoteStates = {};
+            if (this.callbacks.onRoomChanged) {
+                this.callbacks.onRoomChanged(message.room);
+            }
+        }
+        this.room = message.room || null;
+
+        this.sessionToken = message.sessionToken || null;
+        if (this.reconnectAttempts > 0) {
+            this.reconnectAttempts = 0;
+            if (this.callbacks.onReconnected) {
+                this.callbacks.onReconnected();
+            }
+        }
+
         this.myPlayerId = message.playerId;
         window.myPlayerId = message.playerId;
         this.myPlayerName = message.playerName;
-        console.log(`You are ${this.myPlayerName}`);
+        this.myTeam = message.team;
+        window.myTeam = message.team;
+        console.log(`You are ${this.myPlayerName} (${this.myTeam})`);
 
         // Handle existing players and enemies
         message.players.forEach(otherPlayer => {
@@ -176,9 +381,32 @@ export default class NetworkManager {
             }
         });
 
+        (message.capitalShips || []).forEach(capitalShipData => {
+            if (this.callbacks.onSpawn) {
+                this.callbacks.onSpawn('capitalShip', capitalShipData);
+            }
+        });
+
         if (this.callbacks.onSpawn) {
             this.callbacks.onSpawn('player', message);
         }
+
+        if (message.match) {
+            this.handleMatchState(message.match);
+        }
+    }
+
+    handleRoomList(message) {
+        if (this.callbacks.onRoomList) {
+            this.callbacks.onRoomList(message.rooms);
+        }
+    }
+
+    handleError(message) {
+        console.warn(`Server error ${message.code}: ${message.message}`);
+        if (this.callbacks.onError) {
+            this.callbacks.onError(message);
+        }
     }
 
     handleNewPlayer(message) {
@@ -187,6 +415,32 @@ export default class NetworkManager {
         }
     }
 
+    handleSnapshot(message) {
+        const snapshotTime = this.toLocalTime(message.serverTime);
+        message.players.forEach(playerState => {
+            if (playerState.playerId === this.myPlayerId) {
+                if (this.callbacks.onLocalPlayerState) {
+                    this.callbacks.onLocalPlayerState(playerState);
+                }
+            } else {
+                this.bufferRemoteState(playerState.playerId, playerState, snapshotTime);
+                this.handlePlayerUpdate(playerState);
+            }
+        });
+
+        // Bots move, so enemies are interpolated like remote players
+        (message.enemies || []).forEach(enemyState => {
+            this.bufferRemoteState(this.enemyStateKey(enemyState.id), enemyState, snapshotTime);
+        });
+    }
+
+    /**
+     * Key an enemy's transforms are buffered under, apart from the players'
+     */
+    enemyStateKey(enemyId) {
+        return `enemy:${enemyId}`;
+    }
+
     handlePlayerUpdate(message) {
         if (this.callbacks.onPlayerUpdate) {
             this.callbacks.onPlayerUpdate(message);
@@ -194,12 +448,15 @@ export default class NetworkManager {
     }
 
     handlePlayerDisconnected(message) {
+        this.clearRemoteState(message.playerId);
         if (this.callbacks.onPlayerDisconnected) {
             this.callbacks.onPlayerDisconnected(message.playerId);
         }
     }
 
     handlePlayerRespawned(message) {
+        // Don't interpolate from the wreck to the spawn point
+        this.clearRemoteState(message.playerId);
         if (this.callbacks.onPlayerRespawned) {
             this.callbacks.onPlayerRespawned(message);
         }
@@ -211,12 +468,27 @@ export default class NetworkManager {
         }
     }
 
+    handleMissileDetonated(message) {
+        if (this.callbacks.onMissileDetonated) {
+            this.callbacks.onMissileDetonated(message);
+        }
+    }
+
     handleEnemyDestroyed(message) {
+        this.clearRemoteState(this.enemyStateKey(message.enemyId));
         if (this.callbacks.onEnemyDestroyed) {
             this.callbacks.onEnemyDestroyed(message.enemyId);
         }
     }
 
+    handleEnemyRespawned(message) {
+        // Don't interpolate from the wreck to the spawn point
+        this.clearRemoteState(this.enemyStateKey(message.enemy.id));
+        if (this.callbacks.onEnemyRespawned) {
+            this.callbacks.onEnemyRespawned(message.enemy);
+        }
+    }
+
     handlePlayerDamaged(message) {
         if (this.callbacks.onPlayerDamaged) {
             this.callbacks.onPlayerDamaged(message);
@@ -235,6 +507,213 @@ export default class NetworkManager {
         }
     }
 
+    handleEnemyDamaged(message) {
+        if (this.callbacks.onEnemyDamaged) {
+            this.callbacks.onEnemyDamaged(message);
+        }
+    }
+
+    handleSubsystemDamaged(message) {
+        if (this.callbacks.onSubsystemDamaged) {
+            this.callbacks.onSubsystemDamaged(message);
+        }
+    }
+
+    handleSubsystemDestroyed(message) {
+        if (this.callbacks.onSubsystemDestroyed) {
+            this.callbacks.onSubsystemDestroyed(message);
+        }
+    }
+
+    handleCapitalShipDestroying(message) {
+        if (this.callbacks.onCapitalShipDestroying) {
+            this.callbacks.onCapitalShipDestroying(message);
+        }
+    }
+
+    handleCapitalShipDestroyed(message) {
+        if (this.callbacks.onCapitalShipDestroyed) {
+            this.callbacks.onCapitalShipDestroyed(message);
+        }
+    }
+
+    handleMatchState(message) {
+        if (this.callbacks.onMatchState) {
+            this.callbacks.onMatchState(message);
+        }
+    }
+
+    handleMatchRestarted(message) {
+        this.enemies = [];
+        this.networkedBolts = [];
+        (message.enemies || []).forEach(enemy => this.clearRemoteState(this.enemyStateKey(enemy.id)));
+        if (this.callbacks.onMatchRestarted) {
+            this.callbacks.onMatchRestarted(message);
+        }
+    }
+
+    handleTargetedBy(message) {
+        if (this.callbacks.onTargetedBy) {
+            this.callbacks.onTargetedBy(message.attackers);
+        }
+    }
+
+    handlePlayerStats(message) {
+        if (this.callbacks.onPlayerStats) {
+            this.callbacks.onPlayerStats(message.players);
+        }
+    }
+
+    handlePlayerKilled(message) {
+        if (this.callbacks.onPlayerKilled) {
+            this.callbacks.onPlayerKilled(message);
+        }
+    }
+
+    handleRespawnCountdown(message) {
+        if (this.callbacks.onRespawnCountdown) {
+            this.callbacks.onRespawnCountdown(message);
+        }
+    }
+
+    /**
+     * Convert a server timestamp to local clock seconds.
+     * Tracks the smallest observed offset so queueing delay on slow packets doesn't skew the timeline.
+     */
+    toLocalTime(serverTime) {
+        const offset = performance.now() - serverTime;
+        if (this.serverTimeOffset === null || offset < this.serverTimeOffset) {
+            this.serverTimeOffset = offset;
+        } else {
+            // Drift slowly towards newer samples so clock skew is corrected over time
+            this.serverTimeOffset += (offset - this.serverTimeOffset) * 0.01;
+        }
+        return (serverTime + this.serverTimeOffset) / 1000;
+    }
+
+    /**
+     * Store a timestamped remote player transform
+     */
+    bufferRemoteState(playerId, state, time) {
+        const id = String(playerId);
+        const buffer = this.remoteStates[id] || (this.remoteStates[id] = []);
+
+        // Drop out-of-order states
+        if (buffer.length > 0 && time <= buffer[buffer.length - 1].time) {
+            return;
+        }
+
+        buffer.push({
+            time,
+            position: new THREE.Vector3(state.x, state.y, state.z),
+            quaternion: new THREE.Quaternion(state.rotationX, state.rotationY, state.rotationZ, state.rotationW ?? 1),
+            velocity: new THREE.Vector3(state.vx || 0, state.vy || 0, state.vz || 0)
+        });
+        if (buffer.length > GameConfig.NETWORK.SNAPSHOT_BUFFER_SIZE) {
+            buffer.shift();
+        }
+    }
+
+    /**
+     * Forget a remote player's transform history (on disconnect or respawn)
+     */
+    clearRemoteState(playerId) {
+        delete this.remoteStates[String(playerId)];
+    }
+
+    /**
+     * The local time remote players should be drawn at
+     */
+    getRenderTime() {
+        return performance.now() / 1000 - GameConfig.NETWORK.INTERPOLATION_DELAY;
+    }
+
+    /**
+     * Sample a remote player's transform at the given render time.
+     * Interpolates between the two surrounding states, or extrapolates briefly past the newest one when packets drop.
+     * @param {string|number} playerId - Remote player ID
+     * @param {number} renderTime - Local time in seconds (see getRenderTime)
+     * @param {THREE.Vector3} outPosition - Receives the position
+     * @param {THREE.Quaternion} outQuaternion - Receives the rotation
+     * @returns {boolean} False if there is no state for this player yet
+     */
+    getInterpolatedState(playerId, renderTime, outPosition, outQuaternion) {
+        const buffer = this.remoteStates[String(playerId)];
+        if (!buffer || buffer.length === 0) {
+            return false;
+        }
+
+        const oldest = buffer[0];
+        if (renderTime <= oldest.time) {
+            outPosition.copy(oldest.position);
+            outQuaternion.copy(oldest.quaternion);
+            return true;
+        }
+
+        // Render time is usually close to the newest states, so search backwards
+        for (let i = buffer.length - 1; i > 0; i--) {
+            const from = buffer[i - 1];
+            const to = buffer[i];
+            if (renderTime >= from.time && renderTime <= to.time) {
+                const alpha = (renderTime - from.time) / (to.time - from.time);
+                outPosition.lerpVectors(from.position, to.position, alpha);
+                outQuaternion.slerpQuaternions(from.quaternion, to.quaternion, alpha);
+                return true;
+            }
+        }
+
+        // Ran past the newest state: keep moving along the last known velocity for a short while
+        const latest = buffer[buffer.length - 1];
+        outPosition.copy(latest.position);
+        outQuaternion.copy(latest.quaternion);
+        if (buffer.length >= 2) {
+            const previous = buffer[buffer.length - 2];
+            const extrapolation = Math.min(renderTime - latest.time, GameConfig.NETWORK.MAX_EXTRAPOLATION);
+            const velocityScale = extrapolation / (latest.time - previous.time);
+            outPosition.x += (latest.position.x - previous.position.x) * velocityScale;
+            outPosition.y += (latest.position.y - previous.position.y) * velocityScale;
+            outPosition.z += (latest.position.z - previous.position.z) * velocityScale;
+        }
+        return true;
+    }
+
+    /**
+     * Sample a remote player's velocity at the given render time, to match the transform from getInterpolatedState
+     * @param {string|number} playerId - Remote player ID or enemyStateKey
+     * @param {number} renderTime - Local time in seconds (see getRenderTime)
+     * @param {THREE.Vector3} outVelocity - Receives the velocity
+     * @returns {boolean} False if there is no state for this player yet
+     */
+    getInterpolatedVelocity(playerId, renderTime, outVelocity) {
+        const buffer = this.remoteStates[String(playerId)];
+        if (!buffer || buffer.length === 0) {
+            return false;
+        }
+
+        for (let i = buffer.length - 1; i > 0; i--) {
+            const from = buffer[i - 1];
+            const to = buffer[i];
+            if (renderTime >= from.time && renderTime <= to.time) {
+                outVelocity.lerpVectors(from.velocity, to.velocity, (renderTime - from.time) / (to.time - from.time));
+                return true;
+            }
+        }
+
+        // Before the oldest or past the newest state
+        outVelocity.copy(renderTime <= buffer[0].time ? buffer[0].velocity : buffer[buffer.length - 1].velocity);
+        return true;
+    }
+
+    /**
+     * A remote player's or enemy's velocity from its newest snapshot, e.g. for leading a missile
+     * @param {string|number} playerId - Remote player ID or enemyStateKey
+     * @returns {THREE.Vector3|null} Velocity, or null if there is no state yet
+     */
+    getRemoteVelocity(playerId) {
+        const buffer = this.remoteStates[String(playerId)];
+        return buffer && buffer.length > 0 ? buffer[buffer.length - 1].velocity : null;
+    }
+
     /**
      * Set callback for network events
      */
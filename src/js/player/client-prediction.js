@@ -0,0 +1,90 @@
+import * as THREE from 'three';
+import { GameConfig } from '../config/game-config.js';
+
+/**
+ * Client-side prediction for the local ship.
+ * Every input is applied immediately, tagged with a sequence number and kept until the
+ * server acknowledges it. When an authoritative state arrives, the prediction for the
+ * acknowledged input is compared against it; on a mismatch the player is reset to the
+ * server state and the unacknowledged inputs are replayed on top.
+ */
+export default class ClientPrediction {
+    constructor(player) {
+        this.player = player;
+        this.nextSequence = 0;
+        this.pendingInputs = []; // { input, position, quaternion, velocity } in sequence order
+    }
+
+    /**
+     * Tag an input that has already been applied and remember the state it produced.
+     * Call after anything else that moves the ship this frame (collisions). The server
+     * doesn't know about those corrections, so it will pull the ship back on reconcile.
+     * @param {Object} input - Input command from Controls.sampleInput
+     */
+    recordInput(input) {
+        input.seq = this.nextSequence++;
+        this.pendingInputs.push({
+            input,
+            position: this.player.position.clone(),
+            quaternion: this.player.quaternion.clone(),
+            velocity: this.player.velocity.clone()
+        });
+
+        // Don't grow forever if the server stops acknowledging
+        if (this.pendingInputs.length > GameConfig.NETWORK.MAX_PENDING_INPUTS) {
+            this.pendingInputs.shift();
+        }
+    }
+
+    /**
+     * Reconcile the local prediction with an authoritative state from the server
+     * @param {Object} state - Snapshot entry for the local player (x/y/z, rotationX..W, optional vx/vy/vz, lastProcessedInput)
+     */
+    reconcile(state) {
+        const acknowledged = state.lastProcessedInput;
+        if (acknowledged === undefined || acknowledged === null) return;
+
+        // Everything up to the acknowledged input is settled
+        while (this.pendingInputs.length > 0 && this.pendingInputs[0].input.seq < acknowledged) {
+            this.pendingInputs.shift();
+        }
+        if (this.pendingInputs.length === 0 || this.pendingInputs[0].input.seq !== acknowledged) return;
+        const predicted = this.pendingInputs.shift();
+
+        const serverPosition = new THREE.Vector3(state.x, state.y, state.z);
+        const serverQuaternion = new THREE.Quaternion(state.rotationX, state.rotationY, state.rotationZ, state.rotationW ?? 1);
+        const positionError = serverPosition.distanceTo(predicted.position);
+        const rotationError = 1 - Math.abs(serverQuaternion.dot(predicted.quaternion));
+        if (positionError <= GameConfig.NETWORK.RECONCILE_POSITION_EPSILON &&
+            rotationError <= GameConfig.NETWORK.RECONCILE_ROTATION_EPSILON) {
+            return;
+        }
+
+        if (GameConfig.DEBUG.LOG_NETWORK) {
+            console.log(`Reconciling input ${acknowledged}: position off by ${positionError.toFixed(3)}, replaying ${this.pendingInputs.length} inputs`);
+        }
+
+        // Rewind to the server's state and replay what it hasn't seen yet
+        this.player.position.copy(serverPosition);
+        this.player.quaternion.copy(serverQuaternion);
+        if (state.vx !== undefined) {
+            this.player.velocity.set(state.vx, state.vy, state.vz);
+        } else {
+            this.player.velocity.copy(predicted.velocity);
+        }
+
+        this.pendingInputs.forEach(pending => {
+            this.player.applyInput(pending.input);
+            pending.position.copy(this.player.position);
+            pending.quaternion.copy(this.player.quaternion);
+            pending.velocity.copy(this.player.velocity);
+        });
+    }
+
+    /**
+     * Drop all pending inputs (after a respawn teleports the ship)
+     */
+    reset() {
+        this.pendingInputs = [];
+    }
+}
@@ -0,0 +1,162 @@
+import * as THREE from 'three';
+import { TargetingConfig } from '../config/targeting-config.js';
+
+/**
+ * The local player's target selection: nearest, next and previous hostile, target under the
+ * reticle, and subsystems of capital ships. Contacts come from main.js each time they are needed:
+ * { targetType: 'player' | 'enemy' | 'capitalShip', targetId, name, team, hostile, position,
+ *   health, maxHealth, shield, maxShield, subsystems: [{ subsystemId, name, position, health, maxHealth }] }
+ */
+export default class Targeting {
+    /**
+     * @param {Player} player - The local player (position and orientation are read from it)
+     * @param {Function} getContacts - Returns the current contacts
+     */
+    constructor(player, getContacts) {
+        this.player = player;
+        this.getContacts = getContacts;
+        this.selected = null; // { targetType, targetId }
+        this.subsystemId = null; // Selected subsystem of a targeted capital ship, or null for the whole ship
+        this.onChange = null; // Called with the new target (or null) whenever the selection changes
+    }
+
+    /**
+     * Run the targeting command bound to a key
+     * @param {string} code - KeyboardEvent.code
+     * @returns {boolean} True if the key is a targeting key
+     */
+    handleKey(code) {
+        const keys = TargetingConfig.KEYS;
+        switch (code) {
+            case keys.NEAREST: this.targetNearest(); break;
+            case keys.NEXT: this.cycle(1); break;
+            case keys.PREVIOUS: this.cycle(-1); break;
+            case keys.RETICLE: this.targetUnderReticle(); break;
+            case keys.NEXT_SUBSYSTEM: this.cycleSubsystem(1); break;
+            case keys.PREVIOUS_SUBSYSTEM: this.cycleSubsystem(-1); break;
+            case keys.CLEAR: this.clear(); break;
+            default: return false;
+        }
+        return true;
+    }
+
+    /**
+     * Contacts in range, nearest first
+     */
+    contactsInRange(hostileOnly) {
+        return this.getContacts()
+            .filter(contact => !hostileOnly || contact.hostile)
+            .map(contact => ({ contact, distance: contact.position.distanceTo(this.player.position) }))
+            .filter(({ distance }) => distance <= TargetingConfig.MAX_RANGE)
+            .sort((a, b) => a.distance - b.distance)
+            .map(({ contact }) => contact);
+    }
+
+    targetNearest() {
+        this.select(this.contactsInRange(true)[0] || null);
+    }
+
+    /**
+     * Step through the hostiles by distance, wrapping around
+     * @param {number} step - 1 for next, -1 for previous
+     */
+    cycle(step) {
+        const hostiles = this.contactsInRange(true);
+        if (hostiles.length === 0) {
+            this.select(null);
+            return;
+        }
+        const index = hostiles.findIndex(contact => this.isSelected(contact));
+        const next = index === -1
+            ? (step > 0 ? 0 : hostiles.length - 1)
+            : (index + step + hostiles.length) % hostiles.length;
+        this.select(hostiles[next]);
+    }
+
+    /**
+     * Target whatever is nearest the crosshair within RETICLE_CONE, friend or foe
+     */
+    targetUnderReticle() {
+        const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(this.player.quaternion);
+        const offNose = contact => forward.angleTo(contact.position.clone().sub(this.player.position));
+        const candidates = this.contactsInRange(false)
+            .filter(contact => offNose(contact) <= TargetingConfig.RETICLE_CONE)
+            .sort((a, b) => offNose(a) - offNose(b));
+        if (candidates.length > 0) {
+            this.select(candidates[0]);
+        }
+    }
+
+    /**
+     * Step through the targeted capital ship's standing subsystems, with the whole ship between the last and first
+     * @param {number} step - 1 for next, -1 for previous
+     */
+    cycleSubsystem(step) {
+        const target = this.findSelected();
+        if (!target || !target.subsystems) return;
+
+        const ids = [null, ...target.subsystems.map(subsystem => subsystem.subsystemId)];
+        const index = Math.max(0, ids.indexOf(this.subsystemId));
+        this.subsystemId = ids[(index + step + ids.length) % ids.length];
+        this.notifyChange();
+    }
+
+    clear() {
+        this.select(null);
+    }
+
+    select(contact) {
+        const changed = contact ? !this.isSelected(contact) : this.selected !== null;
+        this.selected = contact ? { targetType: contact.targetType, targetId: contact.targetId } : null;
+        if (changed) {
+            this.subsystemId = null;
+        }
+        this.notifyChange();
+    }
+
+    isSelected(contact) {
+        return !!this.selected && contact.targetType === this.selected.targetType &&
+            String(contact.targetId) === String(this.selected.targetId);
+    }
+
+    findSelected() {
+        if (!this.selected) return null;
+        return this.getContacts().find(contact => this.isSelected(contact)) || null;
+    }
+
+    notifyChange() {
+        if (this.onChange) {
+            this.onChange(this.getTarget());
+        }
+    }
+
+    /**
+     * Per-frame check: drop the target once it is destroyed, gone or out of range,
+     * and the subsystem once it has been shot off
+     */
+    update() {
+        if (!this.selected) return;
+        const target = this.findSelected();
+        if (!target || target.position.distanceTo(this.player.position) > TargetingConfig.MAX_RANGE) {
+            this.select(null);
+            return;
+        }
+        if (this.subsystemId && !target.subsystems.some(subsystem => subsystem.subsystemId === this.subsystemId)) {
+            this.subsystemId = null;
+            this.notifyChange();
+        }
+    }
+
+    /**
+     * The selected contact, with the selected subsystem (if any) and the point to aim at
+     * @returns {Object|null} Contact plus { subsystem, aimPosition }
+     */
+    getTarget() {
+        const target = this.findSelected();
+        if (!target) return null;
+        const subsystem = this.subsystemId && target.subsystems
+            ? target.subsystems.find(s => s.subsystemId === this.subsystemId) || null
+            : null;
+        return { ...target, subsystem, aimPosition: subsystem ? subsystem.position : target.position };
+    }
+}
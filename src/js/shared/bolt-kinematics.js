@@ -0,0 +1,76 @@
+import { interceptPoint } from './intercept.js';
+
+/**
+ * Bolt kinematics shared by the browser and the server.
+ * Works on plain { x, y, z } objects; THREE.Vector3 instances can be passed in directly.
+ */
+
+// Longest single step a bolt is moved by, matching the flight model's frame cap
+export const MAX_BOLT_DT = 0.05;
+
+/**
+ * Launch velocity of a bolt fired from a moving ship.
+ * 'forward' inheritance only adds the part of the ship's velocity along the bolt,
+ * so bolts don't drift sideways; 'full' adds the whole ship velocity.
+ * @param {Object} direction - Unit firing direction
+ * @param {number} speed - Bolt muzzle speed
+ * @param {Object} shipVelocity - Velocity of the firing ship
+ * @param {string} inheritance - 'forward' or 'full'
+ * @returns {Object} Velocity { x, y, z }
+ */
+export function launchVelocity(direction, speed, shipVelocity, inheritance = 'forward') {
+    if (inheritance === 'full') {
+        return {
+            x: shipVelocity.x + direction.x * speed,
+            y: shipVelocity.y + direction.y * speed,
+            z: shipVelocity.z + direction.z * speed
+        };
+    }
+
+    const forwardSpeed = Math.max(0, shipVelocity.x * direction.x + shipVelocity.y * direction.y + shipVelocity.z * direction.z);
+    return {
+        x: direction.x * (speed + forwardSpeed),
+        y: direction.y * (speed + forwardSpeed),
+        z: direction.z * (speed + forwardSpeed)
+    };
+}
+
+/**
+ * Ages a bolt and moves it along its velocity.
+ * @param {Object} bolt - { position, velocity, age, lifetime } (modified in place)
+ * @param {number} dt - Step duration in seconds
+ * @returns {boolean} True if the bolt has expired and should be removed
+ */
+export function advanceBolt(bolt, dt) {
+    const step = Math.min(dt, MAX_BOLT_DT);
+    bolt.age += step;
+    if (bolt.age >= bolt.lifetime) {
+        return true;
+    }
+
+    bolt.position.x += bolt.velocity.x * step;
+    bolt.position.y += bolt.velocity.y * step;
+    bolt.position.z += bolt.velocity.z * step;
+    return false;
+}
+
+/**
+ * Where to aim so a bolt meets a target moving at constant velocity, allowing for the
+ * velocity the bolt inherits from the shooter.
+ * @param {Object} shooterPosition - Muzzle position
+ * @param {Object} shooterVelocity - Velocity of the firing ship
+ * @param {Object} forward - Unit vector the guns point along
+ * @param {Object} targetPosition - Target position
+ * @param {Object} targetVelocity - Target velocity
+ * @param {Object} boltConfig - Bolt config (SPEED, VELOCITY_INHERITANCE)
+ * @returns {Object|null} { point, time }, or null if the bolt can never catch the target
+ */
+export function boltInterceptPoint(shooterPosition, shooterVelocity, forward, targetPosition, targetVelocity, boltConfig) {
+    if (boltConfig.VELOCITY_INHERITANCE === 'full') {
+        return interceptPoint(shooterPosition, shooterVelocity, targetPosition, targetVelocity, boltConfig.SPEED);
+    }
+
+    // 'forward' inheritance only makes the bolt faster along the guns, so treat it as a faster bolt from a still ship
+    const forwardSpeed = Math.max(0, shooterVelocity.x * forward.x + shooterVelocity.y * forward.y + shooterVelocity.z * forward.z);
+    return interceptPoint(shooterPosition, { x: 0, y: 0, z: 0 }, targetPosition, targetVelocity, boltConfig.SPEED + forwardSpeed);
+}
@@ -0,0 +1,129 @@
+import { CapitalShipRegistry } from '../config/capital-ships/capital-ship-registry.js';
+
+/**
+ * Capital ship subsystem rules shared by the browser and the server.
+ * Capital ships are plain objects; `state` is 'active', 'destroying' or 'destroyed'.
+ */
+
+/**
+ * Config for a capital ship type
+ * @param {string} type - Capital ship type from the registry
+ * @returns {Object|null} Capital ship config, or null for unknown types
+ */
+export function getCapitalShipConfig(type) {
+    return CapitalShipRegistry[type] || null;
+}
+
+/**
+ * Fresh capital ship with every subsystem at full health
+ * @param {string} id - Id the ship is addressed by in messages
+ * @param {string} type - Capital ship type from the registry
+ * @param {string} team - Team the ship fights for
+ * @param {Object} position - { x, y, z }
+ * @returns {Object} Capital ship state
+ */
+export function createCapitalShipState(id, type, team, position) {
+    const config = getCapitalShipConfig(type);
+    const subsystems = {};
+    Object.entries(config.SUBSYSTEMS).forEach(([subsystemId, subsystem]) => {
+        subsystems[subsystemId] = { health: subsystem.HEALTH, maxHealth: subsystem.HEALTH };
+    });
+
+    return {
+        id,
+        type,
+        team,
+        position: { x: position.x, y: position.y, z: position.z },
+        state: 'active',
+        subsystems
+    };
+}
+
+/**
+ * Whether any of the ship's shield generators is still standing
+ * @param {Object} ship - Capital ship state
+ * @returns {boolean}
+ */
+export function shieldsUp(ship) {
+    const config = getCapitalShipConfig(ship.type);
+    return Object.entries(config.SUBSYSTEMS).some(([subsystemId, subsystem]) =>
+        subsystem.TYPE === config.SHIELD_SUBSYSTEM_TYPE && ship.subsystems[subsystemId].health > 0
+    );
+}
+
+/**
+ * Whether the ship has a hangar subsystem at all
+ * @param {Object} ship - Capital ship state
+ * @returns {boolean}
+ */
+export function hasHangar(ship) {
+    const config = getCapitalShipConfig(ship.type);
+    return Object.values(config.SUBSYSTEMS).some(subsystem => subsystem.TYPE === config.HANGAR_SUBSYSTEM_TYPE);
+}
+
+/**
+ * Whether fighters can still launch from the ship: it is intact and a hangar is standing
+ * @param {Object} ship - Capital ship state
+ * @returns {boolean}
+ */
+export function hangarOperational(ship) {
+    const config = getCapitalShipConfig(ship.type);
+    return ship.state === 'active' && Object.entries(config.SUBSYSTEMS).some(([subsystemId, subsystem]) =>
+        subsystem.TYPE === config.HANGAR_SUBSYSTEM_TYPE && ship.subsystems[subsystemId].health > 0
+    );
+}
+
+/**
+ * Shield generators protect every other subsystem until they are all down
+ * @param {Object} ship - Capital ship state
+ * @param {string} subsystemId - Subsystem being hit
+ * @returns {boolean}
+ */
+export function isSubsystemInvulnerable(ship, subsystemId) {
+    const config = getCapitalShipConfig(ship.type);
+    if (config.SUBSYSTEMS[subsystemId].TYPE === config.SHIELD_SUBSYSTEM_TYPE) return false;
+    return shieldsUp(ship);
+}
+
+/**
+ * World position of a subsystem's hitbox centre
+ * @param {Object} ship - Capital ship state
+ * @param {string} subsystemId - Subsystem id
+ * @returns {Object} { x, y, z }
+ */
+export function subsystemPosition(ship, subsystemId) {
+    const offset = getCapitalShipConfig(ship.type).SUBSYSTEMS[subsystemId].OFFSET;
+    return {
+        x: ship.position.x + offset.x,
+        y: ship.position.y + offset.y,
+        z: ship.position.z + offset.z
+    };
+}
+
+/**
+ * Applies damage to a subsystem. Destroying the critical subsystem (the bridge)
+ * puts the whole ship into its destruction sequence.
+ * @param {Object} ship - Capital ship state (modified in place)
+ * @param {string} subsystemId - Subsystem being hit
+ * @param {number} damage - Damage dealt
+ * @returns {Object} { damage, subsystemDestroyed, shipDestroying }, damage being what was actually applied
+ */
+export function damageSubsystem(ship, subsystemId, damage) {
+    const config = getCapitalShipConfig(ship.type);
+    const subsystem = ship.subsystems[subsystemId];
+    const result = { damage: 0, subsystemDestroyed: false, shipDestroying: false };
+    if (ship.state !== 'active' || !subsystem || subsystem.health <= 0) return result;
+    if (isSubsystemInvulnerable(ship, subsystemId)) return result;
+
+    result.damage = Math.min(damage, subsystem.health);
+    subsystem.health -= result.damage;
+
+    if (subsystem.health <= 0) {
+        result.subsystemDestroyed = true;
+        if (subsystemId === config.CRITICAL_SUBSYSTEM) {
+            ship.state = 'destroying';
+            result.shipDestroying = true;
+        }
+    }
+    return result;
+}
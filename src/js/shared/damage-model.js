@@ -0,0 +1,85 @@
+/**
+ * Damage rules shared by the browser and the server.
+ * Works on plain { shield, hull, componentHealth } objects so it runs without Three.js;
+ * the server's player records and the client's ships/enemies are adapted to that shape.
+ */
+
+// Components whose loss destroys the ship outright
+export const CRITICAL_COMPONENTS = ['main_body'];
+// Component groups that destroy the ship once every member is gone
+export const COMPONENT_GROUPS = [['left_wing', 'right_wing']];
+
+// TIE layout, used when a ship config has no DESTRUCTION section of its own
+export const DEFAULT_DESTRUCTION = { CRITICAL_COMPONENTS, COMPONENT_GROUPS };
+
+/**
+ * Applies one hit. Shields absorb first, then the hull takes what is left,
+ * and the hit component loses the same amount the hull did.
+ * A component that has already been removed (destroyed) takes no damage.
+ * @param {Object} state - { shield, hull, componentHealth } (modified in place)
+ * @param {number} damage - Damage dealt by the hit
+ * @param {string|null} componentId - Component that was hit, if any
+ * @param {Object} rules - Ship config DESTRUCTION section ({ CRITICAL_COMPONENTS, COMPONENT_GROUPS })
+ * @returns {Object} { shieldDamage, hullDamage, componentDamage, componentDestroyed, destroyed }
+ */
+export function applyDamage(state, damage, componentId = null, rules = DEFAULT_DESTRUCTION) {
+    let remainingDamage = Math.max(0, damage);
+
+    const shieldDamage = Math.min(remainingDamage, Math.max(0, state.shield || 0));
+    state.shield = Math.max(0, (state.shield || 0) - shieldDamage);
+    remainingDamage -= shieldDamage;
+
+    const hullDamage = Math.min(remainingDamage, Math.max(0, state.hull));
+    state.hull = Math.max(0, state.hull - hullDamage);
+
+    let componentDamage = 0;
+    let componentDestroyed = false;
+    const componentHealth = state.componentHealth || {};
+    if (componentId && componentHealth[componentId] !== undefined && componentHealth[componentId] > 0) {
+        componentDamage = Math.min(hullDamage, componentHealth[componentId]);
+        componentHealth[componentId] = Math.max(0, componentHealth[componentId] - componentDamage);
+        componentDestroyed = componentHealth[componentId] <= 0;
+    }
+
+    return {
+        shieldDamage,
+        hullDamage,
+        componentDamage,
+        componentDestroyed,
+        destroyed: isDestroyed(state, rules)
+    };
+}
+
+/**
+ * Whether a ship is destroyed: hull gone, a critical component gone, or a whole
+ * component group gone. Missing components count as destroyed, since the client
+ * removes a component's entry once it breaks off.
+ * @param {Object} state - { hull, componentHealth }
+ * @param {Object} rules - Ship config DESTRUCTION section ({ CRITICAL_COMPONENTS, COMPONENT_GROUPS })
+ * @returns {boolean} True if destroyed
+ */
+export function isDestroyed(state, rules = DEFAULT_DESTRUCTION) {
+    if (state.hull <= 0) return true;
+
+    const componentHealth = state.componentHealth || {};
+    const isGone = componentId => !(componentHealth[componentId] > 0);
+
+    if ((rules.CRITICAL_COMPONENTS || []).some(isGone)) return true;
+    return (rules.COMPONENT_GROUPS || []).some(group => group.every(isGone));
+}
+
+/**
+ * Regenerates shields once the ship has gone long enough without taking damage.
+ * Ships with a SHIELD_COMPONENT stop regenerating once that component is destroyed.
+ * @param {Object} state - { shield, maxShield, lastShieldDamageTime, componentHealth } (modified in place)
+ * @param {Object} config - Ship config (SHIELD_REGENERATION_RATE, SHIELD_DRAIN_TIMEOUT, SHIELD_COMPONENT)
+ * @param {number} dt - Step duration in seconds
+ * @param {number} now - Current time in seconds
+ */
+export function regenerateShield(state, config, dt, now) {
+    if (state.shield >= state.maxShield) return;
+    if (now - (state.lastShieldDamageTime || 0) < config.SHIELD_DRAIN_TIMEOUT) return;
+    if (config.SHIELD_COMPONENT && !((state.componentHealth || {})[config.SHIELD_COMPONENT] > 0)) return;
+
+    state.shield = Math.min(state.maxShield, state.shield + config.SHIELD_REGENERATION_RATE * dt);
+}
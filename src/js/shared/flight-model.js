@@ -0,0 +1,157 @@
+import { clamp } from './vector.js';
+
+/**
+ * Ship flight model shared by the browser (prediction) and the server (authority).
+ * Works on plain { x, y, z } / { x, y, z, w } objects so it runs without Three.js;
+ * THREE.Vector3 and THREE.Quaternion instances can be passed in directly.
+ */
+
+// Longest single input step the server will integrate
+export const MAX_INPUT_DT = 0.05;
+// Largest mouse rotation accepted in one input, in radians
+export const MAX_ROTATION_PER_INPUT = 0.5;
+
+function finiteOr(value, fallback) {
+    return Number.isFinite(value) ? value : fallback;
+}
+
+/**
+ * Multiplies quaternion q by the rotation of `angle` radians about a unit axis (q = q * r)
+ */
+function rotateAboutAxis(q, axisX, axisY, axisZ, angle) {
+    const s = Math.sin(angle / 2);
+    const bx = axisX * s, by = axisY * s, bz = axisZ * s, bw = Math.cos(angle / 2);
+    const ax = q.x, ay = q.y, az = q.z, aw = q.w;
+
+    q.x = ax * bw + aw * bx + ay * bz - az * by;
+    q.y = ay * bw + aw * by + az * bx - ax * bz;
+    q.z = az * bw + aw * bz + ax * by - ay * bx;
+    q.w = aw * bw - ax * bx - ay * by - az * bz;
+}
+
+function normalizeQuaternion(q) {
+    const length = Math.hypot(q.x, q.y, q.z, q.w);
+    if (length === 0) {
+        q.x = 0; q.y = 0; q.z = 0; q.w = 1;
+        return;
+    }
+    q.x /= length; q.y /= length; q.z /= length; q.w /= length;
+}
+
+/**
+ * Rotates a vector by a quaternion
+ * @param {Object} v - Vector { x, y, z }
+ * @param {Object} q - Quaternion { x, y, z, w }
+ * @returns {Object} New rotated vector
+ */
+export function rotateVector(v, q) {
+    const tx = 2 * (q.y * v.z - q.z * v.y);
+    const ty = 2 * (q.z * v.x - q.x * v.z);
+    const tz = 2 * (q.x * v.y - q.y * v.x);
+    return {
+        x: v.x + q.w * tx + q.y * tz - q.z * ty,
+        y: v.y + q.w * ty + q.z * tx - q.x * tz,
+        z: v.z + q.w * tz + q.x * ty - q.y * tx
+    };
+}
+
+/**
+ * Unit vector the ship is facing (local -Z)
+ * @param {Object} q - Ship orientation
+ * @returns {Object} Forward vector
+ */
+export function forwardVector(q) {
+    return rotateVector({ x: 0, y: 0, z: -1 }, q);
+}
+
+/**
+ * Clamps an input command to sane ranges; both client and server run it
+ * @param {Object} input - Raw input from the network or local controls
+ * @returns {Object} Sanitized input command
+ */
+export function sanitizeInput(input) {
+    return {
+        seq: Number.isInteger(input.seq) ? input.seq : null,
+        dt: clamp(finiteOr(input.dt, 0), 0, MAX_INPUT_DT),
+        throttle: Math.sign(finiteOr(input.throttle, 0)),
+        roll: Math.sign(finiteOr(input.roll, 0)),
+        pitch: clamp(finiteOr(input.pitch, 0), -MAX_ROTATION_PER_INPUT, MAX_ROTATION_PER_INPUT),
+        yaw: clamp(finiteOr(input.yaw, 0), -MAX_ROTATION_PER_INPUT, MAX_ROTATION_PER_INPUT),
+        boost: !!input.boost,
+        fire: !!input.fire
+    };
+}
+
+/**
+ * Boost and energy bookkeeping for one input.
+ * Decides whether boost actually engages and writes that back to input.boost,
+ * so replaying the input later flies identically.
+ * @param {Object} ship - { energy, lastEnergyActionTime, boosting }
+ * @param {Object} input - Input command
+ * @param {Object} config - Ship config (MAX_ENERGY, BOOST_ENERGY_DRAIN, ENERGY_REGENERATION_RATE, ENERGY_DRAIN_TIMEOUT)
+ * @param {number} now - Current time in seconds
+ * @returns {boolean} Whether the ship is boosting
+ */
+export function updateEnergy(ship, input, config, now) {
+    const dt = input.dt;
+
+    if (input.boost && ship.energy > 0) {
+        ship.boosting = true;
+        ship.energy -= config.BOOST_ENERGY_DRAIN * dt;
+        ship.lastEnergyActionTime = now;
+    } else {
+        ship.boosting = false;
+        // Regenerate once we've waited long enough since energy was last used
+        if (ship.energy < config.MAX_ENERGY && now - ship.lastEnergyActionTime >= config.ENERGY_DRAIN_TIMEOUT) {
+            ship.energy = Math.min(config.MAX_ENERGY, ship.energy + config.ENERGY_REGENERATION_RATE * dt);
+        }
+    }
+
+    input.boost = ship.boosting;
+    return ship.boosting;
+}
+
+/**
+ * Applies one input command to a ship's orientation, velocity and position.
+ * Deterministic for a given starting state.
+ * @param {Object} state - { position, quaternion, velocity } (modified in place)
+ * @param {Object} input - { dt, throttle, roll, pitch, yaw, boost }
+ * @param {Object} config - Ship config (ACCELERATION, MAX_SPEED_FORWARD, MAX_SPEED_BACKWARD, DRAG, BOOST_MULTIPLIER, ROLL_SPEED)
+ */
+export function applyFlightInput(state, input, config) {
+    const dt = input.dt;
+    const { position, quaternion, velocity } = state;
+
+    // Rotation: mouse yaw and pitch, then roll
+    rotateAboutAxis(quaternion, 0, 1, 0, input.yaw);
+    rotateAboutAxis(quaternion, 1, 0, 0, input.pitch);
+    rotateAboutAxis(quaternion, 0, 0, 1, input.roll * config.ROLL_SPEED * dt);
+    normalizeQuaternion(quaternion);
+
+    // Current max speeds and acceleration based on boost status
+    const boostMultiplier = input.boost ? config.BOOST_MULTIPLIER : 1;
+    const maxSpeedForward = config.MAX_SPEED_FORWARD * boostMultiplier;
+    const maxSpeedBackward = config.MAX_SPEED_BACKWARD * boostMultiplier;
+    const acceleration = config.ACCELERATION * boostMultiplier;
+
+    if (input.throttle !== 0) {
+        const forward = forwardVector(quaternion);
+        const forwardSpeed = velocity.x * forward.x + velocity.y * forward.y + velocity.z * forward.z;
+        if (input.throttle > 0 ? forwardSpeed < maxSpeedForward : -forwardSpeed < maxSpeedBackward) {
+            const thrust = input.throttle * acceleration * dt;
+            velocity.x += forward.x * thrust;
+            velocity.y += forward.y * thrust;
+            velocity.z += forward.z * thrust;
+        }
+    }
+
+    // Integrate position, then apply drag
+    position.x += velocity.x * dt;
+    position.y += velocity.y * dt;
+    position.z += velocity.z * dt;
+
+    const drag = Math.pow(config.DRAG, dt);
+    velocity.x *= drag;
+    velocity.y *= drag;
+    velocity.z *= drag;
+}
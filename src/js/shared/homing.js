@@ -0,0 +1,106 @@
+import { MAX_BOLT_DT } from './bolt-kinematics.js';
+import { interceptPoint } from './intercept.js';
+import { length } from './vector.js';
+
+/**
+ * Homing missile guidance and lock-on geometry shared by the browser and the server.
+ * Works on plain { x, y, z } objects; THREE.Vector3 instances can be passed in directly.
+ */
+
+const STILL = { x: 0, y: 0, z: 0 };
+
+/**
+ * Whether a target can be locked: in range and within `cone` radians of the shooter's forward vector
+ * @param {Object} origin - Shooter position
+ * @param {Object} forward - Unit vector the shooter is facing
+ * @param {Object} targetPosition - Target position
+ * @param {number} range - LOCK_RANGE
+ * @param {number} cone - LOCK_CONE in radians
+ * @returns {boolean}
+ */
+export function inLockCone(origin, forward, targetPosition, range, cone) {
+    const offset = { x: targetPosition.x - origin.x, y: targetPosition.y - origin.y, z: targetPosition.z - origin.z };
+    const distance = length(offset);
+    if (distance > range) return false;
+    if (distance < 1e-6) return true;
+    const cos = (offset.x * forward.x + offset.y * forward.y + offset.z * forward.z) / distance;
+    return Math.acos(Math.min(1, Math.max(-1, cos))) <= cone;
+}
+
+/**
+ * Turns a velocity towards a direction by at most maxAngle radians, keeping its speed
+ * @param {Object} velocity - Current velocity (modified in place)
+ * @param {Object} desired - Direction to turn towards (any length)
+ * @param {number} maxAngle - Largest turn allowed, in radians
+ */
+export function turnTowards(velocity, desired, maxAngle) {
+    const speed = length(velocity);
+    const desiredLength = length(desired);
+    if (!speed || !desiredLength) return;
+
+    const a = { x: velocity.x / speed, y: velocity.y / speed, z: velocity.z / speed };
+    let b = { x: desired.x / desiredLength, y: desired.y / desiredLength, z: desired.z / desiredLength };
+    const cos = Math.min(1, Math.max(-1, a.x * b.x + a.y * b.y + a.z * b.z));
+    const angle = Math.acos(cos);
+    if (angle <= maxAngle) {
+        velocity.x = b.x * speed;
+        velocity.y = b.y * speed;
+        velocity.z = b.z * speed;
+        return;
+    }
+
+    // Straight behind: any turn will do, so pick a perpendicular to swing through
+    if (Math.sin(angle) < 1e-6) {
+        b = Math.abs(a.y) < 0.9 ? { x: -a.z, y: 0, z: a.x } : { x: 0, y: a.z, z: -a.y };
+        const perpendicularLength = length(b);
+        b = { x: b.x / perpendicularLength, y: b.y / perpendicularLength, z: b.z / perpendicularLength };
+        turnTowards(velocity, b, maxAngle);
+        return;
+    }
+
+    // Spherical interpolation from a towards b by maxAngle
+    const sin = Math.sin(angle);
+    const wa = Math.sin(angle - maxAngle) / sin;
+    const wb = Math.sin(maxAngle) / sin;
+    velocity.x = (a.x * wa + b.x * wb) * speed;
+    velocity.y = (a.y * wa + b.y * wb) * speed;
+    velocity.z = (a.z * wa + b.z * wb) * speed;
+}
+
+/**
+ * Ages a missile, steers it at where its target will be and moves it.
+ * It turns no faster than TURN_RATE, so a hard-turning target can out-fly it.
+ * Missiles whose target is gone fly straight on until they expire.
+ * @param {Object} missile - { position, velocity, age, lifetime } (modified in place)
+ * @param {Object|null} target - { position, velocity } of the locked target, or null
+ * @param {Object} weapon - Secondary weapon config (SPEED, TURN_RATE)
+ * @param {number} dt - Step duration in seconds
+ * @returns {boolean} True if the missile has expired and should be removed
+ */
+export function advanceMissile(missile, target, weapon, dt) {
+    let remaining = dt;
+    while (remaining > 0) {
+        const step = Math.min(remaining, MAX_BOLT_DT);
+        remaining -= step;
+
+        missile.age += step;
+        if (missile.age >= missile.lifetime) {
+            return true;
+        }
+
+        if (target) {
+            const aim = interceptPoint(missile.position, STILL, target.position, target.velocity || STILL, weapon.SPEED);
+            const point = aim ? aim.point : target.position;
+            turnTowards(missile.velocity, {
+                x: point.x - missile.position.x,
+                y: point.y - missile.position.y,
+                z: point.z - missile.position.z
+            }, weapon.TURN_RATE * step);
+        }
+
+        missile.position.x += missile.velocity.x * step;
+        missile.position.y += missile.velocity.y * step;
+        missile.position.z += missile.velocity.z * step;
+    }
+    return false;
+}
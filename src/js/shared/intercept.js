@@ -0,0 +1,69 @@
+/**
+ * Projectile intercept maths shared by the browser and the server.
+ * Works on plain { x, y, z } objects; THREE.Vector3 instances can be passed in directly.
+ */
+
+/**
+ * Time at which a projectile fired now at the given speed meets a target moving at constant velocity.
+ * Solves |relativePosition + relativeVelocity * t| = speed * t for the smallest positive t.
+ * @param {Object} relativePosition - Target position minus shooter position
+ * @param {Object} relativeVelocity - Target velocity minus the velocity the projectile inherits
+ * @param {number} speed - Projectile speed
+ * @returns {number|null} Seconds until intercept, or null if the projectile can never catch the target
+ */
+export function interceptTime(relativePosition, relativeVelocity, speed) {
+    const a = relativeVelocity.x * relativeVelocity.x + relativeVelocity.y * relativeVelocity.y +
+        relativeVelocity.z * relativeVelocity.z - speed * speed;
+    const b = 2 * (relativePosition.x * relativeVelocity.x + relativePosition.y * relativeVelocity.y +
+        relativePosition.z * relativeVelocity.z);
+    const c = relativePosition.x * relativePosition.x + relativePosition.y * relativePosition.y +
+        relativePosition.z * relativePosition.z;
+
+    // Target exactly as fast as the projectile: the equation is linear
+    if (Math.abs(a) < 1e-6) {
+        if (Math.abs(b) < 1e-6) return null;
+        const t = -c / b;
+        return t > 0 ? t : null;
+    }
+
+    const discriminant = b * b - 4 * a * c;
+    if (discriminant < 0) return null;
+
+    const root = Math.sqrt(discriminant);
+    const t1 = (-b - root) / (2 * a);
+    const t2 = (-b + root) / (2 * a);
+    const t = Math.min(t1, t2) > 0 ? Math.min(t1, t2) : Math.max(t1, t2);
+    return t > 0 ? t : null;
+}
+
+/**
+ * Where to aim so a projectile meets a target moving at constant velocity
+ * @param {Object} shooterPosition - Muzzle position
+ * @param {Object} shooterVelocity - Velocity the projectile inherits from the shooter
+ * @param {Object} targetPosition - Target position
+ * @param {Object} targetVelocity - Target velocity
+ * @param {number} speed - Projectile speed
+ * @returns {Object|null} { point, time }, or null if there is no intercept
+ */
+export function interceptPoint(shooterPosition, shooterVelocity, targetPosition, targetVelocity, speed) {
+    const relativeVelocity = {
+        x: targetVelocity.x - shooterVelocity.x,
+        y: targetVelocity.y - shooterVelocity.y,
+        z: targetVelocity.z - shooterVelocity.z
+    };
+    const time = interceptTime({
+        x: targetPosition.x - shooterPosition.x,
+        y: targetPosition.y - shooterPosition.y,
+        z: targetPosition.z - shooterPosition.z
+    }, relativeVelocity, speed);
+    if (time === null) return null;
+
+    return {
+        time,
+        point: {
+            x: targetPosition.x + relativeVelocity.x * time,
+            y: targetPosition.y + relativeVelocity.y * time,
+            z: targetPosition.z + relativeVelocity.z * time
+        }
+    };
+}
@@ -0,0 +1,63 @@
+import { ShipRegistry, DEFAULT_SHIP_TYPE } from '../config/ships/ship-registry.js';
+import { rotateVector } from './flight-model.js';
+
+/**
+ * Ship lookups shared by the browser and the server.
+ */
+
+/**
+ * Config for a ship type, falling back to the default ship for unknown types
+ * @param {string} shipType - Ship type from the registry
+ * @returns {Object} Ship config
+ */
+export function getShipConfig(shipType) {
+    return ShipRegistry[shipType] || ShipRegistry[DEFAULT_SHIP_TYPE];
+}
+
+/**
+ * Component a model mesh belongs to, from the config's COMPONENTS mesh-name patterns.
+ * @param {Object} config - Ship config
+ * @param {string} meshName - Name of the mesh in the model
+ * @param {number} x - Mesh x position, for patterns that check the side of the ship
+ * @returns {string} Component id
+ */
+export function componentForMesh(config, meshName, x = 0) {
+    const matches = pattern => (typeof pattern === 'string'
+        ? meshName.includes(pattern)
+        : meshName.includes(pattern.NAME) && (pattern.SIDE === 'left' ? x < 0 : x > 0));
+
+    const components = config.COMPONENTS || {};
+    const componentId = Object.keys(components).find(id => components[id].MESH_PATTERNS.some(matches));
+    return componentId || config.DEFAULT_COMPONENT;
+}
+
+/**
+ * Component nearest to an impact point, from the config's COMPONENTS centres.
+ * Used for hits the server resolves itself; components already destroyed are skipped.
+ * @param {Object} config - Ship config
+ * @param {Object} ship - { position, quaternion, componentHealth } of the ship that was hit
+ * @param {Object} point - Impact point in world space
+ * @returns {string} Component id
+ */
+export function componentNearest(config, ship, point) {
+    // Into ship space: undo the position, then rotate by the inverse orientation
+    const q = ship.quaternion;
+    const local = rotateVector(
+        { x: point.x - ship.position.x, y: point.y - ship.position.y, z: point.z - ship.position.z },
+        { x: -q.x, y: -q.y, z: -q.z, w: q.w }
+    );
+
+    const components = config.COMPONENTS || {};
+    let nearest = config.DEFAULT_COMPONENT;
+    let nearestDistance = Infinity;
+    Object.keys(components).forEach(id => {
+        const center = components[id].CENTER;
+        if (!center || !(ship.componentHealth[id] > 0)) return;
+        const distance = Math.hypot(local.x - center.x, local.y - center.y, local.z - center.z);
+        if (distance < nearestDistance) {
+            nearest = id;
+            nearestDistance = distance;
+        }
+    });
+    return nearest;
+}
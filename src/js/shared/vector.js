@@ -0,0 +1,27 @@
+/**
+ * Small vector helpers shared by the browser and the server.
+ * Works on plain { x, y, z } objects; THREE.Vector3 instances can be passed in directly.
+ */
+
+export function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
+export function length(v) {
+    return Math.hypot(v.x, v.y, v.z);
+}
+
+export function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+/**
+ * Unit vector in the direction of v
+ * @param {Object} v - Vector
+ * @returns {Object|null} { x, y, z }, or null for a zero-length vector
+ */
+export function normalize(v) {
+    const size = length(v);
+    if (!size) return null;
+    return { x: v.x / size, y: v.y / size, z: v.z / size };
+}
@@ -1,183 +1,45 @@
 import * as THREE from 'three';
-import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import * as RAPIER from '@dimforge/rapier3d';
-import PrimaryWeapon from '../weapons/primary-weapon.js';
+import ShipAudio from '../components/ship-audio.js';
+import { createWeapon, createSecondaryWeapon } from '../weapons/weapon-factory.js';
+import { loadShipModel } from './ship-models.js';
 import { ImperialTieFighterConfig } from '../config/ships/imperial-tie-fighter.js';
+import { applyDamage } from '../shared/damage-model.js';
 
+/**
+ * A flyable ship. Everything that differs between ships (model, components, stats,
+ * weapon and audio) comes from its config in the ship registry; see ship-factory.js.
+ */
 export default class BaseShip {
-    constructor(scene, world) {
+    /**
+     * @param {THREE.Scene} scene - Scene the ship is added to
+     * @param {RAPIER.World} world - Physics world
+     * @param {Object} config - Ship config from the registry (src/js/config/ships/ship-registry.js)
+     */
+    constructor(scene, world, config = ImperialTieFighterConfig) {
         this.scene = scene;
         this.world = world; // Store world reference
         this.mesh = null; // Initialize as null until loaded
         this.modelLoaded = false; // Track loading state
-        
-        const loader = new GLTFLoader();
-        loader.load(
-            '/assets/models/tiefighter/TIEFighter.glb',
-            (gltf) => {
-                this.mesh = gltf.scene;
-                // Optional: Adjust scale, rotation, etc.
-                this.mesh.scale.set(0.5, 0.5, 0.5);
-
-                // Traverse the model and set material properties for visibility
-                // Also assign health to logical components (main body, left wing, right wing)
-                this.mesh.traverse((child) => {
-                    if (child.isMesh) {
-                        // Ensure materials have proper settings for lighting
-                        if (child.material) {
-                            // If material is an array, iterate through materials
-                            if (Array.isArray(child.material)) {
-                                child.material.forEach((mat) => {
-                                    if (mat) {
-                                        mat.needsUpdate = true;
-                                    }
-                                });
-                            } else {
-                                child.material.needsUpdate = true;
-                            }
-                        }
-
-                        // Assign component-specific health based on mesh name
-                        let componentId = null;
-
-                        // Check for the specific component names: RightWing, LeftWing, MainHull
-                        // Also handle the actual mesh names that are being detected
-                        if (child.name.includes('RightWing') || child.name === 'RightWing' ||
-                            (child.name.includes('001Wing') && child.position && child.position.x > 0)) {
-                            componentId = 'right_wing';
-                        } else if (child.name.includes('LeftWing') || child.name === 'LeftWing' ||
-                                   (child.name.includes('001Wing') && child.position && child.position.x < 0)) {
-                            componentId = 'left_wing';
-                        } else if (child.name.includes('MainHull') || child.name === 'MainHull') {
-                            componentId = 'main_body';
-                        } else {
-                            // Fallback for any other meshes - assume they belong to main body
-                            componentId = 'main_body';
-                        }
-
-                        // Initialize component health if not already done
-                        if (this.componentHealth[componentId] === undefined) {
-                            // Assign different health values for different components
-                            switch (componentId) {
-                                case 'main_body':
-                                    this.componentHealth[componentId] = ImperialTieFighterConfig.COMPONENT_HEALTH.main_body;
-                                    break;
-                                case 'left_wing':
-                                case 'right_wing':
-                                    this.componentHealth[componentId] = ImperialTieFighterConfig.COMPONENT_HEALTH.left_wing;
-                                    break;
-                                default:
-                                    this.componentHealth[componentId] = ImperialTieFighterConfig.COMPONENT_HEALTH.left_wing;
-                            }
-                            if (!this.componentMeshes[componentId]) {
-                                this.componentMeshes[componentId] = [];
-                            }
-                        }
-
-                        // Track all meshes belonging to this component
-                        if (this.componentMeshes[componentId]) {
-                            this.componentMeshes[componentId].push(child);
-                        }
-                        child.userData.componentId = componentId;
-                        child.userData.isPlayer = true;
-                        child.userData.playerId = window.myPlayerId || 0;
-
-                        console.log(`Assigned mesh "${child.name}" to component "${componentId}"`);
-                    }
-                });
-
-                // Add to scene after loading
-                this.scene.add(this.mesh);
-                this.modelLoaded = true; // Mark as loaded
-                console.log('Player ship model added to scene');
-
-                // Create physics body for the player ship
-                this.createPhysicsBody();
-            },
-            undefined,
-            (error) => {
-                console.error('An error happened loading the GLTF model:', error);
-                // Fallback to cube if loading fails
-                const geometry = new THREE.BoxGeometry(1, 1, 1);
-                const material = new THREE.MeshBasicMaterial({ color: 0x00ff00 });
-                this.mesh = new THREE.Mesh(geometry, material);
-                this.scene.add(this.mesh);
-                this.modelLoaded = true; // Mark as loaded (with fallback)
-                
-                // Traverse the model and assign component health, also mark as player parts
-                this.mesh.traverse((child) => {
-                    if (child.isMesh) {
-                        // Assign component-specific health based on mesh name
-                        let componentId = null;
-
-                        // Check for the specific component names: RightWing, LeftWing, MainHull
-                        // Handle actual mesh names like RightWing_3
-                        if (child.name.includes('RightWing') || child.name === 'RightWing' ||
-                            child.name.includes('RightWing_') ||
-                            (child.name.includes('001Wing') && child.position && child.position.x > 0)) {
-                            componentId = 'right_wing';
-                        } else if (child.name.includes('LeftWing') || child.name === 'LeftWing' ||
-                                   child.name.includes('LeftWing_') ||
-                                   (child.name.includes('001Wing') && child.position && child.position.x < 0)) {
-                            componentId = 'left_wing';
-                        } else if (child.name.includes('MainHull') || child.name === 'MainHull' ||
-                                   child.name.includes('MainHull_')) {
-                            componentId = 'main_body';
-                        } else {
-                            // Fallback for any other meshes - assume they belong to main body
-                            componentId = 'main_body';
-                        }
-
-                        // Initialize component health if not already done
-                        if (this.componentHealth[componentId] === undefined) {
-                            // Assign different health values for different components
-                            switch (componentId) {
-                                case 'main_body':
-                                    this.componentHealth[componentId] = ImperialTieFighterConfig.COMPONENT_HEALTH.main_body;
-                                    break;
-                                case 'left_wing':
-                                case 'right_wing':
-                                    this.componentHealth[componentId] = ImperialTieFighterConfig.COMPONENT_HEALTH.left_wing;
-                                    break;
-                                default:
-                                    this.componentHealth[componentId] = ImperialTieFighterConfig.COMPONENT_HEALTH.left_wing;
-                            }
-                            if (!this.componentMeshes[componentId]) {
-                                this.componentMeshes[componentId] = [];
-                            }
-                        }
-
-                        // Track all meshes belonging to this component
-                        if (this.componentMeshes[componentId]) {
-                            this.componentMeshes[componentId].push(child);
-                        }
-                        child.userData.componentId = componentId;
-                        child.userData.isPlayer = true; // Use same flag as other players for consistency
-                        child.userData.playerId = window.myPlayerId || 0; // Set player ID for the local player
-
-                        console.log(`Player ship: Assigned mesh "${child.name}" to component "${componentId}"`);
-                    }
-                });
-            }
-        );
 
-        this.turnSpeed = ImperialTieFighterConfig.TURN_SPEED;
+        this.config = config; // Flight model parameters (see shared/flight-model.js)
+        this.turnSpeed = config.TURN_SPEED;
 
         // Stats
-        this.shield = ImperialTieFighterConfig.MAX_SHIELD;
-        this.maxShield = ImperialTieFighterConfig.MAX_SHIELD;
-        this.hull = ImperialTieFighterConfig.MAX_HULL;
-        this.maxHull = ImperialTieFighterConfig.MAX_HULL;
-        this.energy = ImperialTieFighterConfig.MAX_ENERGY;
-        this.maxEnergy = ImperialTieFighterConfig.MAX_ENERGY;
-        this.energyRegenerationRate = ImperialTieFighterConfig.ENERGY_REGENERATION_RATE;
-        this.energyDrainTimeout = ImperialTieFighterConfig.ENERGY_DRAIN_TIMEOUT;
+        this.shield = config.MAX_SHIELD;
+        this.maxShield = config.MAX_SHIELD;
+        this.hull = config.MAX_HULL;
+        this.maxHull = config.MAX_HULL;
+        this.energy = config.MAX_ENERGY;
+        this.maxEnergy = config.MAX_ENERGY;
+        this.energyRegenerationRate = config.ENERGY_REGENERATION_RATE;
+        this.energyDrainTimeout = config.ENERGY_DRAIN_TIMEOUT;
         this.lastEnergyActionTime = 0; // Time of last energy action
         this.energyRegenerationStartTime = 0; // Time when regeneration should start
 
         // Shield regeneration properties
-        this.shieldRegenerationRate = ImperialTieFighterConfig.SHIELD_REGENERATION_RATE;
-        this.shieldDrainTimeout = ImperialTieFighterConfig.SHIELD_DRAIN_TIMEOUT;
+        this.shieldRegenerationRate = config.SHIELD_REGENERATION_RATE;
+        this.shieldDrainTimeout = config.SHIELD_DRAIN_TIMEOUT;
         this.lastShieldDamageTime = 0; // Time of last shield damage
         this.shieldRegenerationStartTime = 0; // Time when shield regeneration should start
 
@@ -186,22 +48,102 @@ export default class BaseShip {
         this.componentMeshes = {};
 
         // Total hull health (separate from component health)
-        this.totalHullHealth = ImperialTieFighterConfig.MAX_HULL;
-        this.maxTotalHullHealth = ImperialTieFighterConfig.MAX_HULL;
+        this.totalHullHealth = config.MAX_HULL;
+        this.maxTotalHullHealth = config.MAX_HULL;
 
         // Constants (scaled for per-second physics at 60 FPS, further increased for responsiveness)
-        this.acceleration = ImperialTieFighterConfig.ACCELERATION;
-        this.maxSpeedForward = ImperialTieFighterConfig.MAX_SPEED_FORWARD;
-        this.maxSpeedBackward = ImperialTieFighterConfig.MAX_SPEED_BACKWARD;
-        this.drag = ImperialTieFighterConfig.DRAG;
-        this.boostMultiplier = ImperialTieFighterConfig.BOOST_MULTIPLIER;
+        this.acceleration = config.ACCELERATION;
+        this.maxSpeedForward = config.MAX_SPEED_FORWARD;
+        this.maxSpeedBackward = config.MAX_SPEED_BACKWARD;
+        this.drag = config.DRAG;
+        this.boostMultiplier = config.BOOST_MULTIPLIER;
         this.boosting = false;
-        
+
         // Initialize the primary weapon
-        this.primaryWeapon = new PrimaryWeapon(this);
+        this.primaryWeapon = this.createPrimaryWeapon();
+        // Missile or torpedo launcher, if the config names one
+        this.secondaryWeapon = createSecondaryWeapon(this.config.SECONDARY_WEAPON, this);
 
         // Firing state flags
         this.isFiringPrimary = false;
+
+        // Engine and boost sounds, if the config has any
+        this.audio = (config.ENGINE_AUDIO || config.BOOST_AUDIO) ? new ShipAudio(this) : null;
+
+        // Reference to debris manager (set externally)
+        this.debrisManager = null;
+
+        this.loadModel();
+    }
+
+    /**
+     * Set debris manager reference
+     * @param {DebrisManager} debrisManager - The debris manager instance
+     */
+    setDebrisManager(debrisManager) {
+        this.debrisManager = debrisManager;
+    }
+
+    /**
+     * Creates the weapon named by the config's PRIMARY_WEAPON
+     */
+    createPrimaryWeapon() {
+        return createWeapon(this.config.PRIMARY_WEAPON, this);
+    }
+
+    /**
+     * Loads the ship model described by the config and adds it to the scene
+     */
+    loadModel() {
+        loadShipModel(
+            this.config,
+            (model) => {
+                this.mesh = model;
+                this.assignComponents();
+
+                // Add to scene after loading
+                this.scene.add(this.mesh);
+                this.modelLoaded = true; // Mark as loaded
+                console.log(`Player ship model (${this.config.NAME}) added to scene`);
+
+                // Create physics body for the player ship
+                this.createPhysicsBody();
+            },
+            (error) => {
+                console.error('An error happened loading the GLTF model:', error);
+                // Fallback to cube if loading fails
+                const geometry = new THREE.BoxGeometry(1, 1, 1);
+                const material = new THREE.MeshBasicMaterial({ color: 0x00ff00 });
+                this.mesh = new THREE.Mesh(geometry, material);
+                this.scene.add(this.mesh);
+                this.modelLoaded = true; // Mark as loaded (with fallback)
+                this.assignComponents();
+            }
+        );
+    }
+
+    /**
+     * Groups the model's meshes by component (tagged by loadShipModel), sets up
+     * component health from the config and marks the meshes as the local player's
+     */
+    assignComponents() {
+        this.mesh.traverse((child) => {
+            if (!child.isMesh) return;
+
+            const componentId = child.userData.componentId || this.config.DEFAULT_COMPONENT;
+
+            // Initialize component health if not already done
+            if (this.componentHealth[componentId] === undefined) {
+                this.componentHealth[componentId] = this.config.COMPONENT_HEALTH[componentId] || 0;
+            }
+
+            // Track all meshes belonging to this component
+            this.componentMeshes[componentId] = this.componentMeshes[componentId] || [];
+            this.componentMeshes[componentId].push(child);
+            child.userData.componentId = componentId;
+            child.userData.isPlayer = true; // Use same flag as other players for consistency
+            child.userData.playerId = window.myPlayerId || 0; // Set player ID for the local player
+        });
     }
 
     createPhysicsBody() {
@@ -324,6 +266,11 @@ export default class BaseShip {
             this.rigidBody.setTranslation(this.mesh.position, true);
             this.rigidBody.setRotation(this.mesh.quaternion, true);
         }
+
+        // Engine volume follows speed, boost sound follows boosting
+        if (this.audio) {
+            this.audio.update(player);
+        }
     }
     
     // Method to fire the primary weapon
@@ -331,97 +278,82 @@ export default class BaseShip {
         return this.primaryWeapon.fire(player);
     }
     
+    // Method to fire the secondary weapon at the locked target
+    fireSecondaryWeapon(player) {
+        return this.secondaryWeapon ? this.secondaryWeapon.fire(player) : false;
+    }
+
     // Method to handle taking damage
     takeDamage(damage, componentId = null) {
         // Update the last shield damage time
         const currentTime = Date.now() / 1000; // Convert to seconds
         this.lastShieldDamageTime = currentTime;
 
-        let remainingDamage = damage;
+        // Shields absorb first, then the hull and the hit component (shared with the server)
+        const state = { shield: this.shield, hull: this.totalHullHealth, componentHealth: this.componentHealth };
+        const result = applyDamage(state, damage, componentId, this.config.DESTRUCTION);
+        this.shield = state.shield;
+        this.totalHullHealth = state.hull;
+        this.hull = state.hull;
 
-        // FIRST: Apply damage to shields (shields absorb damage before anything else)
-        if (this.shield > 0) {
-            const shieldDamage = Math.min(remainingDamage, this.shield);
-            this.shield -= shieldDamage;
-            remainingDamage -= shieldDamage;
-            this.shield = Math.max(0, this.shield);
-            console.log(`Shield absorbed ${shieldDamage} damage, remaining shield: ${this.shield}`);
+        if (result.shieldDamage > 0) {
+            console.log(`Shield absorbed ${result.shieldDamage} damage, remaining shield: ${this.shield}`);
         }
 
-        // SECOND: If shields are depleted and we have remaining damage, apply to components and hull
-        if (remainingDamage > 0) {
-            // Always apply damage to total hull health
-            const totalHullDamage = Math.min(remainingDamage, this.totalHullHealth);
-            this.totalHullHealth -= totalHullDamage;
-            remainingDamage -= totalHullDamage;
-            this.totalHullHealth = Math.max(0, this.totalHullHealth);
-
-            // Apply damage to specific component if provided
-            if (componentId && this.componentHealth[componentId] !== undefined) {
-                const componentDamage = Math.min(totalHullDamage, this.componentHealth[componentId]);
-                this.componentHealth[componentId] -= componentDamage;
-
-                // Ensure component health doesn't go below 0
-                this.componentHealth[componentId] = Math.max(0, this.componentHealth[componentId]);
-
-                // If component is destroyed, remove it from scene and notify other players
-                if (this.componentHealth[componentId] <= 0) {
-                    console.log(`Player ship component ${componentId} health reached 0, destroying component!`);
-                    this.destroyComponent(componentId);
-
-                    // Send component destruction to server for multiplayer sync
-                    if (window.ws && window.ws.readyState === WebSocket.OPEN && window.myPlayerId) {
-                        console.log(`Sending component destruction message for ${componentId}`);
-                        window.ws.send(JSON.stringify({
-                            type: 'playerComponentDestroyed',
-                            playerId: window.myPlayerId,
-                            componentId: componentId
-                        }));
-                    }
-                }
-
-                console.log(`Player ship component ${componentId} damaged for ${componentDamage}, remaining component health: ${this.componentHealth[componentId]}`);
-            }
+        if (result.componentDamage > 0) {
+            console.log(`Player ship component ${componentId} damaged for ${result.componentDamage}, remaining component health: ${this.componentHealth[componentId]}`);
+        }
 
-            // Apply any remaining damage to legacy hull (for backward compatibility)
-            if (remainingDamage > 0) {
-                this.hull -= remainingDamage;
-                this.hull = Math.max(0, this.hull);
-                console.log(`Legacy hull damage: ${remainingDamage}, remaining hull: ${this.hull}`);
+        // If component is destroyed, remove it from scene and notify other players
+        if (result.componentDestroyed) {
+            console.log(`Player ship component ${componentId} health reached 0, destroying component!`);
+            this.destroyComponent(componentId);
+
+            // Send component destruction to server for multiplayer sync
+            if (window.ws && window.ws.readyState === WebSocket.OPEN && window.myPlayerId) {
+                console.log(`Sending component destruction message for ${componentId}`);
+                window.ws.send(JSON.stringify({
+                    type: 'playerComponentDestroyed',
+                    playerId: window.myPlayerId,
+                    componentId: componentId
+                }));
             }
-
-            console.log(`Player ship total hull health: ${this.totalHullHealth}/100`);
         }
 
-        // Check destruction conditions:
-        // 1. Total hull health ≤ 0, OR
-        // 2. Main hull component destroyed, OR
-        // 3. Both wings destroyed
-        const mainHullDestroyed = !this.componentHealth.main_body || this.componentHealth.main_body <= 0;
-        const leftWingDestroyed = !this.componentHealth.left_wing || this.componentHealth.left_wing <= 0;
-        const rightWingDestroyed = !this.componentHealth.right_wing || this.componentHealth.right_wing <= 0;
-        const bothWingsDestroyed = leftWingDestroyed && rightWingDestroyed;
-
-        const isDestroyed = this.totalHullHealth <= 0 || mainHullDestroyed || bothWingsDestroyed;
+        console.log(`Player ship total hull health: ${this.totalHullHealth}/${this.maxTotalHullHealth}`);
 
-        if (isDestroyed) {
+        if (result.destroyed) {
             console.log('Player ship destroyed!');
         }
 
-        return isDestroyed;
+        return result.destroyed;
     }
 
     destroyComponent(componentId) {
         if (this.componentMeshes[componentId]) {
             const meshes = this.componentMeshes[componentId];
 
-            // Remove all meshes belonging to this component
-            meshes.forEach(mesh => {
-                if (mesh.parent) {
-                    mesh.parent.remove(mesh);
-                    console.log(`Player ship component ${componentId} mesh "${mesh.name}" destroyed and removed`);
-                }
-            });
+            // Calculate center position for debris explosion
+            const centerPosition = new THREE.Vector3();
+            if (meshes.length > 0) {
+                meshes.forEach(mesh => {
+                    centerPosition.add(mesh.position);
+                });
+                centerPosition.divideScalar(meshes.length);
+            }
+
+            if (this.debrisManager) {
+                this.debrisManager.createDebrisFromComponent(meshes, centerPosition, this.mesh);
+                console.log(`Player ship component ${componentId} converted to debris`);
+            } else {
+                // Remove all meshes belonging to this component
+                meshes.forEach(mesh => {
+                    if (mesh.parent) {
+                        mesh.parent.remove(mesh);
+                        console.log(`Player ship component ${componentId} mesh "${mesh.name}" destroyed and removed`);
+                    }
+                });
+            }
 
             // Remove from tracking
             delete this.componentHealth[componentId];
@@ -430,4 +362,20 @@ export default class BaseShip {
             console.log(`Player ship component ${componentId} fully destroyed`);
         }
     }
+
+    /**
+     * Takes the ship out of the scene and stops its sounds, e.g. before it is replaced
+     */
+    dispose() {
+        if (this.audio) {
+            this.audio.dispose();
+        }
+        if (this.rigidBody && this.world) {
+            this.world.removeRigidBody(this.rigidBody);
+            this.rigidBody = null;
+        }
+        if (this.mesh && this.mesh.parent) {
+            this.mesh.parent.remove(this.mesh);
+        }
+    }
 }
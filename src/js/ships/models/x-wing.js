@@ -0,0 +1,53 @@
+import * as THREE from 'three';
+
+/**
+ * Builds the X-Wing model. There is no X-Wing asset yet, so it is made from primitives.
+ * Mesh names match the component patterns in RebelXWingConfig.COMPONENTS.
+ * @returns {THREE.Group} The model, nose towards -Z
+ */
+export function createXWingModel() {
+    const model = new THREE.Group();
+    const hullMaterial = new THREE.MeshStandardMaterial({ color: 0xd8d8d0, roughness: 0.7 });
+    const stripeMaterial = new THREE.MeshStandardMaterial({ color: 0xb03020, roughness: 0.7 });
+    const canopyMaterial = new THREE.MeshStandardMaterial({ color: 0x202830, roughness: 0.3 });
+
+    const addPart = (name, geometry, material, position, rotation = null) => {
+        const part = new THREE.Mesh(geometry, material);
+        part.name = name;
+        part.position.copy(position);
+        if (rotation) part.rotation.copy(rotation);
+        model.add(part);
+        return part;
+    };
+
+    // Fuselage: body, nose and canopy
+    addPart('Fuselage', new THREE.BoxGeometry(0.5, 0.45, 2.4), hullMaterial, new THREE.Vector3(0, 0, 0.2));
+    addPart('Nose', new THREE.CylinderGeometry(0.08, 0.25, 1.2, 8), hullMaterial,
+        new THREE.Vector3(0, 0, -1.6), new THREE.Euler(-Math.PI / 2, 0, 0));
+    addPart('Canopy', new THREE.BoxGeometry(0.3, 0.18, 0.6), canopyMaterial, new THREE.Vector3(0, 0.3, -0.3));
+
+    // Astromech droid socket behind the cockpit
+    addPart('Astromech', new THREE.CylinderGeometry(0.13, 0.13, 0.25, 10), hullMaterial, new THREE.Vector3(0, 0.35, 0.35));
+    addPart('AstromechDome', new THREE.SphereGeometry(0.13, 10, 6, 0, Math.PI * 2, 0, Math.PI / 2), stripeMaterial,
+        new THREE.Vector3(0, 0.48, 0.35));
+
+    // S-foils in attack position, each with an engine and a wingtip laser cannon
+    [
+        ['TopLeftSFoil', -1, 1],
+        ['TopRightSFoil', 1, 1],
+        ['BottomLeftSFoil', -1, -1],
+        ['BottomRightSFoil', 1, -1]
+    ].forEach(([name, side, height]) => {
+        const tilt = side * height * 0.26; // About 15 degrees out of the horizontal
+        addPart(name, new THREE.BoxGeometry(1.3, 0.05, 0.8), hullMaterial,
+            new THREE.Vector3(side * 0.9, height * 0.2, 0.6), new THREE.Euler(0, 0, tilt));
+        addPart(`${name}Stripe`, new THREE.BoxGeometry(0.4, 0.06, 0.3), stripeMaterial,
+            new THREE.Vector3(side * 0.75, height * 0.17, 0.6), new THREE.Euler(0, 0, tilt));
+        addPart(`${name}Engine`, new THREE.CylinderGeometry(0.12, 0.12, 0.9, 8), hullMaterial,
+            new THREE.Vector3(side * 0.4, height * 0.22, 0.7), new THREE.Euler(Math.PI / 2, 0, 0));
+        addPart(`${name}Cannon`, new THREE.CylinderGeometry(0.03, 0.03, 1.6, 6), hullMaterial,
+            new THREE.Vector3(side * 1.45, height * 0.4, 0.1), new THREE.Euler(Math.PI / 2, 0, 0));
+    });
+
+    return model;
+}
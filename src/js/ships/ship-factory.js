@@ -0,0 +1,14 @@
+import BaseShip from './base-ship.js';
+import { getShipConfig } from '../shared/ships.js';
+
+/**
+ * Creates the local player's ship for a ship type from the registry.
+ * Unknown types get the default ship.
+ * @param {string} shipType - Ship type assigned by the server
+ * @param {THREE.Scene} scene - Scene the ship is added to
+ * @param {RAPIER.World} world - Physics world
+ * @returns {BaseShip} The new ship
+ */
+export function createShip(shipType, scene, world) {
+    return new BaseShip(scene, world, getShipConfig(shipType));
+}
@@ -0,0 +1,50 @@
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { componentForMesh } from '../shared/ships.js';
+import { createXWingModel } from './models/x-wing.js';
+
+// Procedural models for ships without a model file, keyed by the config's MODEL.BUILDER
+const MODEL_BUILDERS = {
+    'x-wing': createXWingModel
+};
+
+/**
+ * Loads a ship's model as its config describes, scales it and tags every mesh with
+ * the component it belongs to (userData.componentId). Used for the local ship and
+ * for other players' ships.
+ * @param {Object} config - Ship config from the registry
+ * @param {Function} onLoad - Called with the model once it is ready
+ * @param {Function} onError - Called if the model file fails to load
+ */
+export function loadShipModel(config, onLoad, onError) {
+    const prepare = (model) => {
+        model.scale.setScalar(config.MODEL.SCALE || 1);
+
+        model.traverse((child) => {
+            if (!child.isMesh) return;
+
+            // Ensure materials have proper settings for lighting
+            if (Array.isArray(child.material)) {
+                child.material.forEach((mat) => {
+                    if (mat) {
+                        mat.needsUpdate = true;
+                    }
+                });
+            } else if (child.material) {
+                child.material.needsUpdate = true;
+            }
+
+            child.userData.componentId = componentForMesh(config, child.name, child.position.x);
+        });
+
+        onLoad(model);
+    };
+
+    const builder = MODEL_BUILDERS[config.MODEL.BUILDER];
+    if (builder) {
+        prepare(builder());
+        return;
+    }
+
+    const loader = new GLTFLoader();
+    loader.load(config.MODEL.PATH, gltf => prepare(gltf.scene), undefined, onError);
+}
@@ -7,6 +7,7 @@ export default class UI {
         this.createHullOverlay();
         this.createEnergyOverlay();
         this.createWeaponOverlay();
+        this.createSecondaryWeaponOverlay();
         this.createComponentHealthOverlay();
     }
 
@@ -46,6 +47,12 @@ export default class UI {
         document.body.appendChild(this.weaponElement);
     }
 
+    createSecondaryWeaponOverlay() {
+        this.secondaryWeaponElement = document.createElement('div');
+        this.secondaryWeaponElement.classList.add('ui-overlay', 'secondary-weapon-overlay');
+        document.body.appendChild(this.secondaryWeaponElement);
+    }
+
     createComponentHealthOverlay() {
         this.componentHealthElement = document.createElement('div');
         this.componentHealthElement.classList.add('ui-overlay', 'component-health-overlay');
@@ -67,17 +74,17 @@ export default class UI {
             const energy = this.player.ship.energy;
             this.energyElement.innerText = `Energy: ${Math.round(energy)}`;
 
-            // Update component health display
+            // Update component health display, one entry per component in the ship's config
+            // (destroyed components are dropped from componentHealth, so show them as 0)
+            const config = this.player.ship.config;
             const componentHealth = this.player.ship.componentHealth || {};
-            const mainBodyHealth = componentHealth.main_body || 100;
-            const leftWingHealth = componentHealth.left_wing || 50;
-            const rightWingHealth = componentHealth.right_wing || 50;
+            const components = Object.keys(config.COMPONENT_HEALTH).map(componentId => {
+                const name = config.COMPONENTS?.[componentId]?.NAME || componentId;
+                return `${name}: ${Math.round(componentHealth[componentId] || 0)}`;
+            });
 
             this.componentHealthElement.innerText =
-                `Total Hull: ${Math.round(totalHull)}/100 | ` +
-                `Main: ${Math.round(mainBodyHealth)} | ` +
-                `Left Wing: ${Math.round(leftWingHealth)} | ` +
-                `Right Wing: ${Math.round(rightWingHealth)}`;
+                `Total Hull: ${Math.round(totalHull)}/${config.MAX_HULL} | ` + components.join(' | ');
 
             // Update weapon status
             const weapon = this.player.ship.primaryWeapon;
@@ -91,12 +98,27 @@ export default class UI {
             } else {
                 this.weaponElement.innerText = 'Weapon: Loading...';
             }
+
+            // Secondary weapon ammo and lock-on
+            const launcher = this.player.ship.secondaryWeapon;
+            if (launcher) {
+                let lock = 'No target';
+                if (launcher.isLocked()) {
+                    lock = `LOCKED ${launcher.lockTarget.name}`;
+                } else if (launcher.lockTarget) {
+                    lock = `Locking ${launcher.lockTarget.name} ${Math.round(launcher.getLockProgress() * 100)}%`;
+                }
+                this.secondaryWeaponElement.innerText = `${launcher.config.NAME}: ${launcher.ammo}/${launcher.maxAmmo} | ${lock}`;
+            } else {
+                this.secondaryWeaponElement.innerText = '';
+            }
         } else {
             this.shieldElement.innerText = 'Shield: --';
             this.hullElement.innerText = 'Hull: --';
             this.energyElement.innerText = 'Energy: --';
             this.componentHealthElement.innerText = 'Systems: Initializing...';
             this.weaponElement.innerText = 'Weapon: --';
+            this.secondaryWeaponElement.innerText = '';
         }
     }
 }
@@ -0,0 +1,41 @@
+import { FeedConfig } from '../config/feed-config.js';
+
+/**
+ * Scrollable log of the local player's combat: hits dealt and received, and kills.
+ * It stays scrolled to the newest line unless the player has scrolled back.
+ */
+export default class CombatLogUI {
+    constructor() {
+        this.element = document.createElement('div');
+        this.element.classList.add('ui-overlay', 'combat-log-overlay');
+        document.body.appendChild(this.element);
+    }
+
+    /**
+     * Add a line to the log
+     * @param {string} text - What happened
+     * @param {string} kind - 'dealt', 'received' or 'kill', used for its colour
+     */
+    add(text, kind) {
+        const atBottom = this.element.scrollTop + this.element.clientHeight >= this.element.scrollHeight - 5;
+
+        const line = document.createElement('div');
+        line.classList.add(`combat-log-${kind}`);
+        line.innerText = `${new Date().toLocaleTimeString()} ${text}`;
+        this.element.appendChild(line);
+
+        while (this.element.children.length > FeedConfig.COMBAT_LOG.MAX_ENTRIES) {
+            this.element.firstChild.remove();
+        }
+        if (atBottom) {
+            this.element.scrollTop = this.element.scrollHeight;
+        }
+    }
+
+    /**
+     * Empty the log, e.g. when moving rooms
+     */
+    clear() {
+        this.element.innerHTML = '';
+    }
+}
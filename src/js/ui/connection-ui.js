@@ -0,0 +1,45 @@
+/**
+ * Banner shown while the connection to the server is down, counting down to the next reconnect attempt
+ */
+export default class ConnectionUI {
+    constructor() {
+        this.retryAt = null; // Local time in seconds of the next attempt, or null while connected
+        this.attempt = 0;
+
+        this.element = document.createElement('div');
+        this.element.classList.add('ui-overlay', 'connection-overlay');
+        this.element.style.display = 'none';
+        document.body.appendChild(this.element);
+    }
+
+    /**
+     * The connection dropped (or an attempt failed)
+     * @param {number} retryIn - Seconds until the next attempt
+     * @param {number} attempt - Which attempt that will be
+     */
+    setReconnecting(retryIn, attempt) {
+        this.retryAt = performance.now() / 1000 + retryIn;
+        this.attempt = attempt;
+        this.element.style.display = 'block';
+        this.update();
+    }
+
+    setConnected() {
+        this.retryAt = null;
+        this.element.style.display = 'none';
+    }
+
+    /**
+     * Per-frame update of the countdown
+     */
+    update() {
+        if (this.retryAt === null) return;
+        const secondsLeft = Math.ceil(this.retryAt - performance.now() / 1000);
+        const text = secondsLeft > 0
+            ? `CONNECTION LOST - reconnecting in ${secondsLeft}s (attempt ${this.attempt})`
+            : `CONNECTION LOST - reconnecting (attempt ${this.attempt})`;
+        if (this.element.innerText !== text) {
+            this.element.innerText = text;
+        }
+    }
+}
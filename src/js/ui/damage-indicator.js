@@ -0,0 +1,71 @@
+import * as THREE from 'three';
+import { HitFeedbackConfig } from '../config/hit-feedback-config.js';
+
+const config = HitFeedbackConfig.DAMAGE_INDICATOR;
+
+/**
+ * Arcs around the crosshair pointing at whoever just hit us, from the attacker position
+ * in the server's playerDamaged messages. One arc per attacker, refreshed by each new hit
+ * and re-aimed every frame as we turn.
+ */
+export default class DamageIndicator {
+    constructor(player) {
+        this.player = player;
+        this.arcs = new Map(); // attacker key -> { element, position, hitAt } in seconds of performance.now()
+        this.direction = new THREE.Vector3();
+        this.inverseCamera = new THREE.Quaternion();
+    }
+
+    /**
+     * Show (or refresh) the arc for a hit
+     * @param {string} attackerKey - Identifies the attacker, so repeated hits share an arc
+     * @param {Object} position - { x, y, z } the hit came from
+     */
+    addHit(attackerKey, position) {
+        let arc = this.arcs.get(attackerKey);
+        if (!arc) {
+            const element = document.createElement('div');
+            element.classList.add('damage-indicator');
+            document.body.appendChild(element);
+            arc = { element, position: new THREE.Vector3() };
+            this.arcs.set(attackerKey, arc);
+        }
+        arc.position.set(position.x, position.y, position.z);
+        arc.hitAt = performance.now() / 1000;
+    }
+
+    /**
+     * Per-frame update: aim each arc relative to the camera and fade it out
+     */
+    update() {
+        const now = performance.now() / 1000;
+        this.inverseCamera.copy(window.mainCamera.quaternion).invert();
+
+        this.arcs.forEach((arc, attackerKey) => {
+            const age = now - arc.hitAt;
+            if (age >= config.DURATION || !this.player.isAlive) {
+                arc.element.remove();
+                this.arcs.delete(attackerKey);
+                return;
+            }
+
+            // Direction to the attacker in camera space: x right, y up, z towards the viewer
+            this.direction.copy(arc.position).sub(this.player.position).applyQuaternion(this.inverseCamera);
+            // Straight behind has no on-screen direction, so point down
+            const angle = Math.hypot(this.direction.x, this.direction.y) < 1e-3 && this.direction.z > 0
+                ? Math.PI
+                : Math.atan2(this.direction.x, this.direction.y);
+
+            arc.element.style.transform = `translate(-50%, -50%) rotate(${angle}rad) translateY(-${config.RADIUS}px)`;
+            arc.element.style.opacity = Math.min(1, (config.DURATION - age) / config.FADE_TIME);
+        });
+    }
+
+    /**
+     * Remove every arc, e.g. on respawn or when moving rooms
+     */
+    clear() {
+        this.arcs.forEach(arc => arc.element.remove());
+        this.arcs.clear();
+    }
+}
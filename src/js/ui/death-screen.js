@@ -0,0 +1,138 @@
+import { TeamsConfig } from '../config/teams-config.js';
+import { getShipConfig } from '../shared/ships.js';
+
+// Seconds to wait for the server to relaunch us before R can be pressed again
+const REQUEST_TIMEOUT = 3;
+
+/**
+ * Shown while the local player is destroyed: who got them, the server's respawn countdown
+ * (longer once the team's hangars are lost) and the ships they can relaunch in.
+ * Number keys pick a ship; R relaunches once the countdown has run out.
+ */
+export default class DeathScreen {
+    /**
+     * @param {Function} onLaunch - Called with the chosen ship type when the player relaunches
+     */
+    constructor(onLaunch) {
+        this.onLaunch = onLaunch;
+        this.visible = false;
+        this.respawnAt = 0; // Local time in seconds when the server will accept a respawn
+        this.shipTypes = [];
+        this.selectedShipType = null;
+        this.requested = false; // Respawn sent, waiting for the server
+        this.requestedAt = 0; // Local time in seconds the respawn was sent
+
+        this.element = document.createElement('div');
+        this.element.classList.add('death-screen');
+        this.element.style.display = 'none';
+        this.titleElement = this.addLine('death-screen-title');
+        this.killerElement = this.addLine();
+        this.hangarElement = this.addLine('death-screen-hangar');
+        this.shipsElement = this.addLine('death-screen-ships');
+        this.countdownElement = this.addLine('death-screen-countdown');
+        this.titleElement.innerText = 'SHIP DESTROYED';
+        this.hangarElement.innerText = 'Hangar destroyed - relaunch delayed';
+        document.body.appendChild(this.element);
+
+        document.addEventListener('keydown', (e) => {
+            if (this.visible && !e.repeat) {
+                this.handleKey(e.code);
+            }
+        });
+    }
+
+    addLine(className) {
+        const line = document.createElement('div');
+        if (className) {
+            line.classList.add(className);
+        }
+        this.element.appendChild(line);
+        return line;
+    }
+
+    /**
+     * Show the screen for a respawnCountdown message from the server. The server sends one again
+     * when it turns a respawn down, which puts the screen back on the countdown.
+     * @param {Object} countdown - { respawnIn, hangarLost, killerName }
+     * @param {string} team - Our team, for the ships it may fly
+     * @param {string} currentShipType - Ship we were flying, selected by default
+     */
+    show(countdown, team, currentShipType) {
+        this.respawnAt = performance.now() / 1000 + countdown.respawnIn;
+        this.shipTypes = TeamsConfig.TEAMS[team]?.SHIP_TYPES || [currentShipType];
+        if (!this.visible || !this.shipTypes.includes(this.selectedShipType)) {
+            this.selectedShipType = this.shipTypes.includes(currentShipType) ? currentShipType : this.shipTypes[0];
+        }
+        this.requested = false;
+
+        this.killerElement.innerText = countdown.killerName ? `Destroyed by ${countdown.killerName}` : '';
+        this.hangarElement.style.display = countdown.hangarLost ? 'block' : 'none';
+        this.renderShips();
+        this.visible = true;
+        this.element.style.display = 'block';
+        this.update();
+    }
+
+    hide() {
+        this.visible = false;
+        this.element.style.display = 'none';
+    }
+
+    /**
+     * Forget a pending respawn request, e.g. when the connection drops, so R works again
+     */
+    cancelRequest() {
+        this.requested = false;
+    }
+
+    handleKey(code) {
+        const digit = code.match(/^Digit(\d)$/);
+        if (digit) {
+            const shipType = this.shipTypes[Number(digit[1]) - 1];
+            if (shipType) {
+                this.selectedShipType = shipType;
+                this.renderShips();
+            }
+        } else if (code === 'KeyR' && this.secondsLeft() <= 0 && !this.requested) {
+            this.requested = true;
+            this.requestedAt = performance.now() / 1000;
+            this.onLaunch(this.selectedShipType);
+        }
+    }
+
+    secondsLeft() {
+        return this.respawnAt - performance.now() / 1000;
+    }
+
+    renderShips() {
+        this.shipsElement.innerHTML = '';
+        this.shipTypes.forEach((shipType, index) => {
+            const option = document.createElement('div');
+            option.innerText = `[${index + 1}] ${getShipConfig(shipType).NAME}`;
+            if (shipType === this.selectedShipType) {
+                option.classList.add('death-screen-selected');
+            }
+            this.shipsElement.appendChild(option);
+        });
+    }
+
+    /**
+     * Per-frame update of the countdown
+     */
+    update() {
+        if (!this.visible) return;
+        if (this.requested && performance.now() / 1000 - this.requestedAt > REQUEST_TIMEOUT) {
+            this.requested = false; // No answer; let the player try again
+        }
+        const secondsLeft = this.secondsLeft();
+        let text = `Relaunch in ${Math.ceil(secondsLeft)}s`;
+        if (this.requested) {
+            text = 'Launching...';
+        } else if (secondsLeft <= 0) {
+            text = 'Press R to relaunch';
+        }
+        if (this.countdownElement.innerText !== text) {
+            this.countdownElement.innerText = text;
+        }
+    }
+}
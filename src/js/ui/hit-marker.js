@@ -0,0 +1,90 @@
+import { HitFeedbackConfig } from '../config/hit-feedback-config.js';
+
+// Stronger feedback wins while a flash is still showing
+const PRIORITY = { hit: 0, component: 1, kill: 2 };
+
+/**
+ * Hit confirmation: an X flashed around the crosshair with a short tone when our shots land,
+ * bigger and in its own colour and pitch for a broken component or a kill (see HitFeedbackConfig.HIT_MARKERS)
+ */
+export default class HitMarker {
+    constructor() {
+        this.kind = null;
+        this.shownAt = 0; // Seconds of performance.now()
+
+        this.element = document.createElement('div');
+        this.element.classList.add('hit-marker');
+        this.element.style.display = 'none';
+        document.body.appendChild(this.element);
+    }
+
+    /**
+     * Flash the marker and play its tone
+     * @param {string} kind - 'hit', 'component' or 'kill'
+     */
+    flash(kind) {
+        const now = performance.now() / 1000;
+        if (this.kind && now - this.shownAt < this.markerConfig().DURATION && PRIORITY[this.kind] > PRIORITY[kind]) {
+            return;
+        }
+
+        this.kind = kind;
+        this.shownAt = now;
+        const markerConfig = this.markerConfig();
+        this.element.style.setProperty('--hit-marker-color', markerConfig.COLOR);
+        this.element.style.width = `${markerConfig.SIZE}px`;
+        this.element.style.height = `${markerConfig.SIZE}px`;
+        this.element.style.opacity = 1;
+        this.element.style.display = 'block';
+        this.playTone(markerConfig);
+    }
+
+    markerConfig() {
+        return HitFeedbackConfig.HIT_MARKERS[this.kind];
+    }
+
+    /**
+     * Short falling tone through the camera's audio listener, so it follows the game's volume
+     */
+    playTone(markerConfig) {
+        const audioListener = window.camera?.audioListener;
+        if (!audioListener) return;
+
+        try {
+            const context = audioListener.context;
+            const start = context.currentTime;
+            const end = start + markerConfig.TONE_DURATION;
+
+            const oscillator = context.createOscillator();
+            oscillator.type = 'square';
+            oscillator.frequency.setValueAtTime(markerConfig.TONE, start);
+            oscillator.frequency.exponentialRampToValueAtTime(markerConfig.TONE / 2, end);
+
+            const gain = context.createGain();
+            gain.gain.setValueAtTime(markerConfig.VOLUME, start);
+            gain.gain.exponentialRampToValueAtTime(0.001, end);
+
+            oscillator.connect(gain);
+            gain.connect(audioListener.getInput());
+            oscillator.start(start);
+            oscillator.stop(end);
+        } catch (error) {
+            console.warn('Failed to play hit marker sound:', error);
+        }
+    }
+
+    /**
+     * Per-frame fade of the marker
+     */
+    update() {
+        if (!this.kind) return;
+        const markerConfig = this.markerConfig();
+        const age = performance.now() / 1000 - this.shownAt;
+        if (age >= markerConfig.DURATION) {
+            this.kind = null;
+            this.element.style.display = 'none';
+            return;
+        }
+        this.element.style.opacity = 1 - age / markerConfig.DURATION;
+    }
+}
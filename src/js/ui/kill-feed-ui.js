@@ -0,0 +1,85 @@
+import { FeedConfig } from '../config/feed-config.js';
+import { TeamsConfig } from '../config/teams-config.js';
+import { getShipConfig } from '../shared/ships.js';
+
+const config = FeedConfig.KILL_FEED;
+
+function teamColor(team) {
+    return TeamsConfig.TEAMS[team]?.COLOR || 'white';
+}
+
+/**
+ * A pilot's name in their team colour (as text, since names come from players)
+ */
+export function coloredName(name, team) {
+    const span = document.createElement('span');
+    span.style.color = teamColor(team);
+    span.innerText = name;
+    return span;
+}
+
+/**
+ * Name of the weapon a kill or hit came from
+ * @param {string} weaponType - weaponType from the server
+ */
+export function weaponName(weaponType) {
+    return FeedConfig.WEAPON_NAMES[weaponType] || weaponType;
+}
+
+/**
+ * Name of the component that failed on a ship of the given type, or null
+ */
+export function componentName(shipType, componentId) {
+    if (!componentId) return null;
+    return getShipConfig(shipType).COMPONENTS?.[componentId]?.NAME || componentId;
+}
+
+/**
+ * Kill feed: the server's playerKilled events, newest at the bottom, each fading out after DURATION
+ */
+export default class KillFeedUI {
+    constructor() {
+        this.entries = []; // { element, shownAt } in seconds of performance.now()
+
+        this.element = document.createElement('div');
+        this.element.classList.add('ui-overlay', 'kill-feed-overlay');
+        document.body.appendChild(this.element);
+    }
+
+    /**
+     * Add a playerKilled event to the feed
+     * @param {Object} kill - { killerName, killerTeam, victimName, victimTeam, victimShipType, weaponType, componentId }
+     */
+    addKill(kill) {
+        const entry = document.createElement('div');
+        const component = componentName(kill.victimShipType, kill.componentId);
+        entry.append(
+            coloredName(kill.killerName, kill.killerTeam),
+            ` [${weaponName(kill.weaponType)}] `,
+            coloredName(kill.victimName, kill.victimTeam),
+            component ? ` (${component})` : ''
+        );
+        this.element.appendChild(entry);
+        this.entries.push({ element: entry, shownAt: performance.now() / 1000 });
+
+        while (this.entries.length > config.MAX_ENTRIES) {
+            this.entries.shift().element.remove();
+        }
+    }
+
+    /**
+     * Per-frame fade of the entries
+     */
+    update() {
+        const now = performance.now() / 1000;
+        this.entries = this.entries.filter(entry => {
+            const age = now - entry.shownAt;
+            if (age >= config.DURATION) {
+                entry.element.remove();
+                return false;
+            }
+            entry.element.style.opacity = Math.min(1, (config.DURATION - age) / config.FADE_TIME);
+            return true;
+        });
+    }
+}
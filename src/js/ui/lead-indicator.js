@@ -0,0 +1,57 @@
+import * as THREE from 'three';
+import { boltInterceptPoint } from '../shared/bolt-kinematics.js';
+
+/**
+ * Lead pipper: marks where to aim the primary weapon so its bolts meet the current target.
+ * Worked out each frame from the target's velocity, our own and the active weapon's bolt speed,
+ * so it follows the weapon when the ship (and with it the weapon) is replaced.
+ */
+export default class LeadIndicator {
+    constructor(player) {
+        this.player = player;
+        this.forward = new THREE.Vector3();
+        this.screenPosition = new THREE.Vector3();
+
+        this.element = document.createElement('div');
+        this.element.classList.add('lead-pipper');
+        this.element.style.display = 'none';
+        document.body.appendChild(this.element);
+    }
+
+    /**
+     * Per-frame update of the pipper
+     * @param {Object|null} target - Targeting.getTarget()
+     * @param {THREE.Vector3} targetVelocity - The target's velocity as currently drawn
+     */
+    update(target, targetVelocity) {
+        const weapon = this.player.ship?.primaryWeapon;
+        if (!target || !weapon || !weapon.boltConfig || !this.player.isAlive) {
+            this.hide();
+            return;
+        }
+
+        this.forward.set(0, 0, -1).applyQuaternion(this.player.quaternion);
+        const aim = boltInterceptPoint(this.player.position, this.player.velocity, this.forward,
+            target.aimPosition, targetVelocity, weapon.boltConfig);
+        // No pipper for shots the bolts can't make before they burn out
+        if (!aim || aim.time > weapon.boltConfig.LIFETIME) {
+            this.hide();
+            return;
+        }
+
+        const camera = window.mainCamera;
+        this.screenPosition.set(aim.point.x, aim.point.y, aim.point.z).project(camera);
+        if (this.screenPosition.z > 1) { // Behind the camera
+            this.hide();
+            return;
+        }
+
+        this.element.style.left = `${(this.screenPosition.x + 1) / 2 * window.innerWidth}px`;
+        this.element.style.top = `${(1 - this.screenPosition.y) / 2 * window.innerHeight}px`;
+        this.element.style.display = 'block';
+    }
+
+    hide() {
+        this.element.style.display = 'none';
+    }
+}
@@ -0,0 +1,116 @@
+import { TeamsConfig } from '../config/teams-config.js';
+
+// How each way of winning is described on the results screen
+const REASON_TEXT = {
+    capital_ship_destroyed: 'Capital ship destroyed',
+    score_limit: 'Score limit reached',
+    time_limit: 'Time limit reached'
+};
+
+function formatTime(seconds) {
+    const total = Math.max(0, Math.ceil(seconds));
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+function teamName(team) {
+    return TeamsConfig.TEAMS[team]?.NAME || team;
+}
+
+function teamColor(team) {
+    return TeamsConfig.TEAMS[team]?.COLOR || 'white';
+}
+
+/**
+ * Match status bar (state, clock, team scores) and the end-of-match results screen.
+ * Driven by the server's matchState messages; the clock counts down locally between them.
+ */
+export default class MatchUI {
+    constructor() {
+        this.status = null;
+        this.stateEndsAt = 0; // Local time in seconds when the current state runs out
+        this.restartAt = null; // Local time in seconds when the next match starts
+
+        this.statusElement = document.createElement('div');
+        this.statusElement.classList.add('ui-overlay', 'match-status-overlay');
+        document.body.appendChild(this.statusElement);
+
+        this.resultsElement = document.createElement('div');
+        this.resultsElement.classList.add('match-results');
+        this.resultsElement.style.display = 'none';
+        document.body.appendChild(this.resultsElement);
+    }
+
+    /**
+     * Apply a matchState update from the server
+     * @param {Object} status - { state, timeRemaining, restartIn, scores, scoreLimit, timeLimit, results }
+     */
+    setState(status) {
+        const now = performance.now() / 1000;
+        this.status = status;
+        this.stateEndsAt = now + status.timeRemaining;
+        this.restartAt = status.restartIn !== null && status.restartIn !== undefined ? now + status.restartIn : null;
+
+        if (status.results && (status.state === 'ended' || status.state === 'restarting')) {
+            this.showResults(status.results);
+        } else {
+            this.hideResults();
+        }
+    }
+
+    showResults(results) {
+        const title = results.winner
+            ? `<span style="color: ${teamColor(results.winner)}">${teamName(results.winner)}</span> wins!`
+            : 'Draw';
+        const scores = Object.keys(results.scores)
+            .map(team => `<span style="color: ${teamColor(team)}">${teamName(team)}: ${results.scores[team]}</span>`)
+            .join(' &nbsp; ');
+        const rows = results.players.map(player => `
+            <tr style="color: ${teamColor(player.team)}">
+                <td>${player.name}</td><td>${teamName(player.team)}</td><td>${player.kills}</td><td>${player.deaths}</td>
+            </tr>`).join('');
+
+        this.resultsElement.innerHTML = `
+            <h1>${title}</h1>
+            <div class="match-results-reason">${REASON_TEXT[results.reason] || results.reason} after ${formatTime(results.duration)}</div>
+            <div class="match-results-scores">${scores}</div>
+            <table>
+                <tr><th>Pilot</th><th>Team</th><th>Kills</th><th>Deaths</th></tr>
+                ${rows}
+            </table>
+            <div class="match-results-countdown"></div>`;
+        this.countdownElement = this.resultsElement.querySelector('.match-results-countdown');
+        this.resultsElement.style.display = 'block';
+    }
+
+    hideResults() {
+        this.resultsElement.style.display = 'none';
+        this.countdownElement = null;
+    }
+
+    /**
+     * Per-frame update of the clocks
+     */
+    update() {
+        if (!this.status) return;
+        const now = performance.now() / 1000;
+        const remaining = this.stateEndsAt - now;
+        const scores = Object.keys(this.status.scores)
+            .map(team => `${teamName(team)} ${this.status.scores[team]}`)
+            .join(' - ');
+
+        switch (this.status.state) {
+            case 'warmup':
+                this.statusElement.innerText = `Warmup - match starts in ${formatTime(remaining)}`;
+                break;
+            case 'in_progress':
+                this.statusElement.innerText = `${scores} (first to ${this.status.scoreLimit}) | ${formatTime(remaining)}`;
+                break;
+            default:
+                this.statusElement.innerText = `Match over | ${scores}`;
+        }
+
+        if (this.countdownElement && this.restartAt !== null) {
+            this.countdownElement.innerText = `Next match in ${Math.max(0, Math.ceil(this.restartAt - now))}`;
+        }
+    }
+}
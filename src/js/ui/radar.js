@@ -0,0 +1,136 @@
+import * as THREE from 'three';
+import { RadarConfig } from '../config/radar-config.js';
+import { TeamsConfig } from '../config/teams-config.js';
+
+/**
+ * Radar with a scope for each hemisphere: contacts ahead of the ship go on the front scope,
+ * contacts behind it on the rear one. A contact's place on its scope is its direction as seen
+ * from the cockpit (dead ahead or dead astern in the middle, abeam at the rim, left on the left),
+ * and nearer contacts are drawn larger.
+ */
+export default class Radar {
+    constructor(player) {
+        this.player = player;
+        this.inverseQuaternion = new THREE.Quaternion();
+        this.offset = new THREE.Vector3();
+
+        const size = RadarConfig.SCOPE_SIZE;
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = size * 2 + 20;
+        this.canvas.height = size + 20;
+        this.canvas.classList.add('radar-overlay');
+        document.body.appendChild(this.canvas);
+        this.context = this.canvas.getContext('2d');
+
+        // Scope centres on the canvas
+        this.scopes = {
+            front: { x: size / 2 + 5, y: size / 2 + 15, label: 'FRONT' },
+            rear: { x: size * 1.5 + 15, y: size / 2 + 15, label: 'REAR' }
+        };
+    }
+
+    /**
+     * Per-frame redraw
+     * @param {Array} contacts - Contacts as given to Targeting
+     * @param {Object|null} target - Targeting.getTarget()
+     * @param {boolean} locked - Whether the secondary weapon is locked on to the target
+     * @param {Array} missiles - Positions of missiles locked on to us
+     */
+    update(contacts, target, locked, missiles) {
+        const ctx = this.context;
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        Object.values(this.scopes).forEach(scope => this.drawScope(scope));
+        if (!this.player.isAlive) return;
+
+        this.inverseQuaternion.copy(this.player.quaternion).invert();
+
+        contacts.forEach(contact => {
+            const point = this.plot(contact.position);
+            if (!point) return;
+            const isTarget = target && contact.targetType === target.targetType && String(contact.targetId) === String(target.targetId);
+            const size = contact.targetType === 'capitalShip'
+                ? RadarConfig.CAPITAL_SHIP_DOT_SIZE
+                : RadarConfig.MAX_DOT_SIZE - (RadarConfig.MAX_DOT_SIZE - RadarConfig.MIN_DOT_SIZE) * point.range;
+
+            ctx.fillStyle = TeamsConfig.TEAMS[contact.team]?.COLOR || RadarConfig.NEUTRAL_COLOR;
+            ctx.beginPath();
+            ctx.arc(point.x, point.y, size, 0, Math.PI * 2);
+            ctx.fill();
+
+            if (isTarget) {
+                ctx.strokeStyle = RadarConfig.TARGET_COLOR;
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.arc(point.x, point.y, size + 4, 0, Math.PI * 2);
+                ctx.stroke();
+                if (locked) {
+                    ctx.globalAlpha = 0.4;
+                    ctx.fillStyle = RadarConfig.TARGET_COLOR;
+                    ctx.fill();
+                    ctx.globalAlpha = 1;
+                }
+            }
+        });
+
+        // Incoming missiles as diamonds
+        ctx.fillStyle = RadarConfig.MISSILE_COLOR;
+        missiles.forEach(position => {
+            const point = this.plot(position);
+            if (!point) return;
+            ctx.beginPath();
+            ctx.moveTo(point.x, point.y - 5);
+            ctx.lineTo(point.x + 4, point.y);
+            ctx.lineTo(point.x, point.y + 5);
+            ctx.lineTo(point.x - 4, point.y);
+            ctx.closePath();
+            ctx.fill();
+        });
+    }
+
+    drawScope(scope) {
+        const ctx = this.context;
+        const radius = RadarConfig.SCOPE_SIZE / 2;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.arc(scope.x, scope.y, radius, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+
+        ctx.beginPath();
+        ctx.arc(scope.x, scope.y, radius / 2, 0, Math.PI * 2);
+        ctx.moveTo(scope.x - radius, scope.y);
+        ctx.lineTo(scope.x + radius, scope.y);
+        ctx.moveTo(scope.x, scope.y - radius);
+        ctx.lineTo(scope.x, scope.y + radius);
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+        ctx.stroke();
+
+        ctx.fillStyle = 'white';
+        ctx.font = '12px monospace';
+        ctx.textAlign = 'center';
+        ctx.fillText(scope.label, scope.x, 10);
+    }
+
+    /**
+     * Where a world position goes on the scopes
+     * @returns {Object|null} { x, y, range } with range from 0 (on top of us) to 1 (edge of RANGE), or null if out of range
+     */
+    plot(position) {
+        this.offset.copy(position).sub(this.player.position);
+        const distance = this.offset.length();
+        if (distance > RadarConfig.RANGE) return null;
+        if (distance > 1e-6) {
+            this.offset.applyQuaternion(this.inverseQuaternion).divideScalar(distance);
+        }
+
+        const scope = this.offset.z <= 0 ? this.scopes.front : this.scopes.rear; // Forward is local -Z
+        const radius = RadarConfig.SCOPE_SIZE / 2;
+        return {
+            x: scope.x + this.offset.x * radius,
+            y: scope.y - this.offset.y * radius,
+            range: distance / RadarConfig.RANGE
+        };
+    }
+}
@@ -0,0 +1,65 @@
+import { TeamsConfig } from '../config/teams-config.js';
+
+/**
+ * Scoreboard shown while Tab is held: every player's kills, deaths, assists, damage dealt,
+ * subsystem kills and AI kills, grouped by team. Filled from the server's playerStats messages.
+ */
+export default class ScoreboardUI {
+    constructor() {
+        this.players = [];
+        this.visible = false;
+
+        this.element = document.createElement('div');
+        this.element.classList.add('scoreboard');
+        this.element.style.display = 'none';
+        document.body.appendChild(this.element);
+    }
+
+    /**
+     * Apply a playerStats update from the server
+     * @param {Array} players - [{ id, name, team, kills, deaths, assists, damageDealt, subsystemKills, enemyKills }]
+     */
+    setStats(players) {
+        this.players = players;
+        if (this.visible) {
+            this.render();
+        }
+    }
+
+    /**
+     * Show or hide the scoreboard
+     * @param {boolean} visible - Whether the scoreboard key is held
+     */
+    setVisible(visible) {
+        if (visible === this.visible) return;
+        this.visible = visible;
+        if (visible) {
+            this.render();
+        }
+        this.element.style.display = visible ? 'block' : 'none';
+    }
+
+    render() {
+        const myPlayerId = window.myPlayerId;
+        const sections = Object.entries(TeamsConfig.TEAMS).map(([team, teamConfig]) => {
+            const rows = this.players
+                .filter(player => player.team === team)
+                .sort((a, b) => b.kills - a.kills || b.assists - a.assists || a.deaths - b.deaths)
+                .map(player => `
+                    <tr class="${player.id === myPlayerId ? 'scoreboard-me' : ''}">
+                        <td>${player.name}</td><td>${player.kills}</td><td>${player.deaths}</td><td>${player.assists}</td>
+                        <td>${player.damageDealt}</td><td>${player.subsystemKills}</td><td>${player.enemyKills}</td>
+                    </tr>`)
+                .join('');
+            return `
+                <tr class="scoreboard-team" style="color: ${teamConfig.COLOR}"><th colspan="7">${teamConfig.NAME}</th></tr>
+                ${rows || '<tr><td colspan="7">No pilots</td></tr>'}`;
+        }).join('');
+
+        this.element.innerHTML = `
+            <table>
+                <tr><th>Pilot</th><th>K</th><th>D</th><th>A</th><th>Damage</th><th>Subsystems</th><th>AI kills</th></tr>
+                ${sections}
+            </table>`;
+    }
+}
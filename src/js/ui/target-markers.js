@@ -0,0 +1,132 @@
+import * as THREE from 'three';
+import { MarkersConfig } from '../config/markers-config.js';
+import { TeamsConfig } from '../config/teams-config.js';
+
+function contactKey(contact) {
+    return `${contact.targetType}:${contact.targetId}`;
+}
+
+/**
+ * Screen-space markers for contacts: a bracket (with a hull bar) around each one on screen that
+ * is worth watching, and an arrow clamped to the screen edge, with its range, for the target and
+ * capital ships when they are off screen. DOM elements are kept per contact and reused between frames.
+ */
+export default class TargetMarkers {
+    constructor(player) {
+        this.player = player;
+        this.brackets = new Map(); // contactKey -> element
+        this.arrows = new Map();
+        this.cameraSpace = new THREE.Vector3();
+        this.screen = new THREE.Vector3();
+    }
+
+    /**
+     * Per-frame update of the markers
+     * @param {Array} contacts - Contacts as given to Targeting
+     * @param {Object|null} target - Targeting.getTarget()
+     */
+    update(contacts, target) {
+        const camera = window.mainCamera;
+        const shown = new Set();
+
+        if (this.player.isAlive) {
+            contacts.forEach(contact => {
+                const key = contactKey(contact);
+                const isTarget = !!target && key === contactKey(target);
+                const position = isTarget ? target.aimPosition : contact.position;
+                const distance = position.distanceTo(this.player.position);
+                const objective = isTarget || contact.targetType === 'capitalShip';
+
+                this.cameraSpace.copy(position).applyMatrix4(camera.matrixWorldInverse);
+                this.screen.copy(position).project(camera);
+                const onScreen = this.cameraSpace.z < 0 && Math.abs(this.screen.x) <= 1 && Math.abs(this.screen.y) <= 1;
+
+                if (onScreen && (objective || (contact.hostile && distance <= MarkersConfig.BRACKET_RANGE))) {
+                    this.showBracket(key, contact, isTarget, distance, camera);
+                    shown.add(`bracket:${key}`);
+                } else if (!onScreen && objective) {
+                    this.showArrow(key, contact, isTarget, distance);
+                    shown.add(`arrow:${key}`);
+                }
+            });
+        }
+
+        // Drop the markers of contacts that are gone or no longer need one
+        [[this.brackets, 'bracket'], [this.arrows, 'arrow']].forEach(([elements, kind]) => {
+            elements.forEach((element, key) => {
+                if (!shown.has(`${kind}:${key}`)) {
+                    element.remove();
+                    elements.delete(key);
+                }
+            });
+        });
+    }
+
+    color(contact, isTarget) {
+        if (isTarget) return MarkersConfig.TARGET_COLOR;
+        return TeamsConfig.TEAMS[contact.team]?.COLOR || MarkersConfig.NEUTRAL_COLOR;
+    }
+
+    /**
+     * Bracket around a contact on screen, sized to roughly fit it (uses this.screen and this.cameraSpace)
+     */
+    showBracket(key, contact, isTarget, distance, camera) {
+        let element = this.brackets.get(key);
+        if (!element) {
+            element = document.createElement('div');
+            element.classList.add('target-bracket');
+            element.innerHTML = `
+                <span class="bracket-corner top-left"></span><span class="bracket-corner top-right"></span>
+                <span class="bracket-corner bottom-left"></span><span class="bracket-corner bottom-right"></span>
+                <div class="bracket-hull"><div class="bracket-hull-fill"></div></div>
+                <div class="bracket-label"></div>`;
+            document.body.appendChild(element);
+            this.brackets.set(key, element);
+        }
+
+        // Projected size of the contact's radius at its depth
+        const radius = MarkersConfig.RADIUS[contact.targetType] || MarkersConfig.RADIUS.player;
+        const halfHeight = Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2) * -this.cameraSpace.z;
+        const size = Math.max(MarkersConfig.MIN_BRACKET_SIZE, radius / halfHeight * window.innerHeight);
+
+        element.style.left = `${(this.screen.x + 1) / 2 * window.innerWidth}px`;
+        element.style.top = `${(1 - this.screen.y) / 2 * window.innerHeight}px`;
+        element.style.width = `${size}px`;
+        element.style.height = `${size}px`;
+        element.style.color = this.color(contact, isTarget);
+
+        const hull = contact.maxHealth ? Math.max(0, contact.health) / contact.maxHealth : 1;
+        element.querySelector('.bracket-hull-fill').style.width = `${Math.round(hull * 100)}%`;
+        element.querySelector('.bracket-label').innerText = isTarget ? `${contact.name} ${Math.round(distance)}` : '';
+    }
+
+    /**
+     * Arrow on the screen edge pointing the way to turn for an off-screen contact (uses this.cameraSpace)
+     */
+    showArrow(key, contact, isTarget, distance) {
+        let element = this.arrows.get(key);
+        if (!element) {
+            element = document.createElement('div');
+            element.classList.add('edge-arrow');
+            element.innerHTML = '<div class="edge-arrow-head"></div><div class="edge-arrow-label"></div>';
+            document.body.appendChild(element);
+            this.arrows.set(key, element);
+        }
+
+        // Direction on screen, from the camera-space offset (up is -y on screen)
+        let dx = this.cameraSpace.x;
+        let dy = -this.cameraSpace.y;
+        if (dx === 0 && dy === 0) dy = 1; // Dead astern: point down
+        const halfWidth = window.innerWidth / 2 - MarkersConfig.EDGE_MARGIN;
+        const halfHeight = window.innerHeight / 2 - MarkersConfig.EDGE_MARGIN;
+        const scale = Math.min(halfWidth / Math.abs(dx || 1e-6), halfHeight / Math.abs(dy || 1e-6));
+        dx *= scale;
+        dy *= scale;
+
+        element.style.left = `${window.innerWidth / 2 + dx}px`;
+        element.style.top = `${window.innerHeight / 2 + dy}px`;
+        element.style.color = this.color(contact, isTarget);
+        element.querySelector('.edge-arrow-head').style.transform = `rotate(${Math.atan2(dy, dx)}rad)`;
+        element.querySelector('.edge-arrow-label').innerText = `${isTarget ? `${contact.name} ` : ''}${Math.round(distance)}`;
+    }
+}
@@ -0,0 +1,60 @@
+import { TeamsConfig } from '../config/teams-config.js';
+
+function percent(value, max) {
+    return max ? `${Math.round(Math.max(0, value) / max * 100)}%` : '--';
+}
+
+/**
+ * Target readout (name, range, hull, shield and selected subsystem) and the
+ * warning shown while other pilots have us targeted.
+ */
+export default class TargetUI {
+    constructor(player) {
+        this.player = player;
+        this.attackers = [];
+
+        this.targetElement = document.createElement('div');
+        this.targetElement.classList.add('ui-overlay', 'target-overlay');
+        document.body.appendChild(this.targetElement);
+
+        this.warningElement = document.createElement('div');
+        this.warningElement.classList.add('ui-overlay', 'targeted-warning-overlay');
+        document.body.appendChild(this.warningElement);
+    }
+
+    /**
+     * Apply a targetedBy update from the server
+     * @param {Array} attackers - [{ id, name, team }] of the pilots targeting us
+     */
+    setTargetedBy(attackers) {
+        this.attackers = attackers;
+        this.warningElement.innerText = attackers.length > 0
+            ? `TARGETED BY: ${attackers.map(attacker => attacker.name).join(', ')}`
+            : '';
+    }
+
+    /**
+     * Per-frame update of the target readout
+     * @param {Object|null} target - Targeting.getTarget()
+     */
+    update(target) {
+        if (!target) {
+            this.targetElement.innerText = 'Target: none';
+            this.targetElement.style.color = '';
+            return;
+        }
+
+        const distance = Math.round(target.aimPosition.distanceTo(this.player.position));
+        const lines = [
+            `Target: ${target.name}${target.hostile ? '' : ' (friendly)'}`,
+            `Range: ${distance}`,
+            `Hull: ${percent(target.health, target.maxHealth)}` +
+                (target.maxShield ? ` | Shield: ${percent(target.shield, target.maxShield)}` : '')
+        ];
+        if (target.subsystem) {
+            lines.push(`Subsystem: ${target.subsystem.name} ${percent(target.subsystem.health, target.subsystem.maxHealth)}`);
+        }
+        this.targetElement.innerText = lines.join('\n');
+        this.targetElement.style.color = TeamsConfig.TEAMS[target.team]?.COLOR || '';
+    }
+}
@@ -1,6 +1,7 @@
 import * as THREE from 'three';
 import * as RAPIER from '@dimforge/rapier3d';
 import { BlasterBoltConfig } from '../config/bolts/blaster-bolt.js';
+import { launchVelocity, advanceBolt } from '../shared/bolt-kinematics.js';
 
 /**
  * Represents a blaster bolt projectile with physics and visual representation.
@@ -22,9 +23,9 @@ export default class BlasterBolt {
 
         this.world = world; // Store world reference
 
-        this.damage = BlasterBoltConfig.DAMAGE;
+        this.damage = this.config.DAMAGE;
         this.ownerId = null; // Will be set by primary weapon
-        this.lifetime = BlasterBoltConfig.LIFETIME;
+        this.lifetime = this.config.LIFETIME;
         this.age = 0;
         this.isDestroyed = false;
 
@@ -49,6 +50,13 @@ export default class BlasterBolt {
         this.createPhysicsBody();
     }
 
+    /**
+     * Bolt stats. Subclasses return their own config to reuse the blaster bolt's behaviour.
+     */
+    get config() {
+        return BlasterBoltConfig;
+    }
+
     /**
      * Creates the visual mesh for the blaster bolt.
      * @private
@@ -104,10 +112,9 @@ export default class BlasterBolt {
         // Normalize direction for consistent behavior
         this.direction = direction.clone().normalize();
 
-        // Calculate final velocity (bolt speed + ship velocity)
-        const boltSpeed = BlasterBoltConfig.SPEED;
-        const baseVelocity = this.direction.clone().multiplyScalar(boltSpeed);
-        this.velocity = shipVelocity.clone().add(baseVelocity);
+        // Calculate final velocity (bolt speed + ship velocity, shared with the server)
+        const velocity = launchVelocity(this.direction, this.config.SPEED, shipVelocity, this.config.VELOCITY_INHERITANCE);
+        this.velocity = new THREE.Vector3(velocity.x, velocity.y, velocity.z);
 
         // Position and orient the bolt
         this.mesh.position.copy(position);
@@ -128,24 +135,19 @@ export default class BlasterBolt {
             return true;
         }
 
-        // Cap deltaTime to prevent large jumps when tabbing back in
-        const cappedDeltaTime = Math.min(deltaTime, 0.05); // Maximum 50ms per frame
+        // Update previous position before moving
+        this.previousPosition.copy(this.mesh.position);
 
-        // Update age
-        this.age += cappedDeltaTime;
+        // Age and move the bolt with the shared kinematics
+        const state = { position: this.mesh.position, velocity: this.velocity, age: this.age, lifetime: this.lifetime };
+        const expired = advanceBolt(state, deltaTime);
+        this.age = state.age;
 
-        // Check lifetime
-        if (this.age >= this.lifetime) {
+        if (expired) {
             this.destroy();
             return true;
         }
 
-        // Update previous position before moving
-        this.previousPosition.copy(this.mesh.position);
-
-        // Move bolt
-        this.mesh.position.add(this.velocity.clone().multiplyScalar(cappedDeltaTime));
-
         // Update mesh userData for collision detection
         this.mesh.userData.age = this.age;
 
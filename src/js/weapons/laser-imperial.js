@@ -2,6 +2,7 @@ import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import * as RAPIER from '@dimforge/rapier3d';
 import { LaserImperialConfig } from '../config/bolts/laser-imperial.js';
+import { launchVelocity, advanceBolt } from '../shared/bolt-kinematics.js';
 
 /**
  * Represents an imperial laser bolt projectile with physics and visual representation.
@@ -193,16 +194,9 @@ export default class LaserImperial {
         // Normalize direction for consistent behavior
         this.direction = direction.clone().normalize();
 
-        // Calculate final velocity (bolt speed + only forward component of ship velocity)
-        const boltSpeed = LaserImperialConfig.SPEED;
-        const baseVelocity = this.direction.clone().multiplyScalar(boltSpeed);
-
-        // Only add the component of ship velocity that's in the direction of the bolt
-        // This prevents sideways drift while maintaining forward momentum
-        const forwardVelocity = shipVelocity.dot(this.direction);
-        const shipVelocityContribution = this.direction.clone().multiplyScalar(Math.max(0, forwardVelocity));
-
-        this.velocity = baseVelocity.add(shipVelocityContribution);
+        // Bolt speed plus only the forward component of ship velocity (shared with the server)
+        const velocity = launchVelocity(this.direction, LaserImperialConfig.SPEED, shipVelocity, LaserImperialConfig.VELOCITY_INHERITANCE);
+        this.velocity = new THREE.Vector3(velocity.x, velocity.y, velocity.z);
 
         // Position and orient the bolt
         this.mesh.position.copy(position);
@@ -222,29 +216,28 @@ export default class LaserImperial {
             return true;
         }
 
-        // Cap deltaTime to prevent large jumps when tabbing back in
-        const cappedDeltaTime = Math.min(deltaTime, 0.05); // Maximum 50ms per frame
-
-        // Update age
-        this.age += cappedDeltaTime;
-
-        // Check lifetime
-        if (this.age >= this.lifetime) {
-            this.destroy();
-            return true;
-        }
-
-        // Update position and previous position
+        // Update previous position before moving
         if (this.mesh) {
-            // Update previous position before moving
             if (this.previousPosition) {
                 this.previousPosition.copy(this.mesh.position);
             } else {
                 this.previousPosition = this.mesh.position.clone();
             }
+        }
+
+        // Age and move the bolt with the shared kinematics (the model may still be loading)
+        const state = {
+            position: this.mesh ? this.mesh.position : new THREE.Vector3(),
+            velocity: this.velocity || new THREE.Vector3(),
+            age: this.age,
+            lifetime: this.lifetime
+        };
+        const expired = advanceBolt(state, deltaTime);
+        this.age = state.age;
 
-            // Move bolt
-            this.mesh.position.add(this.velocity.clone().multiplyScalar(cappedDeltaTime));
+        if (expired) {
+            this.destroy();
+            return true;
         }
 
         // Update mesh userData for collision detection
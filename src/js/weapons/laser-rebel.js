@@ -0,0 +1,24 @@
+import * as THREE from 'three';
+import BlasterBolt from './blaster-bolt.js';
+import { LaserRebelConfig } from '../config/bolts/laser-rebel.js';
+
+/**
+ * Red laser bolt fired by Rebel ships. Flies and collides like a blaster bolt,
+ * with its own stats and a longer, red visual.
+ */
+export default class LaserRebel extends BlasterBolt {
+    get config() {
+        return LaserRebelConfig;
+    }
+
+    /**
+     * Creates the visual mesh for the rebel laser bolt.
+     * @private
+     */
+    _createVisual() {
+        const geometry = new THREE.CylinderGeometry(0.06, 0.06, 1.2, 8);
+        const material = new THREE.MeshBasicMaterial({ color: LaserRebelConfig.COLOR });
+
+        this.mesh = new THREE.Mesh(geometry, material);
+    }
+}
@@ -0,0 +1,148 @@
+import * as THREE from 'three';
+import Missile from './missile.js';
+import { inLockCone } from '../shared/homing.js';
+
+// Tags our launches so the server's fire broadcast can be paired with the missile we drew
+let nextLaunchId = 0;
+
+/**
+ * Secondary weapon: a launcher for homing missiles or torpedoes with limited ammo.
+ * A target has to be held in the lock cone for LOCK_TIME before anything can be fired at it.
+ * The server flies the missiles and resolves their hits; the launcher only fires and draws them.
+ */
+export default class MissileLauncher {
+    /**
+     * @param {Object} ship - The ship that owns this weapon
+     * @param {string} weaponType - Weapon type sent with `fire` (see weapon-factory.js)
+     * @param {Object} config - Secondary weapon config (see src/js/config/weapons)
+     */
+    constructor(ship, weaponType, config) {
+        this.ship = ship;
+        this.weaponType = weaponType;
+        this.config = config;
+        this.maxAmmo = config.AMMO;
+        this.ammo = config.AMMO;
+        this.fireInterval = 1 / config.FIRE_RATE;
+        this.lastShotTime = 0;
+        this.missiles = [];
+
+        // Lock-on state: the candidate being locked and for how long it has been held
+        this.lockTarget = null;
+        this.lockTime = 0;
+    }
+
+    /**
+     * Builds the lock on the selected target while it stays in the cone; the lock starts
+     * over whenever the target changes or leaves the cone
+     * @param {number} deltaTime - Frame time in seconds
+     * @param {Player} player - The player flying the ship
+     * @param {Object|null} target - The selected lockable ship { targetType, targetId, name, position }, or null
+     */
+    updateLock(deltaTime, player, target) {
+        const forward = new THREE.Vector3(0, 0, -1).applyQuaternion(player.quaternion);
+        if (!target || !inLockCone(player.position, forward, target.position, this.config.LOCK_RANGE, this.config.LOCK_CONE)) {
+            this.lockTarget = target;
+            this.lockTime = 0;
+            return;
+        }
+
+        const same = this.lockTarget && target.targetType === this.lockTarget.targetType &&
+            String(target.targetId) === String(this.lockTarget.targetId);
+        this.lockTarget = target;
+        this.lockTime = same ? this.lockTime + deltaTime : 0;
+    }
+
+    /**
+     * Whether the current target has been held long enough to fire at
+     */
+    isLocked() {
+        return !!this.lockTarget && this.lockTime >= this.config.LOCK_TIME;
+    }
+
+    /**
+     * How far the lock has come, from 0 to 1
+     */
+    getLockProgress() {
+        return this.lockTarget ? Math.min(1, this.lockTime / this.config.LOCK_TIME) : 0;
+    }
+
+    /**
+     * Attempts to launch at the locked target
+     * @param {Player} player - The player firing the weapon
+     * @returns {boolean} True if a missile was launched
+     */
+    fire(player) {
+        const currentTime = Date.now() / 1000;
+        if (!player.isAlive || currentTime - this.lastShotTime < this.fireInterval) {
+            return false;
+        }
+        if (this.ammo <= 0) {
+            console.log(`${this.config.NAME}: out of ammo`);
+            return false;
+        }
+        if (!this.isLocked()) {
+            console.log(`${this.config.NAME}: no lock`);
+            return false;
+        }
+
+        this.ammo--;
+        this.lastShotTime = currentTime;
+
+        const direction = new THREE.Vector3(0, 0, -1).applyQuaternion(player.quaternion);
+        const position = player.position.clone().add(direction.clone().multiplyScalar(2));
+        const launch = {
+            weaponType: this.weaponType,
+            position,
+            direction,
+            ownerId: window.myPlayerId || 0,
+            targetType: this.lockTarget.targetType,
+            targetId: this.lockTarget.targetId,
+            launchId: nextLaunchId++
+        };
+        this.missiles.push(new Missile(this.ship.scene, this.config, launch));
+        this._sendNetworkFireEvent(launch);
+
+        console.log(`${this.config.NAME} away at ${this.lockTarget.name} (${this.ammo} left)`);
+        return true;
+    }
+
+    /**
+     * Pairs one of our missiles with the server's id for it once the launch is accepted,
+     * and takes the server's ammo count
+     * @param {Object} data - The server's fire broadcast for our launch
+     * @returns {boolean} False if we don't have the missile (e.g. the ship was replaced since)
+     */
+    confirmLaunch(data) {
+        this.ammo = data.ammo;
+        const missile = this.missiles.find(m => m.launchId === data.launchId && m.missileId === null);
+        if (!missile) return false;
+        missile.missileId = data.missileId;
+        return true;
+    }
+
+    /**
+     * Gets the missiles this launcher has in flight
+     * @returns {Missile[]}
+     */
+    getMissiles() {
+        return this.missiles;
+    }
+
+    /**
+     * Sends the launch to the server, which checks the lock and ammo and flies the missile
+     * @private
+     */
+    _sendNetworkFireEvent(launch) {
+        if (window.ws && window.ws.readyState === WebSocket.OPEN) {
+            window.ws.send(JSON.stringify({
+                type: 'fire',
+                weaponType: launch.weaponType,
+                direction: { x: launch.direction.x, y: launch.direction.y, z: launch.direction.z },
+                position: { x: launch.position.x, y: launch.position.y, z: launch.position.z },
+                targetType: launch.targetType,
+                targetId: launch.targetId,
+                launchId: launch.launchId
+            }));
+        }
+    }
+}
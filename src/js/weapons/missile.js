@@ -0,0 +1,69 @@
+import * as THREE from 'three';
+import { advanceMissile } from '../shared/homing.js';
+
+/**
+ * A homing missile or torpedo in flight. It steers with the same guidance the server runs,
+ * but never decides hits itself: it is removed when the server's missileDetonated arrives.
+ */
+export default class Missile {
+    /**
+     * @param {THREE.Scene} scene - Scene the missile is drawn in
+     * @param {Object} weapon - Secondary weapon config (see src/js/config/weapons)
+     * @param {Object} launch - { weaponType, position, direction, ownerId, targetType, targetId, missileId, launchId }
+     */
+    constructor(scene, weapon, launch) {
+        this.scene = scene;
+        this.weapon = weapon;
+        this.weaponType = launch.weaponType;
+        this.ownerId = launch.ownerId;
+        this.targetType = launch.targetType;
+        this.targetId = launch.targetId;
+        this.missileId = launch.missileId ?? null; // Server id; our own missiles get it when the launch is confirmed
+        this.launchId = launch.launchId ?? null;
+
+        this.age = 0;
+        this.lifetime = weapon.LIFETIME;
+        this.velocity = new THREE.Vector3(launch.direction.x, launch.direction.y, launch.direction.z)
+            .normalize()
+            .multiplyScalar(weapon.SPEED);
+
+        const geometry = new THREE.CylinderGeometry(weapon.RADIUS, weapon.RADIUS, weapon.LENGTH, 8);
+        const material = new THREE.MeshBasicMaterial({ color: weapon.COLOR });
+        this.mesh = new THREE.Mesh(geometry, material);
+        this.mesh.position.set(launch.position.x, launch.position.y, launch.position.z);
+        this._orient();
+        scene.add(this.mesh);
+    }
+
+    /**
+     * Steers at the target and moves the missile
+     * @param {number} deltaTime - Frame time in seconds
+     * @param {Object|null} target - { position, velocity } of the target, or null if it can't be seen
+     * @returns {boolean} True if the missile has run out of fuel and should be removed
+     */
+    update(deltaTime, target) {
+        const state = { position: this.mesh.position, velocity: this.velocity, age: this.age, lifetime: this.lifetime };
+        const expired = advanceMissile(state, target, this.weapon, deltaTime);
+        this.age = state.age;
+        this._orient();
+        return expired;
+    }
+
+    /**
+     * Points the cylinder (along its Y axis) down the direction of travel
+     */
+    _orient() {
+        this.mesh.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), this.velocity.clone().normalize());
+    }
+
+    /**
+     * Takes the missile out of the scene
+     */
+    destroy() {
+        if (this.mesh.parent) {
+            this.mesh.parent.remove(this.mesh);
+        }
+        this.mesh.geometry.dispose();
+        this.mesh.material.dispose();
+    }
+}
@@ -1,6 +1,7 @@
 import * as THREE from 'three';
 import BlasterBolt from './blaster-bolt.js';
 import { BlasterConfig } from '../config/weapons/blaster.js';
+import { BlasterBoltConfig } from '../config/bolts/blaster-bolt.js';
 
 /**
  * Primary weapon system for ships, handling firing mechanics and projectile management.
@@ -22,6 +23,7 @@ export default class PrimaryWeapon {
         this.fireRate = BlasterConfig.PRIMARY.FIRE_RATE;
         this.fireInterval = 1 / this.fireRate; // Time between shots
         this.convergenceRange = BlasterConfig.PRIMARY.CONVERGENCE_RANGE;
+        this.boltConfig = BlasterBoltConfig; // Projectile fired, e.g. for leading targets
         this.lastShotTime = 0;
         this.bolts = [];
         this.isFiring = false;
@@ -89,6 +91,7 @@ export default class PrimaryWeapon {
         // Create and configure bolt
         const bolt = new BlasterBolt(firingPosition, direction, player.velocity, this.damage, this.ship.world);
         bolt.setOwnerId(window.myPlayerId || 0);
+        bolt.weaponType = 'blaster';
         this.bolts.push(bolt);
 
         // Send networked fire event
@@ -126,7 +129,7 @@ export default class PrimaryWeapon {
 
             // Position the sound at the firing location
             sound.position.copy(position);
-            scene.add(sound);
+            this.ship.scene.add(sound);
 
             // Play the sound
             sound.play();
@@ -0,0 +1,113 @@
+import * as THREE from 'three';
+import TieCannon from './tie-cannon.js';
+import LaserRebel from './laser-rebel.js';
+import { QuadLaserConfig } from '../config/weapons/quad-laser.js';
+import { LaserRebelConfig } from '../config/bolts/laser-rebel.js';
+
+/**
+ * Quad laser cannons for Rebel X-Wings. Fires four red bolts at once, one from each
+ * wingtip, and otherwise handles convergence, energy and continuous fire like the Tie Cannon.
+ */
+export default class QuadLaser extends TieCannon {
+    /**
+     * Creates new quad laser cannons.
+     * @param {Object} ship - The ship that owns this weapon
+     */
+    constructor(ship) {
+        super(ship);
+        this.energyCost = QuadLaserConfig.PRIMARY.ENERGY_COST_PER_BOLT;
+        this.damage = QuadLaserConfig.PRIMARY.DAMAGE;
+        this.fireRate = QuadLaserConfig.PRIMARY.FIRE_RATE;
+        this.fireInterval = 1 / this.fireRate;
+        this.convergenceRange = QuadLaserConfig.PRIMARY.CONVERGENCE_RANGE;
+        this.boltConfig = LaserRebelConfig;
+        this.spreadDistance = QuadLaserConfig.PRIMARY.SPREAD_DISTANCE;
+        this.verticalSpread = QuadLaserConfig.PRIMARY.VERTICAL_SPREAD;
+        this.boltsPerShot = QuadLaserConfig.PRIMARY.BOLTS_PER_SHOT;
+    }
+
+    /**
+     * Loads the firing sound effect.
+     */
+    loadAudio() {
+        const audioLoader = new THREE.AudioLoader();
+        audioLoader.load(
+            '/assets/sfx/bolt.ogg',
+            (buffer) => {
+                this.audioBuffer = buffer;
+                this.audioLoaded = true;
+                console.log('Quad laser sound loaded successfully');
+            },
+            undefined,
+            (error) => {
+                console.warn('Failed to load quad laser sound:', error);
+                this.audioLoaded = false;
+            }
+        );
+    }
+
+    /**
+     * Attempts to fire all four cannons.
+     * @param {Player} player - The player firing the weapon
+     * @returns {boolean} True if firing was successful
+     */
+    fire(player) {
+        const currentTime = Date.now() / 1000;
+
+        if (!this.canFire(currentTime) || this.ship.energy < this.energyCost * this.boltsPerShot) {
+            return false;
+        }
+
+        this.ship.energy -= this.energyCost * this.boltsPerShot;
+        this.ship.lastEnergyActionTime = currentTime;
+        this.lastShotTime = currentTime;
+        this.firingTime += this.fireInterval;
+
+        const firingPosition = this._calculateFiringPosition(player);
+        const direction = this._calculateFiringDirection(player);
+
+        // Wingtip offsets relative to the ship, so the X stays aligned when rolling
+        const shipUp = new THREE.Vector3(0, 1, 0);
+        if (player.ship && player.ship.mesh) {
+            shipUp.applyQuaternion(player.ship.mesh.quaternion);
+        }
+        const rightVector = new THREE.Vector3().crossVectors(direction, shipUp).normalize();
+        const upVector = new THREE.Vector3().crossVectors(rightVector, direction).normalize();
+
+        const positions = [[-1, 1], [1, 1], [-1, -1], [1, -1]].map(([side, height]) =>
+            firingPosition.clone()
+                .addScaledVector(rightVector, side * this.spreadDistance)
+                .addScaledVector(upVector, height * this.verticalSpread)
+        );
+
+        positions.forEach(position => {
+            const bolt = new LaserRebel(position, direction, player.velocity, this.damage, this.ship.world);
+            bolt.setOwnerId(window.myPlayerId || 0);
+            bolt.weaponType = 'quad-laser';
+            this.bolts.push(bolt);
+        });
+
+        this._sendNetworkFireEvent(positions[0], positions[1], direction);
+        this._playFiringSound(firingPosition);
+
+        return true;
+    }
+
+    /**
+     * Sends fire event to server for network synchronization.
+     * @private
+     * @param {THREE.Vector3} leftPosition - Position of the top-left bolt
+     * @param {THREE.Vector3} rightPosition - Position of the top-right bolt
+     * @param {THREE.Vector3} direction - Firing direction
+     */
+    _sendNetworkFireEvent(leftPosition, rightPosition, direction) {
+        if (window.ws && window.ws.readyState === WebSocket.OPEN) {
+            window.ws.send(JSON.stringify({
+                type: 'fire',
+                direction: { x: direction.x, y: direction.y, z: direction.z },
+                position: { x: leftPosition.x, y: leftPosition.y, z: leftPosition.z },
+                weaponType: 'quad-laser'
+            }));
+        }
+    }
+}
@@ -1,6 +1,7 @@
 import * as THREE from 'three';
 import LaserImperial from './laser-imperial.js';
 import { TieCannonConfig } from '../config/weapons/tie-cannon.js';
+import { LaserImperialConfig } from '../config/bolts/laser-imperial.js';
 
 /**
  * Tie Cannon weapon system for imperial Tie Fighters, handling firing mechanics and projectile management.
@@ -18,7 +19,9 @@ export default class TieCannon {
         this.fireRate = TieCannonConfig.PRIMARY.FIRE_RATE;
         this.fireInterval = 1 / this.fireRate;
         this.convergenceRange = TieCannonConfig.PRIMARY.CONVERGENCE_RANGE;
+        this.boltConfig = LaserImperialConfig; // Projectile fired, e.g. for leading targets
         this.spreadDistance = TieCannonConfig.PRIMARY.SPREAD_DISTANCE;
+        this.boltsPerShot = TieCannonConfig.PRIMARY.BOLTS_PER_SHOT;
         this.lastShotTime = 0;
         this.bolts = [];
         this.isFiring = false;
@@ -71,12 +74,12 @@ export default class TieCannon {
          const currentTime = Date.now() / 1000;
 
          // Check firing conditions
-         if (!this.canFire(currentTime) || this.ship.energy < this.energyCost * 2) { // Double energy cost for two bolts
+         if (!this.canFire(currentTime) || this.ship.energy < this.energyCost * this.boltsPerShot) { // Every bolt in the volley costs energy
              return false;
          }
 
          // Drain energy
-         this.ship.energy -= this.energyCost * 2; // Double cost for two bolts
+         this.ship.energy -= this.energyCost * this.boltsPerShot;
          this.ship.lastEnergyActionTime = currentTime;
          this.lastShotTime = currentTime;
 
@@ -103,12 +106,14 @@ export default class TieCannon {
         const leftBoltPosition = firingPosition.clone().sub(rightVector);
         const leftBolt = new LaserImperial(leftBoltPosition, direction, player.velocity, this.damage, this.ship.world);
         leftBolt.setOwnerId(window.myPlayerId || 0);
+        leftBolt.weaponType = 'tie-cannon';
         this.bolts.push(leftBolt);
 
         // Fire right bolt
         const rightBoltPosition = firingPosition.clone().add(rightVector);
         const rightBolt = new LaserImperial(rightBoltPosition, direction, player.velocity, this.damage, this.ship.world);
         rightBolt.setOwnerId(window.myPlayerId || 0);
+        rightBolt.weaponType = 'tie-cannon';
         this.bolts.push(rightBolt);
 
         // Send networked fire event
@@ -146,7 +151,7 @@ export default class TieCannon {
 
             // Position the sound at the firing location
             sound.position.copy(position);
-            scene.add(sound);
+            this.ship.scene.add(sound);
 
             // Play the sound
             sound.play();
@@ -189,7 +194,7 @@ export default class TieCannon {
         const cappedDeltaTime = Math.min(deltaTime, 0.05); // Maximum 50ms per frame
 
         // Handle continuous firing - only fire if not tabbed out and energy available
-        if (this.isFiring && !document.hidden && this.ship.energy >= this.energyCost * 2) {
+        if (this.isFiring && !document.hidden && this.ship.energy >= this.energyCost * this.boltsPerShot) {
             this.fireTimer += cappedDeltaTime;
             const currentTime = Date.now() / 1000;
 
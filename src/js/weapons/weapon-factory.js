@@ -0,0 +1,46 @@
+import PrimaryWeapon from './primary-weapon.js';
+import TieCannon from './tie-cannon.js';
+import QuadLaser from './quad-laser.js';
+import MissileLauncher from './missile-launcher.js';
+import { ProtonTorpedoConfig } from '../config/weapons/proton-torpedo.js';
+import { ConcussionMissileConfig } from '../config/weapons/concussion-missile.js';
+
+/**
+ * Weapon classes keyed by the weaponType sent with `fire` and `playerHit`
+ * and named by ship configs' PRIMARY_WEAPON
+ */
+const WEAPON_CLASSES = {
+    'blaster': PrimaryWeapon,
+    'tie-cannon': TieCannon,
+    'quad-laser': QuadLaser
+};
+
+/**
+ * Secondary weapon configs keyed by weaponType and named by ship configs' SECONDARY_WEAPON
+ */
+export const SECONDARY_WEAPONS = {
+    'proton-torpedo': ProtonTorpedoConfig.SECONDARY,
+    'concussion-missile': ConcussionMissileConfig.SECONDARY
+};
+
+/**
+ * Creates a weapon for a ship, falling back to the blaster for unknown types
+ * @param {string} weaponType - Weapon type
+ * @param {Object} ship - The ship that owns the weapon
+ * @returns {Object} Weapon instance
+ */
+export function createWeapon(weaponType, ship) {
+    const WeaponClass = WEAPON_CLASSES[weaponType] || PrimaryWeapon;
+    return new WeaponClass(ship);
+}
+
+/**
+ * Creates a ship's secondary weapon launcher
+ * @param {string} weaponType - Secondary weapon type
+ * @param {Object} ship - The ship that owns the weapon
+ * @returns {MissileLauncher|null} Launcher, or null for ships without a secondary weapon
+ */
+export function createSecondaryWeapon(weaponType, ship) {
+    const config = SECONDARY_WEAPONS[weaponType];
+    return config ? new MissileLauncher(ship, weaponType, config) : null;
+}
@@ -0,0 +1,103 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyDamage, isDestroyed, regenerateShield } from '../src/js/shared/damage-model.js';
+
+function makeState(overrides = {}) {
+    return {
+        shield: 20,
+        hull: 100,
+        componentHealth: { main_body: 100, left_wing: 50, right_wing: 50 },
+        ...overrides
+    };
+}
+
+describe('applyDamage', () => {
+    test('shields absorb damage before the hull', () => {
+        const state = makeState();
+        const result = applyDamage(state, 15);
+        assert.equal(state.shield, 5);
+        assert.equal(state.hull, 100);
+        assert.equal(result.shieldDamage, 15);
+        assert.equal(result.hullDamage, 0);
+    });
+
+    test('damage beyond the shield goes to the hull and the hit component', () => {
+        const state = makeState();
+        const result = applyDamage(state, 30, 'left_wing');
+        assert.equal(state.shield, 0);
+        assert.equal(state.hull, 90);
+        assert.equal(state.componentHealth.left_wing, 40);
+        assert.equal(result.componentDamage, 10);
+        assert.equal(result.destroyed, false);
+    });
+
+    test('a component never drops below zero', () => {
+        const state = makeState({ shield: 0 });
+        const result = applyDamage(state, 80, 'left_wing');
+        assert.equal(state.componentHealth.left_wing, 0);
+        assert.equal(result.componentDamage, 50);
+        assert.equal(result.componentDestroyed, true);
+    });
+
+    test('an already destroyed component takes no more damage', () => {
+        const state = makeState({ shield: 0, componentHealth: { main_body: 100, left_wing: 0, right_wing: 50 } });
+        const result = applyDamage(state, 10, 'left_wing');
+        assert.equal(result.componentDamage, 0);
+        assert.equal(state.hull, 90);
+    });
+
+    test('negative damage does nothing', () => {
+        const state = makeState();
+        applyDamage(state, -50, 'main_body');
+        assert.deepEqual(state, makeState());
+    });
+});
+
+describe('isDestroyed', () => {
+    test('an intact ship is not destroyed', () => {
+        assert.equal(isDestroyed(makeState()), false);
+    });
+
+    test('losing the hull destroys the ship', () => {
+        assert.equal(isDestroyed(makeState({ hull: 0 })), true);
+    });
+
+    test('losing a critical component destroys the ship', () => {
+        assert.equal(isDestroyed(makeState({ componentHealth: { main_body: 0, left_wing: 50, right_wing: 50 } })), true);
+    });
+
+    test('a group is only fatal once every member is gone', () => {
+        assert.equal(isDestroyed(makeState({ componentHealth: { main_body: 100, left_wing: 0, right_wing: 50 } })), false);
+        assert.equal(isDestroyed(makeState({ componentHealth: { main_body: 100, left_wing: 0 } })), true);
+    });
+
+    test('uses the ship\'s own destruction rules', () => {
+        const rules = { CRITICAL_COMPONENTS: ['fuselage'], COMPONENT_GROUPS: [] };
+        assert.equal(isDestroyed(makeState({ componentHealth: { fuselage: 10 } }), rules), false);
+        assert.equal(isDestroyed(makeState({ componentHealth: { fuselage: 0 } }), rules), true);
+    });
+});
+
+describe('regenerateShield', () => {
+    const config = { SHIELD_REGENERATION_RATE: 10, SHIELD_DRAIN_TIMEOUT: 3 };
+
+    test('waits for the drain timeout after the last hit', () => {
+        const state = makeState({ shield: 0, maxShield: 20, lastShieldDamageTime: 10 });
+        regenerateShield(state, config, 1, 12);
+        assert.equal(state.shield, 0);
+        regenerateShield(state, config, 1, 13);
+        assert.equal(state.shield, 10);
+    });
+
+    test('never exceeds the maximum', () => {
+        const state = makeState({ shield: 15, maxShield: 20, lastShieldDamageTime: 0 });
+        regenerateShield(state, config, 1, 100);
+        assert.equal(state.shield, 20);
+    });
+
+    test('stops once the shield component is destroyed', () => {
+        const state = makeState({ shield: 0, maxShield: 20, lastShieldDamageTime: 0, componentHealth: { shield_generator: 0 } });
+        regenerateShield(state, { ...config, SHIELD_COMPONENT: 'shield_generator' }, 1, 100);
+        assert.equal(state.shield, 0);
+    });
+});
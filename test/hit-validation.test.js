@@ -0,0 +1,187 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { recordFire, validateHit, WEAPONS } from '../server/hit-validation.js';
+import { ServerConfig } from '../server/server-config.js';
+import { createHistory, recordHistory, shooterViewTime } from '../server/lag-compensation.js';
+
+const NOW = 1_000_000;
+const FORWARD = { x: 0, y: 0, z: -1 };
+
+function makePlayer(overrides = {}) {
+    return {
+        id: 1,
+        name: 'pilot',
+        shipType: 'imperial-tie-fighter',
+        isAlive: true,
+        position: { x: 0, y: 0, z: 0 },
+        velocity: { x: 0, y: 0, z: 0 },
+        componentHealth: { main_body: 100, left_wing: 50, right_wing: 50 },
+        recentFires: [],
+        ...overrides
+    };
+}
+
+function fire(player, now, overrides = {}) {
+    return recordFire(player, { weaponType: 'tie-cannon', position: { ...player.position }, direction: FORWARD, ...overrides }, now);
+}
+
+describe('recordFire', () => {
+    test('records a shot from the ship\'s primary weapon', () => {
+        const player = makePlayer();
+        const fireEvent = fire(player, NOW);
+        assert.ok(fireEvent);
+        assert.equal(fireEvent.weaponType, 'tie-cannon');
+        assert.equal(fireEvent.hitsRemaining, WEAPONS['tie-cannon'].BOLTS_PER_SHOT);
+        assert.deepEqual(player.recentFires, [fireEvent]);
+    });
+
+    test('rejects a weapon the ship does not carry', () => {
+        const player = makePlayer();
+        assert.equal(fire(player, NOW, { weaponType: 'quad-laser' }), null);
+        assert.equal(fire(player, NOW, { weaponType: 'blaster' }), null);
+    });
+
+    test('rejects unknown and prototype weapon names', () => {
+        const player = makePlayer();
+        assert.equal(fire(player, NOW, { weaponType: 'constructor' }), null);
+        assert.equal(fire(player, NOW, { weaponType: '__proto__' }), null);
+    });
+
+    test('rejects dead shooters and malformed vectors', () => {
+        assert.equal(fire(makePlayer({ isAlive: false }), NOW), null);
+        assert.equal(fire(makePlayer(), NOW, { position: { x: NaN, y: 0, z: 0 } }), null);
+        assert.equal(fire(makePlayer(), NOW, { direction: { x: 0, y: 0, z: 0 } }), null);
+    });
+
+    test('rejects a muzzle far from the server\'s ship position', () => {
+        const player = makePlayer();
+        const tolerance = ServerConfig.HIT_VALIDATION.FIRE_ORIGIN_TOLERANCE;
+        assert.equal(fire(player, NOW, { position: { x: tolerance + 1, y: 0, z: 0 } }), null);
+    });
+
+    test('normalizes the reported direction', () => {
+        const fireEvent = fire(makePlayer(), NOW, { direction: { x: 0, y: 0, z: -10 } });
+        assert.deepEqual(fireEvent.direction, FORWARD);
+    });
+});
+
+describe('fire rate limiting', () => {
+    const interval = 1000 / WEAPONS['tie-cannon'].FIRE_RATE;
+    const minInterval = interval * ServerConfig.HIT_VALIDATION.FIRE_RATE_TOLERANCE;
+
+    test('accepts shots at the weapon\'s fire rate', () => {
+        const player = makePlayer();
+        for (let i = 0; i < 5; i++) {
+            assert.ok(fire(player, NOW + i * interval), `shot ${i}`);
+        }
+    });
+
+    test('rejects shots faster than the weapon cycles', () => {
+        const player = makePlayer();
+        assert.ok(fire(player, NOW));
+        assert.equal(fire(player, NOW + minInterval - 1), null);
+        assert.ok(fire(player, NOW + minInterval));
+    });
+
+    test('limits against the last shot of any weapon type', () => {
+        const player = makePlayer();
+        player.recentFires.push({ time: NOW, weaponType: 'blaster', position: { x: 0, y: 0, z: 0 }, direction: FORWARD, hitsRemaining: 1 });
+        assert.equal(fire(player, NOW + 1), null);
+    });
+
+    test('keeps a bounded fire history', () => {
+        const player = makePlayer();
+        const count = ServerConfig.HIT_VALIDATION.FIRE_HISTORY + 5;
+        for (let i = 0; i < count; i++) {
+            fire(player, NOW + i * interval);
+        }
+        assert.equal(player.recentFires.length, ServerConfig.HIT_VALIDATION.FIRE_HISTORY);
+    });
+});
+
+describe('validateHit', () => {
+    const weapon = WEAPONS['tie-cannon'];
+
+    function shotAt(targetPosition, timeAfterFire) {
+        const attacker = makePlayer();
+        fire(attacker, NOW);
+        const target = makePlayer({ id: 2, position: targetPosition });
+        return { attacker, target, now: NOW + timeAfterFire };
+    }
+
+    test('accepts a hit a bolt could have reached, with the configured damage', () => {
+        const { attacker, target, now } = shotAt({ x: 0, y: 0, z: -30 }, 500);
+        const result = validateHit(attacker, target, { weaponType: 'tie-cannon', componentId: 'left_wing' }, now);
+        assert.equal(result.valid, true);
+        assert.equal(result.damage, weapon.DAMAGE);
+        assert.equal(result.componentId, 'left_wing');
+    });
+
+    test('ignores damage and components the client makes up', () => {
+        const { attacker, target, now } = shotAt({ x: 0, y: 0, z: -30 }, 500);
+        const result = validateHit(attacker, target, { weaponType: 'tie-cannon', componentId: 'hyperdrive', damage: 9999 }, now);
+        assert.equal(result.valid, true);
+        assert.equal(result.damage, weapon.DAMAGE);
+        assert.equal(result.componentId, null);
+    });
+
+    test('rejects a target well off the line of fire', () => {
+        const { attacker, target, now } = shotAt({ x: 200, y: 0, z: -30 }, 500);
+        assert.equal(validateHit(attacker, target, { weaponType: 'tie-cannon' }, now).valid, false);
+    });
+
+    test('rejects a hit after the bolt would have expired', () => {
+        const { attacker, target, now } = shotAt({ x: 0, y: 0, z: -30 }, (weapon.LIFETIME + 1) * 1000);
+        assert.equal(validateHit(attacker, target, { weaponType: 'tie-cannon' }, now).valid, false);
+    });
+
+    test('lands no more hits than the shot fired bolts', () => {
+        const { attacker, target, now } = shotAt({ x: 0, y: 0, z: -30 }, 500);
+        for (let i = 0; i < weapon.BOLTS_PER_SHOT; i++) {
+            assert.equal(validateHit(attacker, target, { weaponType: 'tie-cannon' }, now).valid, true);
+        }
+        assert.equal(validateHit(attacker, target, { weaponType: 'tie-cannon' }, now).reason, 'no matching shot');
+    });
+
+    test('rejects self hits, dead targets and unknown weapons', () => {
+        const { attacker, target, now } = shotAt({ x: 0, y: 0, z: -30 }, 500);
+        assert.equal(validateHit(attacker, attacker, { weaponType: 'tie-cannon' }, now).valid, false);
+        assert.equal(validateHit(attacker, { ...target, isAlive: false }, { weaponType: 'tie-cannon' }, now).valid, false);
+        assert.equal(validateHit(attacker, target, { weaponType: 'toString' }, now).valid, false);
+    });
+
+    test('does not take prototype keys for components', () => {
+        const { attacker, target, now } = shotAt({ x: 0, y: 0, z: -30 }, 500);
+        assert.equal(validateHit(attacker, target, { weaponType: 'tie-cannon', componentId: 'constructor' }, now).componentId, null);
+        assert.equal(validateHit(attacker, target, { weaponType: 'tie-cannon', componentId: 'toString' }, now).componentId, null);
+    });
+});
+
+describe('validateHit with lag compensation', () => {
+    const ON_LINE = { x: 0, y: 0, z: -30 };
+    const OFF_LINE = { x: 200, y: 0, z: -30 };
+
+    // The target is at `then` when the shooter saw it and at `now` by the time the hit arrives
+    function rewoundShot(then, current) {
+        const attacker = makePlayer({ latency: 100 });
+        fire(attacker, NOW);
+        const hitTime = NOW + 500;
+        const viewTime = shooterViewTime(attacker, hitTime);
+        const history = createHistory();
+        recordHistory(history, viewTime - 50, then);
+        recordHistory(history, viewTime + 50, then);
+        recordHistory(history, hitTime, current);
+        const target = makePlayer({ id: 2, position: current, history });
+        return { attacker, target, hitTime };
+    }
+
+    test('accepts a hit on where the shooter saw the target, though it has since moved away', () => {
+        const { attacker, target, hitTime } = rewoundShot(ON_LINE, OFF_LINE);
+        assert.equal(validateHit(attacker, target, { weaponType: 'tie-cannon' }, hitTime).valid, true);
+    });
+
+    test('rejects a hit on where the target is now if the shooter never saw it there', () => {
+        const { attacker, target, hitTime } = rewoundShot(OFF_LINE, ON_LINE);
+        assert.equal(validateHit(attacker, target, { weaponType: 'tie-cannon' }, hitTime).valid, false);
+    });
+});
@@ -0,0 +1,92 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { queueInputs, processInputs, resetFlightState, resetHealthState } from '../server/simulation.js';
+import { sanitizeInput, MAX_INPUT_DT, MAX_ROTATION_PER_INPUT } from '../src/js/shared/flight-model.js';
+import { ServerConfig } from '../server/server-config.js';
+
+const TICK = 1 / ServerConfig.TICK_RATE;
+
+function makePlayer() {
+    const player = { id: 1, shipType: 'imperial-tie-fighter', isAlive: true, lastProcessedInput: null };
+    resetFlightState(player);
+    resetHealthState(player);
+    return player;
+}
+
+function inputs(count, dt, firstSeq = 0) {
+    return Array.from({ length: count }, (_, i) => ({ seq: firstSeq + i, dt, throttle: 1 }));
+}
+
+describe('sanitizeInput', () => {
+    test('clamps dt and rotation to the per-input limits', () => {
+        const input = sanitizeInput({ seq: 3, dt: 10, pitch: 5, yaw: -5, throttle: 7, roll: -0.2 });
+        assert.equal(input.dt, MAX_INPUT_DT);
+        assert.equal(input.pitch, MAX_ROTATION_PER_INPUT);
+        assert.equal(input.yaw, -MAX_ROTATION_PER_INPUT);
+        assert.equal(input.throttle, 1);
+        assert.equal(input.roll, -1);
+    });
+
+    test('replaces non-numbers with safe defaults', () => {
+        const input = sanitizeInput({ seq: 'x', dt: NaN, pitch: Infinity, yaw: '1', boost: 1 });
+        assert.equal(input.seq, null);
+        assert.equal(input.dt, 0);
+        assert.equal(input.pitch, 0);
+        assert.equal(input.yaw, 0);
+        assert.equal(input.boost, true);
+    });
+});
+
+describe('input budget', () => {
+    test('a tick only spends as much input time as it lasts', () => {
+        const player = makePlayer();
+        const dt = TICK / 4;
+        queueInputs(player, inputs(12, dt));
+
+        processInputs(player, TICK, 1000);
+        assert.equal(player.lastProcessedInput, 3);
+        assert.equal(player.inputQueue.length, 8);
+    });
+
+    test('extra inputs wait for later ticks instead of speeding the ship up', () => {
+        const honest = makePlayer();
+        const flooder = makePlayer();
+        queueInputs(honest, inputs(2, TICK / 2));
+        queueInputs(flooder, inputs(40, TICK / 2));
+
+        processInputs(honest, TICK, 1000);
+        processInputs(flooder, TICK, 1000);
+        assert.deepEqual(flooder.position, honest.position);
+    });
+
+    test('unused time carries over, up to the maximum budget', () => {
+        const player = makePlayer();
+        for (let i = 0; i < 20; i++) {
+            processInputs(player, TICK, 1000 + i * 50);
+        }
+        assert.equal(player.inputBudget, ServerConfig.INPUT.MAX_BUDGET);
+    });
+
+    test('the queue is capped, dropping the oldest inputs', () => {
+        const player = makePlayer();
+        queueInputs(player, inputs(ServerConfig.INPUT.MAX_QUEUED + 10, TICK));
+        assert.equal(player.inputQueue.length, ServerConfig.INPUT.MAX_QUEUED);
+        assert.equal(player.inputQueue[0].seq, 10);
+    });
+
+    test('ignores malformed input messages', () => {
+        const player = makePlayer();
+        queueInputs(player, 'not an array');
+        queueInputs(player, [null, 5, 'x']);
+        assert.equal(player.inputQueue.length, 0);
+    });
+
+    test('dead ships acknowledge inputs without moving', () => {
+        const player = makePlayer();
+        player.isAlive = false;
+        queueInputs(player, inputs(2, TICK / 2));
+        processInputs(player, TICK, 1000);
+        assert.equal(player.lastProcessedInput, 1);
+        assert.deepEqual(player.position, { x: 0, y: 0, z: 0 });
+    });
+});
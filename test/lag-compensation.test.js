@@ -0,0 +1,73 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHistory, recordHistory, positionAt, setReportedLatency, shooterViewTime } from '../server/lag-compensation.js';
+import { ServerConfig } from '../server/server-config.js';
+import { GameConfig } from '../src/js/config/game-config.js';
+
+describe('positionAt', () => {
+    test('returns null before anything is recorded', () => {
+        assert.equal(positionAt(createHistory(4), 1000), null);
+    });
+
+    test('interpolates between the samples around the time', () => {
+        const history = createHistory(4);
+        recordHistory(history, 1000, { x: 0, y: 0, z: 0 });
+        recordHistory(history, 1100, { x: 10, y: -20, z: 40 });
+        assert.deepEqual(positionAt(history, 1025), { x: 2.5, y: -5, z: 10 });
+    });
+
+    test('clamps older times to the oldest sample', () => {
+        const history = createHistory(4);
+        recordHistory(history, 1000, { x: 1, y: 2, z: 3 });
+        recordHistory(history, 1100, { x: 10, y: 0, z: 0 });
+        assert.deepEqual(positionAt(history, 0), { x: 1, y: 2, z: 3 });
+    });
+
+    test('clamps newer times to the latest sample', () => {
+        const history = createHistory(4);
+        recordHistory(history, 1000, { x: 1, y: 2, z: 3 });
+        recordHistory(history, 1100, { x: 10, y: 0, z: 0 });
+        assert.deepEqual(positionAt(history, 5000), { x: 10, y: 0, z: 0 });
+    });
+
+    test('forgets samples the ring buffer has overwritten', () => {
+        const history = createHistory(3);
+        for (let i = 0; i < 5; i++) {
+            recordHistory(history, 1000 + i * 100, { x: i, y: 0, z: 0 });
+        }
+        assert.deepEqual(positionAt(history, 0), { x: 2, y: 0, z: 0 });
+        assert.deepEqual(positionAt(history, 1350), { x: 3.5, y: 0, z: 0 });
+    });
+});
+
+describe('setReportedLatency', () => {
+    const maxLatency = ServerConfig.LAG_COMPENSATION.MAX_LATENCY;
+
+    test('keeps a plausible latency', () => {
+        const player = {};
+        setReportedLatency(player, 120);
+        assert.equal(player.latency, 120);
+    });
+
+    test(`caps the latency at ${maxLatency}ms`, () => {
+        const player = {};
+        setReportedLatency(player, 5000);
+        assert.equal(player.latency, maxLatency);
+    });
+
+    test('ignores negative and non-numeric reports', () => {
+        const player = { latency: 80 };
+        setReportedLatency(player, 'lots');
+        setReportedLatency(player, NaN);
+        assert.equal(player.latency, 80);
+        setReportedLatency(player, -50);
+        assert.equal(player.latency, 0);
+    });
+
+    test('a capped latency limits how far the shooter\'s view is rewound', () => {
+        const player = {};
+        setReportedLatency(player, 60000);
+        const rewind = 10000 - shooterViewTime(player, 10000);
+        assert.equal(rewind, maxLatency + GameConfig.NETWORK.INTERPOLATION_DELAY * 1000);
+    });
+});